@@ -0,0 +1,162 @@
+import '../../js/interaction/VIB34DAudioAnalyzer.js'; // Defines window.VIB34DAudioAnalyzer
+
+/**
+ * AudioCoordinator
+ * Drives audio-reactive visualizers from a VIB34DAudioAnalyzer (the magazine's AUDIO state).
+ * Media elements marked [data-vib3-audio] start the analyzer when they play and stop it when they pause or end;
+ * start()/stop() do the same for any <audio>/<video> element or MediaStream.
+ * While the analyzer runs, every visualizer whose visual style has an `audio` map follows the band levels:
+ *   "audio": { "intensity": { "band": "bass", "range": 0.4 } }  ->  intensity = base intensity + bass * 0.4
+ * Bands are 'bass', 'mid', 'high' and 'level' (0-1). Stopping eases those visualizers back to their base parameters.
+ */
+export class AudioCoordinator {
+    constructor(presetManager, visualizers) {
+        if (!presetManager) {
+            throw new Error("AudioCoordinator: PresetManager is required.");
+        }
+        if (!visualizers) {
+            throw new Error("AudioCoordinator: Visualizers map is required.");
+        }
+        this.presetManager = presetManager;
+        this.visualizers = visualizers; // Map of DOM element -> VIB34D instance
+        this.analyzer = null; // Created on the first start(), which runs in a user gesture (play)
+        this.source = null;
+        this.mediaSources = new WeakMap(); // Media element -> analysis tap; an element can only be captured once per AudioContext
+        this.frameId = null;
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Scans a container for [data-vib3-audio] media elements and ties their playback to the analyzer.
+     * @param {HTMLElement|Document} [containerElement=document]
+     */
+    bindMediaElements(containerElement = document) {
+        containerElement.querySelectorAll('[data-vib3-audio]').forEach(element => {
+            if (element._vib3AudioHandlers) return;
+            element._vib3AudioHandlers = {
+                play: () => this.start(element),
+                pause: () => this.stop(element),
+                ended: () => this.stop(element)
+            };
+            for (const eventType in element._vib3AudioHandlers) {
+                element.addEventListener(eventType, element._vib3AudioHandlers[eventType]);
+            }
+            console.log(`AudioCoordinator: Bound audio source:`, element.id || element.className);
+        });
+    }
+
+    /**
+     * Starts analysing a source and feeding its bands to the audio-reactive visualizers.
+     * @param {HTMLMediaElement|MediaStream} source
+     */
+    start(source) {
+        if (typeof window.VIB34DAudioAnalyzer === 'undefined') {
+            console.error("AudioCoordinator: VIB34DAudioAnalyzer is not loaded.");
+            return false;
+        }
+        if (!this.analyzer) {
+            this.analyzer = new window.VIB34DAudioAnalyzer();
+        }
+
+        try {
+            if (source !== this.source || !this.analyzer.state.isActive) {
+                this.connectSource(source);
+            }
+            // Contexts created before a user gesture start suspended
+            if (this.analyzer.audioContext.state === 'suspended') {
+                this.analyzer.audioContext.resume();
+            }
+        } catch (error) {
+            console.error("AudioCoordinator: Could not connect the audio source:", error);
+            return false;
+        }
+
+        if (this.frameId === null) {
+            this.lastFrameTime = null;
+            this.frameId = requestAnimationFrame(time => this.tick(time));
+            console.log("AudioCoordinator: Audio reaction started.");
+        }
+        return true;
+    }
+
+    /**
+     * Stops feeding the visualizers and eases them back to their base parameters.
+     * @param {HTMLMediaElement|MediaStream} [source] - Only stop if this is the current source.
+     */
+    stop(source) {
+        if (source && source !== this.source) return;
+        if (this.frameId === null) return;
+
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.analyzer.reset();
+        this.forEachReactiveVisualizer(visualizer => visualizer.resetToBaseState(600));
+        console.log("AudioCoordinator: Audio reaction stopped.");
+    }
+
+    connectSource(source) {
+        const analyzer = this.analyzer;
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+            analyzer.connectMediaStream(source);
+        } else {
+            analyzer.ensureAnalyser();
+            let tap = this.mediaSources.get(source);
+            if (!tap) {
+                // Captured elements only play through the graph: keep them on the speakers for good and analyse
+                // a tap, which the analyzer can disconnect without silencing the element
+                const context = analyzer.audioContext;
+                const node = context.createMediaElementSource(source);
+                tap = context.createGain();
+                node.connect(context.destination);
+                node.connect(tap);
+                this.mediaSources.set(source, tap);
+            }
+            analyzer.connectNode(tap);
+        }
+        this.source = source;
+    }
+
+    tick(time) {
+        const deltaTime = this.lastFrameTime === null ? 0.016 : (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+
+        const analysis = this.analyzer.update(deltaTime);
+        this.forEachReactiveVisualizer((visualizer, audioMap) => {
+            for (const param in audioMap) {
+                const { band, range = 1 } = audioMap[param];
+                const base = visualizer.baseParams[param];
+                if (typeof base !== 'number' || typeof analysis[band] !== 'number') continue;
+                visualizer.currentParams[param] = base + analysis[band] * range;
+            }
+        });
+
+        this.frameId = requestAnimationFrame(next => this.tick(next));
+    }
+
+    forEachReactiveVisualizer(callback) {
+        this.visualizers.forEach((visualizer, element) => {
+            const style = this.presetManager.getVisualStyle(element.dataset.vib3Style);
+            if (style && style.audio) callback(visualizer, style.audio);
+        });
+    }
+
+    /**
+     * Stops the analysis and unbinds all media elements in a container.
+     * @param {HTMLElement|Document} [containerElement=document]
+     */
+    destroy(containerElement = document) {
+        this.stop();
+        containerElement.querySelectorAll('[data-vib3-audio]').forEach(element => {
+            if (!element._vib3AudioHandlers) return;
+            for (const eventType in element._vib3AudioHandlers) {
+                element.removeEventListener(eventType, element._vib3AudioHandlers[eventType]);
+            }
+            delete element._vib3AudioHandlers;
+        });
+        // Keep the analyzer's AudioContext: captured elements play through it
+        if (this.analyzer) {
+            this.analyzer.disconnect();
+        }
+        this.source = null;
+    }
+}
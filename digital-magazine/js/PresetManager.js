@@ -1,7 +1,12 @@
+import '../../js/config/presetSchema.js'; // Defines window.VIB3PresetSchema
+
 /**
  * PresetManager
  * Handles loading, storing, and retrieving visual and interaction presets
  * from an external JSON file.
+ * The file may use the versioned preset format or the legacy { visualStyles, interactionPresets } shape;
+ * both are migrated and validated by VIB3PresetSchema, and invalid presets are skipped with their error paths.
+ * Visual styles keep their shader parameters in `params`.
  */
 export class PresetManager {
     constructor() {
@@ -28,16 +33,13 @@ export class PresetManager {
             }
             const data = await response.json();
 
-            if (data.visualStyles) {
-                for (const [name, preset] of Object.entries(data.visualStyles)) {
-                    this.visualStyles.set(name, preset);
-                }
-            }
-
-            if (data.interactionPresets) {
-                for (const [name, preset] of Object.entries(data.interactionPresets)) {
-                    this.interactionPresets.set(name, preset);
-                }
+            const { presets, rejected } = window.VIB3PresetSchema.load(data, { type: ['visualStyle', 'interaction'] });
+            rejected.forEach(({ name, errors }) => {
+                console.error(`Rejected preset "${name}":\n${window.VIB3PresetSchema.formatErrors(errors)}`);
+            });
+            for (const preset of presets) {
+                const target = preset.type === 'visualStyle' ? this.visualStyles : this.interactionPresets;
+                target.set(preset.name, preset);
             }
 
             this.isLoaded = true;
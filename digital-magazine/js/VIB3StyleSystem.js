@@ -1,17 +1,20 @@
 import { PresetManager } from './PresetManager.js';
 import { VIB34D } from './VIB34D.js';
 import { InteractionCoordinator } from './InteractionCoordinator.js';
+import { AudioCoordinator } from './AudioCoordinator.js';
 
 /**
  * VIB3StyleSystem - Main Conductor
  * Initializes and coordinates all subsystems: PresetManager, VIB34D visualizers,
- * and InteractionCoordinator. Scans the DOM to create visualizers and bind interactions.
+ * InteractionCoordinator and AudioCoordinator. Scans the DOM to create visualizers and bind interactions
+ * and audio sources.
  */
 export class VIB3StyleSystem {
     constructor() {
         this.visualizers = new Map(); // Stores DOMElement -> VIB34D instance
         this.presetManager = new PresetManager();
         this.interactionCoordinator = null; // Initialized after presets and visualizers
+        this.audioCoordinator = null;
         this.isInitialized = false;
 
         console.log("VIB3StyleSystem: Conductor created.");
@@ -47,6 +50,10 @@ export class VIB3StyleSystem {
         this.interactionCoordinator.bindInteractions();
         console.log("VIB3StyleSystem: InteractionCoordinator initialized and interactions bound.");
 
+        // 4. Initialize Audio Coordinator (AUDIO state: [data-vib3-audio] playback drives audio-reactive styles)
+        this.audioCoordinator = new AudioCoordinator(this.presetManager, this.visualizers);
+        this.audioCoordinator.bindMediaElements();
+
         this.isInitialized = true;
         console.log("VIB3StyleSystem: Initialization complete.");
     }
@@ -77,10 +84,10 @@ export class VIB3StyleSystem {
 
         const visualStylePreset = this.presetManager.getVisualStyle(styleName);
 
-        if (visualStylePreset && visualStylePreset.parameters) {
+        if (visualStylePreset && visualStylePreset.params) {
             const visualizerId = element.id || `vib3d-style-${styleName}-${Math.random().toString(16).slice(2)}`;
             console.log(`VIB3StyleSystem: Attempting to create visualizer ${visualizerId} for element:`, element, 'with preset:', styleName);
-            const instance = new VIB34D(element, visualStylePreset.parameters, visualizerId);
+            const instance = new VIB34D(element, visualStylePreset.params, visualizerId);
             if (instance && (instance.gl || instance.ctx)) { // Check if VIB34D instance was successfully created with a context
                 this.visualizers.set(element, instance);
                 console.log(`VIB3StyleSystem: Successfully created visualizer ${visualizerId}. Total visualizers: ${this.visualizers.size}`);
@@ -133,6 +140,9 @@ export class VIB3StyleSystem {
             });
              // Could count new bindings if bindInteractionsToElement returned a status
         }
+        if (this.audioCoordinator) {
+            this.audioCoordinator.bindMediaElements(containerElement);
+        }
         console.log("VIB3StyleSystem: Finished scanning for new elements in", containerElement.id || containerElement.tagName);
     }
 
@@ -182,6 +192,11 @@ export class VIB3StyleSystem {
         });
         this.visualizers.clear();
 
+        if (this.audioCoordinator) {
+            this.audioCoordinator.destroy();
+            this.audioCoordinator = null;
+        }
+
         // Reset InteractionCoordinator state if it holds any global state beyond listeners on elements
         // For now, unbinding from elements is the main part. If InteractionCoordinator had a global
         // list of active listeners or something, that would be cleared here too.
@@ -13,7 +13,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log("Vib3code VIB3StyleSystem initialized successfully.");
 
         // Common setup for all pages
-        await loadSiteMeta(); // Loads site title, tagline, navigation
+        const meta = await loadSiteMeta(); // Loads site title, tagline, navigation
         updateFooterYear();
 
         // Page-specific content loading
@@ -40,6 +40,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             const categoryId = urlParams.get('id');
             if (categoryId) {
                 console.log(`Loading category page for: ${categoryId}`);
+                // The category's visual style replaces the background placeholder (AUDIO WAVES reacts to [data-vib3-audio] playback)
+                const category = meta && meta.categories ? meta.categories.find(entry => entry.id === categoryId) : null;
+                const background = document.getElementById('vib3-global-background');
+                if (category && category.vib3Style && background) {
+                    background.dataset.vib3Style = category.vib3Style;
+                    vib3System.scanAndInitializeNewElements(document.body);
+                }
                 // Category page loading logic would go here
             } else {
                 console.error("Category ID not found in URL for category.html");
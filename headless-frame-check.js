@@ -0,0 +1,136 @@
+/**
+ * Checks that a headless HypercubeCore frame depends on the time it is rendered at, not on earlier frames
+ * (see HypercubeCore.renderFrame()).
+ *
+ *   node headless-frame-check.js
+ *
+ * Loads the core's scripts into a sandbox with a WebGL context that records every call, renders the same time on
+ * fresh cores after different earlier frames and compares everything the final frame sends to WebGL. Needs
+ * gl-matrix, which HypercubeCore and the projections expect as a global (npm install --no-save gl-matrix).
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let glMatrix;
+try {
+    glMatrix = require('gl-matrix');
+} catch (error) {
+    console.error('✗ gl-matrix is not installed. Run `npm install --no-save gl-matrix` first.');
+    process.exit(1);
+}
+
+const SCRIPTS = [
+    'js/core/Easing.js', 'js/core/MotionSafetyPolicy.js', 'js/core/ParameterStack.js', 'js/core/Rotation4D.js',
+    'js/chromatic/VIB34DColorSpace.js', 'js/config/palettes.js', 'js/chromatic/VIB34DChromaticEngine.js',
+    'js/core/BaseGeometry.js', 'js/geometries/HypercubeGeometry.js', 'js/geometries/HypersphereGeometry.js',
+    'js/geometries/TorusGeometry.js', 'js/geometries/KleinBottleGeometry.js',
+    'js/geometries/FractalGeometry.js', 'js/geometries/WaveGeometry.js', 'js/geometries/CrystalGeometry.js',
+    'js/config/geometries.js', 'js/managers/GeometryManager.js',
+    'js/core/BaseProjection.js', 'js/projections/PerspectiveProjection.js', 'js/projections/OrthographicProjection.js',
+    'js/projections/StereographicProjection.js', 'js/managers/ProjectionManager.js', 'js/managers/ShaderManager.js',
+    'js/interaction/VIB34DInteractionEngine.js', 'js/interaction/ParameterMappingSystem.js',
+    'js/config/presetSchema.js', 'js/config/faceGraph.js', 'js/bridge/VIB3BridgeTransport.js', 'js/bridge/VIB3HomeMasterBridge.js',
+    'js/core/HypercubeCore.js'
+];
+
+// Browser scripts: run them with a window that is its own global. Their logs are not part of the check.
+const context = { console: { log() {}, info() {}, warn() {}, error: console.error }, performance, setTimeout, clearTimeout, mat4: glMatrix.mat4 };
+context.window = context;
+context.global = context;
+vm.createContext(context);
+SCRIPTS.forEach(file => vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file }));
+const HypercubeCore = vm.runInContext('HypercubeCore', context);
+const PROJECTIONS = vm.runInContext('({ perspective: PerspectiveProjection, orthographic: OrthographicProjection, stereographic: StereographicProjection })', context);
+
+/**
+ * A WebGL context that accepts every call and tracks the state a draw call depends on: uniform values, the data of
+ * the buffers bound to each attribute and the element buffer. `draws` holds a snapshot of that state per draw call,
+ * which is what the rendered image is a function of.
+ */
+function createRecordingContext(width = 64, height = 64) {
+    const draws = [];
+    const uniforms = {}, attributes = {}, bound = {};
+    const copy = value => (ArrayBuffer.isView(value) ? Array.from(value) : Array.isArray(value) ? [...value] : value);
+    const draw = (call, args) => draws.push(JSON.stringify({
+        call, args, uniforms, elements: bound.ELEMENT_ARRAY_BUFFER ? bound.ELEMENT_ARRAY_BUFFER.data : null,
+        attributes: Object.keys(attributes).sort().map(location => attributes[location])
+    }));
+    const setUniform = (location, value) => { if (location) uniforms[location.name] = copy(value); };
+    const methods = {
+        getExtension: () => ({}),
+        getShaderParameter: () => true, getProgramParameter: () => true,
+        getShaderInfoLog: () => '', getProgramInfoLog: () => '',
+        createShader: () => ({}), createProgram: () => ({}), createBuffer: () => ({ data: null }),
+        getUniformLocation: (program, name) => ({ name }),
+        getAttribLocation: (program, name) => ['a_position4D', 'a_normal4D', 'a_uv'].indexOf(name),
+        bindBuffer: (target, buffer) => { bound[target] = buffer; },
+        bufferData: (target, data) => { if (bound[target]) bound[target].data = copy(data); },
+        vertexAttribPointer: (location) => { attributes[location] = bound.ARRAY_BUFFER ? bound.ARRAY_BUFFER.data : null; },
+        disableVertexAttribArray: (location) => { delete attributes[location]; },
+        uniform1f: setUniform, uniform1i: setUniform, uniform2fv: setUniform, uniform3fv: setUniform, uniform4fv: setUniform,
+        uniformMatrix4fv: (location, transpose, value) => setUniform(location, value),
+        drawArrays: (mode, first, count) => draw('drawArrays', [mode, first, count]),
+        drawElements: (mode, count, type, offset) => draw('drawElements', [mode, count, type, offset])
+    };
+    const target = { drawingBufferWidth: width, drawingBufferHeight: height, canvas: null, draws };
+    return new Proxy(target, {
+        get(object, property) {
+            if (property in object) return object[property];
+            if (typeof property !== 'string') return undefined;
+            if (/^[A-Z0-9_]+$/.test(property)) return property; // Enum names are as good as their values here
+            return methods[property] || (() => undefined);
+        }
+    });
+}
+
+function createCore(setup) {
+    const gl = createRecordingContext();
+    const core = new HypercubeCore(null, { gl });
+    // Pages register the projections they offer; the core only knows their names.
+    Object.entries(PROJECTIONS).forEach(([name, projectionClass]) => core.projectionManager.registerProjection(name, projectionClass));
+    core.setGeometry('hypercube');
+    core.setProjection('perspective');
+    if (setup) setup(core);
+    return { core, gl };
+}
+
+/** Renders `times` in order and returns the draw calls of the last frame. */
+function renderSequence(times, setup) {
+    const { core, gl } = createCore(setup);
+    times.forEach((time, index) => {
+        if (index === times.length - 1) gl.draws.length = 0;
+        core.renderFrame(time);
+    });
+    return gl.draws;
+}
+
+function expectSameFrames(label, sequences, setup) {
+    const frames = sequences.map(times => renderSequence(times, setup));
+    if (frames[0].length === 0) throw new Error(`${label}: nothing was drawn`);
+    sequences.forEach((times, index) => {
+        if (frames[index].join('\n') === frames[0].join('\n')) return;
+        const rendered = times.length > 4 ? `${times.length} frames from ${times[0]} to ${times[times.length - 1]}` : times.join(', ');
+        throw new Error(`${label}: the frame after rendering ${rendered} differs from rendering ${sequences[0].join(', ')}`);
+    });
+    console.log(`✓ ${label}`);
+}
+
+const steps = (from, to, step) => Array.from({ length: Math.round((to - from) / step) + 1 }, (v, i) => from + i * step);
+const morphPreset = {
+    version: 1, type: 'visualizer', name: 'frame-check', geometry: 'hypersphere',
+    params: { u_gridDensity: 4.0, u_morphFactor: 0.6, u_lineThickness: 0.03, u_patternIntensity: 1.6 }
+};
+
+try {
+    expectSameFrames('rotation at t=10', [[10], steps(0, 10, 1 / 60), [0, 0.3, 7.25, 10], [20, 3, 10]]);
+    expectSameFrames('preset morph with a geometry crossfade at t=1.5',
+        [[1.5], steps(0, 1.5, 1 / 30), [0.1, 1.2, 0.4, 1.5]],
+        core => core.loadPreset(morphPreset, { duration: 3 }));
+    expectSameFrames('fading transient at t=0.75',
+        [[0.75], steps(0, 0.75, 0.05), [1.5, 0.5, 0.75]],
+        core => core.parameterStack.addTransient({ u_glitchIntensity: 0.4, u_gridDensity: 6 }, { duration: 2 }));
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+}
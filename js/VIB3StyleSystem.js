@@ -60,10 +60,10 @@ export class VIB3StyleSystem {
             const styleName = element.dataset.vib3Style;
             const visualStylePreset = this.presetManager.getVisualStyle(styleName);
 
-            if (visualStylePreset && visualStylePreset.parameters) {
+            if (visualStylePreset && visualStylePreset.params) {
                 // Assign a unique ID to the visualizer for easier debugging and tracking
                 const visualizerId = element.id || `vib3d-style-${styleName}-${index}`;
-                const instance = new VIB34D(element, visualStylePreset.parameters, visualizerId);
+                const instance = new VIB34D(element, visualStylePreset.params, visualizerId);
                 this.visualizers.set(element, instance);
             } else {
                 console.warn(`VIB3StyleSystem: Visual style preset "${styleName}" not found or misconfigured for element:`, element);
@@ -0,0 +1,262 @@
+/**
+ * VIB3BridgeTransport
+ *
+ * Message protocol between VIB3HomeMasterBridge (a visualizer) and HomeMaster (the page that decides which face
+ * is shown), over window.postMessage (iframes) or BroadcastChannel (tabs of one origin).
+ *
+ * Every message is an envelope:
+ *   { protocol: 'vib3-bridge', version: 1, type, source, payload }
+ * where `source` is the sender's connection ID. Types:
+ *   hello          { role }                         Handshake; sent until answered (see helloInterval)
+ *   welcome        { role, accepted, reason? }      Handshake reply; accepted is false on a version mismatch
+ *   bye            {}                               The sender is going away
+ *   navigate       { faceId, duration?, easing? }   Show a face
+ *   paramUpdate    { params }                       Changed base parameters (throttled by the sender)
+ *   interaction    { ... }                          Latest interaction summary (throttled by the sender)
+ *   stateSnapshot  { faceId, params, lead }         Full state, sent on connect; followers adopt it from hosts and leads
+ * Both sides say hello, so whichever loads last completes the handshake. Peers must speak the same protocol
+ * version; anything else is refused in the welcome and logged.
+ *
+ * A host page can drive embedded visualizers with a VIB3BridgeConnection of its own:
+ *   const link = new VIB3BridgeConnection(new VIB3PostMessageTransport({ target: iframe.contentWindow, allowedOrigins: ['https://viz.example'] }), { role: 'host' });
+ *   link.open();
+ *   link.send('navigate', { faceId: 'Face-2' });
+ */
+const VIB3_BRIDGE_PROTOCOL = 'vib3-bridge';
+const VIB3_BRIDGE_PROTOCOL_VERSION = 1;
+
+/**
+ * window.postMessage to one other window (a parent, an iframe or an opener). Only messages from
+ * `allowedOrigins` (and, when a target is given, from that window) are delivered.
+ */
+class VIB3PostMessageTransport {
+    /**
+     * @param {object} options
+     * @param {Window} [options.target=window.parent] - Window to talk to.
+     * @param {Array<string>} options.allowedOrigins - Exact origins accepted, e.g. ['https://partner.example'].
+     * @param {string} [options.targetOrigin] - Origin messages are addressed to; defaults to the only allowed origin.
+     * @param {Window} [options.window=window] - Window that receives messages.
+     */
+    constructor(options = {}) {
+        this.window = options.window || (typeof window !== 'undefined' ? window : null);
+        this.target = options.target || (this.window ? this.window.parent : null);
+        this.allowedOrigins = Array.isArray(options.allowedOrigins) ? options.allowedOrigins.filter(o => o && o !== '*') : [];
+        if (this.allowedOrigins.length === 0) throw new Error('VIB3PostMessageTransport: options.allowedOrigins must list at least one origin.');
+        this.targetOrigin = options.targetOrigin || (this.allowedOrigins.length === 1 ? this.allowedOrigins[0] : null);
+        if (!this.targetOrigin) throw new Error('VIB3PostMessageTransport: options.targetOrigin is required when several origins are allowed.');
+        this.handler = null;
+        this.rejectedOrigins = new Set();
+        this.boundOnMessage = this.onWindowMessage.bind(this);
+    }
+
+    /** @param {function(object): void} handler - Receives message data from allowed senders. */
+    listen(handler) {
+        this.handler = handler;
+        if (this.window) this.window.addEventListener('message', this.boundOnMessage);
+    }
+
+    onWindowMessage(event) {
+        if (this.target && event.source && event.source !== this.target) return;
+        if (!this.allowedOrigins.includes(event.origin)) {
+            if (!this.rejectedOrigins.has(event.origin) && event.data && event.data.protocol === VIB3_BRIDGE_PROTOCOL) {
+                this.rejectedOrigins.add(event.origin);
+                console.warn(`VIB3PostMessageTransport: Ignoring bridge messages from origin "${event.origin}" (not allowed).`);
+            }
+            return;
+        }
+        if (this.handler) this.handler(event.data);
+    }
+
+    send(message) {
+        if (this.target && this.target !== this.window) this.target.postMessage(message, this.targetOrigin);
+    }
+
+    close() {
+        if (this.window) this.window.removeEventListener('message', this.boundOnMessage);
+        this.handler = null;
+    }
+}
+
+/**
+ * BroadcastChannel between tabs and frames of the same origin (the browser enforces the origin).
+ */
+class VIB3BroadcastChannelTransport {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.channelName='vib3-bridge']
+     */
+    constructor(options = {}) {
+        if (typeof BroadcastChannel === 'undefined') throw new Error('VIB3BroadcastChannelTransport: BroadcastChannel is not available.');
+        this.channel = new BroadcastChannel(options.channelName || 'vib3-bridge');
+        this.handler = null;
+        this.boundOnMessage = (event) => { if (this.handler) this.handler(event.data); };
+    }
+
+    listen(handler) {
+        this.handler = handler;
+        this.channel.addEventListener('message', this.boundOnMessage);
+    }
+
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    close() {
+        this.channel.removeEventListener('message', this.boundOnMessage);
+        this.channel.close();
+        this.handler = null;
+    }
+}
+
+/**
+ * One end of the protocol over a transport: handshake, version check, envelope validation and throttled sends.
+ */
+class VIB3BridgeConnection {
+    static get MESSAGE_TYPES() {
+        return ['hello', 'welcome', 'bye', 'navigate', 'paramUpdate', 'interaction', 'stateSnapshot'];
+    }
+
+    /**
+     * @param {object} transport - VIB3PostMessageTransport, VIB3BroadcastChannelTransport or any { listen, send, close }.
+     * @param {object} [options]
+     * @param {string} [options.role='visualizer'] - Announced in the handshake ('visualizer' or 'host').
+     * @param {function(string, object, object): void} [options.onMessage] - (type, payload, envelope) for protocol messages after the handshake.
+     * @param {function(string): void} [options.onConnect] - Called with the remote ID when a peer completes the handshake.
+     * @param {function(string): void} [options.onDisconnect] - Called with the remote ID when a peer says bye.
+     * @param {number} [options.throttleMs=100] - Minimum interval between throttled sends of one type.
+     * @param {number} [options.helloInterval=1000] - ms between hellos until connected.
+     * @param {number} [options.helloAttempts=10]
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.role = options.role || 'visualizer';
+        this.onMessage = options.onMessage || (() => {});
+        this.onConnect = options.onConnect || (() => {});
+        this.onDisconnect = options.onDisconnect || (() => {});
+        this.throttleMs = options.throttleMs !== undefined ? options.throttleMs : 100;
+        this.helloInterval = options.helloInterval || 1000;
+        this.helloAttempts = options.helloAttempts || 10;
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.remotes = new Map(); // ID -> announced role, for peers that completed the handshake
+        this.throttled = {}; // type -> { payload, lastSent, timer }
+        this.helloTimer = null;
+        this.isOpen = false;
+    }
+
+    get isConnected() {
+        return this.remotes.size > 0;
+    }
+
+    /** @returns {string|undefined} Role a connected peer announced in its hello/welcome. */
+    getRemoteRole(remoteId) {
+        return this.remotes.get(remoteId);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.transport.listen(data => this.receive(data));
+        let attempts = 0;
+        const sayHello = () => {
+            if (!this.isOpen || this.isConnected || attempts++ >= this.helloAttempts) { this.stopHello(); return; }
+            this.post('hello', { role: this.role });
+        };
+        sayHello();
+        this.helloTimer = setInterval(sayHello, this.helloInterval);
+    }
+
+    stopHello() {
+        if (this.helloTimer) { clearInterval(this.helloTimer); this.helloTimer = null; }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.post('bye', {});
+        this.stopHello();
+        Object.values(this.throttled).forEach(entry => clearTimeout(entry.timer));
+        this.throttled = {};
+        this.transport.close();
+        this.remotes.clear();
+        this.isOpen = false;
+    }
+
+    post(type, payload) {
+        this.transport.send({ protocol: VIB3_BRIDGE_PROTOCOL, version: VIB3_BRIDGE_PROTOCOL_VERSION, type, source: this.id, payload });
+    }
+
+    /**
+     * Sends a message to connected peers. Ignored until the handshake completes.
+     * @param {string} type - One of MESSAGE_TYPES (not the handshake types).
+     * @param {object} payload
+     * @returns {boolean} Whether the message was sent.
+     */
+    send(type, payload) {
+        if (!VIB3BridgeConnection.MESSAGE_TYPES.includes(type)) throw new Error(`VIB3BridgeConnection: Unknown message type "${type}".`);
+        if (!this.isConnected) return false;
+        this.post(type, payload);
+        return true;
+    }
+
+    /**
+     * Sends at most once per throttleMs per type; the newest payload wins, and the last one is always delivered.
+     * @param {string} type
+     * @param {object} payload
+     * @param {function(object, object): object} [merge] - Combines a pending payload with a newer one (default: replace).
+     */
+    sendThrottled(type, payload, merge) {
+        if (!this.isConnected) return;
+        const entry = this.throttled[type] || (this.throttled[type] = { payload: null, lastSent: -Infinity, timer: null });
+        entry.payload = entry.payload && merge ? merge(entry.payload, payload) : payload;
+        if (entry.timer) return;
+        const flush = () => {
+            entry.timer = null;
+            entry.lastSent = Date.now();
+            const pending = entry.payload;
+            entry.payload = null;
+            if (pending) this.send(type, pending);
+        };
+        const wait = entry.lastSent + this.throttleMs - Date.now();
+        if (wait <= 0) flush();
+        else entry.timer = setTimeout(flush, wait);
+    }
+
+    /** Validates an incoming envelope and runs the handshake; other messages go to onMessage. */
+    receive(data) {
+        if (!data || data.protocol !== VIB3_BRIDGE_PROTOCOL || data.source === this.id) return;
+        if (typeof data.type !== 'string' || !VIB3BridgeConnection.MESSAGE_TYPES.includes(data.type)) return;
+        if (typeof data.source !== 'string' || !data.payload || typeof data.payload !== 'object') return;
+
+        if (data.type === 'hello' || data.type === 'welcome') {
+            if (data.version !== VIB3_BRIDGE_PROTOCOL_VERSION) {
+                console.warn(`VIB3BridgeConnection: Peer speaks protocol version ${data.version}, expected ${VIB3_BRIDGE_PROTOCOL_VERSION}. Not connecting.`);
+                if (data.type === 'hello') this.post('welcome', { role: this.role, accepted: false, reason: `protocol version ${VIB3_BRIDGE_PROTOCOL_VERSION} required` });
+                return;
+            }
+            if (data.type === 'welcome' && data.payload.accepted === false) {
+                console.warn(`VIB3BridgeConnection: Handshake refused by peer: ${data.payload.reason || 'no reason given'}.`);
+                return;
+            }
+            if (data.type === 'hello') this.post('welcome', { role: this.role, accepted: true });
+            if (!this.remotes.has(data.source)) {
+                this.remotes.set(data.source, data.payload.role);
+                this.stopHello();
+                this.onConnect(data.source, data.payload.role);
+            }
+            return;
+        }
+        if (data.version !== VIB3_BRIDGE_PROTOCOL_VERSION || !this.remotes.has(data.source)) return;
+        if (data.type === 'bye') {
+            this.remotes.delete(data.source);
+            this.onDisconnect(data.source);
+            return;
+        }
+        this.onMessage(data.type, data.payload, data);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB3_BRIDGE_PROTOCOL_VERSION = VIB3_BRIDGE_PROTOCOL_VERSION;
+    window.VIB3PostMessageTransport = VIB3PostMessageTransport;
+    window.VIB3BroadcastChannelTransport = VIB3BroadcastChannelTransport;
+    window.VIB3BridgeConnection = VIB3BridgeConnection;
+}
@@ -1,164 +1,429 @@
 /**
- * VIB3HomeMasterBridge (Placeholder)
+ * VIB3HomeMasterBridge
  *
- * Simulates a bridge to an external "VIB3 HomeMaster" or "VIB3StylePack" system.
+ * Bridge to an external "VIB3 HomeMaster" or "VIB3StylePack" system, e.g. a partner page embedding the
+ * visualizer in an iframe. Messages travel over the transports in options.transports (see
+ * bridge/VIB3BridgeTransport.js); without any, the bridge runs standalone and is available immediately.
  * This bridge is responsible for:
  * - Receiving state changes from HomeMaster (e.g., active section/face).
  * - Mapping these states to specific geometries and thematic parameters for HypercubeCore.
+ *   Faces, their transitions and their adjacency come from a face graph (config/faceGraph.js); navigate with
+ *   navigateToFace(), next()/prev(), neighbor(direction) and history.back().
  * - Coordinating parameter updates between HypercubeCore and the external system.
+ *   The bridge owns the 'face' layer of HypercubeCore's ParameterStack: face themes and parameters received from
+ *   peers land there, above the preset and below dashboard overrides.
  */
+/**
+ * Face navigation history for VIB3HomeMasterBridge (bridge.history).
+ */
+class VIB3FaceHistory {
+    constructor(bridge, limit = 50) {
+        this.bridge = bridge;
+        this.limit = limit;
+        this.entries = []; // Previously shown face IDs, most recent last
+    }
+
+    push(faceId) {
+        if (this.entries[this.entries.length - 1] === faceId) return;
+        this.entries.push(faceId);
+        if (this.entries.length > this.limit) this.entries.shift();
+    }
+
+    canGoBack() {
+        return this.entries.length > 0;
+    }
+
+    /**
+     * Returns to the previous face.
+     * @param {object} [options] - See VIB3HomeMasterBridge.navigateToFace.
+     * @returns {string|null} The face navigated to.
+     */
+    back(options = {}) {
+        if (!this.canGoBack()) return null;
+        const faceId = this.entries.pop();
+        return this.bridge.navigateToFace(faceId, { ...options, recordHistory: false }) ? faceId : null;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
 class VIB3HomeMasterBridge {
-    constructor(hypercubeCoreInstance) {
+    /**
+     * @param {HypercubeCore} hypercubeCoreInstance
+     * @param {object} [options]
+     * @param {object} [options.faceGraph=VIB3_FACE_GRAPH] - See config/faceGraph.js.
+     * @param {Array<object>} [options.transports] - VIB3PostMessageTransport / VIB3BroadcastChannelTransport instances.
+     * @param {boolean} [options.follow=true] - Apply navigate, paramUpdate and stateSnapshot messages from peers.
+     * @param {boolean} [options.lead=false] - Announce this bridge's own face changes to peers.
+     * @param {boolean} [options.syncParameters=true] - Send changed base parameters to peers (throttled).
+     * @param {boolean} [options.shareInteraction=false] - Send the interaction state to peers (throttled).
+     * @param {number} [options.throttleMs=100] - Minimum interval between parameter/interaction messages.
+     */
+    constructor(hypercubeCoreInstance, options = {}) {
         this.hypercubeCore = hypercubeCoreInstance;
-        this.isAvailable = false; // Becomes true if connection to HomeMaster is established
-
-        this.faceDefinitions = {
-            // Mapping Face ID (used by HomeMaster/Tesseract UI) to geometry, theme, and base parameters
-            'Face-0': { name: 'HOME', geometry: 'hypercube', theme: 'sovereignty', params: { u_rotationSpeed: 0.2, u_patternIntensity: 1.2, u_dimension: 4.0 } },
-            'Face-1': { name: 'TECH', geometry: 'hypertetrahedron', theme: 'precision', params: { u_lineThickness: 0.008, u_rotationSpeed: 0.1, u_dimension: 3.5 } },
-            'Face-2': { name: 'RESEARCH', geometry: 'wave', theme: 'exploration', params: { u_universeModifier: 1.5, u_gridDensity: 15, u_rotationSpeed: 0.3 } },
-            'Face-3': { name: 'MEDIA', geometry: 'hypersphere', theme: 'potential', params: { u_shellWidth: 0.03, u_morphFactor: 0.3, u_rotationSpeed: 0.4 } },
-            'Face-4': { name: 'INNOVATION', geometry: 'fractal', theme: 'emergence', params: { u_gridDensity: 3 /* maps to iterations */, u_rotationSpeed: 0.25 } },
-            'Face-5': { name: 'CONTEXT', geometry: 'crystal', theme: 'structure', params: { u_lineThickness: 0.02, u_gridDensity: 2 /* maps to latticeSize */ } },
-            'Face-6': { name: 'TORUS', geometry: 'torus', theme: 'flow', params: { u_rotationSpeed: 0.8, u_patternIntensity: 0.8 } },
-            'Face-7': { name: 'KLEIN', geometry: 'kleinbottle', theme: 'transcendence', params: { u_morphFactor: 0.6, u_universeModifier: 0.7 } },
-            'default': { name: 'DEFAULT', geometry: 'hypercube', theme: 'default', params: {} } // Fallback
-        };
+        this.isAvailable = false; // True while a peer is connected (always without transports); gates messages to peers only
 
-        this.currentFaceId = 'default'; // Or an initial face from HomeMaster
+        this.faceGraph = null;
+        this.faceDefinitions = {}; // Face ID -> face (graph.faces)
+        this.transitionDuration = 1.0; // Default seconds per transition; faces may override
+        this.loadFaceGraph(options.faceGraph || (typeof VIB3_FACE_GRAPH !== 'undefined' ? VIB3_FACE_GRAPH : null));
+
+        this.currentFaceId = this.faceGraph ? this.faceGraph.fallback : 'default'; // Or an initial face from HomeMaster
         this.pendingFaceChange = null; // Stores the target faceId for transition
         this.transitionProgress = 0; // 0 to 1 for smooth parameter interpolation
-        this.transitionDuration = 1.0; // seconds for smooth transition
+        this.transition = null; // { startTime, duration, easing } of the running transition
         this.lastAppliedParams = {}; // Store last fully applied params for interpolation source
+        this.history = new VIB3FaceHistory(this);
+
+        this.follow = options.follow !== false;
+        this.lead = !!options.lead;
+        this.syncParameters = options.syncParameters !== false;
+        this.shareInteraction = !!options.shareInteraction;
+        this.lastSentParams = {}; // Parameter values peers already have, so only changes are sent
+        this.messageListeners = [];
+        this.connections = (options.transports || []).map(transport => this.createConnection(transport, options));
 
-        // Simulate connecting to HomeMaster
         this.connectToHomeMaster();
     }
 
+    /**
+     * Replaces the face graph. Invalid graphs are rejected and the current one is kept.
+     * @param {object} graph - See config/faceGraph.js.
+     * @returns {boolean}
+     */
+    loadFaceGraph(graph) {
+        const errors = VIB3HomeMasterBridge.validateFaceGraph(graph);
+        if (errors.length > 0) {
+            console.error(`VIB3HomeMasterBridge: Rejected face graph:\n${errors.join('\n')}`);
+            return false;
+        }
+        const faceIds = Object.keys(graph.faces);
+        const fallback = graph.fallback || faceIds[0];
+        this.faceGraph = {
+            ...graph,
+            fallback,
+            order: graph.order || faceIds.filter(id => id !== graph.fallback),
+            defaults: { duration: 1.0, easing: 'easeInOutCubic', ...(graph.defaults || {}) },
+            geometryParamMappings: graph.geometryParamMappings || {}
+        };
+        this.faceDefinitions = graph.faces;
+        this.transitionDuration = this.faceGraph.defaults.duration;
+        if (this.currentFaceId !== undefined && !this.faceDefinitions[this.currentFaceId]) this.currentFaceId = fallback;
+        if (this.history) this.history.clear();
+        return true;
+    }
+
+    /**
+     * @param {object} graph
+     * @returns {Array<string>} Problems found; empty if the graph is usable.
+     */
+    static validateFaceGraph(graph) {
+        if (!graph || typeof graph !== 'object' || !graph.faces || typeof graph.faces !== 'object') return ['faces: expected an object of face definitions'];
+        const errors = [];
+        const faceIds = Object.keys(graph.faces);
+        if (faceIds.length === 0) errors.push('faces: at least one face is required');
+        faceIds.forEach(id => {
+            const face = graph.faces[id];
+            if (!face || typeof face.geometry !== 'string') { errors.push(`faces.${id}.geometry: expected a geometry name`); return; }
+            if (face.params !== undefined && (typeof face.params !== 'object' || face.params === null)) errors.push(`faces.${id}.params: expected an object`);
+            Object.entries(face.neighbors || {}).forEach(([direction, target]) => {
+                if (!graph.faces[target]) errors.push(`faces.${id}.neighbors.${direction}: unknown face "${target}"`);
+            });
+        });
+        (graph.order || []).forEach((id, index) => {
+            if (!graph.faces[id]) errors.push(`order[${index}]: unknown face "${id}"`);
+        });
+        if (graph.fallback !== undefined && !graph.faces[graph.fallback]) errors.push(`fallback: unknown face "${graph.fallback}"`);
+        return errors;
+    }
+
+    createConnection(transport, options) {
+        const connection = new VIB3BridgeConnection(transport, {
+            role: 'visualizer',
+            throttleMs: options.throttleMs,
+            onMessage: (type, payload, envelope) => this.handleMessage(type, payload, envelope, connection),
+            onConnect: (remoteId, role) => {
+                console.log(`VIB3HomeMasterBridge: Connected to ${role || 'peer'} ${remoteId}.`);
+                this.isAvailable = true;
+                this.performReactivityBridgeSync();
+            },
+            onDisconnect: () => { this.isAvailable = this.connections.some(c => c.isConnected); }
+        });
+        return connection;
+    }
+
+    /**
+     * Starts the handshake on every transport. The bridge becomes available once a peer answers.
+     */
     connectToHomeMaster() {
-        // In a real scenario, this would involve actual communication (e.g., WebSocket, PostMessage)
-        console.log("VIB3HomeMasterBridge: Attempting to connect to HomeMaster...");
-        setTimeout(() => {
+        if (this.connections.length === 0) {
             this.isAvailable = true;
-            console.log("VIB3HomeMasterBridge: Connected to HomeMaster (simulated).");
-            // Simulate an initial state or a change from HomeMaster
-            // this.receiveFaceChangeFromHomeMaster('Face-0');
-        }, 1000);
+            console.log("VIB3HomeMasterBridge: No transports configured. Running standalone.");
+            return;
+        }
+        console.log(`VIB3HomeMasterBridge: Connecting to HomeMaster over ${this.connections.length} transport(s)...`);
+        this.connections.forEach(connection => connection.open());
     }
 
     /**
-     * Simulates receiving a face/section change event from HomeMaster.
-     * @param {string} faceId - e.g., 'Face-0', 'Face-1', etc.
+     * Applies a message from a peer. Incoming navigation is not re-announced, so leading bridges don't echo.
      */
+    handleMessage(type, payload, envelope, connection) {
+        this.messageListeners.forEach(listener => {
+            try { listener(type, payload, envelope); } catch (e) { console.error("VIB3HomeMasterBridge: Message listener failed.", e); }
+        });
+        if (!this.follow) return;
+        switch (type) {
+            case 'navigate':
+                // Peers are untrusted: unknown faces are ignored and a malformed duration falls back to the face's.
+                if (this.isKnownFace(payload.faceId)) {
+                    const duration = Number.isFinite(payload.duration) && payload.duration >= 0 ? payload.duration : undefined;
+                    this.navigateToFace(payload.faceId, { duration, easing: typeof payload.easing === 'string' ? payload.easing : undefined, announce: false });
+                }
+                break;
+            case 'paramUpdate':
+                this.applyRemoteParameters(payload.params);
+                break;
+            case 'stateSnapshot':
+                // Peers exchange snapshots on connect; only a host's or a leading bridge's state is adopted.
+                if (!payload.lead && (!connection || connection.getRemoteRole(envelope.source) !== 'host')) break;
+                if (this.isKnownFace(payload.faceId) && payload.faceId !== this.getActiveFaceId()) {
+                    this.navigateToFace(payload.faceId, { duration: 0, announce: false });
+                }
+                this.applyRemoteParameters(payload.params);
+                break;
+            default:
+                break; // 'interaction' is only passed to message listeners
+        }
+    }
+
+    /** @returns {boolean} Whether faceId names a face of the current graph. */
+    isKnownFace(faceId) {
+        return typeof faceId === 'string' && this.faceDefinitions.hasOwnProperty(faceId);
+    }
+
+    /**
+     * Applies parameters from a peer to the face layer: only existing base parameters, and only numbers, booleans
+     * and numeric arrays. They stay until the next face replaces the layer.
+     */
+    applyRemoteParameters(params) {
+        if (!params || typeof params !== 'object') return;
+        const base = this.hypercubeCore.getBaseParameters();
+        const accepted = {};
+        Object.entries(params).forEach(([key, value]) => {
+            if (!base.hasOwnProperty(key) || VIB3HomeMasterBridge.SKIPPED_SYNC_PARAMS.includes(key)) return;
+            const valid = (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'boolean'
+                || (Array.isArray(value) && value.every(v => typeof v === 'number' && Number.isFinite(v)));
+            if (valid) accepted[key] = value;
+        });
+        if (Object.keys(accepted).length === 0) return;
+        this.hypercubeCore.setLayerParameters('face', accepted);
+        // Don't send back what a peer caused: record the resulting values (a user-layer override may mask the peer's
+        // value) as already sent, so only later local changes go out and peers with different overrides don't ping-pong.
+        const applied = this.hypercubeCore.getBaseParameters();
+        Object.keys(accepted).forEach(key => {
+            this.lastSentParams[key] = Array.isArray(applied[key]) ? [...applied[key]] : applied[key];
+        });
+    }
+
+    /** Per-frame or per-device values that are never synced. */
+    static get SKIPPED_SYNC_PARAMS() {
+        return ['u_time', 'u_resolution', 'u_mouse', 'u_audioBass', 'u_audioMid', 'u_audioHigh'];
+    }
+
+    /**
+     * @param {function(string, object, object): void} listener - (type, payload, envelope) for every message from a peer.
+     */
+    addMessageListener(listener) {
+        if (typeof listener === 'function' && !this.messageListeners.includes(listener)) this.messageListeners.push(listener);
+    }
+
+    removeMessageListener(listener) {
+        this.messageListeners = this.messageListeners.filter(l => l !== listener);
+    }
+
+    /**
+     * Sends a message to every connected peer.
+     * @returns {boolean} Whether any peer received it.
+     */
+    sendToPeers(type, payload) {
+        if (!this.isAvailable) return false;
+        return this.connections.reduce((sent, connection) => connection.send(type, payload) || sent, false);
+    }
+
     /**
      * Called by an external system (e.g., Tesseract UI, HomeMaster) to navigate to a specific face.
      * @param {string} faceId - e.g., 'Face-0', 'Face-1'.
+     * @param {object} [options]
+     * @param {number} [options.duration] - Seconds; defaults to the face's, then the graph's duration.
+     * @param {string|function(number): number} [options.easing] - Defaults to the face's, then the graph's easing.
+     * @param {boolean} [options.recordHistory=true] - Remember the face being left for history.back().
+     * @param {boolean} [options.announce=true] - Send a navigate message to peers (leading bridges only).
+     * @returns {boolean} True; navigation runs locally whether or not a peer is connected.
      */
-    navigateToFace(faceId) {
-        if (!this.isAvailable) {
-            console.warn("VIB3HomeMasterBridge: Bridge not available. Cannot navigate.");
-            return;
-        }
+    navigateToFace(faceId, options = {}) {
         if (!this.faceDefinitions[faceId]) {
-            console.warn(`VIB3HomeMasterBridge: Unknown Face ID "${faceId}". Using default.`);
-            faceId = 'default';
+            console.warn(`VIB3HomeMasterBridge: Unknown Face ID "${faceId}". Using ${this.faceGraph.fallback}.`);
+            faceId = this.faceGraph.fallback;
         }
 
         if (this.currentFaceId !== faceId || this.pendingFaceChange !== null) { // also re-trigger if a transition is active to a different face
             console.log(`VIB3HomeMasterBridge: Navigation triggered to "${faceId}".`);
+            const faceDef = this.faceDefinitions[faceId];
+            const leaving = this.pendingFaceChange || this.currentFaceId;
+            if (options.recordHistory !== false && leaving !== faceId) this.history.push(leaving);
 
             // Store current parameters if not already stored or if starting a new transition
+            const stack = this.hypercubeCore.parameterStack;
             if (this.transitionProgress === 0 || this.pendingFaceChange !== faceId) {
-                 this.lastAppliedParams = this.hypercubeCore.getBaseParameters(); // Get current base params as source for interpolation
+                 this.lastAppliedParams = stack.compose({ through: 'face' }); // Current face-level values as source for interpolation
             }
-
+            // Parameters the old face set but the new one doesn't fade back to the values beneath the face layer.
+            const below = stack.compose({ before: 'face' });
+            const targetParams = {};
+            Object.keys(stack.getLayerValues('face')).forEach(key => { if (below.hasOwnProperty(key)) targetParams[key] = below[key]; });
+            Object.assign(targetParams, faceDef.params || {});
+
+            const duration = Math.max(0.001, options.duration !== undefined ? options.duration
+                : (faceDef.duration !== undefined ? faceDef.duration : this.faceGraph.defaults.duration));
+            this.transition = {
+                startTime: this.hypercubeCore.time || 0, duration, targetParams,
+                easing: Easing.resolve(options.easing || faceDef.easing || this.faceGraph.defaults.easing)
+            };
             this.pendingFaceChange = faceId;
             this.transitionProgress = 0.0001; // Start transition (not 0 to ensure it runs once)
+            if (this.lead && options.announce !== false) {
+                this.sendToPeers('navigate', { faceId, duration, easing: typeof options.easing === 'string' ? options.easing : (faceDef.easing || this.faceGraph.defaults.easing) });
+            }
+
+            // Colors cross-fade alongside the parameters; a brand-locked palette still takes precedence.
+            const chromaticEngine = this.hypercubeCore.chromaticEngine;
+            if (chromaticEngine) {
+                chromaticEngine.setPalette(faceDef.palette || null, 'face', { duration });
+            }
 
             // Conceptual: Trigger "Portal Transition Effects" here
             // This might involve telling HypercubeCore to activate a specific shader effect or animation.
-            // e.g., this.hypercubeCore.startPortalEffect(this.transitionDuration);
+            // e.g., this.hypercubeCore.startPortalEffect(duration);
         }
+        return true;
+    }
+
+    /** The face shown, or being transitioned to. */
+    getActiveFaceId() {
+        return this.pendingFaceChange || this.currentFaceId;
+    }
+
+    /**
+     * Moves along the graph's `order`, wrapping at the ends. From a face outside the order, starts at its first entry.
+     * @param {object} [options] - See navigateToFace.
+     * @returns {string|null} The face navigated to.
+     */
+    next(options = {}) {
+        return this.step(1, options);
+    }
+
+    prev(options = {}) {
+        return this.step(-1, options);
+    }
+
+    step(offset, options) {
+        const order = this.faceGraph.order;
+        if (order.length === 0) return null;
+        const index = order.indexOf(this.getActiveFaceId());
+        const target = index === -1 ? order[0] : order[(index + offset + order.length) % order.length];
+        return this.navigateToFace(target, options) ? target : null;
+    }
+
+    /**
+     * Moves to the adjacent face in a direction (right/left, up/down, forward/back, ana/kata in the built-in graph).
+     * @param {string} direction
+     * @param {object} [options] - See navigateToFace.
+     * @returns {string|null} The face navigated to, or null if there is no neighbor that way.
+     */
+    neighbor(direction, options = {}) {
+        const neighbors = this.getNeighbors();
+        const target = neighbors[direction];
+        if (!target) {
+            console.warn(`VIB3HomeMasterBridge: Face "${this.getActiveFaceId()}" has no neighbor "${direction}".`);
+            return null;
+        }
+        return this.navigateToFace(target, options) ? target : null;
+    }
+
+    /**
+     * @param {string} [faceId] - Defaults to the active face.
+     * @returns {object} Direction -> face ID.
+     */
+    getNeighbors(faceId = this.getActiveFaceId()) {
+        const faceDef = this.faceDefinitions[faceId];
+        return faceDef && faceDef.neighbors ? { ...faceDef.neighbors } : {};
     }
 
     /**
      * Called by HypercubeCore's render loop to manage transitions and apply changes.
-     * @param {number} deltaTime - Time since last frame.
+     * @param {number} time - Scene time in seconds; the transition's progress is measured from its start time.
      */
-    update(deltaTime) {
+    update(time) {
+        if (this.isAvailable && this.connections.length > 0) {
+            if (this.syncParameters) this.syncParametersToHomeMaster(this.hypercubeCore.getBaseParameters());
+            if (this.shareInteraction && this.hypercubeCore.interactionEngine) this.registerInteractionWithHomeMaster(this.hypercubeCore.interactionEngine.getInteractionState());
+        }
         if (!this.pendingFaceChange || this.transitionProgress === 0) return;
 
-        if (this.transitionProgress < 1.0) {
-            this.transitionProgress += deltaTime / this.transitionDuration;
-            this.transitionProgress = Math.min(this.transitionProgress, 1.0);
-
-            const targetFaceDef = this.faceDefinitions[this.pendingFaceChange];
-            const interpolatedParams = {};
-            const sourceParams = this.lastAppliedParams;
-            const targetParams = targetFaceDef.params;
-
-            // Interpolate numerical parameters
-            for (const key in targetParams) {
-                if (typeof targetParams[key] === 'number' && sourceParams.hasOwnProperty(key) && typeof sourceParams[key] === 'number') {
-                    interpolatedParams[key] = sourceParams[key] + (targetParams[key] - sourceParams[key]) * this.transitionProgress;
-                } else {
-                    // For non-numerical or new params, apply them directly when transition is halfway or full
-                    if (this.transitionProgress >= 0.5) { // Apply non-numeric or new params partway through
-                        interpolatedParams[key] = targetParams[key];
-                    } else if (sourceParams.hasOwnProperty(key)) {
-                        interpolatedParams[key] = sourceParams[key]; // Keep source param if not yet time to switch
-                    }
-                }
-            }
-            // Ensure all source params not in target are also carried over and possibly faded if that's desired (more complex)
-            for (const key in sourceParams) {
-                if (!targetParams.hasOwnProperty(key) && typeof sourceParams[key] === 'number') {
-                    // Example: fade out old parameter if not in new set.
-                    // interpolatedParams[key] = sourceParams[key] * (1.0 - this.transitionProgress);
-                    // Or simply keep it until target fully applied (depends on desired effect)
-                     if (!interpolatedParams.hasOwnProperty(key)) interpolatedParams[key] = sourceParams[key];
-                }
-            }
-
+        const linearProgress = Math.max(0, Math.min((time - this.transition.startTime) / this.transition.duration, 1.0));
+        this.transitionProgress = Math.max(linearProgress, 0.0001);
 
-            this.hypercubeCore.updateBaseParameter(interpolatedParams);
+        // Numbers and vectors blend along the face's easing; other values switch halfway
+        this.hypercubeCore.replaceLayerParameters('face', HypercubeCore.interpolateParameters(this.lastAppliedParams, this.transition.targetParams, this.transition.easing(linearProgress)));
 
-            if (this.transitionProgress >= 1.0) {
-                this.applyFinalFaceState();
-            }
+        if (linearProgress >= 1.0) {
+            this.applyFinalFaceState();
         }
     }
 
+    /**
+     * Structural geometry params for a face, from its geometryParamMapping (or the graph's mapping for its
+     * geometry) and then its literal geometryParams.
+     * @param {object} faceDef
+     * @returns {object}
+     */
+    resolveGeometryParams(faceDef) {
+        const mapping = faceDef.geometryParamMapping || this.faceGraph.geometryParamMappings[faceDef.geometry] || {};
+        const params = faceDef.params || {};
+        const geometryParams = {};
+        Object.entries(mapping).forEach(([geometryParam, rule]) => {
+            const source = params[rule.param] !== undefined ? params[rule.param] : rule.fallback;
+            if (typeof source !== 'number') return;
+            let value = source * (rule.scale !== undefined ? rule.scale : 1) + (rule.offset || 0);
+            if (rule.round) value = Math.round(value);
+            if (rule.min !== undefined) value = Math.max(rule.min, value);
+            if (rule.max !== undefined) value = Math.min(rule.max, value);
+            geometryParams[geometryParam] = rule.repeat ? new Array(rule.repeat).fill(value) : value;
+        });
+        return { ...geometryParams, ...(faceDef.geometryParams || {}) };
+    }
+
     applyFinalFaceState() {
         if (!this.pendingFaceChange) return;
 
         const targetFaceDef = this.faceDefinitions[this.pendingFaceChange];
         this.currentFaceId = this.pendingFaceChange;
 
-        // Set geometry
-        let geometryParams = {};
-        if (targetFaceDef.geometry === 'wave') {
-            const divisions = Math.round( (targetFaceDef.params.u_gridDensity || 10.0) * 1.5 );
-            geometryParams = { divisions: Math.max(5, Math.min(50, divisions)) };
-        } else if (targetFaceDef.geometry === 'fractal') {
-            const iterations = Math.round( (targetFaceDef.params.u_gridDensity || 3.0) * 0.5 );
-            geometryParams = { iterations: Math.max(1, Math.min(5, iterations)) };
-        } else if (targetFaceDef.geometry === 'crystal') {
-             const size = Math.max(1, Math.min(5, Math.round(targetFaceDef.params.u_gridDensity || 2) ));
-             geometryParams = { latticeSize: [size,size,size,size]}; // Example mapping
-        }
-        // ... other geometry-specific structural parameters derived from theme params
-
-        this.hypercubeCore.setGeometry(targetFaceDef.geometry, geometryParams);
+        this.hypercubeCore.setGeometry(targetFaceDef.geometry, this.resolveGeometryParams(targetFaceDef));
+        if (targetFaceDef.projection) this.hypercubeCore.setProjection(targetFaceDef.projection);
 
-        // Ensure final base parameters are set exactly as defined in the theme
-        this.hypercubeCore.updateBaseParameter(targetFaceDef.params);
-        this.lastAppliedParams = this.hypercubeCore.getBaseParameters(); // Update for next transition
+        // The face layer ends up holding exactly the theme's parameters
+        this.hypercubeCore.replaceLayerParameters('face', targetFaceDef.params || {});
+        this.lastAppliedParams = this.hypercubeCore.parameterStack.compose({ through: 'face' }); // Update for next transition
 
         console.log(`VIB3HomeMasterBridge: Transition complete. Applied state for face "${this.currentFaceId}" (${targetFaceDef.name}) to HypercubeCore.`);
 
         this.pendingFaceChange = null;
         this.transitionProgress = 0;
+        this.transition = null;
 
         // Conceptual: End "Portal Transition Effects" here
         // this.hypercubeCore.endPortalEffect();
@@ -166,39 +431,75 @@ class VIB3HomeMasterBridge {
 
 
     /**
-     * Parameter Mapping: HyperAV -> VIB3 system conversion (Conceptual)
-     * If HypercubeCore parameters need to be sent back to HomeMaster.
-     * @param {object} hyperAVParameters - Current effective parameters from HypercubeCore.
+     * Changes the palette of a face. Takes effect immediately if that face is showing.
+     * @param {string} faceId - e.g., 'Face-0'.
+     * @param {string|object|null} palette - Palette name, inline palette, or null for the geometry's color wheel.
+     */
+    setFacePalette(faceId, palette) {
+        const faceDef = this.faceDefinitions[faceId];
+        if (!faceDef) {
+            console.warn(`VIB3HomeMasterBridge: Unknown Face ID "${faceId}". Palette not set.`);
+            return;
+        }
+        faceDef.palette = palette;
+        if (this.getActiveFaceId() === faceId && this.hypercubeCore.chromaticEngine) {
+            this.hypercubeCore.chromaticEngine.setPalette(palette || null, 'face', { duration: this.transitionDuration });
+        }
+    }
+
+    /**
+     * Parameter Mapping: HyperAV -> VIB3 system conversion.
+     * Sends the parameters that changed since the last call; sends are throttled per connection.
+     * @param {object} hyperAVParameters - Base parameters from HypercubeCore.
      */
     syncParametersToHomeMaster(hyperAVParameters) {
         if (!this.isAvailable) return;
-        // Convert and send parameters to HomeMaster
-        // e.g., postMessage({ type: 'paramUpdate', payload: hyperAVParameters });
-        // console.log("VIB3HomeMasterBridge: Syncing parameters to HomeMaster (simulated).", hyperAVParameters);
+        const changed = {};
+        Object.entries(hyperAVParameters).forEach(([key, value]) => {
+            if (VIB3HomeMasterBridge.SKIPPED_SYNC_PARAMS.includes(key)) return;
+            if (typeof value !== 'number' && typeof value !== 'boolean' && !Array.isArray(value)) return;
+            const previous = this.lastSentParams[key];
+            const same = Array.isArray(value) ? Array.isArray(previous) && previous.length === value.length && value.every((v, i) => v === previous[i]) : previous === value;
+            if (!same) changed[key] = Array.isArray(value) ? [...value] : value;
+        });
+        if (Object.keys(changed).length === 0) return;
+        Object.assign(this.lastSentParams, changed);
+        this.connections.forEach(connection => connection.sendThrottled('paramUpdate', { params: changed },
+            (pending, next) => ({ params: { ...pending.params, ...next.params } })));
     }
 
     /**
-     * Interaction Registration: HomeMaster event coordination (Conceptual)
-     * If HomeMaster needs to know about specific interactions happening in HyperAV.
+     * Interaction Registration: HomeMaster event coordination.
+     * Sends the latest interaction state (throttled; intermediate states are dropped).
      * @param {object} interactionData - From VIB34DInteractionEngine.
      */
     registerInteractionWithHomeMaster(interactionData) {
-        if (!this.isAvailable) return;
-        // Send interaction events/summary to HomeMaster
-        // e.g., if (interactionData.clickHold.isHolding) { postMessage(...); }
-        // console.log("VIB3HomeMasterBridge: Registering interaction with HomeMaster (simulated).");
+        if (!this.isAvailable || !interactionData) return;
+        let payload;
+        try { payload = JSON.parse(JSON.stringify(interactionData)); } catch (e) { return; }
+        this.connections.forEach(connection => connection.sendThrottled('interaction', payload));
     }
 
     /**
-     * Reactivity Bridge Sync: Multi-layer parameter updates (Conceptual)
-     * This implies a two-way sync or a more complex parameter ownership model.
-     * For now, this bridge primarily pushes changes from HomeMaster to HypercubeCore.
+     * Reactivity Bridge Sync: sends a full state snapshot (active face and base parameters) to every peer.
+     * Runs when a peer connects, so late joiners start from the current state. Base parameters are the preset, face
+     * and user layers composed; a following peer applies them to its own face layer (see applyRemoteParameters).
      */
     performReactivityBridgeSync() {
         if (!this.isAvailable) return;
-        // This might involve fetching params from HomeMaster and merging them,
-        // or handling conflicts if both systems can modify the same parameters.
-        // console.log("VIB3HomeMasterBridge: Performing reactivity bridge sync (simulated).");
+        const params = {};
+        Object.entries(this.hypercubeCore.getBaseParameters()).forEach(([key, value]) => {
+            if (!VIB3HomeMasterBridge.SKIPPED_SYNC_PARAMS.includes(key) && (typeof value === 'number' || typeof value === 'boolean' || Array.isArray(value))) params[key] = value;
+        });
+        this.lastSentParams = { ...params };
+        this.sendToPeers('stateSnapshot', { faceId: this.getActiveFaceId(), params, lead: this.lead });
+    }
+
+    /** Says goodbye to peers and closes the transports. */
+    destroy() {
+        this.connections.forEach(connection => connection.close());
+        this.messageListeners = [];
+        this.isAvailable = false;
     }
 
 
@@ -1,20 +1,56 @@
 /**
- * VIB34DChromaticEngine (Placeholder)
+ * VIB34DChromaticEngine
  *
- * Simulates a chromatic emergence system that calculates dynamic colors.
+ * Calculates the emergent colors for the visualization and the HTML layers.
  *
- * In a real implementation, this engine would:
- * - Define HSL color wheels or palettes for each of the 8 geometries.
- * - Implement chromatic mixing rules (e.g., how colors combine or shift).
- * - Use dynamic range parameters (hue velocity, saturation pulse, luminance wave)
- *   which can be influenced by interaction data or time.
- * - Map calculated HSL values to color names for potential UI display.
- * - Perform multi-layer blending calculations to arrive at an "emergent" color.
- * - Output color data that can be used for shader uniforms (e.g., a base color, color shift)
- *   and for CSS custom properties to drive blend modes on HTML layers.
+ * - Colors come from a palette: either a named palette (see config/palettes.js, registerPalette() and
+ *   importPalettes()) or, when none is selected, the geometry's entry in geometryColorWheels.
+ * - Palettes are selected on three layers with fixed priority: 'brand' (lockPalette) > 'face'
+ *   (VIB3HomeMasterBridge) > 'preset' (HypercubeCore.loadPreset).
+ * - A harmony mode (complementary, triadic, analogous, split-complementary, tetradic) derives the
+ *   content and accent hues from the base hue; palettes may also pin any layer to a fixed color.
+ * - Dynamic range parameters (hue velocity, saturation pulse, luminance wave) animate the base color
+ *   from time and interaction data, unless the palette sets `animate: false`.
+ * - Whenever the active palette, harmony or geometry changes, layer colors cross-fade in OKLCH.
+ * - Content text is kept readable: its lightness (and, if that is not enough, the background's) is nudged
+ *   until the WCAG contrast ratio against the background meets the configured level (AA by default).
+ *   Contrast listeners are told when a color combination starts violating the level.
+ * - Output: HSL for the base color and the bg/content/accent layers, used for shader uniforms and
+ *   CSS custom properties.
  */
 class VIB34DChromaticEngine {
-    constructor() {
+    /**
+     * Hue offsets (degrees from the base hue) per harmony mode. `hues` lists the full harmony for swatches,
+     * `content` and `accent` pick the offsets used for those layers.
+     */
+    static get HARMONIES() {
+        return {
+            'complementary': { hues: [0, 180], content: 180, accent: 30 },
+            'triadic': { hues: [0, 120, 240], content: 120, accent: 240 },
+            'analogous': { hues: [-30, 0, 30], content: 30, accent: -30 },
+            'split-complementary': { hues: [0, 150, 210], content: 150, accent: 210 },
+            'tetradic': { hues: [0, 90, 180, 270], content: 180, accent: 90 },
+        };
+    }
+
+    /** Minimum WCAG contrast ratios for normal and large text. */
+    static get CONTRAST_LEVELS() {
+        return {
+            'AA': { normal: 4.5, large: 3.0 },
+            'AAA': { normal: 7.0, large: 4.5 },
+        };
+    }
+
+    /** Palette layers in priority order (first non-null wins). */
+    static get PALETTE_LAYERS() {
+        return ['brand', 'face', 'preset'];
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string|object|null} [options.contrast='AA'] - See setContrastRequirement(); null disables enforcement.
+     */
+    constructor(options = {}) {
         // Example: 8 Geometry Color Wheels (HSL definitions)
         // Hues are 0-360, Saturation/Luminance 0-100%
         this.geometryColorWheels = {
@@ -23,7 +59,7 @@ class VIB34DChromaticEngine {
             hypertetrahedron: { baseHue: 180, baseSat: 85, baseLum: 60 }, // Precision - Teal/Greenish-Blue
             hypersphere: { baseHue: 270, baseSat: 90, baseLum: 50 }, // Potential - Purple/Violet
             torus: { baseHue: 30, baseSat: 100, baseLum: 50 },     // Flow - Orange/Yellow
-            kleinBottle: { baseHue: 300, baseSat: 80, baseLum: 45 },// Transcendence - Magenta/Pink
+            kleinbottle: { baseHue: 300, baseSat: 80, baseLum: 45 },// Transcendence - Magenta/Pink
             fractal: { baseHue: 120, baseSat: 70, baseLum: 50 },   // Emergence - Green
             wave: { baseHue: 240, baseSat: 100, baseLum: 60 },     // Exploration - Strong Blue
             crystal: { baseHue: 0, baseSat: 0, baseLum: 70 },      // Structure - White/Light Grey (can add slight hue)
@@ -35,6 +71,25 @@ class VIB34DChromaticEngine {
             luminanceWave: 0.0,   // Amount of luminance change (0-1) based on interaction or time
         };
 
+        this.palettes = new Map(); // name -> palette
+        this.paletteLayers = { brand: null, face: null, preset: null };
+        this.harmonyOverride = null; // Forces a harmony mode over the active palette's own
+        this.defaultHarmony = 'complementary'; // For geometry color wheels
+        this.transitionDuration = 0.8; // Seconds for OKLCH cross-fades between palettes/geometries
+        this.transition = null; // { from: {bgHsl, contentHsl, accentHsl}, startTime, duration }
+        this.pendingTransitionDuration = null;
+        this.activePaletteKey = null;
+        if (typeof VIB3_PALETTES !== 'undefined') VIB3_PALETTES.forEach(palette => this.registerPalette(palette));
+
+        this.contrastRequirement = { level: 'AA', largeText: false };
+        this.contrastListeners = [];
+        this.contrastViolationActive = false; // Listeners are told once per violation, not every frame
+        if (options.contrast !== undefined) {
+            const contrast = options.contrast;
+            if (contrast && typeof contrast === 'object') this.setContrastRequirement(contrast.level, contrast);
+            else this.setContrastRequirement(contrast);
+        }
+
         this.currentColor = {
             hsl: { h: 0, s: 0, l: 0 },
             rgbString: "rgb(0,0,0)",
@@ -46,9 +101,298 @@ class VIB34DChromaticEngine {
             bgHsl: {h:0,s:0,l:20}, // Darker background
             contentHsl: {h:0,s:0,l:80}, // Lighter content
             accentHsl: {h:0,s:0,l:60}, // Accent
+            swatches: [], // One HSL color per harmony hue
+            paletteName: null,
+            harmony: this.defaultHarmony,
+            // Content vs background: ratio as displayed, ratio before enforcement, and the ratio required
+            contrast: { ratio: 21, originalRatio: 21, required: 4.5, level: 'AA', adjusted: false, passes: true },
+        };
+    }
+
+    // --- Palettes ---
+
+    /**
+     * Validates a palette definition and returns a normalized deep copy.
+     * @param {object} palette
+     * @returns {object|null}
+     */
+    normalizePalette(palette) {
+        const isHsl = c => c && typeof c.h === 'number' && typeof c.s === 'number' && typeof c.l === 'number';
+        if (!palette || typeof palette !== 'object' || !isHsl(palette.base)) {
+            console.error("VIB34DChromaticEngine: Palette requires a base HSL color ({ h, s, l }).", palette);
+            return null;
+        }
+        const harmony = palette.harmony || this.defaultHarmony;
+        if (!VIB34DChromaticEngine.HARMONIES[harmony]) {
+            console.error(`VIB34DChromaticEngine: Unknown harmony "${harmony}". Expected one of ${Object.keys(VIB34DChromaticEngine.HARMONIES).join(', ')}.`);
+            return null;
+        }
+        const normalized = { name: palette.name || null, base: { ...palette.base }, harmony, roles: {}, animate: palette.animate !== false };
+        if (palette.roles) {
+            ['bg', 'content', 'accent'].forEach(role => {
+                if (isHsl(palette.roles[role])) normalized.roles[role] = { ...palette.roles[role] };
+            });
+        }
+        return normalized;
+    }
+
+    /**
+     * Adds or replaces a named palette.
+     * @param {object} palette - See config/palettes.js for the shape.
+     * @returns {boolean}
+     */
+    registerPalette(palette) {
+        const normalized = this.normalizePalette(palette);
+        if (!normalized) return false;
+        if (!normalized.name) {
+            console.error("VIB34DChromaticEngine: Registered palettes need a name.", palette);
+            return false;
+        }
+        this.palettes.set(normalized.name, normalized);
+        this.activePaletteKey = null; // Re-resolve in case the active palette was redefined
+        return true;
+    }
+
+    /**
+     * Registers palettes from an array or its JSON string (e.g. a brand kit export).
+     * @param {Array<object>|string} palettes
+     * @returns {number} Number of palettes registered.
+     */
+    importPalettes(palettes) {
+        let list = palettes;
+        if (typeof palettes === 'string') {
+            try { list = JSON.parse(palettes); } catch (e) { console.error("VIB34DChromaticEngine: Palette JSON could not be parsed.", e); return 0; }
+        }
+        if (!Array.isArray(list)) { console.error("VIB34DChromaticEngine: Expected an array of palettes."); return 0; }
+        return list.filter(palette => this.registerPalette(palette)).length;
+    }
+
+    /** @returns {string} All registered palettes as JSON. */
+    exportPalettes() {
+        return JSON.stringify(Array.from(this.palettes.values()), null, 2);
+    }
+
+    /** @returns {Array<string>} Registered palette names. */
+    listPalettes() {
+        return Array.from(this.palettes.keys());
+    }
+
+    /** @returns {object|null} A copy of a registered palette. */
+    getPalette(name) {
+        const palette = this.palettes.get(name);
+        return palette ? JSON.parse(JSON.stringify(palette)) : null;
+    }
+
+    /**
+     * Selects a palette on a layer. Higher layers win: brand > face > preset > geometry color wheel.
+     * @param {string|object|null} palette - Registered name, inline palette, or null to clear the layer.
+     * @param {string} [layer='preset'] - 'brand' | 'face' | 'preset'.
+     * @param {object} [options]
+     * @param {number} [options.duration] - Cross-fade seconds if this changes the visible palette.
+     * @returns {boolean} False if the palette or layer is unknown.
+     */
+    setPalette(palette, layer = 'preset', options = {}) {
+        if (!this.paletteLayers.hasOwnProperty(layer)) {
+            console.error(`VIB34DChromaticEngine: Unknown palette layer "${layer}".`);
+            return false;
+        }
+        let selection = null;
+        if (typeof palette === 'string') {
+            if (!this.palettes.has(palette)) {
+                console.warn(`VIB34DChromaticEngine: Palette "${palette}" is not registered.`);
+                return false;
+            }
+            selection = { name: palette, inline: null };
+        } else if (palette) {
+            const normalized = this.normalizePalette(palette);
+            if (!normalized) return false;
+            selection = { name: normalized.name, inline: normalized };
+        }
+        this.paletteLayers[layer] = selection;
+        if (options.duration !== undefined) this.pendingTransitionDuration = options.duration;
+        return true;
+    }
+
+    /**
+     * Returns what a layer selects, in the form setPalette() accepts (name or inline palette).
+     * @param {string} [layer='preset']
+     * @returns {string|object|null}
+     */
+    getPaletteSelection(layer = 'preset') {
+        const selection = this.paletteLayers[layer];
+        if (!selection) return null;
+        return selection.inline ? JSON.parse(JSON.stringify(selection.inline)) : selection.name;
+    }
+
+    /** Locks the site to a palette regardless of face and preset selections. */
+    lockPalette(palette, options = {}) {
+        return this.setPalette(palette, 'brand', options);
+    }
+
+    unlockPalette(options = {}) {
+        return this.setPalette(null, 'brand', options);
+    }
+
+    /**
+     * Forces a harmony mode for every palette, or restores each palette's own with null.
+     * @param {string|null} harmony
+     */
+    setHarmony(harmony) {
+        if (harmony !== null && !VIB34DChromaticEngine.HARMONIES[harmony]) {
+            console.error(`VIB34DChromaticEngine: Unknown harmony "${harmony}".`);
+            return false;
+        }
+        this.harmonyOverride = harmony;
+        return true;
+    }
+
+    // --- Contrast ---
+
+    /**
+     * Sets the WCAG level the content color must meet against the background.
+     * @param {string|null} level - 'AA', 'AAA', or null to stop enforcing (ratios are still measured).
+     * @param {object} [options]
+     * @param {boolean} [options.largeText=false] - Use the large-text thresholds (3:1 AA, 4.5:1 AAA).
+     * @returns {boolean}
+     */
+    setContrastRequirement(level, options = {}) {
+        if (level !== null && !VIB34DChromaticEngine.CONTRAST_LEVELS[level]) {
+            console.error(`VIB34DChromaticEngine: Unknown contrast level "${level}". Expected 'AA', 'AAA' or null.`);
+            return false;
+        }
+        this.contrastRequirement = { level, largeText: !!options.largeText };
+        this.contrastViolationActive = false;
+        return true;
+    }
+
+    /** @returns {number} Minimum content/background ratio, or 1 when enforcement is off. */
+    getRequiredContrast() {
+        const { level, largeText } = this.contrastRequirement;
+        if (!level) return 1;
+        return VIB34DChromaticEngine.CONTRAST_LEVELS[level][largeText ? 'large' : 'normal'];
+    }
+
+    /**
+     * Registers a listener for contrast violations. It is called once when the derived content/background
+     * pair starts failing the required ratio (and again after it has passed in between), with
+     * { level, largeText, required, ratio, adjustedRatio, resolved, contentHsl, bgHsl, adjustedContentHsl, adjustedBgHsl, paletteName, time }.
+     * `ratio` is the unadjusted value; `resolved` is false only if the ratio could not be reached.
+     * @param {function(object)} listener
+     */
+    addContrastListener(listener) {
+        if (typeof listener === 'function' && !this.contrastListeners.includes(listener)) this.contrastListeners.push(listener);
+    }
+
+    removeContrastListener(listener) {
+        this.contrastListeners = this.contrastListeners.filter(l => l !== listener);
+    }
+
+    /**
+     * Nudges lightness until the content color reaches `required` against the background. Content moves first,
+     * in whichever direction needs the smaller change; only if no content lightness suffices does the
+     * background move away from it as well. Hue and saturation are kept. Ratios are measured on the values
+     * getHslCssString() emits (see roundHsl), and adjusted colors are returned rounded, so the CSS meets `required`.
+     * @param {{h: number, s: number, l: number}} contentHsl
+     * @param {{h: number, s: number, l: number}} bgHsl
+     * @param {number} required - Minimum contrast ratio.
+     * @returns {{contentHsl: object, bgHsl: object, ratio: number}}
+     */
+    enforceContrast(contentHsl, bgHsl, required) {
+        const ratio = (content, bg) => VIB34DColorSpace.contrastRatio(VIB34DChromaticEngine.roundHsl(content), VIB34DChromaticEngine.roundHsl(bg));
+        const current = ratio(contentHsl, bgHsl);
+        if (current >= required) return { contentHsl, bgHsl, ratio: current };
+
+        // Lightness that is closest to `from` within [from, to] and still meets the requirement (luminance is monotonic in l).
+        const search = (from, to, meets) => {
+            if (!meets(to)) return null;
+            let near = from, far = to;
+            for (let i = 0; i < 16; i++) {
+                const mid = (near + far) / 2;
+                if (meets(mid)) far = mid; else near = mid;
+            }
+            return far;
         };
+        const contentMeets = l => ratio({ ...contentHsl, l }, bgHsl) >= required;
+        const lighter = search(contentHsl.l, 100, contentMeets);
+        const darker = search(contentHsl.l, 0, contentMeets);
+        if (lighter !== null || darker !== null) {
+            const l = darker === null || (lighter !== null && lighter - contentHsl.l <= contentHsl.l - darker) ? lighter : darker;
+            const adjusted = VIB34DChromaticEngine.roundHsl({ ...contentHsl, l });
+            return { contentHsl: adjusted, bgHsl, ratio: ratio(adjusted, bgHsl) };
+        }
 
-        this.lastUpdateTime = performance.now();
+        // Push content to whichever extreme contrasts more, then move the background the other way.
+        const toWhite = ratio({ ...contentHsl, l: 100 }, bgHsl) >= ratio({ ...contentHsl, l: 0 }, bgHsl);
+        const content = { ...contentHsl, l: toWhite ? 100 : 0 };
+        const bgMeets = l => ratio(content, { ...bgHsl, l }) >= required;
+        const bgL = search(bgHsl.l, toWhite ? 0 : 100, bgMeets);
+        const bg = VIB34DChromaticEngine.roundHsl({ ...bgHsl, l: bgL !== null ? bgL : (toWhite ? 0 : 100) });
+        return { contentHsl: content, bgHsl: bg, ratio: ratio(content, bg) };
+    }
+
+    /**
+     * Contrast of two colors as CSS renders them: the strings getHslCssString() emits are parsed back and measured.
+     * @returns {number} 1 to 21.
+     */
+    getCssContrastRatio(contentHsl, bgHsl) {
+        const content = VIB34DColorSpace.parseHslCss(this.getHslCssString(contentHsl));
+        const bg = VIB34DColorSpace.parseHslCss(this.getHslCssString(bgHsl));
+        return VIB34DColorSpace.contrastRatio(content, bg);
+    }
+
+    /**
+     * Measures the current content/background pair, enforces the required ratio and notifies listeners.
+     * Reported ratios are those of the emitted CSS strings.
+     * @param {number} time
+     */
+    applyContrastRequirement(time) {
+        const required = this.getRequiredContrast();
+        const { contentHsl, bgHsl } = this.currentColor;
+        const originalRatio = this.getCssContrastRatio(contentHsl, bgHsl);
+        const enforced = this.contrastRequirement.level ? this.enforceContrast(contentHsl, bgHsl, required) : { contentHsl, bgHsl };
+        const result = { ...enforced, ratio: this.getCssContrastRatio(enforced.contentHsl, enforced.bgHsl) };
+        const violated = originalRatio < required;
+
+        this.currentColor.contentHsl = result.contentHsl;
+        this.currentColor.bgHsl = result.bgHsl;
+        this.currentColor.contrast = {
+            ratio: result.ratio, originalRatio, required, level: this.contrastRequirement.level,
+            adjusted: result.contentHsl !== contentHsl || result.bgHsl !== bgHsl, passes: result.ratio >= required
+        };
+
+        if (violated && !this.contrastViolationActive) {
+            const report = {
+                level: this.contrastRequirement.level, largeText: this.contrastRequirement.largeText, required,
+                ratio: originalRatio, adjustedRatio: result.ratio, resolved: result.ratio >= required,
+                contentHsl: { ...contentHsl }, bgHsl: { ...bgHsl },
+                adjustedContentHsl: { ...result.contentHsl }, adjustedBgHsl: { ...result.bgHsl },
+                paletteName: this.currentColor.paletteName, time
+            };
+            this.contrastListeners.forEach(listener => {
+                try { listener(report); } catch (e) { console.error("VIB34DChromaticEngine: Contrast listener failed.", e); }
+            });
+        }
+        this.contrastViolationActive = violated;
+    }
+
+    /**
+     * Resolves the palette currently in effect.
+     * @param {string} geometryName
+     * @returns {{key: string, palette: object}}
+     */
+    resolveActivePalette(geometryName) {
+        for (const layer of VIB34DChromaticEngine.PALETTE_LAYERS) {
+            const selection = this.paletteLayers[layer];
+            if (!selection) continue;
+            const palette = selection.inline || this.palettes.get(selection.name);
+            if (palette) return { key: `${layer}:${selection.name || 'inline'}:${JSON.stringify(palette)}`, palette };
+        }
+        const wheelName = this.geometryColorWheels[geometryName] ? geometryName : 'default';
+        const wheel = this.geometryColorWheels[wheelName];
+        return {
+            key: `geometry:${wheelName}`,
+            palette: { name: null, base: { h: wheel.baseHue, s: wheel.baseSat, l: wheel.baseLum }, harmony: this.defaultHarmony, roles: {}, animate: true }
+        };
     }
 
     /**
@@ -58,34 +402,41 @@ class VIB34DChromaticEngine {
      * @param {number} time - Current global time from HypercubeCore.
      */
     update(currentGeometryName, interactionState, time) {
-        const now = performance.now();
-        const deltaTime = (now - this.lastUpdateTime) / 1000.0;
-        this.lastUpdateTime = now;
-
-        let baseColorDef = this.geometryColorWheels[currentGeometryName] || this.geometryColorWheels.default;
+        // Driven by the caller's time (not the wall clock) so headless renders are deterministic.
+        const { key: paletteKey, palette } = this.resolveActivePalette(currentGeometryName);
+        const harmony = this.harmonyOverride || palette.harmony;
+        const transitionKey = `${paletteKey}|${harmony}`;
+        if (this.activePaletteKey !== null && this.activePaletteKey !== transitionKey) {
+            const duration = this.pendingTransitionDuration !== null ? this.pendingTransitionDuration : this.transitionDuration;
+            this.transition = duration > 0 ? {
+                from: { bgHsl: { ...this.currentColor.bgHsl }, contentHsl: { ...this.currentColor.contentHsl }, accentHsl: { ...this.currentColor.accentHsl } },
+                startTime: time, duration
+            } : null;
+        }
+        if (this.activePaletteKey !== transitionKey) this.pendingTransitionDuration = null;
+        this.activePaletteKey = transitionKey;
 
         // 1. Dynamic Hue Shift (based on time and hueVelocity)
-        let newHue = (baseColorDef.baseHue + time * this.dynamicParameters.hueVelocity * 360) % 360;
+        const base = palette.base;
+        let newHue = palette.animate ? (base.h + time * this.dynamicParameters.hueVelocity * 360) % 360 : base.h;
 
         // 2. Saturation Pulse (e.g., based on audioMid or click intensity)
-        let currentSat = baseColorDef.baseSat;
-        if (interactionState && interactionState.audioMid) {
+        let currentSat = base.s;
+        if (palette.animate && interactionState && interactionState.audioMid) {
             this.dynamicParameters.saturationPulse = interactionState.audioMid; // audioMid is 0-1
-            currentSat = baseColorDef.baseSat + this.dynamicParameters.saturationPulse * 20; // Pulse S by up to 20%
+            currentSat = base.s + this.dynamicParameters.saturationPulse * 20; // Pulse S by up to 20%
             currentSat = Math.max(0, Math.min(100, currentSat));
         }
 
         // 3. Luminance Wave (e.g., based on audioHigh or mouse intensity, or a slow sine wave)
-        let currentLum = baseColorDef.baseLum;
-        if (interactionState && interactionState.audioHigh) {
+        let currentLum = base.l;
+        if (palette.animate && interactionState && interactionState.audioHigh) {
             this.dynamicParameters.luminanceWave = interactionState.audioHigh;
              // Make it wave around the base luminance
-            currentLum = baseColorDef.baseLum + Math.sin(time * Math.PI) * this.dynamicParameters.luminanceWave * 15; // Wave L by up to 15%
+            currentLum = base.l + Math.sin(time * Math.PI) * this.dynamicParameters.luminanceWave * 15; // Wave L by up to 15%
             currentLum = Math.max(10, Math.min(90, currentLum)); // Keep luminance in a reasonable range
         }
 
-        // Chromatic Mixing Rules (Simplified: just use the derived HSL for now)
-        // A real system might average colors, use complementary colors, etc.
         this.currentColor.hsl = { h: newHue, s: currentSat, l: currentLum };
 
         // Convert to RGB string for potential direct use (e.g. debug, fallback)
@@ -96,20 +447,46 @@ class VIB34DChromaticEngine {
         this.currentColor.cssSat = `${currentSat.toFixed(0)}%`;
         this.currentColor.cssLum = `${currentLum.toFixed(0)}%`;
 
-        // Example: Derive bg, content, accent colors from the main emergent color
-        this.currentColor.bgHsl = { h: newHue, s: Math.max(0, currentSat - 20), l: Math.max(5, currentLum - 30) };
-        this.currentColor.contentHsl = { h: (newHue + 180) % 360, s: Math.min(100, currentSat + 10), l: Math.min(95, currentLum + 30) }; // Complementary hue for content
-        this.currentColor.accentHsl = { h: (newHue + 30) % 360, s: 100, l: Math.max(40, Math.min(70, currentLum)) };
-
+        // Chromatic mixing rules: harmony-derived layers, pinned palette roles, OKLCH cross-fade.
+        const layers = this.deriveLayerColors(palette, harmony, this.currentColor.hsl);
+        if (this.transition) {
+            const t = Math.max(0, Math.min((time - this.transition.startTime) / this.transition.duration, 1.0));
+            const eased = t * t * (3 - 2 * t);
+            ['bgHsl', 'contentHsl', 'accentHsl'].forEach(layer => {
+                layers[layer] = VIB34DColorSpace.mixOklch(this.transition.from[layer], layers[layer], eased);
+            });
+            if (t >= 1.0) this.transition = null;
+        }
+        this.currentColor.bgHsl = layers.bgHsl;
+        this.currentColor.contentHsl = layers.contentHsl;
+        this.currentColor.accentHsl = layers.accentHsl;
+        this.currentColor.swatches = VIB34DChromaticEngine.HARMONIES[harmony].hues.map(offset => ({ h: (newHue + offset + 360) % 360, s: currentSat, l: currentLum }));
+        this.currentColor.paletteName = palette.name;
+        this.currentColor.harmony = harmony;
+        this.applyContrastRequirement(time);
 
         // Color Classification (Hue to Name - very simplified)
         // This is a basic example. A proper one would be more nuanced.
         const hueName = this.getHueName(newHue);
         this.currentColor.hueName = hueName;
+    }
 
-        // Emergent Color Calculation (multi-layer blending)
-        // For now, the "emergent" color is just this.currentColor.hsl.
-        // A more complex system would combine multiple sources or layers here.
+    /**
+     * Derives background, content and accent colors from the animated base color.
+     * @param {object} palette - Normalized palette.
+     * @param {string} harmony - Harmony mode.
+     * @param {{h: number, s: number, l: number}} baseHsl - Animated base color.
+     * @returns {{bgHsl: object, contentHsl: object, accentHsl: object}}
+     */
+    deriveLayerColors(palette, harmony, baseHsl) {
+        const offsets = VIB34DChromaticEngine.HARMONIES[harmony];
+        const { h, s, l } = baseHsl;
+        const roles = palette.roles || {};
+        return {
+            bgHsl: roles.bg ? { ...roles.bg } : { h: h, s: Math.max(0, s - 20), l: Math.max(5, l - 30) },
+            contentHsl: roles.content ? { ...roles.content } : { h: (h + offsets.content + 360) % 360, s: Math.min(100, s + 10), l: Math.min(95, l + 30) },
+            accentHsl: roles.accent ? { ...roles.accent } : { h: (h + offsets.accent + 360) % 360, s: 100, l: Math.max(40, Math.min(70, l)) },
+        };
     }
 
     hslToRgbString(h, s, l) {
@@ -125,8 +502,21 @@ class VIB34DChromaticEngine {
         return `rgb(${r},${g},${b})`;
     }
 
+    /**
+     * @param {{h: number, s: number, l: number}} hsl
+     * @returns {{h: number, s: number, l: number}} Whole-number values, as getHslCssString() emits them.
+     */
+    static roundHsl(hsl) {
+        return {
+            h: ((Math.round(hsl.h) % 360) + 360) % 360,
+            s: Math.max(0, Math.min(100, Math.round(hsl.s))),
+            l: Math.max(0, Math.min(100, Math.round(hsl.l)))
+        };
+    }
+
     getHslCssString(hslObj) {
-        return `hsl(${hslObj.h.toFixed(0)}, ${hslObj.s.toFixed(0)}%, ${hslObj.l.toFixed(0)}%)`;
+        const { h, s, l } = VIB34DChromaticEngine.roundHsl(hslObj);
+        return `hsl(${h}, ${s}%, ${l}%)`;
     }
 
 
@@ -0,0 +1,153 @@
+/**
+ * VIB34DColorSpace
+ *
+ * Static color conversions used by VIB34DChromaticEngine. Colors are exchanged as HSL objects
+ * ({ h: 0-360, s: 0-100, l: 0-100 }) like the rest of the engine; interpolation happens in OKLCH
+ * (Björn Ottosson's OKLab in polar form), which keeps perceived lightness and chroma steady
+ * across a blend where HSL would dip through grey or flare in brightness.
+ */
+class VIB34DColorSpace {
+    /**
+     * @param {{h: number, s: number, l: number}} hsl
+     * @returns {Array<number>} [r, g, b] in 0-1 (gamma-encoded sRGB).
+     */
+    static hslToRgb(hsl) {
+        const h = ((hsl.h % 360) + 360) % 360, s = hsl.s / 100, l = hsl.l / 100;
+        const k = n => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+        return [f(0), f(8), f(4)];
+    }
+
+    /**
+     * @param {Array<number>} rgb - [r, g, b] in 0-1.
+     * @returns {{h: number, s: number, l: number}}
+     */
+    static rgbToHsl(rgb) {
+        const [r, g, b] = rgb.map(c => Math.max(0, Math.min(1, c)));
+        const max = Math.max(r, g, b), min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        let h = 0, s = 0;
+        const d = max - min;
+        if (d > 1e-9) {
+            s = d / (1 - Math.abs(2 * l - 1));
+            if (max === r) h = ((g - b) / d) % 6;
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+            h *= 60;
+            if (h < 0) h += 360;
+        }
+        return { h, s: s * 100, l: l * 100 };
+    }
+
+    static srgbToLinear(c) {
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    static linearToSrgb(c) {
+        return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    }
+
+    /**
+     * @param {Array<number>} rgb - [r, g, b] in 0-1.
+     * @returns {{l: number, c: number, h: number}} OKLCH; l in 0-1, h in degrees.
+     */
+    static rgbToOklch(rgb) {
+        const [r, g, b] = rgb.map(VIB34DColorSpace.srgbToLinear);
+        const l_ = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m_ = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s_ = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        const L = 0.2104542553 * l_ + 0.7936177850 * m_ - 0.0040720468 * s_;
+        const A = 1.9779984951 * l_ - 2.4285922050 * m_ + 0.4505937099 * s_;
+        const B = 0.0259040371 * l_ + 0.7827717662 * m_ - 0.8086757660 * s_;
+        let h = Math.atan2(B, A) * 180 / Math.PI;
+        if (h < 0) h += 360;
+        return { l: L, c: Math.sqrt(A * A + B * B), h };
+    }
+
+    /**
+     * @param {{l: number, c: number, h: number}} oklch
+     * @returns {Array<number>} [r, g, b] in 0-1, clamped to the sRGB gamut.
+     */
+    static oklchToRgb(oklch) {
+        const hRad = oklch.h * Math.PI / 180;
+        const A = oklch.c * Math.cos(hRad), B = oklch.c * Math.sin(hRad);
+        const l_ = oklch.l + 0.3963377774 * A + 0.2158037573 * B;
+        const m_ = oklch.l - 0.1055613458 * A - 0.0638541728 * B;
+        const s_ = oklch.l - 0.0894841775 * A - 1.2914855480 * B;
+        const l = l_ * l_ * l_, m = m_ * m_ * m_, s = s_ * s_ * s_;
+        const rgb = [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+        return rgb.map(c => Math.max(0, Math.min(1, VIB34DColorSpace.linearToSrgb(Math.max(0, c)))));
+    }
+
+    static hslToOklch(hsl) {
+        return VIB34DColorSpace.rgbToOklch(VIB34DColorSpace.hslToRgb(hsl));
+    }
+
+    static oklchToHsl(oklch) {
+        return VIB34DColorSpace.rgbToHsl(VIB34DColorSpace.oklchToRgb(oklch));
+    }
+
+    /**
+     * WCAG 2.x relative luminance.
+     * @param {{h: number, s: number, l: number}} hsl
+     * @returns {number} 0 (black) to 1 (white).
+     */
+    static relativeLuminance(hsl) {
+        const [r, g, b] = VIB34DColorSpace.hslToRgb(hsl).map(VIB34DColorSpace.srgbToLinear);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * WCAG 2.x contrast ratio between two colors, independent of order.
+     * @returns {number} 1 to 21.
+     */
+    static contrastRatio(hslA, hslB) {
+        const a = VIB34DColorSpace.relativeLuminance(hslA), b = VIB34DColorSpace.relativeLuminance(hslB);
+        return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    }
+
+    /**
+     * Reads a CSS color of the form getHslCssString() emits, e.g. "hsl(210, 80%, 45.5%)".
+     * @param {string} css
+     * @returns {{h: number, s: number, l: number}|null} null if the string is not an hsl() color.
+     */
+    static parseHslCss(css) {
+        const match = /^hsla?\(\s*(-?[\d.]+)(?:deg)?\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%/.exec(String(css).trim());
+        return match ? { h: Number(match[1]), s: Number(match[2]), l: Number(match[3]) } : null;
+    }
+
+    /**
+     * Interpolates two HSL colors in OKLCH, taking the shorter way around the hue circle.
+     * Achromatic endpoints (greys) adopt the other endpoint's hue so blends don't swing through unrelated hues.
+     * @param {{h: number, s: number, l: number}} fromHsl
+     * @param {{h: number, s: number, l: number}} toHsl
+     * @param {number} t - 0-1
+     * @returns {{h: number, s: number, l: number}}
+     */
+    static mixOklch(fromHsl, toHsl, t) {
+        if (t <= 0) return { ...fromHsl };
+        if (t >= 1) return { ...toHsl };
+        const a = VIB34DColorSpace.hslToOklch(fromHsl);
+        const b = VIB34DColorSpace.hslToOklch(toHsl);
+        const achromatic = 0.002;
+        if (a.c < achromatic) a.h = b.h;
+        if (b.c < achromatic) b.h = a.h;
+        let dh = b.h - a.h;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+        return VIB34DColorSpace.oklchToHsl({
+            l: a.l + (b.l - a.l) * t,
+            c: a.c + (b.c - a.c) * t,
+            h: (a.h + dh * t + 360) % 360
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB34DColorSpace = VIB34DColorSpace;
+}
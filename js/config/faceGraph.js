@@ -0,0 +1,88 @@
+/**
+ * Face graph for VIB3HomeMasterBridge.
+ *
+ * The eight faces are the eight cubic cells of the tesseract. Cell ±A touches every cell except its opposite,
+ * so each face has six neighbors, named by the direction of the neighboring cell:
+ *   right/left (±X), up/down (±Y), forward/back (±Z), ana/kata (±W).
+ * Cells: HOME +W, KLEIN -W, TECH +X, CONTEXT -X, RESEARCH +Y, INNOVATION -Y, MEDIA +Z, TORUS -Z.
+ *
+ * Graph shape:
+ *   {
+ *       order: ['Face-0', ...],            // next()/prev() sequence (wraps)
+ *       fallback: 'default',               // Used for unknown face IDs
+ *       defaults: { duration, easing },    // Per-face `duration` (seconds) and `easing` (Easing.CURVES) override these
+ *       geometryParamMappings: {           // Structural geometry params derived from face params, per geometry
+ *           wave: { divisions: { param: 'u_gridDensity', scale: 1.5, round: true, min: 5, max: 50, fallback: 10 } }
+ *       },                                 // value = (params[param] ?? fallback) * scale + offset, rounded, clamped,
+ *                                          // then repeated `repeat` times into an array if given
+ *       faces: {
+ *           'Face-0': { name, geometry, projection, theme, palette, params, duration?, easing?,
+ *                       geometryParams?,         // Literal geometry params, applied over the mapped ones
+ *                       geometryParamMapping?,   // Replaces geometryParamMappings[geometry] for this face
+ *                       neighbors: { right: 'Face-1', ... } }
+ *       }
+ *   }
+ * Load this file before HypercubeCore.js, or pass another graph to bridge.loadFaceGraph().
+ */
+const VIB3_FACE_GRAPH = {
+    order: ['Face-0', 'Face-1', 'Face-2', 'Face-3', 'Face-4', 'Face-5', 'Face-6', 'Face-7'],
+    fallback: 'default',
+    defaults: { duration: 1.0, easing: 'easeInOutCubic' },
+    geometryParamMappings: {
+        wave: { divisions: { param: 'u_gridDensity', scale: 1.5, round: true, min: 5, max: 50, fallback: 10 } },
+        fractal: { iterations: { param: 'u_gridDensity', scale: 0.5, round: true, min: 1, max: 5, fallback: 3 } },
+        crystal: { latticeSize: { param: 'u_gridDensity', round: true, min: 1, max: 5, fallback: 2, repeat: 4 } }
+    },
+    faces: {
+        // palette: VIB34DChromaticEngine palette name (or inline palette); null uses the geometry's color wheel
+        'Face-0': {
+            name: 'HOME', geometry: 'hypercube', projection: 'perspective', theme: 'sovereignty', palette: 'sovereignty',
+            params: { u_rotationSpeed: 0.2, u_patternIntensity: 1.2, u_dimension: 4.0, u_rotXWSpeed: 0.8, u_rotYWSpeed: 0.5, u_rotZWSpeed: 0.3 },
+            neighbors: { right: 'Face-1', left: 'Face-5', up: 'Face-2', down: 'Face-4', forward: 'Face-3', back: 'Face-6' }
+        },
+        'Face-1': {
+            name: 'TECH', geometry: 'hypertetrahedron', projection: 'perspective', theme: 'precision', palette: 'precision',
+            params: { u_lineThickness: 0.008, u_rotationSpeed: 0.1, u_dimension: 3.5, u_rotXYSpeed: 0.4, u_rotXWSpeed: 0.2, u_rotYWSpeed: 0.0, u_rotZWSpeed: 0.0 },
+            duration: 0.8, easing: 'easeOutCubic',
+            neighbors: { up: 'Face-2', down: 'Face-4', forward: 'Face-3', back: 'Face-6', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-2': {
+            name: 'RESEARCH', geometry: 'wave', projection: 'perspective', theme: 'exploration', palette: 'exploration',
+            params: { u_universeModifier: 1.5, u_gridDensity: 15, u_rotationSpeed: 0.3 },
+            neighbors: { right: 'Face-1', left: 'Face-5', forward: 'Face-3', back: 'Face-6', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-3': {
+            name: 'MEDIA', geometry: 'hypersphere', projection: 'perspective', theme: 'potential', palette: 'potential',
+            params: { u_shellWidth: 0.03, u_morphFactor: 0.3, u_rotationSpeed: 0.4 },
+            neighbors: { right: 'Face-1', left: 'Face-5', up: 'Face-2', down: 'Face-4', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-4': {
+            name: 'INNOVATION', geometry: 'fractal', projection: 'perspective', theme: 'emergence', palette: 'emergence',
+            params: { u_gridDensity: 3 /* maps to iterations */, u_rotationSpeed: 0.25 },
+            duration: 1.4, easing: 'smoothstep',
+            neighbors: { right: 'Face-1', left: 'Face-5', forward: 'Face-3', back: 'Face-6', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-5': {
+            name: 'CONTEXT', geometry: 'crystal', projection: 'perspective', theme: 'structure', palette: 'structure',
+            params: { u_lineThickness: 0.02, u_gridDensity: 2 /* maps to latticeSize */ },
+            neighbors: { up: 'Face-2', down: 'Face-4', forward: 'Face-3', back: 'Face-6', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-6': {
+            name: 'TORUS', geometry: 'torus', projection: 'perspective', theme: 'flow', palette: 'flow',
+            params: { u_rotationSpeed: 0.8, u_patternIntensity: 0.8, u_rotXZSpeed: 0.3, u_rotYWSpeed: 0.6 },
+            duration: 1.2, easing: 'easeInOutQuad',
+            neighbors: { right: 'Face-1', left: 'Face-5', up: 'Face-2', down: 'Face-4', ana: 'Face-0', kata: 'Face-7' }
+        },
+        'Face-7': {
+            name: 'KLEIN', geometry: 'kleinbottle', projection: 'stereographic', theme: 'transcendence', palette: 'transcendence',
+            params: { u_morphFactor: 0.6, u_universeModifier: 0.7, u_rotXWSpeed: 0.5, u_rotZWSpeed: 0.5, u_rotZWPhase: 1.57 },
+            duration: 1.6,
+            neighbors: { right: 'Face-1', left: 'Face-5', up: 'Face-2', down: 'Face-4', forward: 'Face-3', back: 'Face-6' }
+        },
+        'default': { name: 'DEFAULT', geometry: 'hypercube', projection: 'perspective', theme: 'default', palette: null, params: {}, neighbors: {} } // Fallback
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.VIB3_FACE_GRAPH = VIB3_FACE_GRAPH;
+}
@@ -0,0 +1,113 @@
+/**
+ * Built-in geometry registrations for GeometryManager.
+ *
+ * Each entry is passed to GeometryManager.registerGeometry(name, geometryClass, { schema, defaults, drawMode }).
+ * `defaults` are passed to the geometry's constructor (merged under any caller-supplied options),
+ * `schema` describes those constructor options in the same shape as HypercubeCore.getCoreParametersSchema(),
+ * and `drawMode` ('lines' | 'points' | 'triangles') selects the single draw pass produced by
+ * BaseGeometry.getDrawPasses(). Geometries that override getDrawPasses() (e.g. crystal, which draws
+ * bonds as lines and sites as points) keep drawMode as their nominal mode.
+ *
+ * For non-module environments, load this file after the geometry classes and before HypercubeCore.js.
+ * Third-party geometries register the same way, e.g.
+ *   core.geometryManager.registerGeometry('gyroid', GyroidGeometry, { drawMode: 'triangles', defaults: { cells: 4 } });
+ */
+const VIB3_BUILT_IN_GEOMETRIES = [
+    {
+        name: 'hypercube',
+        geometryClass: typeof HypercubeGeometry !== 'undefined' ? HypercubeGeometry : null,
+        drawMode: 'lines',
+        defaults: { size: 1.0 },
+        schema: [
+            { name: 'size', label: 'Size', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 }
+        ]
+    },
+    {
+        name: 'hypersphere',
+        geometryClass: typeof HypersphereGeometry !== 'undefined' ? HypersphereGeometry : null,
+        drawMode: 'triangles',
+        defaults: { radius: 1.0, shellWidth: 0.1, divisionsU: 32, divisionsV: 16, divisionsW: 8, isShell: true },
+        schema: [
+            { name: 'radius', label: 'Radius', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 },
+            { name: 'shellWidth', label: 'Shell Width', type: 'slider', min: 0.0, max: 0.5, step: 0.01, defaultValue: 0.1 },
+            { name: 'divisionsU', label: 'Divisions U', type: 'slider', min: 4, max: 64, step: 1, defaultValue: 32 },
+            { name: 'divisionsV', label: 'Divisions V', type: 'slider', min: 4, max: 32, step: 1, defaultValue: 16 },
+            { name: 'divisionsW', label: 'Divisions W', type: 'slider', min: 2, max: 16, step: 1, defaultValue: 8 },
+            { name: 'isShell', label: 'Shell', type: 'toggle', defaultValue: true }
+        ]
+    },
+    {
+        name: 'hypertetrahedron',
+        geometryClass: typeof HypertetrahedronGeometry !== 'undefined' ? HypertetrahedronGeometry : null,
+        drawMode: 'lines',
+        defaults: { size: 1.0, tetraThickness: 0.05 },
+        schema: [
+            { name: 'size', label: 'Size', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 },
+            { name: 'tetraThickness', label: 'Thickness', type: 'slider', min: 0.001, max: 0.2, step: 0.001, defaultValue: 0.05 }
+        ]
+    },
+    {
+        name: 'torus',
+        geometryClass: typeof TorusGeometry !== 'undefined' ? TorusGeometry : null,
+        drawMode: 'triangles',
+        defaults: { majorRadius: 1.0, minorRadius: 0.5, divisionsU: 32, divisionsV: 16 },
+        schema: [
+            { name: 'majorRadius', label: 'Major Radius', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 },
+            { name: 'minorRadius', label: 'Minor Radius', type: 'slider', min: 0.05, max: 2.0, step: 0.01, defaultValue: 0.5 },
+            { name: 'divisionsU', label: 'Divisions U', type: 'slider', min: 4, max: 128, step: 1, defaultValue: 32 },
+            { name: 'divisionsV', label: 'Divisions V', type: 'slider', min: 4, max: 64, step: 1, defaultValue: 16 }
+        ]
+    },
+    {
+        name: 'kleinbottle',
+        geometryClass: typeof KleinBottleGeometry !== 'undefined' ? KleinBottleGeometry : null,
+        drawMode: 'triangles',
+        defaults: { scale: 1.0, divisionsU: 50, divisionsV: 50, a: 2 },
+        schema: [
+            { name: 'scale', label: 'Scale', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 },
+            { name: 'divisionsU', label: 'Divisions U', type: 'slider', min: 8, max: 128, step: 1, defaultValue: 50 },
+            { name: 'divisionsV', label: 'Divisions V', type: 'slider', min: 8, max: 128, step: 1, defaultValue: 50 },
+            { name: 'a', label: 'Tube Parameter', type: 'slider', min: 0.5, max: 5.0, step: 0.1, defaultValue: 2 }
+        ]
+    },
+    {
+        name: 'fractal',
+        geometryClass: typeof FractalGeometry !== 'undefined' ? FractalGeometry : null,
+        drawMode: 'points',
+        defaults: { iterations: 3, size: 1.0, fractalType: 'sierpinski5cell' },
+        schema: [
+            { name: 'iterations', label: 'Iterations', type: 'slider', min: 1, max: 6, step: 1, defaultValue: 3,
+              description: "Point count grows as 5^(iterations+1)." },
+            { name: 'size', label: 'Size', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0 },
+            { name: 'fractalType', label: 'Fractal Type', type: 'select', options: ['sierpinski5cell'], defaultValue: 'sierpinski5cell' }
+        ]
+    },
+    {
+        name: 'wave',
+        geometryClass: typeof WaveGeometry !== 'undefined' ? WaveGeometry : null,
+        drawMode: 'points',
+        defaults: { gridSize: 2.0, divisions: 20, amplitude: 0.2, frequency: 1.0 },
+        schema: [
+            { name: 'gridSize', label: 'Grid Size', type: 'slider', min: 0.5, max: 5.0, step: 0.1, defaultValue: 2.0 },
+            { name: 'divisions', label: 'Divisions', type: 'slider', min: 2, max: 50, step: 1, defaultValue: 20 },
+            { name: 'amplitude', label: 'Amplitude', type: 'slider', min: 0.0, max: 1.0, step: 0.01, defaultValue: 0.2 },
+            { name: 'frequency', label: 'Frequency', type: 'slider', min: 0.0, max: 10.0, step: 0.1, defaultValue: 1.0 }
+        ]
+    },
+    {
+        name: 'crystal',
+        geometryClass: typeof CrystalGeometry !== 'undefined' ? CrystalGeometry : null,
+        drawMode: 'lines',
+        defaults: { latticeSize: [3, 3, 3, 2], unitCellSpacing: 0.5, pointRepresentation: 'point' },
+        schema: [
+            { name: 'latticeSize', label: 'Lattice Size', type: 'vec4', defaultValue: [3, 3, 3, 2],
+              description: "Lattice points along X, Y, Z and W." },
+            { name: 'unitCellSpacing', label: 'Cell Spacing', type: 'slider', min: 0.1, max: 2.0, step: 0.01, defaultValue: 0.5 },
+            { name: 'pointRepresentation', label: 'Point Representation', type: 'select', options: ['point', 'smallCube', 'sphere'], defaultValue: 'point' }
+        ]
+    }
+];
+
+if (typeof window !== 'undefined') {
+    window.VIB3_BUILT_IN_GEOMETRIES = VIB3_BUILT_IN_GEOMETRIES;
+}
@@ -0,0 +1,42 @@
+/**
+ * Built-in palettes for VIB34DChromaticEngine.
+ *
+ * Palette shape:
+ *   {
+ *       name: 'sovereignty',
+ *       base: { h: 200, s: 90, l: 55 },     // HSL; h 0-360, s/l 0-100
+ *       harmony: 'complementary',           // See VIB34DChromaticEngine.HARMONIES; derives content/accent hues
+ *       roles: { bg, content, accent },     // Optional fixed HSL per layer; overrides the harmony for that layer
+ *       animate: true                       // false: no hue drift or interaction pulses (brand lock)
+ *   }
+ *
+ * The theme palettes match the VIB3HomeMasterBridge face themes. Load this file before HypercubeCore.js;
+ * more palettes can be added at runtime with chromaticEngine.registerPalette() / importPalettes().
+ */
+const VIB3_PALETTES = [
+    { name: 'sovereignty', base: { h: 200, s: 90, l: 55 }, harmony: 'complementary' },
+    { name: 'precision', base: { h: 180, s: 85, l: 60 }, harmony: 'split-complementary' },
+    { name: 'exploration', base: { h: 240, s: 100, l: 60 }, harmony: 'analogous' },
+    { name: 'potential', base: { h: 270, s: 90, l: 50 }, harmony: 'triadic' },
+    { name: 'emergence', base: { h: 120, s: 70, l: 50 }, harmony: 'tetradic' },
+    { name: 'structure', base: { h: 210, s: 10, l: 70 }, harmony: 'complementary' },
+    { name: 'flow', base: { h: 30, s: 100, l: 50 }, harmony: 'analogous' },
+    { name: 'transcendence', base: { h: 300, s: 80, l: 45 }, harmony: 'split-complementary' },
+    {
+        name: 'vaporwave',
+        base: { h: 300, s: 100, l: 60 },
+        harmony: 'triadic',
+        roles: { bg: { h: 260, s: 60, l: 12 }, content: { h: 180, s: 100, l: 75 }, accent: { h: 320, s: 100, l: 65 } }
+    },
+    {
+        name: 'monochrome',
+        base: { h: 0, s: 0, l: 60 },
+        harmony: 'complementary',
+        roles: { bg: { h: 0, s: 0, l: 8 }, content: { h: 0, s: 0, l: 92 }, accent: { h: 0, s: 0, l: 60 } },
+        animate: false
+    }
+];
+
+if (typeof window !== 'undefined') {
+    window.VIB3_PALETTES = VIB3_PALETTES;
+}
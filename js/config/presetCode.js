@@ -0,0 +1,244 @@
+/**
+ * VIB3PresetCode
+ *
+ * Packs a visualizer preset (as returned by HypercubeCore.getCurrentSettingsAsPreset()) into a short,
+ * URL-safe string for links and QR codes: a torus in stereographic projection with u_gridDensity 14.5
+ * is "AQV0b3J1cw1zdGVyZW9ncmFwaGljAQECAaICujo".
+ *
+ * Only the geometry, the projection and the `u_` parameters of getCoreParametersSchema() that differ from
+ * their defaults are stored; decode() fills every other schema parameter with its default, so a decoded
+ * preset reproduces the encoded look regardless of the state it is loaded over.
+ *
+ * Binary layout (then base64url without padding):
+ *   [code version] [geometry: length, UTF-8] [projection: length, UTF-8] [parameter count]
+ *   per parameter: [dictionary index, or 255 followed by length + UTF-8 name] [kind] [value]
+ *   [CRC-16/CCITT of everything before it, 2 bytes big-endian]
+ * Numbers are stored as decimal mantissa (zigzag varint) plus a decimal-places byte when that is exact,
+ * otherwise as float64, so decoded values equal the encoded ones.
+ */
+const VIB3_PRESET_CODE_VERSION = 1;
+
+class VIB3PresetCode {
+    /**
+     * Parameter dictionary for code version 1. Indices are part of the format: only ever append to this list.
+     * Parameters missing from it are still encoded, by name.
+     */
+    static get PARAMETERS() {
+        return [
+            'u_dimension', 'u_gridDensity', 'u_lineThickness', 'u_shellWidth', 'u_tetraThickness', 'u_rotationSpeed',
+            'u_morphFactor', 'u_colorShift', 'u_patternIntensity', 'u_universeModifier', 'u_glitchIntensity',
+            'u_lightDirection', 'u_specularStrength', 'u_specularColor', 'u_materialShininess', 'u_isTorus',
+            'u_rotXYSpeed', 'u_rotXYPhase', 'u_rotXZSpeed', 'u_rotXZPhase', 'u_rotXWSpeed', 'u_rotXWPhase',
+            'u_rotYZSpeed', 'u_rotYZPhase', 'u_rotYWSpeed', 'u_rotYWPhase', 'u_rotZWSpeed', 'u_rotZWPhase',
+            'u_translateX', 'u_translateY', 'u_translateZ', 'u_translateW'
+        ];
+    }
+
+    static get KINDS() {
+        return { FALSE: 0, TRUE: 1, DECIMAL: 2, FLOAT64: 3, ARRAY: 4 };
+    }
+
+    /**
+     * @param {object} preset - Visualizer preset with geometry, projection and params.
+     * @param {Array<object>} schema - HypercubeCore.getCoreParametersSchema().
+     * @returns {string} URL-safe code.
+     */
+    static encode(preset, schema) {
+        const bytes = [VIB3_PRESET_CODE_VERSION];
+        VIB3PresetCode.writeString(bytes, preset.geometry || '');
+        VIB3PresetCode.writeString(bytes, preset.projection || '');
+
+        const params = preset.params || {};
+        const changed = schema.filter(entry => entry.name.startsWith('u_') && params[entry.name] !== undefined
+            && !VIB3PresetCode.sameValue(params[entry.name], entry.defaultValue));
+        if (changed.length > 254) throw new Error('VIB3PresetCode: Too many parameters to encode.');
+        bytes.push(changed.length);
+        const dictionary = VIB3PresetCode.PARAMETERS;
+        changed.forEach(entry => {
+            const index = dictionary.indexOf(entry.name);
+            if (index !== -1) bytes.push(index);
+            else { bytes.push(255); VIB3PresetCode.writeString(bytes, entry.name); }
+            VIB3PresetCode.writeValue(bytes, params[entry.name]);
+        });
+
+        const checksum = VIB3PresetCode.crc16(bytes);
+        bytes.push(checksum >> 8, checksum & 0xFF);
+        return VIB3PresetCode.toBase64Url(bytes);
+    }
+
+    /**
+     * @param {string} code
+     * @param {Array<object>} schema - HypercubeCore.getCoreParametersSchema().
+     * @param {object} [options]
+     * @param {string} [options.name='Shared Preset']
+     * @returns {{preset: object|null, error: string|null}} A version 1 visualizer preset, or the reason decoding failed.
+     */
+    static decode(code, schema, options = {}) {
+        let bytes;
+        try { bytes = VIB3PresetCode.fromBase64Url(String(code).trim()); } catch (e) {
+            return { preset: null, error: 'not a preset code (invalid characters)' };
+        }
+        if (bytes.length < 6) return { preset: null, error: 'too short' };
+        const body = bytes.slice(0, -2);
+        if (VIB3PresetCode.crc16(body) !== ((bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1])) {
+            return { preset: null, error: 'checksum mismatch (the code is incomplete or mistyped)' };
+        }
+        if (body[0] !== VIB3_PRESET_CODE_VERSION) return { preset: null, error: `unsupported code version ${body[0]}` };
+
+        try {
+            const reader = { bytes: body, offset: 1 };
+            const geometry = VIB3PresetCode.readString(reader);
+            const projection = VIB3PresetCode.readString(reader);
+            const params = {};
+            schema.forEach(entry => {
+                if (!entry.name.startsWith('u_') || entry.defaultValue === undefined) return;
+                params[entry.name] = Array.isArray(entry.defaultValue) ? [...entry.defaultValue] : entry.defaultValue;
+            });
+            const count = VIB3PresetCode.readByte(reader);
+            for (let i = 0; i < count; i++) {
+                const index = VIB3PresetCode.readByte(reader);
+                const name = index === 255 ? VIB3PresetCode.readString(reader) : VIB3PresetCode.PARAMETERS[index];
+                if (!name) throw new Error(`unknown parameter index ${index}`);
+                params[name] = VIB3PresetCode.readValue(reader);
+            }
+            if (reader.offset !== body.length) throw new Error('trailing data');
+            const preset = { version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualizer', name: options.name || 'Shared Preset', params };
+            if (geometry) preset.geometry = geometry;
+            if (projection) preset.projection = projection;
+            return { preset, error: null };
+        } catch (e) {
+            return { preset: null, error: `malformed code (${e.message})` };
+        }
+    }
+
+    static sameValue(a, b) {
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+        }
+        return a === b;
+    }
+
+    // --- Value encoding ---
+
+    static writeValue(bytes, value) {
+        const { KINDS } = VIB3PresetCode;
+        if (typeof value === 'boolean') { bytes.push(value ? KINDS.TRUE : KINDS.FALSE); return; }
+        if (Array.isArray(value)) {
+            if (value.length > 255) throw new Error('VIB3PresetCode: Vector parameter too long.');
+            bytes.push(KINDS.ARRAY, value.length);
+            value.forEach(v => VIB3PresetCode.writeNumber(bytes, v));
+            return;
+        }
+        VIB3PresetCode.writeNumber(bytes, value);
+    }
+
+    static writeNumber(bytes, value) {
+        const { KINDS } = VIB3PresetCode;
+        for (let places = 0; places <= 8; places++) {
+            const mantissa = Math.round(value * Math.pow(10, places));
+            if (Math.abs(mantissa) > Number.MAX_SAFE_INTEGER / 2) break;
+            if (mantissa / Math.pow(10, places) === value) {
+                bytes.push(KINDS.DECIMAL, places);
+                VIB3PresetCode.writeVarint(bytes, mantissa < 0 ? -mantissa * 2 - 1 : mantissa * 2); // zigzag
+                return;
+            }
+        }
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        bytes.push(KINDS.FLOAT64);
+        for (let i = 0; i < 8; i++) bytes.push(view.getUint8(i));
+    }
+
+    static readValue(reader) {
+        const { KINDS } = VIB3PresetCode;
+        const kind = VIB3PresetCode.readByte(reader);
+        if (kind === KINDS.FALSE) return false;
+        if (kind === KINDS.TRUE) return true;
+        if (kind === KINDS.ARRAY) {
+            const length = VIB3PresetCode.readByte(reader);
+            return Array.from({ length }, () => VIB3PresetCode.readNumber(reader, VIB3PresetCode.readByte(reader)));
+        }
+        return VIB3PresetCode.readNumber(reader, kind);
+    }
+
+    static readNumber(reader, kind) {
+        const { KINDS } = VIB3PresetCode;
+        if (kind === KINDS.DECIMAL) {
+            const places = VIB3PresetCode.readByte(reader);
+            const zigzag = VIB3PresetCode.readVarint(reader);
+            const mantissa = zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+            return mantissa / Math.pow(10, places);
+        }
+        if (kind === KINDS.FLOAT64) {
+            const view = new DataView(new ArrayBuffer(8));
+            for (let i = 0; i < 8; i++) view.setUint8(i, VIB3PresetCode.readByte(reader));
+            return view.getFloat64(0);
+        }
+        throw new Error(`unknown value kind ${kind}`);
+    }
+
+    /** Unsigned LEB128; uses arithmetic instead of bit operators so values above 2^31 survive. */
+    static writeVarint(bytes, value) {
+        while (value >= 128) {
+            bytes.push((value % 128) + 128);
+            value = Math.floor(value / 128);
+        }
+        bytes.push(value);
+    }
+
+    static readVarint(reader) {
+        let value = 0, scale = 1, byte;
+        do {
+            byte = VIB3PresetCode.readByte(reader);
+            value += (byte & 127) * scale;
+            scale *= 128;
+        } while (byte >= 128);
+        return value;
+    }
+
+    static writeString(bytes, text) {
+        const encoded = unescape(encodeURIComponent(text)); // UTF-8 as one char per byte
+        if (encoded.length > 255) throw new Error('VIB3PresetCode: String too long.');
+        bytes.push(encoded.length);
+        for (let i = 0; i < encoded.length; i++) bytes.push(encoded.charCodeAt(i));
+    }
+
+    static readString(reader) {
+        const length = VIB3PresetCode.readByte(reader);
+        let encoded = '';
+        for (let i = 0; i < length; i++) encoded += String.fromCharCode(VIB3PresetCode.readByte(reader));
+        return decodeURIComponent(escape(encoded));
+    }
+
+    static readByte(reader) {
+        if (reader.offset >= reader.bytes.length) throw new Error('unexpected end of data');
+        return reader.bytes[reader.offset++];
+    }
+
+    // --- Checksum and text form ---
+
+    /** CRC-16/CCITT-FALSE. */
+    static crc16(bytes) {
+        let crc = 0xFFFF;
+        bytes.forEach(byte => {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        });
+        return crc;
+    }
+
+    static toBase64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('invalid characters');
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Array.from(binary, c => c.charCodeAt(0));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB3_PRESET_CODE_VERSION = VIB3_PRESET_CODE_VERSION;
+    window.VIB3PresetCode = VIB3PresetCode;
+}
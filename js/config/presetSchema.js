@@ -0,0 +1,316 @@
+/**
+ * VIB3 preset schema (version 1) shared by every preset consumer:
+ * - PresetManager in config/presets.js (HypercubeCore presets, type 'visualizer')
+ * - PresetManager in js/ and digital-magazine/js/ (VIB3StyleSystem, types 'visualStyle' and 'interaction')
+ * - VIB3HomeMaster.loadPreset (type 'master')
+ *
+ * A preset is { version: 1, type, name, description?, ...type-specific fields }; a preset file is either
+ * one preset, an array of presets, or { version: 1, presets: [...] }.
+ *
+ * VIB3PresetSchema.load() migrates the legacy (unversioned) shapes and validates the result:
+ * - { name, geometry, projection, params }                 -> 'visualizer'
+ * - { visualStyles: {name: {parameters}}, interactionPresets: {name: {...}} } -> 'visualStyle' / 'interaction'
+ * - { intensity, speed, density, complexity }, or a name -> that map -> 'master'
+ * Presets that fail validation are returned in `rejected` with readable error paths, e.g.
+ * "params.u_gridDensity: expected number, got string".
+ *
+ * Load this file before config/presets.js, HypercubeCore.js and vib3-home-master.js. ES modules import it
+ * for its side effect and use window.VIB3PresetSchema.
+ *
+ * digital-magazine/js/PresetManager.js imports this file too, so serve the magazine from the repository root.
+ */
+const VIB3_PRESET_SCHEMA_VERSION = 1;
+
+const VIB3_PRESET_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'VIB3 preset',
+    type: 'object',
+    required: ['version', 'type', 'name'],
+    properties: {
+        version: { const: VIB3_PRESET_SCHEMA_VERSION },
+        type: { enum: ['visualizer', 'visualStyle', 'interaction', 'master'] },
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' }
+    },
+    allOf: [
+        { if: { properties: { type: { const: 'visualizer' } } }, then: { $ref: '#/definitions/visualizer' } },
+        { if: { properties: { type: { const: 'visualStyle' } } }, then: { $ref: '#/definitions/visualStyle' } },
+        { if: { properties: { type: { const: 'interaction' } } }, then: { $ref: '#/definitions/interaction' } },
+        { if: { properties: { type: { const: 'master' } } }, then: { $ref: '#/definitions/master' } }
+    ],
+    definitions: {
+        visualizer: {
+            required: ['params'],
+            properties: {
+                geometry: { type: 'string', minLength: 1 },
+                projection: { type: 'string', minLength: 1 },
+                geometryParams: { type: 'object' },
+                projectionParams: { type: 'object' },
+                // Uniform values: numbers, toggles and vectors. Strings would end up as NaN uniforms.
+                params: { type: 'object', additionalProperties: { type: ['number', 'boolean', 'array'], items: { type: 'number' } } },
+                mappings: { type: 'array', items: { type: 'object', required: ['sourceInteractionPath', 'targetParameter'] } },
+                palette: { type: ['string', 'object'] },
+                // Lineage of generated presets (PresetManager.randomize/mutate/breed)
+                parents: { type: 'array', items: { type: 'string', minLength: 1 } },
+                seed: { type: ['integer', 'null'], minimum: 0, maximum: 4294967295 }
+            }
+        },
+        visualStyle: {
+            required: ['params'],
+            properties: {
+                params: { type: 'object', additionalProperties: { type: ['number', 'boolean', 'string', 'array'], items: { type: 'number' } } },
+                // Audio-reactive params (digital-magazine AudioCoordinator): param = base + band level * range
+                audio: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['band'],
+                        properties: { band: { enum: ['bass', 'mid', 'high', 'level'] }, range: { type: 'number' } }
+                    }
+                }
+            }
+        },
+        action: {
+            type: 'object',
+            properties: {
+                duration: { type: 'number', minimum: 0 },
+                resetToBase: { type: 'boolean' },
+                params: { type: 'object', additionalProperties: { type: ['number', 'boolean', 'string', 'array'], items: { type: 'number' } } }
+            }
+        },
+        interaction: {
+            required: ['events'],
+            properties: {
+                events: { type: 'array', items: { type: 'string', minLength: 1 } },
+                targetActions: { type: 'object', additionalProperties: { $ref: '#/definitions/action' } },
+                ecosystemReactions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['selector'],
+                        properties: {
+                            selector: { type: 'string', minLength: 1 },
+                            excludeTarget: { type: 'boolean' },
+                            actions: { type: 'object', additionalProperties: { $ref: '#/definitions/action' } }
+                        }
+                    }
+                }
+            }
+        },
+        master: {
+            required: ['params'],
+            properties: {
+                params: {
+                    type: 'object',
+                    required: ['intensity', 'speed', 'density', 'complexity'],
+                    additionalProperties: { type: 'number', minimum: 0 }
+                }
+            }
+        }
+    }
+};
+
+class VIB3PresetSchema {
+    /**
+     * Validates a version 1 preset against VIB3_PRESET_SCHEMA.
+     * @param {object} preset
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+     */
+    static validate(preset) {
+        const errors = [];
+        VIB3PresetSchema.check(VIB3_PRESET_SCHEMA, preset, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Migrates any supported shape to version 1 presets and validates them.
+     * @param {object|Array|string} input - Preset, array, preset file, legacy shape, or its JSON string.
+     * @param {object} [options]
+     * @param {string|Array<string>} [options.type] - Accepted preset type(s); others are rejected.
+     * @param {string} [options.name] - Name for a single unnamed legacy master preset.
+     * @returns {{presets: Array<object>, rejected: Array<{name: string, errors: Array}>}}
+     */
+    static load(input, options = {}) {
+        let data = input;
+        if (typeof input === 'string') {
+            try { data = JSON.parse(input); } catch (e) {
+                return { presets: [], rejected: [{ name: '(unparsed)', errors: [{ path: '', message: `invalid JSON (${e.message})` }] }] };
+            }
+        }
+        const accepted = options.type ? [].concat(options.type) : null;
+        const presets = [], rejected = [];
+        VIB3PresetSchema.migrate(data, options).forEach((preset, index) => {
+            const name = preset && typeof preset.name === 'string' && preset.name ? preset.name : `#${index}`;
+            const { errors } = VIB3PresetSchema.validate(preset);
+            if (errors.length === 0 && accepted && !accepted.includes(preset.type)) {
+                errors.push({ path: 'type', message: `expected ${accepted.join(' or ')}, got ${preset.type}` });
+            }
+            if (errors.length > 0) rejected.push({ name, errors });
+            else presets.push(preset);
+        });
+        return { presets, rejected };
+    }
+
+    /**
+     * Converts legacy shapes to version 1 presets without validating them. Current presets are copied as-is.
+     * @param {object|Array} data
+     * @param {object} [options] - See load().
+     * @returns {Array<object>}
+     */
+    static migrate(data, options = {}) {
+        if (Array.isArray(data)) return data.flatMap(item => VIB3PresetSchema.migrate(item, {}));
+        if (!data || typeof data !== 'object') return [data];
+        if (data.version !== undefined) {
+            if (Array.isArray(data.presets)) return VIB3PresetSchema.migrate(data.presets, {});
+            return [VIB3PresetSchema.clone(data)];
+        }
+        const migrator = VIB3PresetSchema.migrators.find(m => m.detect(data));
+        return migrator ? migrator.migrate(data, options) : [data];
+    }
+
+    /**
+     * One line per error, e.g. "params.u_dimension: expected number, got string".
+     * @param {Array<{path: string, message: string}>} errors
+     * @returns {string}
+     */
+    static formatErrors(errors) {
+        return errors.map(error => `${error.path || '(preset)'}: ${error.message}`).join('\n');
+    }
+
+    /** Deep copy that keeps NaN/Infinity, so validation can report them instead of a JSON null. */
+    static clone(value) {
+        if (Array.isArray(value)) return value.map(VIB3PresetSchema.clone);
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(key => { copy[key] = VIB3PresetSchema.clone(value[key]); });
+            return copy;
+        }
+        return value;
+    }
+
+    static isMasterShape(value) {
+        return !!value && typeof value === 'object' && ['intensity', 'speed', 'density', 'complexity'].every(key => key in value);
+    }
+
+    /** Legacy shape converters, tried in order on unversioned input. */
+    static get migrators() {
+        const copy = VIB3PresetSchema.clone;
+        return [
+            {
+                // js/PresetManager.js and digital-magazine/js/PresetManager.js presets.json
+                name: 'style-system',
+                detect: data => 'visualStyles' in data || 'interactionPresets' in data,
+                migrate: data => [
+                    ...Object.entries(data.visualStyles || {}).map(([name, style]) => {
+                        const { parameters, ...rest } = copy(style || {});
+                        return { version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualStyle', name, ...rest, params: parameters };
+                    }),
+                    ...Object.entries(data.interactionPresets || {}).map(([name, preset]) => (
+                        { version: VIB3_PRESET_SCHEMA_VERSION, type: 'interaction', name, ...copy(preset || {}) }
+                    ))
+                ]
+            },
+            {
+                // config/presets.js built-ins and user presets saved before versioning
+                name: 'hypercube',
+                detect: data => 'params' in data && !VIB3PresetSchema.isMasterShape(data.params),
+                migrate: data => [{ version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualizer', ...copy(data) }]
+            },
+            {
+                // VIB3HomeMaster: a single { intensity, speed, density, complexity } ...
+                name: 'home-master',
+                detect: data => VIB3PresetSchema.isMasterShape(data),
+                migrate: (data, options) => {
+                    const { name, description, ...params } = copy(data);
+                    const preset = { version: VIB3_PRESET_SCHEMA_VERSION, type: 'master', name: name || options.name, params };
+                    if (description !== undefined) preset.description = description;
+                    return [preset];
+                }
+            },
+            {
+                // ... or a name -> values map of them
+                name: 'home-master-map',
+                detect: data => Object.keys(data).length > 0 && Object.values(data).every(VIB3PresetSchema.isMasterShape),
+                migrate: data => Object.entries(data).map(([name, values]) => (
+                    { version: VIB3_PRESET_SCHEMA_VERSION, type: 'master', name, params: copy(values) }
+                ))
+            }
+        ];
+    }
+
+    // --- Minimal JSON Schema (draft-07 subset) checker for the keywords VIB3_PRESET_SCHEMA uses ---
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+        return typeof value;
+    }
+
+    static joinPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    static resolve(schema) {
+        if (!schema.$ref) return schema;
+        return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], VIB3_PRESET_SCHEMA);
+    }
+
+    static check(schemaOrRef, value, path, errors) {
+        const schema = VIB3PresetSchema.resolve(schemaOrRef);
+        const actual = VIB3PresetSchema.typeOf(value);
+
+        if (schema.type) {
+            const allowed = [].concat(schema.type);
+            const matches = allowed.some(type => type === actual || (type === 'integer' && actual === 'number' && Number.isInteger(value)));
+            if (!matches) { errors.push({ path, message: `expected ${allowed.join(' or ')}, got ${actual}` }); return; }
+        }
+        if ('const' in schema && value !== schema.const) {
+            errors.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+            return;
+        }
+        if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (actual === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, index) => VIB3PresetSchema.check(schema.items, item, VIB3PresetSchema.joinPath(path, index), errors));
+        }
+        if (actual === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push({ path: VIB3PresetSchema.joinPath(path, key), message: 'is required' });
+            });
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                const childPath = VIB3PresetSchema.joinPath(path, key);
+                if (properties[key]) VIB3PresetSchema.check(properties[key], value[key], childPath, errors);
+                else if (schema.additionalProperties === false) errors.push({ path: childPath, message: 'is not allowed' });
+                else if (schema.additionalProperties) VIB3PresetSchema.check(schema.additionalProperties, value[key], childPath, errors);
+            });
+        }
+        (schema.allOf || []).forEach(branch => {
+            if (branch.if) {
+                const conditionErrors = [];
+                VIB3PresetSchema.check(branch.if, value, path, conditionErrors);
+                if (conditionErrors.length === 0 && branch.then) VIB3PresetSchema.check(branch.then, value, path, errors);
+            } else {
+                VIB3PresetSchema.check(branch, value, path, errors);
+            }
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB3_PRESET_SCHEMA_VERSION = VIB3_PRESET_SCHEMA_VERSION;
+    window.VIB3_PRESET_SCHEMA = VIB3_PRESET_SCHEMA;
+    window.VIB3PresetSchema = VIB3PresetSchema;
+}
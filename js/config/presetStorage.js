@@ -0,0 +1,424 @@
+/**
+ * Storage backends for PresetManager's user presets.
+ *
+ * Every adapter implements the same asynchronous interface:
+ *   list()                               -> { presets: Array<object>, revisions: { [name]: number } }
+ *   put(preset, expectedRevision)        -> new revision (number)
+ *   remove(name, expectedRevision)       -> undefined
+ *   syncKey                              -> string shared by every tab using the same store, or null
+ *
+ * Each stored preset has a revision number that starts at 1 and goes up by one on every write.
+ * `expectedRevision` is the revision the caller last read (0 for a preset it believes is new); when the
+ * store holds a different revision, the write is refused with a VIB3PresetStorageError of code 'conflict',
+ * so a stale tab cannot overwrite a newer preset. Presets come back from list() unvalidated; PresetManager
+ * migrates and validates them like any other input.
+ *
+ * Load this file before config/presets.js.
+ */
+const VIB3_PRESET_STORAGE_KEY = 'hyperAV_userPresets';
+
+class VIB3PresetStorageError extends Error {
+    /**
+     * @param {string} code - 'conflict', 'quota', 'unavailable' or 'request'.
+     * @param {string} message
+     * @param {object} [details] - For conflicts: { presetName, expectedRevision, actualRevision }.
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'VIB3PresetStorageError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+
+    static conflict(name, expectedRevision, actualRevision) {
+        return new VIB3PresetStorageError('conflict',
+            `Preset "${name}" is at revision ${actualRevision} in storage, expected ${expectedRevision}.`,
+            { presetName: name, expectedRevision, actualRevision });
+    }
+
+    /** True for the browsers' various quota exceptions (DOMException code 22 / 1014, or by name). */
+    static isQuotaError(error) {
+        return !!error && (error.code === 22 || error.code === 1014 || error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+}
+
+/**
+ * Base for stores that keep all presets in one document:
+ *   { version, presets: [...], revisions: { [name]: number } }
+ * Documents written before revisions existed (including the unversioned array format) read as revision 1.
+ * Subclasses implement readDocument() and writeDocument(collection).
+ */
+class VIB3DocumentPresetStorage {
+    constructor() {
+        this.syncKey = null;
+    }
+
+    /** @returns {Promise<object|Array|null>} */
+    async readDocument() {
+        throw new Error(`${this.constructor.name}: readDocument() is not implemented.`);
+    }
+
+    /** @param {object} collection - Document to store, in the shape above. */
+    async writeDocument(collection) {
+        throw new Error(`${this.constructor.name}: writeDocument() is not implemented.`);
+    }
+
+    /** Normalizes whatever readDocument() returned to the current document shape. */
+    async readNormalized() {
+        const stored = await this.readDocument();
+        const presets = !stored ? [] : (Array.isArray(stored) ? stored : (Array.isArray(stored.presets) ? stored.presets : []));
+        const revisions = {};
+        presets.forEach(preset => {
+            if (!preset || typeof preset.name !== 'string') return;
+            const revision = stored && stored.revisions ? stored.revisions[preset.name] : undefined;
+            revisions[preset.name] = Number.isInteger(revision) && revision > 0 ? revision : 1;
+        });
+        return { version: VIB3_PRESET_SCHEMA_VERSION, presets, revisions };
+    }
+
+    async list() {
+        const { presets, revisions } = await this.readNormalized();
+        return { presets, revisions };
+    }
+
+    async put(preset, expectedRevision = 0) {
+        const collection = await this.readNormalized();
+        const actual = collection.revisions[preset.name] || 0;
+        if (actual !== expectedRevision) throw VIB3PresetStorageError.conflict(preset.name, expectedRevision, actual);
+        const index = collection.presets.findIndex(p => p && p.name === preset.name);
+        if (index !== -1) collection.presets[index] = preset;
+        else collection.presets.push(preset);
+        collection.revisions[preset.name] = actual + 1;
+        await this.writeDocument(collection);
+        return actual + 1;
+    }
+
+    async remove(name, expectedRevision) {
+        const collection = await this.readNormalized();
+        const actual = collection.revisions[name] || 0;
+        if (actual === 0) return;
+        if (actual !== expectedRevision) throw VIB3PresetStorageError.conflict(name, expectedRevision, actual);
+        collection.presets = collection.presets.filter(p => !p || p.name !== name);
+        delete collection.revisions[name];
+        await this.writeDocument(collection);
+    }
+}
+
+/**
+ * localStorage under one key (the historic 'hyperAV_userPresets' by default). A full quota is reported as a
+ * VIB3PresetStorageError with code 'quota' and leaves the stored document unchanged.
+ */
+class VIB3LocalPresetStorage extends VIB3DocumentPresetStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.key='hyperAV_userPresets']
+     * @param {Storage} [options.storage=localStorage]
+     */
+    constructor(options = {}) {
+        super();
+        this.key = options.key || VIB3_PRESET_STORAGE_KEY;
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.syncKey = `localStorage:${this.key}`;
+    }
+
+    async readDocument() {
+        if (!this.storage) throw new VIB3PresetStorageError('unavailable', 'localStorage is not available.');
+        const stored = this.storage.getItem(this.key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async writeDocument(collection) {
+        if (!this.storage) throw new VIB3PresetStorageError('unavailable', 'localStorage is not available.');
+        try {
+            this.storage.setItem(this.key, JSON.stringify(collection));
+        } catch (e) {
+            if (VIB3PresetStorageError.isQuotaError(e)) {
+                throw new VIB3PresetStorageError('quota', `localStorage quota exceeded while saving ${collection.presets.length} preset(s).`);
+            }
+            throw e;
+        }
+    }
+}
+
+/**
+ * IndexedDB, one record per preset ({ name, preset, revision } keyed by name). Revision checks and writes run
+ * in a single readwrite transaction, so they are atomic across tabs.
+ */
+class VIB3IndexedDBPresetStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.databaseName='vib3-presets']
+     * @param {string} [options.storeName='userPresets']
+     * @param {IDBFactory} [options.indexedDB=indexedDB]
+     */
+    constructor(options = {}) {
+        this.databaseName = options.databaseName || 'vib3-presets';
+        this.storeName = options.storeName || 'userPresets';
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.syncKey = `indexedDB:${this.databaseName}/${this.storeName}`;
+        this.databasePromise = null;
+    }
+
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    openDatabase() {
+        if (!this.factory) return Promise.reject(new VIB3PresetStorageError('unavailable', 'IndexedDB is not available.'));
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'name' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => { this.databasePromise = null; reject(request.error); };
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Runs `work(store)` in one transaction and resolves with its result once the transaction commits.
+     */
+    async transact(mode, work) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            let result;
+            let failure = null;
+            transaction.oncomplete = () => (failure ? reject(failure) : resolve(result));
+            transaction.onabort = () => {
+                const error = failure || transaction.error;
+                reject(VIB3PresetStorageError.isQuotaError(error) ? new VIB3PresetStorageError('quota', 'IndexedDB quota exceeded.') : error);
+            };
+            Promise.resolve(work(transaction.objectStore(this.storeName))).then(value => { result = value; }, error => {
+                failure = error;
+                transaction.abort();
+            });
+        });
+    }
+
+    async list() {
+        const records = await this.transact('readonly', store => VIB3IndexedDBPresetStorage.promisify(store.getAll()));
+        const revisions = {};
+        records.forEach(record => { revisions[record.name] = record.revision; });
+        return { presets: records.map(record => record.preset), revisions };
+    }
+
+    async put(preset, expectedRevision = 0) {
+        return this.transact('readwrite', async store => {
+            const record = await VIB3IndexedDBPresetStorage.promisify(store.get(preset.name));
+            const actual = record ? record.revision : 0;
+            if (actual !== expectedRevision) throw VIB3PresetStorageError.conflict(preset.name, expectedRevision, actual);
+            await VIB3IndexedDBPresetStorage.promisify(store.put({ name: preset.name, preset, revision: actual + 1 }));
+            return actual + 1;
+        });
+    }
+
+    async remove(name, expectedRevision) {
+        return this.transact('readwrite', async store => {
+            const record = await VIB3IndexedDBPresetStorage.promisify(store.get(name));
+            if (!record) return;
+            if (record.revision !== expectedRevision) throw VIB3PresetStorageError.conflict(name, expectedRevision, record.revision);
+            await VIB3IndexedDBPresetStorage.promisify(store.delete(name));
+        });
+    }
+}
+
+/**
+ * A JSON file the user downloads and uploads. Presets live in memory between upload() and download();
+ * nothing is shared between tabs, so syncKey is null.
+ */
+class VIB3FilePresetStorage extends VIB3DocumentPresetStorage {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.fileName='vib3-presets.json']
+     */
+    constructor(options = {}) {
+        super();
+        this.fileName = options.fileName || 'vib3-presets.json';
+        this.collection = null;
+    }
+
+    async readDocument() {
+        return this.collection;
+    }
+
+    async writeDocument(collection) {
+        this.collection = collection;
+    }
+
+    /**
+     * Replaces the in-memory presets with a file's contents (current, revisioned or legacy format).
+     * @param {Blob|string} file - A File from an <input type="file">, or the JSON text.
+     */
+    async upload(file) {
+        const text = typeof file === 'string' ? file : await file.text();
+        this.collection = JSON.parse(text);
+        return this.list();
+    }
+
+    /**
+     * Saves the presets as a .json file through a temporary download link.
+     * @returns {string} The JSON written.
+     */
+    async download(fileName = this.fileName) {
+        const json = JSON.stringify(await this.readNormalized(), null, 2);
+        if (typeof document !== 'undefined' && typeof Blob !== 'undefined' && typeof URL !== 'undefined') {
+            const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+        return json;
+    }
+}
+
+/**
+ * A REST endpoint. Protocol (any server, or a local mock, can implement it):
+ *   GET    {url}          -> 200 { presets: [...], revisions: { [name]: number } }
+ *   PUT    {url}/{name}   body { preset, expectedRevision }   -> 200 { revision } | 409 { revision: actual }
+ *   DELETE {url}/{name}   body { expectedRevision }           -> 204 | 409 { revision: actual }
+ * The expected revision is also sent as an If-Match header ("<revision>") for servers that prefer it;
+ * 412 is treated like 409.
+ */
+class VIB3RestPresetStorage {
+    /**
+     * @param {object} options
+     * @param {string} options.url - Collection URL, e.g. 'http://localhost:8787/presets'.
+     * @param {object} [options.headers] - Extra headers (e.g. Authorization).
+     * @param {function} [options.fetch=fetch]
+     */
+    constructor(options = {}) {
+        if (!options.url) throw new Error('VIB3RestPresetStorage: options.url is required.');
+        this.url = options.url.replace(/\/+$/, '');
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(typeof window !== 'undefined' ? window : undefined) : null);
+        this.syncKey = `rest:${this.url}`;
+    }
+
+    async request(method, path, body, expectedRevision) {
+        if (!this.fetch) throw new VIB3PresetStorageError('unavailable', 'fetch is not available.');
+        const headers = { Accept: 'application/json', ...this.headers };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (expectedRevision !== undefined) headers['If-Match'] = `"${expectedRevision}"`;
+        const response = await this.fetch(this.url + path, { method, headers, body: body !== undefined ? JSON.stringify(body) : undefined });
+        const text = await response.text();
+        let data = null;
+        try { data = text ? JSON.parse(text) : null; } catch (e) {
+            if (response.ok) throw new VIB3PresetStorageError('request', `${method} ${this.url + path} returned invalid JSON.`);
+        }
+        return { status: response.status, ok: response.ok, data };
+    }
+
+    async list() {
+        const { ok, status, data } = await this.request('GET', '');
+        if (!ok) throw new VIB3PresetStorageError('request', `GET ${this.url} failed with status ${status}.`);
+        return { presets: (data && data.presets) || [], revisions: (data && data.revisions) || {} };
+    }
+
+    async put(preset, expectedRevision = 0) {
+        const path = `/${encodeURIComponent(preset.name)}`;
+        const { ok, status, data } = await this.request('PUT', path, { preset, expectedRevision }, expectedRevision);
+        if (status === 409 || status === 412) throw VIB3PresetStorageError.conflict(preset.name, expectedRevision, data && data.revision);
+        if (status === 413 || status === 507) throw new VIB3PresetStorageError('quota', `PUT ${this.url + path} was refused as too large (status ${status}).`);
+        if (!ok) throw new VIB3PresetStorageError('request', `PUT ${this.url + path} failed with status ${status}.`);
+        return data && Number.isInteger(data.revision) ? data.revision : expectedRevision + 1;
+    }
+
+    async remove(name, expectedRevision) {
+        const path = `/${encodeURIComponent(name)}`;
+        const { ok, status, data } = await this.request('DELETE', path, { expectedRevision }, expectedRevision);
+        if (status === 409 || status === 412) throw VIB3PresetStorageError.conflict(name, expectedRevision, data && data.revision);
+        if (!ok && status !== 404) throw new VIB3PresetStorageError('request', `DELETE ${this.url + path} failed with status ${status}.`);
+    }
+}
+
+/**
+ * In-memory implementation of the REST protocol above, for trying VIB3RestPresetStorage without a backend:
+ *   const server = new VIB3MockPresetServer();
+ *   const storage = new VIB3RestPresetStorage({ url: 'http://localhost:8787/presets', fetch: server.fetch });
+ * mock-preset-server.js serves the same mock over HTTP (and `node mock-preset-server.js --check` exercises
+ * revisions and conflicts). Writes are checked against the If-Match header, or the body's expectedRevision without one.
+ */
+class VIB3MockPresetServer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.basePath='/presets'] - Path of the collection; requests elsewhere get 404.
+     */
+    constructor(options = {}) {
+        this.basePath = (options.basePath || '/presets').replace(/\/+$/, '');
+        this.records = new Map(); // name -> { preset, revision }
+        this.fetch = (url, init = {}) => Promise.resolve(this.respond(url, init));
+    }
+
+    /** fetch()-compatible: returns a minimal Response ({ status, ok, text() }). */
+    respond(url, init = {}) {
+        const headers = {};
+        Object.entries(init.headers || {}).forEach(([key, value]) => { headers[key.toLowerCase()] = value; });
+        let body = null;
+        try { body = init.body ? JSON.parse(init.body) : null; } catch (e) { body = undefined; }
+        const pathname = new URL(url, 'http://localhost').pathname;
+        const { status, body: responseBody } = body === undefined
+            ? { status: 400, body: { error: 'Invalid JSON body' } }
+            : this.handle(init.method || 'GET', pathname, headers, body);
+        return { status, ok: status >= 200 && status < 300, text: async () => (responseBody === null ? '' : JSON.stringify(responseBody)) };
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} pathname - e.g. '/presets' or '/presets/calm'.
+     * @param {object} [headers] - Lower-case names.
+     * @param {object|null} [body]
+     * @returns {{status: number, body: object|null}}
+     */
+    handle(method, pathname, headers = {}, body = null) {
+        if (pathname !== this.basePath && !pathname.startsWith(`${this.basePath}/`)) return { status: 404, body: { error: 'Not found' } };
+        const name = decodeURIComponent(pathname.slice(this.basePath.length + 1));
+
+        if (!name) {
+            if (method !== 'GET') return { status: 405, body: { error: 'Method not allowed' } };
+            const presets = [], revisions = {};
+            this.records.forEach((record, key) => { presets.push(record.preset); revisions[key] = record.revision; });
+            return { status: 200, body: { presets, revisions } };
+        }
+
+        const record = this.records.get(name);
+        const actual = record ? record.revision : 0;
+        const ifMatch = headers['if-match'] !== undefined ? Number(String(headers['if-match']).replace(/"/g, '')) : undefined;
+        const expected = ifMatch !== undefined ? ifMatch : (body ? body.expectedRevision : undefined);
+
+        if (method === 'PUT') {
+            if (!body || !body.preset || body.preset.name !== name) return { status: 400, body: { error: 'Expected { preset } named like the URL' } };
+            if (expected !== actual) return { status: 409, body: { revision: actual } };
+            this.records.set(name, { preset: body.preset, revision: actual + 1 });
+            return { status: 200, body: { revision: actual + 1 } };
+        }
+        if (method === 'DELETE') {
+            if (!record) return { status: 404, body: { error: 'Not found' } };
+            if (expected !== actual) return { status: 409, body: { revision: actual } };
+            this.records.delete(name);
+            return { status: 204, body: null };
+        }
+        return { status: 405, body: { error: 'Method not allowed' } };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB3_PRESET_STORAGE_KEY = VIB3_PRESET_STORAGE_KEY;
+    window.VIB3PresetStorageError = VIB3PresetStorageError;
+    window.VIB3DocumentPresetStorage = VIB3DocumentPresetStorage;
+    window.VIB3LocalPresetStorage = VIB3LocalPresetStorage;
+    window.VIB3IndexedDBPresetStorage = VIB3IndexedDBPresetStorage;
+    window.VIB3FilePresetStorage = VIB3FilePresetStorage;
+    window.VIB3RestPresetStorage = VIB3RestPresetStorage;
+    window.VIB3MockPresetServer = VIB3MockPresetServer;
+}
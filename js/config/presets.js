@@ -4,11 +4,14 @@ const VIB3_PRESETS_EXPANDED = [
         name: "Dimensional Blueprint (Hypercube)",
         geometry: 'hypercube',
         projection: 'orthographic',
+        palette: 'monochrome',
         params: {
             u_dimension: 4.0, u_gridDensity: 12.0, u_lineThickness: 0.005, u_rotationSpeed: 0.05,
             u_patternIntensity: 1.0, u_colorShift: 0.0, u_universeModifier: 1.0, u_morphFactor: 0.0,
             u_glitchIntensity: 0.0, u_shellWidth: 0.05, u_tetraThickness: 0.02,
-            u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0
+            u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0,
+            // Single-plane XW turn, tilted in XY so the inner cube stays readable.
+            u_rotXYSpeed: 0.0, u_rotXYPhase: 0.4, u_rotXWSpeed: 1.0, u_rotYWSpeed: 0.0, u_rotZWSpeed: 0.0
         }
     },
     {
@@ -141,6 +144,7 @@ const VIB3_PRESETS_EXPANDED = [
     },
     {
         name: "Glitch Storm (Torus + Glitch)",
+        palette: 'vaporwave',
         geometry: 'torus',
         projection: 'perspective',
         params: {
@@ -149,7 +153,16 @@ const VIB3_PRESETS_EXPANDED = [
             u_glitchIntensity: 0.15,
             u_shellWidth: 0.05, u_tetraThickness: 0.02,
             u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0
-        }
+        },
+        // Any click glitches (not just rhythmic ones), and hard scroll flicks snap the grid.
+        mappings: [
+            { id: 'click-glitchIntensity', sourceInteractionPath: ['clickHold', 'intensity'], targetParameter: 'u_glitchIntensity',
+              curve: 'exp', exponent: 0.5, scale: 0.15, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 0.15 } },
+            { id: 'scroll-gridDensity', sourceInteractionPath: ['scroll', 'intensity'], targetParameter: 'u_gridDensity',
+              curve: 'step', threshold: 0.6, scale: 10.0, offset: 0.0, blend: 'add', clamp: { min: 1.0, max: 25.0 } },
+            { id: 'high-rotationSpeed', sourceInteractionPath: ['audioHigh'], targetParameter: 'u_rotationSpeed',
+              curve: 'linear', scale: 1.5, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 3.0 } }
+        ]
     },
     {
         name: "Warp Speed (Hypersphere + Fast Rotate)",
@@ -159,7 +172,9 @@ const VIB3_PRESETS_EXPANDED = [
             u_dimension: 3.0, u_gridDensity: 10.0, u_lineThickness: 0.003, u_rotationSpeed: 3.0,
             u_patternIntensity: 0.5, u_colorShift: 0.3, u_universeModifier: 0.6, u_morphFactor: 1.0,
             u_glitchIntensity: 0.02, u_shellWidth: 0.02, u_tetraThickness: 0.02,
-            u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0
+            u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0,
+            // Double rotation (XW + YZ at equal speed) for an isoclinic tumble.
+            u_rotXWSpeed: 0.8, u_rotYZSpeed: 0.8, u_rotYWSpeed: 0.0, u_rotZWSpeed: 0.0
         }
     },
     {
@@ -196,7 +211,16 @@ const VIB3_PRESETS_EXPANDED = [
             u_patternIntensity: 2.0, u_colorShift: 0.7, u_universeModifier: 1.2, u_morphFactor: 0.1,
             u_glitchIntensity: 0.0, u_shellWidth: 0.01, u_tetraThickness: 0.01,
             u_audioBass: 0, u_audioMid: 0, u_audioHigh: 0
-        }
+        },
+        // Barely reacts: soft response curves, no glitching, deep calm when idle.
+        mappings: [
+            { id: 'mid-morphFactor', sourceInteractionPath: ['audioMid'], targetParameter: 'u_morphFactor',
+              curve: 'smoothstep', edges: [0.2, 1.0], scale: 0.4, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 1.5 } },
+            { id: 'idle-patternIntensity', sourceInteractionPath: ['idle', 'decayFactor'], targetParameter: 'u_patternIntensity',
+              curve: 'linear', scale: 0.7, offset: 0.3, blend: 'multiply', clamp: { min: 0.1, max: 3.0 } },
+            { id: 'mouseX-colorShift', sourceInteractionPath: ['mouseMovement', 'normalizedX'], targetParameter: 'u_colorShift',
+              curve: 'linear', scale: 0.4, offset: -0.2, blend: 'add', clamp: { min: -1.0, max: 1.0 } }
+        ]
     },
     {
         name: "Foggy Morning (Wave)",
@@ -526,32 +550,86 @@ const VIB3_PRESETS_EXPANDED = [
     // --- End of 32 New Presets ---
 ];
 
+/**
+ * PresetManager for HypercubeCore. Every preset passes through VIB3PresetSchema: legacy presets (like the
+ * unversioned built-ins above) are migrated to the current version, and invalid ones are rejected with
+ * their error paths instead of reaching the shaders.
+ *
+ * It can also generate presets: randomize() draws every slider from its getCoreParametersSchema() range,
+ * mutate() perturbs a preset, and breed() crosses two presets over. Each takes an optional integer seed, and
+ * the same seed and inputs always give the same preset. Generated presets carry `parents` (names) and `seed`,
+ * which are kept when they are saved.
+ *
+ * User presets persist through a storage adapter (config/presetStorage.js; localStorage by default). Writes are
+ * queued and revision-checked, so a tab holding a stale copy gets a conflict instead of overwriting a newer
+ * preset. Tabs sharing a store stay in sync through a BroadcastChannel. Subscribe with addStorageListener().
+ *
+ * getShareUrl() packs the current settings into a VIB3PresetCode link ("...#preset=<code>");
+ * loadPresetFromCode() restores one (HypercubeCore does this for location.hash on startup).
+ */
 class PresetManager {
-    constructor(coreInstance, initialPresets = []) {
+    /**
+     * @param {HypercubeCore} coreInstance
+     * @param {Array<object>} [initialPresets] - Built-in presets.
+     * @param {object} [options]
+     * @param {object|null} [options.storage] - Storage adapter; defaults to VIB3LocalPresetStorage, null disables persistence.
+     * @param {boolean} [options.sync=true] - Reload when another tab changes the same store.
+     */
+    constructor(coreInstance, initialPresets = [], options = {}) {
         this.core = coreInstance;
-        this.presets = [...initialPresets]; // Built-in presets
+        this.presets = this.acceptPresets(initialPresets, 'built-in'); // Built-in presets
         this.userPresets = []; // For presets saved by the user via dashboard
+        this.generatedPresets = new Map(); // Unsaved presets from randomize/mutate/breed this session, by name
+        this.activePreset = null; // Last preset applied through this manager; source of a saved preset's lineage
+
+        this.userPresetRevisions = new Map(); // name -> revision last read from or written to storage
+        this.storageListeners = [];
+        this.storeQueue = Promise.resolve(); // Serializes storage writes so revisions advance in order
+        this.instanceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.syncChannel = null;
+        this.boundSyncMessage = this.handleSyncMessage.bind(this);
+        this.storage = null;
+        const storage = options.storage !== undefined ? options.storage
+            : (typeof VIB3LocalPresetStorage !== 'undefined' ? new VIB3LocalPresetStorage() : null);
+        this.setStorage(storage, { sync: options.sync !== false, load: false });
+    }
+
+    /**
+     * Migrates and validates presets, logging every rejected one.
+     * @param {object|Array|string} input - Anything VIB3PresetSchema.load() accepts.
+     * @param {string} label - Origin used in log messages.
+     * @returns {Array<object>} The valid, current-version presets.
+     */
+    acceptPresets(input, label) {
+        const { presets, rejected } = VIB3PresetSchema.load(input, { type: 'visualizer' });
+        rejected.forEach(({ name, errors }) => {
+            console.error(`PresetManager: Rejected ${label} preset "${name}":\n${VIB3PresetSchema.formatErrors(errors)}`);
+        });
+        return presets;
     }
 
     addPreset(presetObject, isUserPreset = false) {
-        if (!presetObject || !presetObject.name || !presetObject.params) {
-            console.error("PresetManager: Invalid preset object provided.", presetObject);
-            return;
-        }
+        const [preset] = this.acceptPresets(presetObject, isUserPreset ? 'user' : 'built-in');
+        if (!preset) return null;
         if (isUserPreset) {
             // Could add checks for duplicate names if desired
-            this.userPresets.push(presetObject);
+            this.userPresets.push(preset);
         } else {
-            this.presets.push(presetObject); // For adding more built-in ones dynamically
+            this.presets.push(preset); // For adding more built-in ones dynamically
         }
         // In a real UI, an event would be dispatched here to update the dashboard's preset list.
-        console.log(`PresetManager: Added ${isUserPreset ? 'user' : 'built-in'} preset "${presetObject.name}".`);
+        console.log(`PresetManager: Added ${isUserPreset ? 'user' : 'built-in'} preset "${preset.name}".`);
+        return preset;
     }
 
-    loadPresetByName(name) {
+    /**
+     * @param {string} name
+     * @param {object} [options] - Passed to HypercubeCore.loadPreset, e.g. { duration: 1.5, easing: 'easeInOutCubic' }.
+     */
+    loadPresetByName(name, options = {}) {
         let preset = this.userPresets.find(p => p.name === name) || this.presets.find(p => p.name === name);
         if (preset) {
-            this.core.loadPreset(preset); // Call HypercubeCore's method
+            if (this.core.loadPreset(preset, options) !== false) this.activePreset = preset; // Call HypercubeCore's method
         } else {
             console.warn(`PresetManager: Preset named "${name}" not found.`);
         }
@@ -562,7 +640,8 @@ class PresetManager {
             name = `User Preset ${this.userPresets.length + 1}`;
         }
         const currentSettings = this.core.getCurrentSettingsAsPreset();
-        const userPreset = { ...currentSettings, name: name.trim() };
+        const [userPreset] = this.acceptPresets({ ...currentSettings, ...this.getActiveLineage(), name: name.trim() }, 'user');
+        if (!userPreset) return null;
 
         // Avoid duplicate names for user presets
         if (this.userPresets.some(p => p.name === userPreset.name)) {
@@ -571,12 +650,246 @@ class PresetManager {
         }
 
         this.userPresets.push(userPreset);
-        this.storeUserPresetsToLocalStorage(); // Persist
+        this.storeUserPresets([userPreset]); // Persist in the background; conflicts reach the storage listeners
         console.log("PresetManager: Saved user preset:", userPreset);
         // In a real UI, an event would be dispatched here to update the dashboard's preset list.
         return userPreset;
     }
 
+    /**
+     * Lineage recorded when the current settings are saved. A generated preset passes on its own parents and
+     * seed (the saved preset is that preset, possibly tweaked); any other preset becomes the single parent.
+     * @returns {{parents: Array<string>, seed: number|null}}
+     */
+    getActiveLineage() {
+        const active = this.activePreset;
+        if (!active) return { parents: [], seed: null };
+        if (typeof active.seed === 'number') return { parents: [...(active.parents || [])], seed: active.seed };
+        return { parents: [active.name], seed: null };
+    }
+
+    // --- Generation ---
+
+    /**
+     * Deterministic PRNG (mulberry32).
+     * @param {number} seed - Unsigned 32-bit integer.
+     * @returns {function(): number} Returns floats in [0, 1).
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static resolveSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : Math.floor(Math.random() * 4294967296);
+    }
+
+    /** Clamps to the schema range and rounds to its step. */
+    static quantize(value, param) {
+        const clamped = Math.max(param.min, Math.min(param.max, value));
+        if (!param.step) return clamped;
+        const decimals = (param.step.toString().split('.')[1] || '').length;
+        const stepped = param.min + Math.round((clamped - param.min) / param.step) * param.step;
+        return Number(Math.max(param.min, Math.min(param.max, stepped)).toFixed(decimals));
+    }
+
+    /**
+     * Random value for one schema entry. Toggles return undefined (they follow the geometry, not the dice).
+     * @param {object} param - getCoreParametersSchema() entry.
+     * @param {function(): number} random
+     */
+    static randomValue(param, random) {
+        if (param.type === 'slider') return PresetManager.quantize(param.min + random() * (param.max - param.min), param);
+        if (param.type === 'vec3') {
+            // Uniform direction on the unit sphere
+            const z = random() * 2 - 1, angle = random() * Math.PI * 2, r = Math.sqrt(1 - z * z);
+            return [r * Math.cos(angle), r * Math.sin(angle), z].map(v => Number(v.toFixed(3)));
+        }
+        if (param.type === 'color') return [random(), random(), random()].map(v => Number(v.toFixed(3)));
+        return undefined;
+    }
+
+    /**
+     * Perturbs one value by up to `amount` of the schema range (or of unit length for vectors/colors).
+     */
+    static mutateValue(value, param, amount, random) {
+        const jitter = () => (random() * 2 - 1) * amount;
+        if (param.type === 'slider' && typeof value === 'number') {
+            return PresetManager.quantize(value + jitter() * (param.max - param.min), param);
+        }
+        if (param.type === 'vec3' && Array.isArray(value)) {
+            const moved = value.map(v => v + jitter());
+            const length = Math.hypot(...moved) || 1;
+            return moved.map(v => Number((v / length).toFixed(3)));
+        }
+        if (param.type === 'color' && Array.isArray(value)) {
+            return value.map(v => Number(Math.max(0, Math.min(1, v + jitter())).toFixed(3)));
+        }
+        return value;
+    }
+
+    static seedLabel(seed) {
+        return seed.toString(16).padStart(8, '0');
+    }
+
+    /** Validates a generated preset and remembers it for lineage saving. */
+    registerGeneratedPreset(preset) {
+        const [accepted] = this.acceptPresets(preset, 'generated');
+        if (accepted) this.generatedPresets.set(accepted.name, accepted);
+        return accepted || null;
+    }
+
+    /**
+     * Creates a random preset with every slider drawn from its schema range.
+     * @param {object} [options]
+     * @param {number} [options.seed] - Unsigned 32-bit integer; random if omitted.
+     * @param {string} [options.name]
+     * @returns {object|null} The preset (not applied; see applyPreset).
+     */
+    randomize(options = {}) {
+        const seed = PresetManager.resolveSeed(options.seed);
+        const random = PresetManager.createRandom(seed);
+        const geometries = this.core.getAvailableGeometries();
+        const projections = this.core.getAvailableProjections();
+        const params = {};
+        this.core.getCoreParametersSchema().forEach(param => {
+            const value = PresetManager.randomValue(param, random);
+            if (value !== undefined) params[param.name] = value;
+        });
+        return this.registerGeneratedPreset({
+            version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualizer',
+            name: options.name || `Random ${PresetManager.seedLabel(seed)}`,
+            geometry: geometries[Math.floor(random() * geometries.length)],
+            projection: projections[Math.floor(random() * projections.length)],
+            params, parents: [], seed
+        });
+    }
+
+    /**
+     * Creates a variation of a preset. Every schema parameter moves by up to `amount` of its range;
+     * with probability amount / 4 the geometry and, separately, the projection are swapped too.
+     * @param {object} preset - Parent preset (for the current settings, pass getCurrentPresetForGeneration()).
+     * @param {number} [amount=0.2] - 0 (copy) to 1 (anywhere in range).
+     * @param {object} [options] - { seed, name }
+     * @returns {object|null}
+     */
+    mutate(preset, amount = 0.2, options = {}) {
+        const [parent] = this.acceptPresets(preset, 'parent');
+        if (!parent) return null;
+        amount = Math.max(0, Math.min(1, amount));
+        const seed = PresetManager.resolveSeed(options.seed);
+        const random = PresetManager.createRandom(seed);
+        const params = { ...parent.params };
+        this.core.getCoreParametersSchema().forEach(param => {
+            const current = params[param.name] !== undefined ? params[param.name] : param.defaultValue;
+            const value = PresetManager.mutateValue(current, param, amount, random);
+            if (value !== undefined && param.type !== 'toggle') params[param.name] = value;
+        });
+        const geometries = this.core.getAvailableGeometries();
+        const projections = this.core.getAvailableProjections();
+        const swapGeometry = random() < amount / 4, geometryPick = random();
+        const swapProjection = random() < amount / 4, projectionPick = random();
+        const child = {
+            ...parent,
+            name: options.name || `${parent.name} ~${PresetManager.seedLabel(seed)}`,
+            params, parents: [parent.name], seed
+        };
+        if (swapGeometry) { child.geometry = geometries[Math.floor(geometryPick * geometries.length)]; delete child.geometryParams; }
+        if (swapProjection) { child.projection = projections[Math.floor(projectionPick * projections.length)]; delete child.projectionParams; }
+        return this.registerGeneratedPreset(child);
+    }
+
+    /**
+     * Crosses two presets over: each parameter, the geometry (with its geometryParams), the projection,
+     * the mappings and the palette come from one parent or the other with equal chance.
+     * @param {object} presetA
+     * @param {object} presetB
+     * @param {object} [options] - { seed, name }
+     * @returns {object|null}
+     */
+    breed(presetA, presetB, options = {}) {
+        const parents = this.acceptPresets([presetA, presetB], 'parent');
+        if (parents.length !== 2) return null;
+        const [a, b] = parents;
+        const seed = PresetManager.resolveSeed(options.seed);
+        const random = PresetManager.createRandom(seed);
+        const pick = () => (random() < 0.5 ? a : b);
+        const keys = Array.from(new Set([...Object.keys(a.params), ...Object.keys(b.params)])).sort();
+        const params = {};
+        keys.forEach(key => {
+            const source = pick();
+            const value = source.params[key] !== undefined ? source.params[key] : (source === a ? b : a).params[key];
+            params[key] = Array.isArray(value) ? [...value] : value;
+        });
+        const child = { version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualizer', name: options.name || `${a.name} x ${b.name} ${PresetManager.seedLabel(seed)}`, params, parents: [a.name, b.name], seed };
+        const geometrySource = pick();
+        if (geometrySource.geometry) child.geometry = geometrySource.geometry;
+        if (geometrySource.geometryParams) child.geometryParams = JSON.parse(JSON.stringify(geometrySource.geometryParams));
+        const projectionSource = pick();
+        if (projectionSource.projection) child.projection = projectionSource.projection;
+        if (projectionSource.projectionParams) child.projectionParams = JSON.parse(JSON.stringify(projectionSource.projectionParams));
+        const mappingSource = pick();
+        if (mappingSource.mappings) child.mappings = JSON.parse(JSON.stringify(mappingSource.mappings));
+        const paletteSource = pick();
+        if (paletteSource.palette) child.palette = JSON.parse(JSON.stringify(paletteSource.palette));
+        return this.registerGeneratedPreset(child);
+    }
+
+    /**
+     * The current settings as a preset named after the active preset, for use as a mutate/breed parent.
+     * @returns {object}
+     */
+    getCurrentPresetForGeneration() {
+        return { ...this.core.getCurrentSettingsAsPreset(), name: this.activePreset ? this.activePreset.name : 'Current' };
+    }
+
+    /**
+     * Applies any preset (built-in, user or generated) to the core and makes it the active preset.
+     * @param {object} preset
+     * @param {object} [options] - Passed to HypercubeCore.loadPreset.
+     * @returns {boolean}
+     */
+    applyPreset(preset, options = {}) {
+        if (!preset || this.core.loadPreset(preset, options) === false) return false;
+        this.activePreset = preset;
+        return true;
+    }
+
+    /**
+     * Saves the current settings (with the active preset's lineage) plus every unsaved generated ancestor,
+     * so that all parent names in the chain resolve to stored user presets.
+     * @param {string} name - Name for the current settings.
+     * @returns {Array<object>} The presets saved, ancestors first.
+     */
+    saveLineage(name) {
+        const known = name => this.presets.some(p => p.name === name) || this.userPresets.some(p => p.name === name);
+        const ancestors = [];
+        const visit = (parentNames) => {
+            parentNames.forEach(parentName => {
+                const generated = this.generatedPresets.get(parentName);
+                if (!generated || known(parentName) || ancestors.includes(generated)) return;
+                visit(generated.parents || []);
+                ancestors.push(generated);
+            });
+        };
+        visit(this.getActiveLineage().parents);
+
+        ancestors.forEach(preset => {
+            this.userPresets.push(preset);
+            this.generatedPresets.delete(preset.name);
+        });
+        if (ancestors.length > 0) this.storeUserPresets(ancestors);
+        const saved = this.saveCurrentSettingsAsUserPreset(name);
+        console.log(`PresetManager: Saved lineage of ${ancestors.length} ancestor(s)${saved ? ` and "${saved.name}"` : ''}.`);
+        return saved ? [...ancestors, saved] : ancestors;
+    }
+
     getAllPresetNames() {
         // Return built-in presets first, then user presets
         return [
@@ -586,60 +899,264 @@ class PresetManager {
     }
 
     exportUserPresetsToString() {
-        return JSON.stringify(this.userPresets, null, 2);
+        return JSON.stringify({ version: VIB3_PRESET_SCHEMA_VERSION, presets: this.userPresets }, null, 2);
     }
 
+    /**
+     * Imports user presets from JSON (current or legacy format). Presets with the same name are overwritten.
+     * @param {string} jsonString
+     * @returns {{imported: number, rejected: Array<{name: string, errors: Array}>}}
+     */
     importUserPresetsFromString(jsonString) {
-        try {
-            const importedUserPresets = JSON.parse(jsonString);
-            if (Array.isArray(importedUserPresets)) {
-                // Simple merge: add new ones, potentially overwrite if names clash or add logic for that
-                for (const preset of importedUserPresets) {
-                    if (preset && preset.name && preset.params) {
-                        const existingIndex = this.userPresets.findIndex(p => p.name === preset.name);
-                        if (existingIndex !== -1) {
-                            this.userPresets[existingIndex] = preset; // Overwrite
-                        } else {
-                            this.userPresets.push(preset);
-                        }
-                    }
-                }
-                this.storeUserPresetsToLocalStorage();
-                console.log("PresetManager: Imported user presets.");
-                // In a real UI, an event would be dispatched here to update the dashboard's preset list.
+        const { presets, rejected } = VIB3PresetSchema.load(jsonString, { type: 'visualizer' });
+        rejected.forEach(({ name, errors }) => {
+            console.error(`PresetManager: Rejected imported preset "${name}":\n${VIB3PresetSchema.formatErrors(errors)}`);
+        });
+        for (const preset of presets) {
+            const existingIndex = this.userPresets.findIndex(p => p.name === preset.name);
+            if (existingIndex !== -1) {
+                this.userPresets[existingIndex] = preset; // Overwrite
             } else {
-                console.error("PresetManager: Imported presets data is not an array.");
+                this.userPresets.push(preset);
             }
-        } catch (e) {
-            console.error("PresetManager: Error importing user presets.", e);
         }
+        if (presets.length > 0) this.storeUserPresets(presets);
+        console.log(`PresetManager: Imported ${presets.length} user preset(s), rejected ${rejected.length}.`);
+        // In a real UI, an event would be dispatched here to update the dashboard's preset list.
+        return { imported: presets.length, rejected };
     }
 
-    loadUserPresetsFromLocalStorage() {
-        try {
-            const storedPresets = localStorage.getItem('hyperAV_userPresets');
-            if (storedPresets) {
-                this.userPresets = JSON.parse(storedPresets);
-                console.log("PresetManager: Loaded user presets from LocalStorage.");
+    /**
+     * Deletes a user preset locally and from storage.
+     * @param {string} name
+     * @returns {boolean} False if there is no user preset with that name.
+     */
+    deleteUserPreset(name) {
+        const index = this.userPresets.findIndex(p => p.name === name);
+        if (index === -1) return false;
+        this.userPresets.splice(index, 1);
+        if (this.activePreset && this.activePreset.name === name) this.activePreset = null;
+        this.enqueueStorage(async () => {
+            if (!this.storage) return { saved: [], removed: [], conflicts: [], error: null };
+            const revision = this.userPresetRevisions.get(name) || 0;
+            try {
+                await this.storage.remove(name, revision);
+                this.userPresetRevisions.delete(name);
+                this.broadcastChange([name]);
+                return { saved: [], removed: [name], conflicts: [], error: null };
+            } catch (e) {
+                return this.handleStorageFailure(e, { saved: [], removed: [], conflicts: [], error: null });
             }
-        } catch (e) {
-            console.error("PresetManager: Error loading user presets from LocalStorage.", e);
+        });
+        return true;
+    }
+
+    // --- Share codes ---
+
+    /**
+     * @param {object} [preset] - Defaults to the current settings.
+     * @returns {string} Compact URL-safe code (see config/presetCode.js).
+     */
+    encodePresetCode(preset = this.core.getCurrentSettingsAsPreset()) {
+        return VIB3PresetCode.encode(preset, this.core.getCoreParametersSchema());
+    }
+
+    /**
+     * @param {object} [preset] - Defaults to the current settings.
+     * @param {string} [baseUrl] - Defaults to the current page; any existing hash is replaced.
+     * @returns {string} Link that restores the preset when opened.
+     */
+    getShareUrl(preset, baseUrl = typeof location !== 'undefined' ? location.href : '') {
+        return `${baseUrl.split('#')[0]}#preset=${this.encodePresetCode(preset)}`;
+    }
+
+    /**
+     * Finds a preset code in a link, a hash ("#preset=...") or returns bare codes unchanged.
+     * @param {string} text
+     * @returns {string|null}
+     */
+    static extractPresetCode(text) {
+        if (typeof text !== 'string' || !text.trim()) return null;
+        const match = text.match(/[#&?]preset=([A-Za-z0-9_-]+)/);
+        if (match) return match[1];
+        return /^[A-Za-z0-9_-]+$/.test(text.trim()) ? text.trim() : null;
+    }
+
+    /**
+     * Decodes and applies a preset code, link or hash.
+     * @param {string} codeOrUrl
+     * @param {object} [options] - Passed to HypercubeCore.loadPreset, plus `name` for the decoded preset.
+     * @returns {boolean}
+     */
+    loadPresetFromCode(codeOrUrl, options = {}) {
+        const code = PresetManager.extractPresetCode(codeOrUrl);
+        if (!code) { console.warn("PresetManager: No preset code found."); return false; }
+        const { preset, error } = VIB3PresetCode.decode(code, this.core.getCoreParametersSchema(), { name: options.name });
+        if (!preset) { console.warn(`PresetManager: Could not read preset code: ${error}.`); return false; }
+        const [accepted] = this.acceptPresets(preset, 'shared');
+        if (!accepted) return false;
+        const loadOptions = { ...options };
+        delete loadOptions.name;
+        return this.applyPreset(accepted, loadOptions);
+    }
+
+    // --- Storage ---
+
+    /**
+     * Switches the storage backend (see config/presetStorage.js) and, by default, loads its presets.
+     * @param {object|null} storage - Adapter with list/put/remove, or null for no persistence.
+     * @param {object} [options]
+     * @param {boolean} [options.sync=true] - Listen for changes made by other tabs to the same store.
+     * @param {boolean} [options.load=true]
+     * @returns {Promise<boolean>} Resolves once loaded.
+     */
+    setStorage(storage, options = {}) {
+        this.closeSyncChannel();
+        this.storage = storage;
+        this.userPresetRevisions.clear();
+        if (storage && options.sync !== false && storage.syncKey && typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(`vib3-presets:${storage.syncKey}`);
+            this.syncChannel.addEventListener('message', this.boundSyncMessage);
         }
+        return options.load === false ? Promise.resolve(true) : this.loadUserPresets();
+    }
+
+    /**
+     * Replaces the user presets with the stored ones. Writes still queued are applied first.
+     * @returns {Promise<boolean>} False if there is no storage or reading failed.
+     */
+    loadUserPresets() {
+        return this.enqueueStorage(() => this.readUserPresets());
     }
 
-    storeUserPresetsToLocalStorage() {
+    async readUserPresets() {
+        if (!this.storage) return false;
         try {
-            localStorage.setItem('hyperAV_userPresets', JSON.stringify(this.userPresets));
-            console.log("PresetManager: Stored user presets to LocalStorage.");
+            const { presets, revisions } = await this.storage.list();
+            // Presets stored in older formats are migrated here; they are stored in the current format when next written.
+            this.userPresets = this.acceptPresets(presets, 'stored');
+            // Revisions of rejected presets are kept too, so a valid preset can still be saved over one.
+            this.userPresetRevisions = new Map(Object.entries(revisions));
+            if (this.activePreset) this.activePreset = this.userPresets.find(p => p.name === this.activePreset.name) || this.activePreset;
+            console.log(`PresetManager: Loaded ${this.userPresets.length} user preset(s) from storage.`);
+            this.notifyStorageListeners({ type: 'loaded', presets: this.userPresets });
+            return true;
         } catch (e) {
-            console.error("PresetManager: Error storing user presets to LocalStorage.", e);
+            console.error("PresetManager: Error loading user presets from storage.", e);
+            this.notifyStorageListeners({ type: 'error', error: e });
+            return false;
         }
     }
+
+    /**
+     * Writes presets to storage, each checked against the revision this manager last saw. On a conflict the
+     * other writer's version wins: the user presets are reloaded and the refused local presets are reported
+     * (in the result and as a 'conflict' storage event) so they can be saved under another name.
+     * @param {Array<object>} [presets=this.userPresets] - Presets that changed.
+     * @returns {Promise<{saved: Array<string>, removed: Array<string>, conflicts: Array<{name: string, preset: object|null, expectedRevision: number, actualRevision: number}>, error: Error|null}>}
+     */
+    storeUserPresets(presets = this.userPresets) {
+        return this.enqueueStorage(async () => {
+            const result = { saved: [], removed: [], conflicts: [], error: null };
+            if (!this.storage) return result;
+            for (const preset of presets) {
+                const expectedRevision = this.userPresetRevisions.get(preset.name) || 0;
+                try {
+                    this.userPresetRevisions.set(preset.name, await this.storage.put(preset, expectedRevision));
+                    result.saved.push(preset.name);
+                } catch (e) {
+                    if (e && e.code === 'conflict') {
+                        result.conflicts.push({ name: preset.name, preset, expectedRevision, actualRevision: e.actualRevision });
+                        continue;
+                    }
+                    result.error = e;
+                    break;
+                }
+            }
+            if (result.saved.length > 0) {
+                console.log(`PresetManager: Stored ${result.saved.length} user preset(s).`);
+                this.broadcastChange(result.saved);
+            }
+            return this.handleStorageFailure(result.error, result);
+        });
+    }
+
+    /**
+     * Reports a failed write. Conflicts reload the stored presets; quota and other errors keep the local ones.
+     */
+    async handleStorageFailure(error, result) {
+        if (error && error.code === 'conflict') {
+            result.conflicts.push({ name: error.presetName, preset: null, expectedRevision: error.expectedRevision, actualRevision: error.actualRevision });
+        } else if (error) {
+            result.error = error;
+        }
+        if (result.conflicts.length > 0) {
+            console.warn(`PresetManager: ${result.conflicts.length} preset(s) were changed elsewhere and not overwritten: ${result.conflicts.map(c => `"${c.name}"`).join(', ')}.`);
+            await this.readUserPresets();
+            this.notifyStorageListeners({ type: 'conflict', conflicts: result.conflicts });
+        }
+        if (result.error) {
+            const reason = result.error.code === 'quota' ? 'Storage is full' : 'Error storing user presets';
+            console.error(`PresetManager: ${reason}.`, result.error);
+            this.notifyStorageListeners({ type: 'error', error: result.error });
+        } else if (result.saved.length > 0 || result.removed.length > 0) {
+            this.notifyStorageListeners({ type: 'stored', saved: result.saved, removed: result.removed });
+        }
+        return result;
+    }
+
+    /** Runs `task` after every storage operation queued before it. */
+    enqueueStorage(task) {
+        const run = this.storeQueue.then(task);
+        this.storeQueue = run.catch(() => {});
+        return run;
+    }
+
+    broadcastChange(names) {
+        if (this.syncChannel) this.syncChannel.postMessage({ type: 'vib3-presets-changed', source: this.instanceId, names });
+    }
+
+    handleSyncMessage(event) {
+        const message = event.data;
+        if (!message || message.type !== 'vib3-presets-changed' || message.source === this.instanceId) return;
+        this.loadUserPresets().then(loaded => {
+            if (loaded) this.notifyStorageListeners({ type: 'remoteChange', names: message.names || [] });
+        });
+    }
+
+    closeSyncChannel() {
+        if (!this.syncChannel) return;
+        this.syncChannel.removeEventListener('message', this.boundSyncMessage);
+        this.syncChannel.close();
+        this.syncChannel = null;
+    }
+
+    /**
+     * @param {function(object): void} listener - Called with { type: 'loaded' | 'stored' | 'remoteChange' | 'conflict' | 'error', ... }.
+     */
+    addStorageListener(listener) {
+        if (typeof listener === 'function' && !this.storageListeners.includes(listener)) this.storageListeners.push(listener);
+    }
+
+    removeStorageListener(listener) {
+        this.storageListeners = this.storageListeners.filter(l => l !== listener);
+    }
+
+    notifyStorageListeners(event) {
+        this.storageListeners.forEach(listener => {
+            try { listener(event); } catch (e) { console.error("PresetManager: Storage listener failed.", e); }
+        });
+    }
+
+    destroy() {
+        this.closeSyncChannel();
+        this.storageListeners = [];
+    }
 }
 
 // Make VIB3_PRESETS_EXPANDED and PresetManager globally accessible if not using modules,
 // or they would be imported by HypercubeCore.js.
-// For non-module environment, ensure this file is loaded before HypercubeCore.js.
+// For non-module environment, ensure this file is loaded before HypercubeCore.js (and after config/presetSchema.js, config/presetStorage.js and config/presetCode.js).
 if (typeof window !== 'undefined') {
     window.VIB3_PRESETS_EXPANDED = VIB3_PRESETS_EXPANDED;
     window.PresetManager = PresetManager;
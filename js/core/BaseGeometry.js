@@ -92,6 +92,80 @@ class BaseGeometry {
         return this.normalBuffer;
     }
 
+    /**
+     * Declares how the renderer should draw this geometry. Each pass is drawn in order with the
+     * same vertex buffers, so a geometry can combine e.g. a wireframe and a point cloud.
+     * Pass shape: { name: string, mode: 'points' | 'lines' | 'triangles', indices?: Array<number>, indexType?: 'uint16' | 'uint32' }.
+     * A pass without indices draws every vertex in order (gl.drawArrays). The index type is
+     * chosen from the largest index unless given explicitly.
+     *
+     * The default derives a single pass from `this.drawMode` (set from the GeometryManager registration);
+     * subclasses override this to declare several passes.
+     * @returns {Array<object>}
+     */
+    getDrawPasses() {
+        const mode = this.drawMode || (typeof this.getEdgeIndices === 'function' ? 'lines' : 'triangles');
+        if (mode === 'points') {
+            return [{ name: 'points', mode: 'points' }];
+        }
+        const indices = (mode === 'lines' && typeof this.getEdgeIndices === 'function') ? this.getEdgeIndices() : this.getIndices();
+        if (!indices || indices.length === 0) {
+            return [{ name: 'points', mode: 'points' }];
+        }
+        return [{ name: mode, mode: mode, indices: indices }];
+    }
+
+    /**
+     * Returns the index type a draw pass needs: 'uint32' once any index exceeds the 16-bit range.
+     * This scans the indices; the renderer reads the type cached by getDrawPassIndexBuffer() instead.
+     * @param {object} pass - A pass from getDrawPasses().
+     * @returns {'uint16' | 'uint32'}
+     */
+    getDrawPassIndexType(pass) {
+        if (pass.indexType) return pass.indexType;
+        let maxIndex = 0;
+        for (let i = 0; i < pass.indices.length; i++) {
+            if (pass.indices[i] > maxIndex) maxIndex = pass.indices[i];
+        }
+        return maxIndex > 65535 ? 'uint32' : 'uint16';
+    }
+
+    /**
+     * Creates (or reuses) and binds the element buffer for a draw pass. The buffer and its index type
+     * are only rebuilt when the pass's index array or declared index type changes.
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     * @param {object} pass - A pass from getDrawPasses(), with indices.
+     * @returns {{ buffer: WebGLBuffer, indexType: 'uint16' | 'uint32' }}
+     */
+    getDrawPassIndexBuffer(gl, pass) {
+        if (!this.drawPassBuffers) this.drawPassBuffers = new Map();
+        let entry = this.drawPassBuffers.get(pass.name);
+        if (!entry) {
+            entry = { buffer: gl.createBuffer(), source: null, declaredType: null, indexType: null };
+            this.drawPassBuffers.set(pass.name, entry);
+        }
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, entry.buffer);
+        if (entry.source !== pass.indices || entry.declaredType !== pass.indexType) {
+            const indexType = this.getDrawPassIndexType(pass);
+            const data = indexType === 'uint32' ? new Uint32Array(pass.indices) : new Uint16Array(pass.indices);
+            gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, data, gl.STATIC_DRAW);
+            entry.source = pass.indices;
+            entry.declaredType = pass.indexType;
+            entry.indexType = indexType;
+        }
+        return entry;
+    }
+
+    /**
+     * Deletes the element buffers created by getDrawPassIndexBuffer().
+     * @param {WebGLRenderingContext} gl - The WebGL context.
+     */
+    destroyDrawPassBuffers(gl) {
+        if (!this.drawPassBuffers) return;
+        this.drawPassBuffers.forEach(entry => gl.deleteBuffer(entry.buffer));
+        this.drawPassBuffers.clear();
+    }
+
     // Ensure destroy method is present or added to subclasses to clean up normalBuffer
     // Example (can be added to BaseGeometry if all subclasses should have it):
     /*
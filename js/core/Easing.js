@@ -0,0 +1,42 @@
+/**
+ * Easing
+ *
+ * Named easing curves for timed transitions (HypercubeCore.loadPreset and friends).
+ * Every curve maps linear progress t in [0, 1] to eased progress with f(0) = 0 and f(1) = 1.
+ */
+class Easing {
+    static get CURVES() {
+        return {
+            linear: t => t,
+            easeInQuad: t => t * t,
+            easeOutQuad: t => t * (2 - t),
+            easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+            easeInCubic: t => t * t * t,
+            easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+            easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+            smoothstep: t => t * t * (3 - 2 * t),
+        };
+    }
+
+    /**
+     * @param {string|function(number): number} [easing='easeInOutCubic'] - Curve name or custom function.
+     * @returns {function(number): number} Curve with t clamped to [0, 1].
+     */
+    static resolve(easing = 'easeInOutCubic') {
+        let curve = typeof easing === 'function' ? easing : Easing.CURVES[easing];
+        if (!curve) {
+            console.warn(`Easing: Unknown easing "${easing}". Using linear.`);
+            curve = Easing.CURVES.linear;
+        }
+        return t => curve(Math.max(0, Math.min(1, t)));
+    }
+
+    /** @returns {Array<string>} Names accepted by resolve(). */
+    static list() {
+        return Object.keys(Easing.CURVES);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Easing = Easing;
+}
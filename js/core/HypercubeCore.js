@@ -2,12 +2,48 @@
  * HypercubeCore: Central coordination class for the 4D visualization.
  */
 class HypercubeCore {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {object} [options]
+     * @param {boolean} [options.headless] - Render on demand through renderFrame(); the default for an OffscreenCanvas or options.gl.
+     * @param {WebGLRenderingContext} [options.gl] - Context to render into instead of the canvas's own.
+     * @param {VIB34DAudioAnalyzer} [options.audioAnalyzer] - Drives u_audioBass/Mid/High from real audio; interaction-driven
+     *     values remain the fallback while no audio source is connected.
+     * @param {Array<object>} [options.geometries=VIB3_BUILT_IN_GEOMETRIES] - See GeometryManager.registerGeometries.
+     * @param {Array<object>} [options.parameterLayers] - Replaces the ParameterStack layer definitions (see setLayerParameters).
+     * @param {string|object|null} [options.contrast='AA'] - 'AA', 'AAA', { level, largeText } or null: the WCAG ratio
+     *     --content-color-hsl must meet against --bg-color-hsl. Violations are dispatched on document as a
+     *     'vib3-contrast-violation' CustomEvent (see VIB34DChromaticEngine.addContrastListener for the detail).
+     * @param {MotionSafetyPolicy} [options.motionPolicy] - MotionSafetyPolicy.shared by default, an inactive policy in
+     *     headless mode. See applyMotionSafety().
+     * @param {object} [options.faceGraph] - Replaces the VIB3HomeMasterBridge faces (see config/faceGraph.js).
+     * @param {object} [options.bridge] - VIB3HomeMasterBridge options, e.g.
+     *     { transports: [new VIB3PostMessageTransport({ allowedOrigins: [...] })] } to follow a host page.
+     * @param {object|null} [options.presetStorage] - Where user presets persist (an adapter from config/presetStorage.js);
+     *     localStorage by default, none in headless mode.
+     * @param {function(string): void} [options.onStateChangeCallback]
+     * @param {string} [options.vertexShaderSource]
+     * @param {string} [options.fragmentShaderSource]
+     */
     constructor(canvas, options = {}) {
-        // ... (constructor setup as before) ...
-        this.interactionEngine = new VIB34DInteractionEngine(this.canvas);
-
-        this.baseParameters = {
-            u_resolution: [this.canvas.width, this.canvas.height],
+        this.time = 0;
+        this.canvas = canvas || (options.gl ? options.gl.canvas : null);
+        this.headless = options.headless !== undefined ? !!options.headless
+            : (!!options.gl || (typeof OffscreenCanvas !== 'undefined' && this.canvas instanceof OffscreenCanvas));
+        this.gl = options.gl ? this.configureWebGL(options.gl) : this.initWebGL(this.canvas);
+        if (!this.gl) { console.error("HypercubeCore: WebGL not available."); return; }
+        this.shaderManager = new ShaderManager(this.gl);
+        this.geometryManager = new GeometryManager();
+        this.geometryManager.registerGeometries(options.geometries || (typeof VIB3_BUILT_IN_GEOMETRIES !== 'undefined' ? VIB3_BUILT_IN_GEOMETRIES : []));
+        this.projectionManager = new ProjectionManager();
+
+        // In headless mode interaction time follows the rendered frame time, not the wall clock.
+        this.interactionEngine = this.headless
+            ? new VIB34DInteractionEngine(this.canvas, { attachListeners: false, clock: () => this.time * 1000.0, audioAnalyzer: options.audioAnalyzer })
+            : new VIB34DInteractionEngine(this.canvas, { audioAnalyzer: options.audioAnalyzer });
+
+        const defaultParameters = {
+            u_resolution: [this.gl.drawingBufferWidth, this.gl.drawingBufferHeight],
             u_time: 0.0, u_mouse: [0.0, 0.0], u_dimension: 4.0,
             u_gridDensity: 10.0, u_lineThickness: 0.01, u_universeModifier: 1.0, u_patternIntensity: 1.0,
             u_morphFactor: 0.0, u_rotationSpeed: 0.5,
@@ -19,22 +55,40 @@ class HypercubeCore {
             u_lightDirection: [0.577, 0.577, 0.577],
             u_specularStrength: 0.5, u_specularColor: [1.0, 1.0, 1.0], u_materialShininess: 32.0,
             u_isTorus: false, // ADDED for Torus procedural texture
+            ...Rotation4D.getDefaultParameters(), // Per-plane 4D rotation speeds/phases and 4D translation
         };
+        this.parameterStack = new ParameterStack(options.parameterLayers);
+        this.parameterStack.replace('preset', defaultParameters);
+        this.baseParameters = this.parameterStack.compose({ through: 'user' });
         // ... (rest of constructor as before, including PresetManager init) ...
         this.parameterMapper = new ParameterMappingSystem(this.baseParameters, this.interactionEngine);
         this.effectiveParameters = { ...this.baseParameters };
+        this.rotation4D = new Rotation4D();
 
-        this.chromaticEngine = new VIB34DChromaticEngine();
-        this.homeMasterBridge = new VIB3HomeMasterBridge(this);
-
-        this.presetManager = new PresetManager(this, typeof VIB3_PRESETS_EXPANDED !== 'undefined' ? VIB3_PRESETS_EXPANDED : []);
-        this.presetManager.loadUserPresetsFromLocalStorage();
+        this.chromaticEngine = new VIB34DChromaticEngine({ contrast: options.contrast });
+        this.boundContrastViolation = null;
+        if (!this.headless && typeof document !== 'undefined' && typeof CustomEvent !== 'undefined') {
+            this.boundContrastViolation = (report) => document.dispatchEvent(new CustomEvent('vib3-contrast-violation', { detail: report }));
+            this.chromaticEngine.addContrastListener(this.boundContrastViolation);
+        }
+        // Headless output must not depend on the viewer's preferences unless a policy is passed explicitly.
+        this.motionPolicy = options.motionPolicy || (this.headless ? new MotionSafetyPolicy({ enabled: false }) : MotionSafetyPolicy.shared);
+        this.motionLimiter = this.motionPolicy.createLimiter();
+        this.reducedMotion = false;
+        this.unsubscribeMotionPolicy = this.motionPolicy.subscribe(active => { this.reducedMotion = active; });
+        this.homeMasterBridge = new VIB3HomeMasterBridge(this, { faceGraph: options.faceGraph, ...(options.bridge || {}) });
+
+        // Headless cores don't persist user presets unless given options.presetStorage explicitly.
+        this.presetManager = new PresetManager(this, typeof VIB3_PRESETS_EXPANDED !== 'undefined' ? VIB3_PRESETS_EXPANDED : [],
+            { storage: options.presetStorage !== undefined ? options.presetStorage : (this.headless ? null : undefined), sync: !this.headless });
+        this.presetManager.loadUserPresets();
 
         this.availableGeometries = ['hypercube', 'hypersphere', 'hypertetrahedron', 'torus', 'kleinbottle', 'fractal', 'wave', 'crystal'];
         this.availableProjections = ['perspective', 'orthographic', 'stereographic'];
 
-        this.currentGeometry = null; this.currentProjection = null;
-        this.animationFrameId = null; this.lastTimestamp = 0; this.deltaTime = 0; this.time = 0;
+        this.currentGeometry = null; this.currentGeometryName = null; this.currentProjection = null;
+        this.presetTransition = null; // Running loadPreset morph, see updatePresetTransition()
+        this.animationFrameId = null; this.lastTimestamp = 0; this.deltaTime = 0;
 
         this.onStateChangeCallback = options.onStateChangeCallback || (() => {});
 
@@ -49,32 +103,65 @@ class HypercubeCore {
         try {
             gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
             if (!gl) return null;
-            gl.viewport(0, 0, canvas.width, canvas.height);
-            gl.clearColor(0.0, 0.0, 0.0, 1.0);
-            gl.enable(gl.DEPTH_TEST); gl.depthFunc(gl.LEQUAL);
-            gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            this.configureWebGL(gl);
         } catch (e) { console.error("HypercubeCore: Error initializing WebGL context.", e); }
         return gl;
     }
 
+    configureWebGL(gl) {
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+        gl.enable(gl.DEPTH_TEST); gl.depthFunc(gl.LEQUAL);
+        gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        // 32-bit element indices are core in WebGL2 and an extension in WebGL1.
+        const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+        this.supportsUint32Indices = isWebGL2 || !!gl.getExtension('OES_element_index_uint');
+        return gl;
+    }
+
     init() {
         if (!this.shaderManager.createProgram(this.defaultVertexShader, this.defaultFragmentShader)) {
             console.error("HypercubeCore: Failed to create shader program."); return;
         }
         this.shaderManager.useProgram();
         this.setupEventListeners();
+        if (!this.headless) this.applyPresetFromHash();
     }
 
     setupEventListeners() {
-        window.addEventListener('resize', this.onResize.bind(this), false);
+        if (this.headless) { this.setSize(this.gl.drawingBufferWidth, this.gl.drawingBufferHeight); return; }
+        this.boundOnResize = this.onResize.bind(this);
+        window.addEventListener('resize', this.boundOnResize, false);
+        this.boundOnHashChange = () => this.applyPresetFromHash({ duration: 1.0 });
+        window.addEventListener('hashchange', this.boundOnHashChange, false);
         this.onResize();
     }
 
+    /**
+     * Loads a shared preset from location.hash ("#preset=<code>", see PresetManager.getShareUrl()). Runs on startup
+     * and whenever the hash changes, except in headless mode.
+     * @param {object} [options] - Passed to loadPreset.
+     * @returns {boolean} False if the hash holds no valid preset code.
+     */
+    applyPresetFromHash(options = {}) {
+        if (typeof location === 'undefined' || !/[#&]preset=/.test(location.hash)) return false;
+        return this.presetManager.loadPresetFromCode(location.hash, options);
+    }
+
     onResize() {
-        this.canvas.width = this.canvas.clientWidth; this.canvas.height = this.canvas.clientHeight;
-        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        this.baseParameters.u_resolution = [this.canvas.width, this.canvas.height];
-        if (this.effectiveParameters) this.effectiveParameters.u_resolution = [this.canvas.width, this.canvas.height];
+        this.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
+    }
+
+    /**
+     * Resizes the drawing buffer. Use directly in headless mode, where there is no layout to follow.
+     * @param {number} width
+     * @param {number} height
+     */
+    setSize(width, height) {
+        if (this.canvas) { this.canvas.width = width; this.canvas.height = height; }
+        this.gl.viewport(0, 0, width, height);
+        this.setSystemParameter('u_resolution', [width, height]);
+        if (this.effectiveParameters) this.effectiveParameters.u_resolution = [width, height];
         if (this.currentProjection && typeof this.currentProjection.update === 'function') {
             const aspectToUse = this.effectiveParameters ? (this.effectiveParameters.u_resolution[0] / this.effectiveParameters.u_resolution[1]) : (this.baseParameters.u_resolution[0] / this.baseParameters.u_resolution[1]);
             this.currentProjection.update({
@@ -87,29 +174,33 @@ class HypercubeCore {
     }
 
 
-    setGeometry(name, initialParams = {}) {
-        // ... (geometry registration logic as before) ...
-        if (this.geometryManager.getGeometryClass(name) || (typeof window[name.charAt(0).toUpperCase() + name.slice(1) + 'Geometry'] !== 'undefined')) {
-            if (!this.geometryManager.getGeometryClass(name)) {
-                 try {
-                    const GeomClass = window[name.charAt(0).toUpperCase() + name.slice(1) + 'Geometry'];
-                    if (GeomClass) this.geometryManager.registerGeometry(name, GeomClass);
-                 } catch (e) { /* ignore */ }
-            }
-        }
-
+    /**
+     * @param {string} name
+     * @param {object} [initialParams]
+     * @param {object} [options]
+     * @param {boolean} [options.keepPrevious=false] - Don't destroy the replaced geometry (the caller still draws it).
+     * @returns {boolean} False if the geometry could not be created; the current one is kept then.
+     */
+    setGeometry(name, initialParams = {}, options = {}) {
         const geometryInstance = this.geometryManager.createGeometryInstance(name, initialParams);
         if (geometryInstance) {
-            if (this.currentGeometry && typeof this.currentGeometry.destroy === 'function') this.currentGeometry.destroy(this.gl);
+            if (!options.keepPrevious) {
+                if (this.currentGeometry && typeof this.currentGeometry.destroyDrawPassBuffers === 'function') this.currentGeometry.destroyDrawPassBuffers(this.gl);
+                if (this.currentGeometry && typeof this.currentGeometry.destroy === 'function') this.currentGeometry.destroy(this.gl);
+            }
             this.currentGeometry = geometryInstance;
-            if (this.baseParameters) this.baseParameters.geometryName = name;
+            this.currentGeometryName = name;
+            if (this.baseParameters) this.setSystemParameter('geometryName', name);
             if (this.effectiveParameters) {
                 this.effectiveParameters.geometryName = name;
                 // SET u_isTorus UNIFORM
                 this.effectiveParameters.u_isTorus = (name === 'torus');
             }
             this.onStateChangeCallback('geometryChanged');
-        } else { console.error(`HypercubeCore: Failed to set geometry "${name}".`); }
+            return true;
+        }
+        console.error(`HypercubeCore: Failed to set geometry "${name}".`);
+        return false;
     }
 
     // ... setProjection, getAvailableGeometries, getAvailableProjections, getBaseParameters, getEffectiveParametersForDashboard ... (mostly unchanged)
@@ -125,7 +216,7 @@ class HypercubeCore {
         const projectionInstance = this.projectionManager.createProjectionInstance(name, paramsForProjection);
         if (projectionInstance) {
             this.currentProjection = projectionInstance;
-            this.baseParameters.projectionType = name;
+            this.setSystemParameter('projectionType', name);
             if (this.effectiveParameters) {
                 this.effectiveParameters.projectionType = name;
                 if (name === 'stereographic') {
@@ -141,37 +232,163 @@ class HypercubeCore {
                 } else { this.effectiveParameters.u_4D_projection_type = 0; }
             }
             this.onStateChangeCallback('projectionChanged');
-        } else { console.error(`HypercubeCore: Failed to set 3D projection "${name}".`); }
+            return true;
+        }
+        console.error(`HypercubeCore: Failed to set 3D projection "${name}".`);
+        return false;
     }
 
-    getAvailableGeometries() { return this.availableGeometries; }
+    /**
+     * Registers a geometry plugin. See GeometryManager.registerGeometry.
+     * @param {string} name
+     * @param {typeof BaseGeometry} geometryClass
+     * @param {object} [config] - { schema, defaults, drawMode }
+     */
+    registerGeometry(name, geometryClass, config = {}) {
+        this.geometryManager.registerGeometry(name, geometryClass, config);
+        this.onStateChangeCallback('geometriesChanged');
+    }
+
+    describeGeometry(name) { return this.geometryManager.describeGeometry(name); }
+    getAvailableGeometries() { return this.geometryManager.listGeometries().length > 0 ? this.geometryManager.listGeometries() : this.availableGeometries; }
     getAvailableProjections() { return this.projectionManager.listProjections().length > 0 ? this.projectionManager.listProjections() : this.availableProjections; }
     getBaseParameters() { return { ...this.baseParameters }; }
     getEffectiveParametersForDashboard() {
         if (this.parameterMapper && this.interactionEngine) {
             this.interactionEngine.update();
-            return this.parameterMapper.getEffectiveParameters();
+            this.parameterStack.replace('interaction', this.getInteractionModulation());
+            return this.parameterStack.compose();
         }
         return { ...this.effectiveParameters };
     }
 
-    loadPreset(preset) {
-        if (!preset || !preset.params) { console.error("HypercubeCore: Invalid preset.", preset); return; }
-        if (preset.geometry) this.setGeometry(preset.geometry, preset.geometryParams || {});
-        if (preset.projection) this.setProjection(preset.projection, preset.projectionParams || {});
-        const newBaseParams = { ...this.baseParameters };
+    /**
+     * Applies a visualizer preset to the preset layer and clears the user layer. Legacy shapes are migrated; presets
+     * failing VIB3PresetSchema are rejected. With a duration, parameters morph from their current values and a geometry/projection change crossfades.
+     * Loading another preset mid-transition continues from the parameters reached so far. While the motion policy is
+     * active, shorter transitions (including instant ones) take the policy's crossfade duration.
+     * @param {object} preset
+     * @param {object} [options]
+     * @param {number} [options.duration=0] - Transition length in seconds; 0 applies the preset instantly.
+     * @param {string|function(number): number} [options.easing='easeInOutCubic'] - See Easing.CURVES.
+     * @returns {boolean} False if the preset was rejected.
+     */
+    loadPreset(preset, options = {}) {
+        const { presets, rejected } = VIB3PresetSchema.load(preset, { type: 'visualizer' });
+        if (rejected.length > 0 || presets.length !== 1) {
+            const report = rejected.map(({ name, errors }) => `"${name}":\n${VIB3PresetSchema.formatErrors(errors)}`).join('\n');
+            console.error(`HypercubeCore: Rejected preset ${report || '(expected exactly one preset)'}`);
+            return false;
+        }
+        preset = presets[0];
+        const duration = this.motionPolicy.transitionDuration(Math.max(0, options.duration || 0));
+        if (this.presetTransition) this.finishPresetTransition();
+
+        const geometryChanges = duration > 0 && !!preset.geometry && !!this.currentGeometry && (preset.geometry !== this.currentGeometryName || !!preset.geometryParams);
+        const projectionChanges = duration > 0 && !!preset.projection && !!this.currentProjection && (preset.projection !== this.baseParameters.projectionType || !!preset.projectionParams);
+        const previousGeometry = this.currentGeometry, previousProjection = this.currentProjection;
+        const previousProjectionUniforms = this.getProjectionUniforms();
+        // A crossfading geometry stays alive for the outgoing pass; if the new one fails, the old one simply stays current.
+        const geometrySet = !!preset.geometry && this.setGeometry(preset.geometry, preset.geometryParams || {}, { keepPrevious: geometryChanges });
+        const projectionSet = !!preset.projection && this.setProjection(preset.projection, preset.projectionParams || {});
+        let outgoing = null;
+        if ((geometryChanges && geometrySet) || (projectionChanges && projectionSet)) {
+            outgoing = {
+                geometry: geometryChanges && geometrySet ? previousGeometry : null,
+                projection: projectionChanges && projectionSet ? previousProjection : null,
+                projectionUniforms: previousProjectionUniforms
+            };
+        }
+        // Each preset may carry its own interaction personality; otherwise fall back to the built-in rules.
+        if (Array.isArray(preset.mappings)) this.parameterMapper.fromJSON(preset.mappings);
+        else this.parameterMapper.resetMappings();
+        // Presets without a palette hand the colors back to the geometry's color wheel.
+        this.chromaticEngine.setPalette(preset.palette || null, 'preset', duration > 0 ? { duration } : {});
+        // The preset replaces the dashboard overrides; they morph along from the values they had.
+        const currentParams = { ...this.parameterStack.getLayerValues('preset'), ...this.parameterStack.getLayerValues('user') };
+        this.parameterStack.clear('user');
+        const newBaseParams = this.parameterStack.getLayerValues('preset');
         for (const key in preset.params) {
-            if (this.baseParameters.hasOwnProperty(key)) newBaseParams[key] = preset.params[key];
+            if (newBaseParams.hasOwnProperty(key)) newBaseParams[key] = preset.params[key];
+        }
+        if (duration > 0) {
+            this.presetTransition = {
+                from: currentParams, to: newBaseParams, startTime: this.time, duration,
+                easing: Easing.resolve(options.easing), progress: 0, outgoing
+            };
+        } else {
+            this.updateBaseParameter(newBaseParams);
         }
-        this.updateBaseParameter(newBaseParams);
         this.onStateChangeCallback('presetLoaded');
+        return true;
+    }
+
+    /**
+     * Blends two parameter sets. Numbers and equal-length numeric arrays are interpolated;
+     * anything else (toggles, names) switches to the target halfway through.
+     * @param {object} from
+     * @param {object} to
+     * @param {number} t - 0 (from) to 1 (to).
+     * @returns {object}
+     */
+    static interpolateParameters(from, to, t) {
+        const result = {};
+        for (const key in to) {
+            const a = from[key], b = to[key];
+            if (typeof a === 'number' && typeof b === 'number') {
+                result[key] = a + (b - a) * t;
+            } else if (Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every(v => typeof v === 'number') && b.every(v => typeof v === 'number')) {
+                result[key] = a.map((v, i) => v + (b[i] - v) * t);
+            } else {
+                result[key] = (t >= 0.5 || a === undefined) ? b : a;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Moves the running preset transition to the given time and writes the blended parameters to the preset layer.
+     * @param {number} time - Scene time in seconds; progress is measured from the time the preset was loaded.
+     */
+    updatePresetTransition(time) {
+        const transition = this.presetTransition;
+        if (!transition) return;
+        const linearProgress = Math.max(0, Math.min((time - transition.startTime) / transition.duration, 1.0));
+        transition.progress = transition.easing(linearProgress);
+        this.updateBaseParameter(HypercubeCore.interpolateParameters(transition.from, transition.to, transition.progress));
+        if (linearProgress >= 1.0) this.finishPresetTransition();
+    }
+
+    /**
+     * Ends the preset transition where it stands and releases the outgoing geometry.
+     */
+    finishPresetTransition() {
+        const transition = this.presetTransition;
+        if (!transition) return;
+        this.presetTransition = null;
+        const outgoingGeometry = transition.outgoing ? transition.outgoing.geometry : null;
+        if (outgoingGeometry && outgoingGeometry !== this.currentGeometry) {
+            if (typeof outgoingGeometry.destroyDrawPassBuffers === 'function') outgoingGeometry.destroyDrawPassBuffers(this.gl);
+            if (typeof outgoingGeometry.destroy === 'function') outgoingGeometry.destroy(this.gl);
+        }
+        this.onStateChangeCallback('presetTransitionComplete');
+    }
+
+    /** @returns {object} The projection-specific uniforms currently in effect. */
+    getProjectionUniforms() {
+        const params = this.effectiveParameters || this.baseParameters;
+        return { u_4D_projection_type: params.u_4D_projection_type, u_stereo_R: params.u_stereo_R, u_stereo_pole_sign: params.u_stereo_pole_sign };
     }
 
     getCurrentSettingsAsPreset() {
-        const currentGeomName = this.currentGeometry ? (this.currentGeometry.constructor.name.toLowerCase().replace('geometry', '')) : (this.baseParameters.geometryName || 'default');
+        const currentGeomName = this.currentGeometryName || this.baseParameters.geometryName || 'default';
         const exportableBaseParams = { ...this.baseParameters };
         delete exportableBaseParams.u_resolution; delete exportableBaseParams.u_time; delete exportableBaseParams.u_mouse; delete exportableBaseParams.geometryName;
-        return { geometry: currentGeomName, projection: this.baseParameters.projectionType || 'perspective', params: exportableBaseParams };
+        delete exportableBaseParams.projectionType; // Carried by `projection`
+        const preset = { version: VIB3_PRESET_SCHEMA_VERSION, type: 'visualizer', geometry: currentGeomName, projection: this.baseParameters.projectionType || 'perspective', params: exportableBaseParams, mappings: this.parameterMapper.toJSON() };
+        const palette = this.chromaticEngine.getPaletteSelection('preset');
+        if (palette) preset.palette = palette;
+        return preset;
     }
 
 
@@ -184,7 +401,8 @@ class HypercubeCore {
             { name: 'u_lineThickness', label: 'Line/Point Size', type: 'slider', min: 0.001, max: 0.1, step: 0.001, defaultValue: 0.01, group: 'Appearance & Structure' },
             { name: 'u_shellWidth', label: 'Shell Width', type: 'slider', min: 0.001, max: 0.25, step: 0.001, defaultValue: 0.05, group: 'Appearance & Structure', relevantToGeometries: ['hypersphere'] },
             { name: 'u_tetraThickness', label: 'Tetra Plane Thickness', type: 'slider', min: 0.001, max: 0.15, step: 0.001, defaultValue: 0.02, group: 'Appearance & Structure', relevantToGeometries: ['hypertetrahedron'] },
-            { name: 'u_rotationSpeed', label: 'Rotation Speed', type: 'slider', min: 0.0, max: 3.0, step: 0.01, defaultValue: 0.5, group: 'Animation & Morphing' },
+            { name: 'u_rotationSpeed', label: 'Rotation Speed', type: 'slider', min: 0.0, max: 3.0, step: 0.01, defaultValue: 0.5, group: 'Animation & Morphing',
+              description: "Global multiplier for the per-plane 4D rotation speeds." },
             { name: 'u_morphFactor', label: 'Morph Factor', type: 'slider', min: 0.0, max: 1.5, step: 0.01, defaultValue: 0.0, group: 'Animation & Morphing', isAdvanced: true },
             { name: 'u_colorShift', label: 'Color Shift (Hue)', type: 'slider', min: -1.0, max: 1.0, step: 0.01, defaultValue: 0.0, group: 'Visual Effects' },
             { name: 'u_patternIntensity', label: 'Pattern Intensity', type: 'slider', min: 0.1, max: 3.0, step: 0.01, defaultValue: 1.0, group: 'Visual Effects', isAdvanced: true },
@@ -194,108 +412,356 @@ class HypercubeCore {
             { name: 'u_specularStrength', label: 'Specular Strength', type: 'slider', min: 0.0, max: 1.0, step: 0.01, defaultValue: 0.5, group: 'Visual Effects', isAdvanced: true },
             { name: 'u_specularColor', label: 'Specular Color', type: 'color', defaultValue: [1.0, 1.0, 1.0], group: 'Visual Effects', isAdvanced: true },
             { name: 'u_materialShininess', label: 'Material Shininess', type: 'slider', min: 1.0, max: 256.0, step: 1.0, defaultValue: 32.0, group: 'Visual Effects', isAdvanced: true },
-            { name: 'u_isTorus', label: 'Enable Torus Pattern (Debug)', type: 'toggle', defaultValue: false, group: 'Geometry Specific', relevantToGeometries: ['torus'], isAdvanced: true } // ADDED u_isTorus to schema
+            { name: 'u_isTorus', label: 'Enable Torus Pattern (Debug)', type: 'toggle', defaultValue: false, group: 'Geometry Specific', relevantToGeometries: ['torus'], isAdvanced: true }, // ADDED u_isTorus to schema
+            ...Rotation4D.getParametersSchema()
         ];
     }
 
-    // ... updateBaseParameter ... (unchanged from its last correct version)
+    /**
+     * Writes parameters to the preset layer. See setLayerParameters.
+     * @param {string|object} keyOrParams - A parameter name, or an object of parameters.
+     * @param {any} [value]
+     * @returns {boolean} Whether the base parameters changed.
+     */
     updateBaseParameter(keyOrParams, value) {
-        let changed = false;
-        if (typeof keyOrParams === 'string') {
-            if (this.baseParameters.hasOwnProperty(keyOrParams) && this.baseParameters[keyOrParams] !== value) {
-                this.baseParameters[keyOrParams] = value; changed = true;
-            } else if (!this.baseParameters.hasOwnProperty(keyOrParams)) {
-                 this.baseParameters[keyOrParams] = value; changed = true;
-            }
-        } else if (typeof keyOrParams === 'object') {
-            for (const key in keyOrParams) {
-                if (this.baseParameters.hasOwnProperty(key) && this.baseParameters[key] !== keyOrParams[key]) {
-                    this.baseParameters[key] = keyOrParams[key]; changed = true;
-                } else if (!this.baseParameters.hasOwnProperty(key)) {
-                    this.baseParameters[key] = keyOrParams[key]; changed = true;
-                }
-            }
-        }
-        if (changed) {
-            this.parameterMapper.setBaseParameters(this.baseParameters);
-            const checkKeys = (typeof keyOrParams === 'string') ? [keyOrParams] : Object.keys(keyOrParams);
-            if (this.currentProjection && checkKeys.some(k => ['fov', 'near', 'far', 'projectionType'].includes(k))) {
-                this.currentProjection.update({
-                    aspect: this.baseParameters.u_resolution[0] / this.baseParameters.u_resolution[1],
-                    fov: this.baseParameters.fov, near: this.baseParameters.near, far: this.baseParameters.far,
-                });
-            }
-            this.onStateChangeCallback('baseParamsChanged');
+        return this.setLayerParameters('preset', keyOrParams, value);
+    }
+
+    /**
+     * Writes parameters to one layer of the parameter stack, e.g. setLayerParameters('user', 'u_gridDensity', 12).
+     * Parameters are owned by the layers of a ParameterStack (core/ParameterStack.js): preset, face, user, interaction
+     * and effects by default. baseParameters holds the composition through the user layer, effectiveParameters the
+     * full composition of the current frame.
+     * @param {string} layerName - 'preset', 'face', 'user', 'interaction', 'effects' or a custom layer.
+     * @param {string|object} keyOrParams - A parameter name, or an object of parameters.
+     * @param {any} [value]
+     * @returns {boolean} Whether the base parameters changed.
+     */
+    setLayerParameters(layerName, keyOrParams, value) {
+        const params = typeof keyOrParams === 'string' ? { [keyOrParams]: value } : keyOrParams;
+        if (!params || typeof params !== 'object' || !this.parameterStack.set(layerName, params)) return false;
+        return this.refreshBaseParameters();
+    }
+
+    /**
+     * Replaces every value of a layer.
+     * @param {string} layerName
+     * @param {object} params
+     * @returns {boolean} Whether the base parameters changed.
+     */
+    replaceLayerParameters(layerName, params) {
+        if (!this.parameterStack.replace(layerName, params || {})) return false;
+        return this.refreshBaseParameters();
+    }
+
+    /**
+     * Removes values from a layer, e.g. clearLayerParameters('user') drops all dashboard overrides.
+     * @param {string} layerName
+     * @param {Array<string>} [keys] - Defaults to every value of the layer.
+     * @returns {boolean} Whether the base parameters changed.
+     */
+    clearLayerParameters(layerName, keys) {
+        if (!this.parameterStack.clear(layerName, keys)) return false;
+        return this.refreshBaseParameters();
+    }
+
+    /**
+     * Pins a parameter to a layer; higher layers (interaction and effects included) stop affecting it.
+     * @param {string} key
+     * @param {string} [layerName='user']
+     * @param {any} [value] - Also sets the parameter on that layer.
+     * @returns {boolean} False if the layer doesn't exist.
+     */
+    lockParameter(key, layerName = 'user', value) {
+        if (!this.parameterStack.lock(key, layerName, value)) return false;
+        this.refreshBaseParameters();
+        return true;
+    }
+
+    unlockParameter(key) {
+        if (!this.parameterStack.unlock(key)) return false;
+        this.refreshBaseParameters();
+        return true;
+    }
+
+    /**
+     * Adds a short-lived modulation to the effects layer, e.g. addTransientEffect({ u_glitchIntensity: 0.1 }, { duration: 0.5 }).
+     * @param {object} params
+     * @param {object} [options] - See ParameterStack.addTransient.
+     * @returns {number|null} ID for parameterStack.removeTransient().
+     */
+    addTransientEffect(params, options = {}) {
+        return this.parameterStack.addTransient(params, options);
+    }
+
+    /**
+     * Which layer produced each final value, for the current frame.
+     * @param {string} [key] - One parameter; defaults to all of them.
+     * @returns {object|null} See ParameterStack.inspect. Uniforms the core writes every frame (HypercubeCore.FRAME_PARAMETERS)
+     *     report source 'frame' with the value actually sent.
+     */
+    inspectParameters(key) {
+        const report = this.parameterStack.inspect(key);
+        const markFrameValue = (name, item) => {
+            if (!item || !HypercubeCore.FRAME_PARAMETERS.includes(name) || this.effectiveParameters[name] === undefined) return;
+            item.value = ParameterStack.copyValue(this.effectiveParameters[name]);
+            item.source = 'frame';
+        };
+        if (key !== undefined) { markFrameValue(key, report); return report; }
+        Object.keys(report).forEach(name => markFrameValue(name, report[name]));
+        return report;
+    }
+
+    /** Uniforms set by the core each frame after the stack is composed (clock, canvas size, pointer, chromatic hue). */
+    static get FRAME_PARAMETERS() {
+        return ['u_time', 'u_resolution', 'u_mouse', 'u_colorShift'];
+    }
+
+    /**
+     * Recomposes baseParameters (every layer through 'user') after the stack changed. Call it after changing
+     * this.parameterStack directly.
+     * @returns {boolean} Whether the base parameters changed.
+     */
+    refreshBaseParameters() {
+        const composed = this.parameterStack.compose({ through: 'user' });
+        const changedKeys = Object.keys(composed).filter(key => !ParameterStack.sameValue(composed[key], this.baseParameters[key]));
+        const removed = Object.keys(this.baseParameters).some(key => !composed.hasOwnProperty(key));
+        if (changedKeys.length === 0 && !removed) return false;
+        this.baseParameters = composed;
+        this.parameterMapper.setBaseParameters(this.baseParameters);
+        if (this.currentProjection && changedKeys.some(k => ['fov', 'near', 'far', 'projectionType'].includes(k))) {
+            this.currentProjection.update({
+                aspect: this.baseParameters.u_resolution[0] / this.baseParameters.u_resolution[1],
+                fov: this.baseParameters.fov, near: this.baseParameters.near, far: this.baseParameters.far,
+            });
         }
+        this.onStateChangeCallback('baseParamsChanged');
+        return true;
+    }
+
+    /**
+     * Records state the core itself owns (canvas size, geometry and projection names) in the preset layer,
+     * without a state change notification.
+     */
+    setSystemParameter(key, value) {
+        this.parameterStack.set('preset', { [key]: value });
+        this.baseParameters = this.parameterStack.compose({ through: 'user' });
+        this.parameterMapper.setBaseParameters(this.baseParameters);
     }
 
 
     render(timestamp) {
-        // ... (delta time, interaction engine, effective params, chromatic engine updates as before) ...
         this.deltaTime = (timestamp - this.lastTimestamp) / 1000.0;
         this.lastTimestamp = timestamp; this.time += this.deltaTime;
+        this.updateFrameState();
+        this.applyChromaticCssVariables();
+        if (!this.drawScene()) { this.stop(); return; }
+        this.animationFrameId = requestAnimationFrame(this.render.bind(this));
+    }
+
+    /**
+     * Renders exactly one frame at the given time, without scheduling another one. This is how headless cores render:
+     * they use no requestAnimationFrame, window/document listeners or CSS variable writes, and their clock is
+     * driven only by the frame time.
+     * Rotation, preset/face/palette transitions, transients and the motion limiter are evaluated at timeSeconds
+     * from the time they started, so the frame does not depend on which earlier frames were rendered: renderFrame(10)
+     * on a fresh core matches stepping to 10, and an earlier time may follow a later one (a transition that has
+     * finished stays finished). Only a rotation speed that changes between frames (e.g. during a morph) is
+     * re-anchored at the frames that see it change. `node headless-frame-check.js` checks this.
+     * @param {number} timeSeconds - Absolute scene time in seconds.
+     * @returns {boolean} True if a frame was drawn.
+     */
+    renderFrame(timeSeconds) {
+        this.time = timeSeconds;
+        this.updateFrameState();
+        const drawn = this.drawScene();
+        this.gl.flush();
+        return drawn;
+    }
+
+    /**
+     * Reads back the current drawing buffer as RGBA bytes (bottom row first, as WebGL returns it).
+     * @returns {Uint8Array}
+     */
+    readPixels() {
+        const gl = this.gl;
+        const width = gl.drawingBufferWidth, height = gl.drawingBufferHeight;
+        const pixels = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        return pixels;
+    }
+
+    /**
+     * Renders one frame and encodes the canvas to an image Blob.
+     * @param {number} timeSeconds - Absolute scene time in seconds.
+     * @param {string} [type='image/png']
+     * @returns {Promise<Blob>}
+     */
+    exportFrame(timeSeconds, type = 'image/png') {
+        this.renderFrame(timeSeconds);
+        if (typeof this.canvas.convertToBlob === 'function') return this.canvas.convertToBlob({ type });
+        return new Promise((resolve, reject) => {
+            if (typeof this.canvas.toBlob !== 'function') { reject(new Error("HypercubeCore: Canvas cannot be encoded.")); return; }
+            this.canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("HypercubeCore: Frame encoding failed.")), type);
+        });
+    }
+
+    /**
+     * Moves interaction, mapping, chromatic and bridge state to the current this.time.
+     */
+    updateFrameState() {
+        this.updatePresetTransition(this.time);
+        this.parameterStack.update(this.time);
         this.interactionEngine.update();
-        this.effectiveParameters = this.parameterMapper.getEffectiveParameters();
+        this.parameterStack.replace('interaction', this.getInteractionModulation());
+        this.effectiveParameters = this.parameterStack.compose();
+        this.applyMotionSafety(this.effectiveParameters);
         this.effectiveParameters.u_time = this.time;
         this.effectiveParameters.u_resolution = this.baseParameters.u_resolution;
         const interactionState = this.interactionEngine.getInteractionState();
         this.effectiveParameters.u_mouse = [interactionState.mouseMovement.normalizedX, interactionState.mouseMovement.normalizedY];
-        const currentGeometryName = this.currentGeometry ? this.currentGeometry.constructor.name.toLowerCase().replace('geometry', '') : 'default';
+        const currentGeometryName = this.currentGeometryName || 'default';
         this.chromaticEngine.update(currentGeometryName, interactionState, this.time);
         const currentColors = this.chromaticEngine.getCurrentColor();
         this.effectiveParameters.u_colorShift = (currentColors.hsl.h / 360.0) * 2.0 - 1.0;
-        if (document.documentElement) {
-            document.documentElement.style.setProperty('--bg-color-hsl', this.chromaticEngine.getHslCssString(currentColors.bgHsl));
-            document.documentElement.style.setProperty('--content-color-hsl', this.chromaticEngine.getHslCssString(currentColors.contentHsl));
-            document.documentElement.style.setProperty('--accent-color-hsl', this.chromaticEngine.getHslCssString(currentColors.accentHsl));
+        this.rotation4D.update(this.effectiveParameters, this.time);
+        if (this.homeMasterBridge) this.homeMasterBridge.update(this.time);
+    }
+
+    /**
+     * Applies the motion policy (options.motionPolicy) to this frame's parameters. Brightness-driving parameters are
+     * always tracked but only rate-limited while the policy is active; then glitch is also off and each plane's
+     * rotation rate (plane speed × u_rotationSpeed) is capped. loadPreset() turns instant loads into crossfades.
+     * @param {object} params - Composed parameters, modified in place.
+     */
+    applyMotionSafety(params) {
+        for (const [key, range] of Object.entries(HypercubeCore.LUMINANCE_PARAMETERS)) {
+            if (typeof params[key] === 'number') params[key] = this.motionLimiter.stepAt(key, params[key], this.time, range);
         }
-        if (this.homeMasterBridge) this.homeMasterBridge.update(this.deltaTime);
+        if (!this.reducedMotion) return;
+        params.u_glitchIntensity = 0.0;
+        if (typeof params.u_rotationSpeed !== 'number') return;
+        params.u_rotationSpeed = this.motionPolicy.capRotationSpeed(params.u_rotationSpeed);
+        if (params.u_rotationSpeed === 0) return;
+        for (const key in params) {
+            if (/^u_rot[XYZW]{2}Speed$/.test(key) && typeof params[key] === 'number') {
+                params[key] = this.motionPolicy.capRotationSpeed(params[key] * params.u_rotationSpeed) / params.u_rotationSpeed;
+            }
+        }
+    }
+
+    /** Parameters that scale the shader's output luminance, with the change that swings it fully (their slider span). */
+    static get LUMINANCE_PARAMETERS() {
+        return { u_patternIntensity: 2.9, u_specularStrength: 1.0 };
+    }
+
+    /**
+     * Values ParameterMappingSystem changed this frame, plus the audio levels, for the interaction layer.
+     * @returns {object}
+     */
+    getInteractionModulation() {
+        const modulated = this.parameterMapper.getEffectiveParameters();
+        const values = { u_audioBass: modulated.u_audioBass, u_audioMid: modulated.u_audioMid, u_audioHigh: modulated.u_audioHigh };
+        for (const key in modulated) {
+            if (this.baseParameters.hasOwnProperty(key) && !ParameterStack.sameValue(modulated[key], this.baseParameters[key])) values[key] = modulated[key];
+        }
+        return values;
+    }
+
+    /**
+     * Mirrors the chromatic engine's layer colors into CSS custom properties. Skipped in headless mode.
+     */
+    applyChromaticCssVariables() {
+        if (this.headless || typeof document === 'undefined' || !document.documentElement) return;
+        const currentColors = this.chromaticEngine.getCurrentColor();
+        document.documentElement.style.setProperty('--bg-color-hsl', this.chromaticEngine.getHslCssString(currentColors.bgHsl));
+        document.documentElement.style.setProperty('--content-color-hsl', this.chromaticEngine.getHslCssString(currentColors.contentHsl));
+        document.documentElement.style.setProperty('--accent-color-hsl', this.chromaticEngine.getHslCssString(currentColors.accentHsl));
+    }
+
+    /**
+     * Issues the WebGL draw calls for the current effective parameters.
+     * During a preset crossfade the outgoing scene is drawn first, fading out without writing depth,
+     * then the incoming scene fades in on top.
+     * @returns {boolean} False if there is no usable shader program.
+     */
+    drawScene() {
         const gl = this.gl;
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-        if (!this.shaderManager.program) { this.stop(); return; }
+        if (!this.shaderManager.program) return false;
         this.shaderManager.useProgram();
+        for (const key in this.effectiveParameters) {
+            if (key.startsWith('u_')) {
+                const value = this.effectiveParameters[key];
+                if (typeof value === 'number') this.shaderManager.setUniform1f(key, value);
+                else if (typeof value === 'boolean') this.shaderManager.setUniform1i(key, value ? 1:0); // Handle boolean for u_isTorus
+                else if (Array.isArray(value) && value.length === 2) this.shaderManager.setUniform2fv(key, value);
+                else if (Array.isArray(value) && value.length === 3) this.shaderManager.setUniform3fv(key, value);
+                else if (Array.isArray(value) && value.length === 4) this.shaderManager.setUniform4fv(key, value);
+            }
+        }
+        this.shaderManager.setUniformMatrix4fv('u_rotation4D', this.rotation4D.getMatrix(this.effectiveParameters));
+        this.shaderManager.setUniform4fv('u_translation4D', this.rotation4D.getTranslation(this.effectiveParameters));
+
+        const outgoing = this.presetTransition ? this.presetTransition.outgoing : null;
+        if (outgoing) {
+            const progress = this.presetTransition.progress;
+            gl.depthMask(false);
+            this.drawGeometryWithProjection(outgoing.geometry || this.currentGeometry, outgoing.projection || this.currentProjection,
+                outgoing.projection ? outgoing.projectionUniforms : this.getProjectionUniforms(), 1.0 - progress);
+            gl.depthMask(true);
+            this.drawGeometryWithProjection(this.currentGeometry, this.currentProjection, this.getProjectionUniforms(), progress);
+        } else {
+            this.drawGeometryWithProjection(this.currentGeometry, this.currentProjection, this.getProjectionUniforms(), 1.0);
+        }
+        return true;
+    }
+
+    /**
+     * Draws one geometry through one projection. Parameter uniforms must already be set.
+     * @param {BaseGeometry|null} geometry
+     * @param {BaseProjection|null} projection
+     * @param {object} projectionUniforms - u_4D_projection_type, u_stereo_R and u_stereo_pole_sign for this projection.
+     * @param {number} opacity - Multiplies the fragment alpha (u_opacity).
+     */
+    drawGeometryWithProjection(geometry, projection, projectionUniforms, opacity) {
+        const gl = this.gl;
         let projMatrix, viewMatrix;
-        if (this.currentProjection) {
-            this.currentProjection.update({
+        if (projection) {
+            projection.update({
                 aspect: this.effectiveParameters.u_resolution[0] / this.effectiveParameters.u_resolution[1],
                 fov: this.baseParameters.fov, near: this.baseParameters.near, far: this.baseParameters.far,
                 morphFactor: this.effectiveParameters.u_morphFactor, audioMid: this.effectiveParameters.u_audioMid,
                 audioHigh: this.effectiveParameters.u_audioHigh,
-                perspectiveBlendFactor: this.currentProjection.parameters.perspectiveBlendFactor
+                perspectiveBlendFactor: projection.parameters.perspectiveBlendFactor
             });
-            projMatrix = this.currentProjection.getProjectionMatrix();
-            if (typeof this.currentProjection.getViewMatrix === 'function') viewMatrix = this.currentProjection.getViewMatrix();
+            projMatrix = projection.getProjectionMatrix();
+            if (typeof projection.getViewMatrix === 'function') viewMatrix = projection.getViewMatrix();
             else { viewMatrix = mat4.create(); mat4.identity(viewMatrix); }
         } else {
             projMatrix = mat4.create(); mat4.identity(projMatrix);
             viewMatrix = mat4.create(); mat4.identity(viewMatrix);
         }
-        for (const key in this.effectiveParameters) {
-            if (key.startsWith('u_')) {
-                const value = this.effectiveParameters[key];
-                if (typeof value === 'number') this.shaderManager.setUniform1f(key, value);
-                else if (typeof value === 'boolean') this.shaderManager.setUniform1i(key, value ? 1:0); // Handle boolean for u_isTorus
-                else if (Array.isArray(value) && value.length === 2) this.shaderManager.setUniform2fv(key, value);
-                else if (Array.isArray(value) && value.length === 3) this.shaderManager.setUniform3fv(key, value);
-                else if (Array.isArray(value) && value.length === 4) this.shaderManager.setUniform4fv(key, value);
-            }
-        }
         this.shaderManager.setUniformMatrix4fv('u_projectionMatrix', projMatrix);
         this.shaderManager.setUniformMatrix4fv('u_modelViewMatrix', viewMatrix);
+        if (typeof projectionUniforms.u_4D_projection_type === 'number') this.shaderManager.setUniform1i('u_4D_projection_type', projectionUniforms.u_4D_projection_type);
+        if (typeof projectionUniforms.u_stereo_R === 'number') this.shaderManager.setUniform1f('u_stereo_R', projectionUniforms.u_stereo_R);
+        if (typeof projectionUniforms.u_stereo_pole_sign === 'number') this.shaderManager.setUniform1f('u_stereo_pole_sign', projectionUniforms.u_stereo_pole_sign);
+        this.shaderManager.setUniform1f('u_opacity', opacity);
 
-        if (this.currentGeometry) {
+        if (geometry) {
             const posAttribLoc = this.shaderManager.getAttributeLocation('a_position4D');
             const normalAttribLoc = this.shaderManager.getAttributeLocation('a_normal4D');
             const uvAttribLoc = this.shaderManager.getAttributeLocation('a_uv'); // Get UV attribute location
 
-            if (posAttribLoc !== -1 && typeof this.currentGeometry.getVertexPositionsBuffer === 'function') {
-                const vbo = this.currentGeometry.getVertexPositionsBuffer(this.gl);
+            if (posAttribLoc !== -1 && typeof geometry.getVertexPositionsBuffer === 'function') {
+                const vbo = geometry.getVertexPositionsBuffer(this.gl);
                 gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
                 gl.vertexAttribPointer(posAttribLoc, 4, gl.FLOAT, false, 0, 0);
                 gl.enableVertexAttribArray(posAttribLoc);
 
-                if (normalAttribLoc !== -1 && typeof this.currentGeometry.getNormalsBuffer === 'function') {
-                    const normalBuffer = this.currentGeometry.getNormalsBuffer(this.gl);
+                if (normalAttribLoc !== -1 && typeof geometry.getNormalsBuffer === 'function') {
+                    const normalBuffer = geometry.getNormalsBuffer(this.gl);
                     if (normalBuffer) {
                         gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
                         gl.vertexAttribPointer(normalAttribLoc, 4, gl.FLOAT, false, 0, 0);
@@ -304,8 +770,8 @@ class HypercubeCore {
                 } else if (normalAttribLoc !== -1) { gl.disableVertexAttribArray(normalAttribLoc); }
 
                 // UV Attribute Setup
-                if (uvAttribLoc !== -1 && typeof this.currentGeometry.getUVBuffer === 'function') {
-                   const uvBuffer = this.currentGeometry.getUVBuffer(this.gl);
+                if (uvAttribLoc !== -1 && typeof geometry.getUVBuffer === 'function') {
+                   const uvBuffer = geometry.getUVBuffer(this.gl);
                    if (uvBuffer) {
                        gl.bindBuffer(gl.ARRAY_BUFFER, uvBuffer);
                        gl.vertexAttribPointer(uvAttribLoc, 2, gl.FLOAT, false, 0, 0); // Assuming 2D UVs
@@ -317,25 +783,45 @@ class HypercubeCore {
                     gl.disableVertexAttribArray(uvAttribLoc);
                 }
 
-                // ... (draw call logic as before) ...
-                if (typeof this.currentGeometry.getEdgeIndices === 'function' && this.currentGeometry.getEdgeIndices().length > 0) {
-                    const ibo = this.currentGeometry.getIndexBuffer(this.gl);
-                    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
-                    gl.drawElements(gl.LINES, this.currentGeometry.getEdgeIndices().length, gl.UNSIGNED_SHORT, 0);
-                } else if (this.currentGeometry.constructor.name === "FractalGeometry" || this.currentGeometry.constructor.name === "WaveGeometry" ) {
-                    const numPoints = this.currentGeometry.getVertices().length / 4;
-                    gl.drawArrays(gl.POINTS, 0, numPoints);
-                } else if (typeof this.currentGeometry.getIndices === 'function' && this.currentGeometry.getIndices().length > 0) {
-                    const ibo = this.currentGeometry.getIndexBuffer(this.gl);
-                    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ibo);
-                    gl.drawElements(gl.TRIANGLES, this.currentGeometry.getIndices().length, gl.UNSIGNED_SHORT, 0);
-                } else {
-                    const numVertices = this.currentGeometry.getVertices().length / 4;
-                    gl.drawArrays(gl.POINTS, 0, numVertices);
-                }
+                const vertexCount = geometry.getVertices().length / 4;
+                const passes = typeof geometry.getDrawPasses === 'function'
+                    ? geometry.getDrawPasses()
+                    : [{ name: 'points', mode: 'points' }];
+                passes.forEach(pass => this.drawGeometryPass(pass, vertexCount, geometry));
             } else { if (this.isPlaceholderRenderNeeded()) this.drawPlaceholder(); }
         } else { if (this.isPlaceholderRenderNeeded()) this.drawPlaceholder(); }
-        this.animationFrameId = requestAnimationFrame(this.render.bind(this));
+    }
+
+    /**
+     * Draws one pass declared by the current geometry's getDrawPasses().
+     * Indexed passes use 32-bit indices when the pass needs them; on WebGL1 this requires
+     * OES_element_index_uint, and the pass falls back to a point cloud if it is missing.
+     * @param {object} pass - { name, mode: 'points' | 'lines' | 'triangles', indices?, indexType? }
+     * @param {number} vertexCount - Number of vertices in the bound vertex buffers.
+     * @param {BaseGeometry} [geometry=this.currentGeometry] - Geometry that declared the pass.
+     */
+    drawGeometryPass(pass, vertexCount, geometry = this.currentGeometry) {
+        const gl = this.gl;
+        const modes = { points: gl.POINTS, lines: gl.LINES, triangles: gl.TRIANGLES };
+        const mode = modes[pass.mode];
+        if (mode === undefined) {
+            console.warn(`HypercubeCore: Unknown draw mode '${pass.mode}' in pass '${pass.name}'.`);
+            return;
+        }
+        if (!pass.indices || pass.indices.length === 0) {
+            gl.drawArrays(mode, 0, vertexCount);
+            return;
+        }
+        const { indexType } = geometry.getDrawPassIndexBuffer(gl, pass);
+        if (indexType === 'uint32' && !this.supportsUint32Indices) {
+            if (!this.warnedAboutUint32Indices) {
+                console.warn(`HypercubeCore: Pass '${pass.name}' needs 32-bit indices but OES_element_index_uint is unavailable. Drawing points instead.`);
+                this.warnedAboutUint32Indices = true;
+            }
+            gl.drawArrays(gl.POINTS, 0, vertexCount);
+            return;
+        }
+        gl.drawElements(mode, pass.indices.length, indexType === 'uint32' ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT, 0);
     }
 
     // ... isPlaceholderRenderNeeded, drawPlaceholder, start, stop, destroy ... (mostly unchanged)
@@ -352,13 +838,22 @@ class HypercubeCore {
         gl.drawArrays(gl.POINTS, 0, 4);
         gl.deleteBuffer(placeholderBuffer);
     }
-    start() { if (!this.animationFrameId) { this.lastTimestamp = performance.now(); this.animationFrameId = requestAnimationFrame(this.render.bind(this)); } }
+    start() {
+        if (this.headless) { console.warn("HypercubeCore: start() is unavailable in headless mode. Use renderFrame(timeSeconds)."); return; }
+        if (!this.animationFrameId) { this.lastTimestamp = performance.now(); this.animationFrameId = requestAnimationFrame(this.render.bind(this)); }
+    }
     stop() { if (this.animationFrameId) { cancelAnimationFrame(this.animationFrameId); this.animationFrameId = null; } }
     destroy() {
         this.stop();
+        if (this.presetTransition) this.finishPresetTransition();
         if (this.shaderManager) this.shaderManager.destroy();
-        window.removeEventListener('resize', this.onResize.bind(this));
+        if (this.boundOnResize) window.removeEventListener('resize', this.boundOnResize);
+        if (this.boundOnHashChange) window.removeEventListener('hashchange', this.boundOnHashChange);
         if(this.interactionEngine) this.interactionEngine.destroy();
+        if (this.boundContrastViolation) this.chromaticEngine.removeContrastListener(this.boundContrastViolation);
+        if (this.presetManager) this.presetManager.destroy();
+        if (this.homeMasterBridge) this.homeMasterBridge.destroy();
+        if (this.unsubscribeMotionPolicy) this.unsubscribeMotionPolicy();
         console.log("HypercubeCore: Destroyed.");
     }
 
@@ -368,6 +863,7 @@ class HypercubeCore {
             precision mediump float;
             attribute vec4 a_position4D; attribute vec4 a_normal4D; attribute vec2 a_uv;
             uniform mat4 u_modelViewMatrix; uniform mat4 u_projectionMatrix;
+            uniform mat4 u_rotation4D; uniform vec4 u_translation4D;
             uniform float u_time; uniform vec2 u_resolution; uniform float u_dimension;
             uniform float u_morphFactor; uniform float u_lineThickness;
             uniform int u_4D_projection_type; uniform float u_stereo_R; uniform float u_stereo_pole_sign;
@@ -375,7 +871,7 @@ class HypercubeCore {
             varying float v_w_component_original; varying vec3 v_normal_viewspace;
             varying vec3 v_position_viewspace; varying vec2 v_uv;
             void main() {
-                vec4 P = a_position4D; vec4 N_4D = a_normal4D;
+                vec4 P = u_rotation4D * a_position4D + u_translation4D; vec4 N_4D = u_rotation4D * a_normal4D;
                 v_position4D_world = P; v_w_component_original = P.w; v_uv = a_uv;
                 vec3 pos3D_intermediate;
                 if (u_4D_projection_type == 1) {
@@ -414,6 +910,7 @@ class HypercubeCore {
             uniform vec3 u_lightDirection;
             uniform float u_specularStrength; uniform vec3 u_specularColor; uniform float u_materialShininess;
             uniform bool u_isTorus; // ADDED
+            uniform float u_opacity; // Crossfade weight of the scene being drawn
             varying vec4 v_position4D_world; varying vec3 v_position3D_projected_raw;
             varying float v_w_component_original; varying vec3 v_normal_viewspace;
             varying vec3 v_position_viewspace; varying vec2 v_uv; // ADDED
@@ -463,22 +960,27 @@ class HypercubeCore {
                          alpha *= (glitchRand > 0.1 ? 0.5 : 1.0) ;
                     }
                 }
-                gl_FragColor = vec4(finalColor, alpha);
+                gl_FragColor = vec4(finalColor, alpha * u_opacity);
             }
         `;
     }
 }
 
 // Mock dependencies (ensure PresetManager and VIB3_PRESETS_EXPANDED are mocked correctly if presets.js isn't loaded first)
-if (typeof ShaderManager === 'undefined') { global.ShaderManager = class { constructor(gl) {this.gl = gl;} createProgram(vs, fs) {return true;} useProgram(){} getUniformLocation(name){return null;} getAttributeLocation(name){return -1;} setUniformMatrix4fv(){} setUniform1f(){} setUniform2fv(){} setUniform3fv(){} setUniform4fv(){} destroy(){} }; }
-if (typeof GeometryManager === 'undefined') { global.GeometryManager = class { constructor(){} createGeometryInstance(name, params){return null;} }; }
+if (typeof ShaderManager === 'undefined') { global.ShaderManager = class { constructor(gl) {this.gl = gl;} createProgram(vs, fs) {return true;} useProgram(){} getUniformLocation(name){return null;} getAttributeLocation(name){return -1;} setUniformMatrix4fv(){} setUniform1f(){} setUniform1i(){} setUniform2fv(){} setUniform3fv(){} setUniform4fv(){} destroy(){} }; }
+if (typeof GeometryManager === 'undefined') { global.GeometryManager = class { constructor(){} registerGeometry(){} registerGeometries(){} describeGeometry(name){return null;} listGeometries(){return [];} createGeometryInstance(name, params){return null;} }; }
 if (typeof ProjectionManager === 'undefined') { global.ProjectionManager = class { constructor(){} createProjectionInstance(name, params){return null;} }; }
 if (typeof VIB34DInteractionEngine === 'undefined') { global.VIB34DInteractionEngine = class { constructor(canvas){} getInteractionState(){ return { mouseMovement: { normalizedX:0, normalizedY:0}, audioBass:0, audioMid:0, audioHigh:0, idle:{decayFactor:1}, scroll:{intensity:0}, pattern:{type:'casual'}, clickHold:{intensity:0} }; } update(){} destroy(){} }; }
-if (typeof ParameterMappingSystem === 'undefined') { global.ParameterMappingSystem = class { constructor(baseParams, interactionEng){this.baseParameters = baseParams;} setBaseParameters(p){this.baseParameters=p;} getEffectiveParameters(){ return this.baseParameters || {}; } update(){} }; }
-if (typeof VIB34DChromaticEngine === 'undefined') { global.VIB34DChromaticEngine = class { constructor(){} update(geom, interact, time){} getCurrentColor(){ return {hsl:{h:0,s:0,l:0}, bgHsl:{h:0,s:0,l:0}, contentHsl:{h:0,s:0,l:0}, accentHsl:{h:0,s:0,l:0}}; } getHslCssString(c){return "";} }; }
-if (typeof VIB3HomeMasterBridge === 'undefined') { global.VIB3HomeMasterBridge = class { constructor(hcCore){} navigateToFace(faceId){} update(deltaTime){} }; }
-if (typeof PresetManager === 'undefined') { global.PresetManager = class { constructor(core, presets){} loadUserPresetsFromLocalStorage(){} getAllPresetNames(){return [];} loadPresetByName(name){} saveCurrentSettingsAsUserPreset(name){} exportUserPresetsToString(){} importUserPresetsFromString(json){} }; }
+if (typeof ParameterMappingSystem === 'undefined') { global.ParameterMappingSystem = class { constructor(baseParams, interactionEng){this.baseParameters = baseParams;} setBaseParameters(p){this.baseParameters=p;} getEffectiveParameters(){ return this.baseParameters || {}; } update(){} fromJSON(m){ return 0; } toJSON(){ return []; } resetMappings(){} }; }
+if (typeof ParameterStack === 'undefined') { global.ParameterStack = class { constructor(){ this.values = {}; } set(layer, params){ Object.assign(this.values, params); return true; } replace(layer, params){ return true; } clear(){ return true; } getLayerValues(){ return { ...this.values }; } lock(){ return true; } unlock(){ return true; } addTransient(){ return null; } update(){} compose(){ return { ...this.values }; } inspect(){ return {}; } static copyValue(v){ return Array.isArray(v) ? [...v] : v; } static sameValue(a, b){ return a === b; } }; }
+if (typeof MotionSafetyPolicy === 'undefined') { global.MotionSafetyPolicy = class { static get shared(){ return new MotionSafetyPolicy(); } get active(){ return false; } subscribe(listener){ listener(false, this); return () => {}; } capRotationSpeed(s){ return s; } transitionDuration(d){ return d || 0; } createLimiter(){ return { step(key, value){ return value; }, stepAt(key, value){ return value; }, reset(){} }; } }; }
+if (typeof VIB34DChromaticEngine === 'undefined') { global.VIB34DChromaticEngine = class { constructor(){} update(geom, interact, time){} getCurrentColor(){ return {hsl:{h:0,s:0,l:0}, bgHsl:{h:0,s:0,l:0}, contentHsl:{h:0,s:0,l:0}, accentHsl:{h:0,s:0,l:0}}; } getHslCssString(c){return "";} setPalette(){ return true; } getPaletteSelection(){ return null; } addContrastListener(){} removeContrastListener(){} }; }
+if (typeof VIB3HomeMasterBridge === 'undefined') { global.VIB3HomeMasterBridge = class { constructor(hcCore, options){} navigateToFace(faceId){ return false; } next(){ return null; } prev(){ return null; } neighbor(direction){ return null; } update(time){} destroy(){} }; }
+if (typeof PresetManager === 'undefined') { global.PresetManager = class { constructor(core, presets, options){} loadUserPresets(){ return Promise.resolve(false); } addStorageListener(){} destroy(){} loadPresetFromCode(){ return false; } getAllPresetNames(){return [];} loadPresetByName(name){} saveCurrentSettingsAsUserPreset(name){} exportUserPresetsToString(){} importUserPresetsFromString(json){} }; }
+if (typeof VIB3PresetSchema === 'undefined') { global.VIB3_PRESET_SCHEMA_VERSION = 1; global.VIB3PresetSchema = class { static load(preset){ return { presets: [preset], rejected: [] }; } static formatErrors(){ return ''; } }; }
+if (typeof Easing === 'undefined') { global.Easing = class { static resolve(){ return t => Math.max(0, Math.min(1, t)); } }; }
 if (typeof VIB3_PRESETS_EXPANDED === 'undefined') { global.VIB3_PRESETS_EXPANDED = []; }
+if (typeof Rotation4D === 'undefined') { global.Rotation4D = class { static getDefaultParameters(){ return {}; } static getParametersSchema(){ return []; } reset(){} update(){} getMatrix(){ return new Float32Array([1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]); } getTranslation(){ return [0,0,0,0]; } }; }
 // The mat4 mock previously here has been removed.
 // Ensure gl-matrix.js is loaded via <script> tag in HTML before this file.
 // Then, access mat4 via `glMatrix.mat4` (or destructure: `const { mat4 } = glMatrix;`).
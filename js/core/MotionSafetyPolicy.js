@@ -0,0 +1,161 @@
+/**
+ * MotionSafetyPolicy: reduced-motion and photosensitivity limits shared by every renderer.
+ *
+ * While active, renderers cap rotation speed, drop glitch and portal flashes, limit how fast brightness-driving
+ * values may change, and replace snaps with crossfades. The policy follows the prefers-reduced-motion media query
+ * unless overridden at runtime with setEnabled(true|false); setEnabled('auto') returns to the media query.
+ *
+ * Flash limit: WCAG 2.3.1 counts a flash as a pair of opposing relative-luminance changes of at least 10%, and allows
+ * fewer than three per second. A pair needs 0.2 of luminance travel, so limiting change to maxLuminanceChangePerSecond
+ * (0.5 by default) allows at most 2.5 flashes per second. Renderers cannot measure the luminance of their output, so
+ * they rate-limit the parameters that drive it, assuming a parameter's full range swings luminance fully.
+ *
+ * Renderers use MotionSafetyPolicy.shared (or options.motionPolicy) and subscribe to changes:
+ *   this.unsubscribeMotionPolicy = policy.subscribe(active => { this.reducedMotion = active; });
+ * Load this file before HypercubeCore.js, vib34d-core.js, vib3-geometric-ui.js and vib3-portal-scroll.js.
+ */
+class MotionSafetyPolicy {
+    /**
+     * @param {object} [options]
+     * @param {boolean|string} [options.enabled='auto'] - true, false, or 'auto' to follow prefers-reduced-motion.
+     * @param {number} [options.maxRotationSpeed=0.2] - Cap in u_rotationSpeed units (radians-per-second scale of the shaders).
+     * @param {number} [options.maxLuminanceChangePerSecond=0.5] - Relative luminance change allowed per second.
+     * @param {number} [options.crossfadeDuration=0.6] - Seconds a crossfade takes where a snap would happen.
+     */
+    constructor(options = {}) {
+        this.maxRotationSpeed = options.maxRotationSpeed !== undefined ? options.maxRotationSpeed : 0.2;
+        this.maxLuminanceChangePerSecond = options.maxLuminanceChangePerSecond !== undefined ? options.maxLuminanceChangePerSecond : 0.5;
+        this.crossfadeDuration = options.crossfadeDuration !== undefined ? options.crossfadeDuration : 0.6;
+        this.listeners = new Set();
+        this.override = null; // null follows the media query
+
+        this.mediaQuery = (typeof window !== 'undefined' && typeof window.matchMedia === 'function')
+            ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.boundOnMediaChange = () => { if (this.override === null) this.notify(); };
+        if (this.mediaQuery) {
+            if (typeof this.mediaQuery.addEventListener === 'function') this.mediaQuery.addEventListener('change', this.boundOnMediaChange);
+            else if (typeof this.mediaQuery.addListener === 'function') this.mediaQuery.addListener(this.boundOnMediaChange);
+        }
+
+        this.setEnabled(options.enabled !== undefined ? options.enabled : 'auto');
+    }
+
+    /** @returns {MotionSafetyPolicy} The page-wide policy, created on first use. */
+    static get shared() {
+        if (!MotionSafetyPolicy.sharedInstance) MotionSafetyPolicy.sharedInstance = new MotionSafetyPolicy();
+        return MotionSafetyPolicy.sharedInstance;
+    }
+
+    /** @returns {boolean} Whether the limits are in force. */
+    get active() {
+        if (this.override !== null) return this.override;
+        return !!(this.mediaQuery && this.mediaQuery.matches);
+    }
+
+    /**
+     * @param {boolean|string} enabled - true, false, or 'auto' to follow prefers-reduced-motion.
+     */
+    setEnabled(enabled) {
+        const wasActive = this.active;
+        this.override = enabled === 'auto' || enabled === null ? null : !!enabled;
+        if (this.active !== wasActive) this.notify();
+    }
+
+    /**
+     * @param {function(boolean, MotionSafetyPolicy): void} listener - Called now and whenever `active` changes.
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.active, this);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const active = this.active;
+        this.listeners.forEach(listener => {
+            try { listener(active, this); } catch (e) { console.error('MotionSafetyPolicy: Listener failed.', e); }
+        });
+    }
+
+    /**
+     * @param {number} speed - A rotation speed in u_rotationSpeed units (the sign is kept).
+     * @returns {number} The speed, limited to maxRotationSpeed while active.
+     */
+    capRotationSpeed(speed) {
+        if (!this.active || Math.abs(speed) <= this.maxRotationSpeed) return speed;
+        return Math.sign(speed) * this.maxRotationSpeed;
+    }
+
+    /**
+     * @param {number} duration - Seconds of a transition; 0 is a snap.
+     * @returns {number} The duration, at least crossfadeDuration while active.
+     */
+    transitionDuration(duration) {
+        return this.active ? Math.max(duration || 0, this.crossfadeDuration) : (duration || 0);
+    }
+
+    /** @returns {MotionSafetyLimiter} A per-renderer limiter for brightness-driving values. */
+    createLimiter() {
+        return new MotionSafetyLimiter(this);
+    }
+}
+
+/**
+ * Moves named values toward their targets no faster than the policy's luminance rate while it is active, and
+ * passes them straight through otherwise. Values are remembered either way, so turning the policy on mid-flight
+ * continues from where they are.
+ */
+class MotionSafetyLimiter {
+    constructor(policy) {
+        this.policy = policy;
+        this.values = {};
+        this.times = {}; // Key -> time of its last stepAt()
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} target
+     * @param {number} deltaTime - Seconds since the last step for this key.
+     * @param {number} [range=1] - Change of the value that swings luminance fully.
+     * @returns {number} The value to use this frame.
+     */
+    step(key, target, deltaTime, range = 1) {
+        const current = this.values[key];
+        if (!this.policy.active || current === undefined || !Number.isFinite(deltaTime)) {
+            this.values[key] = target;
+            return target;
+        }
+        const maxChange = this.policy.maxLuminanceChangePerSecond * range * Math.max(0, deltaTime);
+        const next = current + Math.max(-maxChange, Math.min(maxChange, target - current));
+        this.values[key] = next;
+        return next;
+    }
+
+    /**
+     * step() for callers that have a scene time instead of a frame delta: the value moves by the time since this
+     * key was last stepped, so skipped or merged frames end in the same place.
+     * @param {string} key
+     * @param {number} target
+     * @param {number} time - Seconds.
+     * @param {number} [range=1]
+     * @returns {number} The value to use at this time.
+     */
+    stepAt(key, target, time, range = 1) {
+        const last = this.times[key];
+        this.times[key] = time;
+        return this.step(key, target, last === undefined ? NaN : time - last, range);
+    }
+
+    reset(key) {
+        if (key === undefined) { this.values = {}; this.times = {}; }
+        else { delete this.values[key]; delete this.times[key]; }
+    }
+}
+
+MotionSafetyPolicy.sharedInstance = null;
+
+if (typeof window !== 'undefined') {
+    window.MotionSafetyPolicy = MotionSafetyPolicy;
+    window.MotionSafetyLimiter = MotionSafetyLimiter;
+}
@@ -0,0 +1,377 @@
+/**
+ * ParameterStack
+ *
+ * Layered ownership of HypercubeCore's parameters. Each writer owns a layer, and a parameter's final value is
+ * composed from the lowest-priority layer up:
+ *   preset (0)       Loaded presets and their transitions; holds every parameter
+ *   face (100)       HomeMaster face theme (VIB3HomeMasterBridge) and parameters from bridge peers
+ *   user (200)       Dashboard overrides
+ *   interaction (300) ParameterMappingSystem modulation, rewritten every frame
+ *   effects (400)    Transient effects (addTransient)
+ * A layer only touches the parameters it holds, combining them with the value composed below it by its blend mode:
+ *   replace   layer value
+ *   add       below + layer value
+ *   multiply  below * layer value
+ * Add and multiply work on numbers and equal-length numeric arrays; other values always replace. A layer can
+ * override its blend mode per parameter (setParameterBlend).
+ *
+ * lock(name, layer) pins a parameter to a layer: layers above it are skipped for that parameter, so a dashboard
+ * value locked to 'user' holds still while interaction and effects keep modulating everything else.
+ *
+ * inspect() reports, per parameter, the final value, the layer that produced it and each layer's contribution.
+ */
+const PARAMETER_STACK_BLENDS = ['replace', 'add', 'multiply'];
+
+class ParameterStack {
+    /**
+     * @param {Array<object>} [layers=ParameterStack.getDefaultLayers()] - { name, priority, blend } per layer.
+     */
+    constructor(layers = ParameterStack.getDefaultLayers()) {
+        this.layers = []; // Sorted by priority, lowest first
+        this.locks = {}; // Parameter name -> layer name
+        this.transients = []; // { id, layer, params, blend, duration, startTime, elapsed, fade }
+        this.time = 0; // Scene time of the last update(); transients start at it
+        this.nextTransientId = 1;
+        layers.forEach(layer => this.addLayer(layer));
+    }
+
+    static getDefaultLayers() {
+        return [
+            { name: 'preset', priority: 0, blend: 'replace' },
+            { name: 'face', priority: 100, blend: 'replace' },
+            { name: 'user', priority: 200, blend: 'replace' },
+            { name: 'interaction', priority: 300, blend: 'replace' },
+            { name: 'effects', priority: 400, blend: 'add' }
+        ];
+    }
+
+    // --- Layers ---
+
+    /**
+     * Adds a layer, or reconfigures an existing one (its values are kept).
+     * @param {object} definition
+     * @param {string} definition.name
+     * @param {number} [definition.priority=0] - Higher layers are composed later; equal priorities keep insertion order.
+     * @param {string} [definition.blend='replace'] - 'replace', 'add' or 'multiply'.
+     * @returns {boolean} False if the definition is invalid.
+     */
+    addLayer(definition) {
+        if (!definition || typeof definition.name !== 'string' || definition.name === '') {
+            console.error("ParameterStack: A layer needs a name.", definition);
+            return false;
+        }
+        const blend = definition.blend || 'replace';
+        if (!PARAMETER_STACK_BLENDS.includes(blend)) {
+            console.error(`ParameterStack: Unknown blend "${blend}". Expected one of ${PARAMETER_STACK_BLENDS.join(', ')}.`);
+            return false;
+        }
+        const priority = typeof definition.priority === 'number' ? definition.priority : 0;
+        const existing = this.findLayer(definition.name);
+        if (existing) {
+            existing.blend = blend;
+            existing.priority = priority;
+        } else {
+            this.layers.push({ name: definition.name, priority, blend, values: {}, blends: {} });
+        }
+        this.layers.sort((a, b) => a.priority - b.priority);
+        return true;
+    }
+
+    /**
+     * Removes a layer with its values, locks and transients.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    removeLayer(name) {
+        const index = this.layers.findIndex(layer => layer.name === name);
+        if (index === -1) return false;
+        this.layers.splice(index, 1);
+        Object.keys(this.locks).forEach(key => { if (this.locks[key] === name) delete this.locks[key]; });
+        this.transients = this.transients.filter(transient => transient.layer !== name);
+        return true;
+    }
+
+    findLayer(name) {
+        return this.layers.find(layer => layer.name === name) || null;
+    }
+
+    requireLayer(name) {
+        const layer = this.findLayer(name);
+        if (!layer) console.error(`ParameterStack: Unknown layer "${name}".`);
+        return layer;
+    }
+
+    /** @returns {Array<object>} { name, priority, blend } per layer, lowest priority first. */
+    listLayers() {
+        return this.layers.map(({ name, priority, blend }) => ({ name, priority, blend }));
+    }
+
+    // --- Values ---
+
+    /**
+     * Merges values into a layer.
+     * @param {string} layerName
+     * @param {object} params
+     * @returns {boolean} False if the layer doesn't exist.
+     */
+    set(layerName, params) {
+        const layer = this.requireLayer(layerName);
+        if (!layer) return false;
+        Object.keys(params).forEach(key => { layer.values[key] = ParameterStack.copyValue(params[key]); });
+        return true;
+    }
+
+    /**
+     * Replaces all values of a layer.
+     * @param {string} layerName
+     * @param {object} params
+     * @returns {boolean}
+     */
+    replace(layerName, params) {
+        const layer = this.requireLayer(layerName);
+        if (!layer) return false;
+        layer.values = {};
+        return this.set(layerName, params);
+    }
+
+    /**
+     * Removes values from a layer, so the layers below show through again.
+     * @param {string} layerName
+     * @param {Array<string>} [keys] - Defaults to every value of the layer.
+     * @returns {boolean}
+     */
+    clear(layerName, keys) {
+        const layer = this.requireLayer(layerName);
+        if (!layer) return false;
+        if (keys === undefined) layer.values = {};
+        else keys.forEach(key => { delete layer.values[key]; });
+        return true;
+    }
+
+    /** @returns {object} Copy of a layer's own values (without transients). */
+    getLayerValues(layerName) {
+        const layer = this.findLayer(layerName);
+        if (!layer) return {};
+        const values = {};
+        Object.keys(layer.values).forEach(key => { values[key] = ParameterStack.copyValue(layer.values[key]); });
+        return values;
+    }
+
+    /**
+     * Overrides a layer's blend mode for one parameter.
+     * @param {string} layerName
+     * @param {string} key
+     * @param {string|null} blend - 'replace', 'add', 'multiply', or null to use the layer's blend again.
+     * @returns {boolean}
+     */
+    setParameterBlend(layerName, key, blend) {
+        const layer = this.requireLayer(layerName);
+        if (!layer) return false;
+        if (blend === null) { delete layer.blends[key]; return true; }
+        if (!PARAMETER_STACK_BLENDS.includes(blend)) {
+            console.error(`ParameterStack: Unknown blend "${blend}". Expected one of ${PARAMETER_STACK_BLENDS.join(', ')}.`);
+            return false;
+        }
+        layer.blends[key] = blend;
+        return true;
+    }
+
+    // --- Locks ---
+
+    /**
+     * Pins a parameter to a layer; layers above it no longer affect the parameter.
+     * @param {string} key
+     * @param {string} layerName
+     * @param {any} [value] - Also sets the parameter on that layer.
+     * @returns {boolean}
+     */
+    lock(key, layerName, value) {
+        if (!this.requireLayer(layerName)) return false;
+        this.locks[key] = layerName;
+        if (value !== undefined) this.set(layerName, { [key]: value });
+        return true;
+    }
+
+    unlock(key) {
+        if (!this.locks[key]) return false;
+        delete this.locks[key];
+        return true;
+    }
+
+    /** @returns {object} Parameter name -> layer name. */
+    getLocks() {
+        return { ...this.locks };
+    }
+
+    // --- Transients ---
+
+    /**
+     * Adds values to a layer for a limited time, starting at the time of the last update(). With `fade`, their effect shrinks linearly to nothing
+     * (to 0 for add, to 1 for multiply); replace values hold until they expire.
+     * @param {object} params
+     * @param {object} [options]
+     * @param {number} [options.duration=1.0] - Seconds.
+     * @param {string} [options.layer='effects']
+     * @param {string} [options.blend] - Defaults to the layer's blend for each parameter.
+     * @param {boolean} [options.fade=true]
+     * @returns {number|null} ID for removeTransient(), or null if rejected.
+     */
+    addTransient(params, options = {}) {
+        const layerName = options.layer || 'effects';
+        if (!this.requireLayer(layerName)) return null;
+        if (options.blend !== undefined && !PARAMETER_STACK_BLENDS.includes(options.blend)) {
+            console.error(`ParameterStack: Unknown blend "${options.blend}". Expected one of ${PARAMETER_STACK_BLENDS.join(', ')}.`);
+            return null;
+        }
+        const duration = options.duration !== undefined ? options.duration : 1.0;
+        if (!(duration > 0)) {
+            console.error("ParameterStack: A transient needs a positive duration.");
+            return null;
+        }
+        const id = this.nextTransientId++;
+        const values = {};
+        Object.keys(params).forEach(key => { values[key] = ParameterStack.copyValue(params[key]); });
+        this.transients.push({ id, layer: layerName, params: values, blend: options.blend || null, duration, startTime: this.time, elapsed: 0, fade: options.fade !== false });
+        return id;
+    }
+
+    removeTransient(id) {
+        const count = this.transients.length;
+        this.transients = this.transients.filter(transient => transient.id !== id);
+        return this.transients.length !== count;
+    }
+
+    /**
+     * Moves to the given scene time: ages the transients from their start time and drops expired ones.
+     * @param {number} time - Seconds.
+     */
+    update(time) {
+        this.time = time;
+        if (this.transients.length === 0) return;
+        this.transients.forEach(transient => { transient.elapsed = Math.max(0, time - transient.startTime); });
+        this.transients = this.transients.filter(transient => transient.elapsed < transient.duration);
+    }
+
+    // --- Composition ---
+
+    /**
+     * A layer's values combined with its active transients.
+     * @returns {object} Parameter name -> { value, blend }.
+     */
+    getLayerEntries(layer) {
+        const entries = {};
+        Object.keys(layer.values).forEach(key => {
+            entries[key] = { value: layer.values[key], blend: layer.blends[key] || layer.blend };
+        });
+        this.transients.forEach(transient => {
+            if (transient.layer !== layer.name) return;
+            const weight = transient.fade ? 1 - transient.elapsed / transient.duration : 1;
+            Object.keys(transient.params).forEach(key => {
+                const blend = transient.blend || layer.blends[key] || layer.blend;
+                const value = ParameterStack.weightValue(transient.params[key], blend, weight);
+                const entry = entries[key];
+                // On a parameter the layer already holds, the transient applies to the layer's value by its own blend.
+                entries[key] = entry ? { value: ParameterStack.blendValue(entry.value, value, blend), blend: entry.blend } : { value, blend };
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Layers taking part in a composition.
+     * @param {object} [options]
+     * @param {string} [options.through] - Stop after this layer.
+     * @param {string} [options.before] - Stop before this layer.
+     */
+    selectLayers(options = {}) {
+        const stopName = options.through || options.before;
+        if (!stopName) return this.layers;
+        const index = this.layers.findIndex(layer => layer.name === stopName);
+        if (index === -1) return this.layers;
+        return this.layers.slice(0, options.through ? index + 1 : index);
+    }
+
+    /**
+     * Final values of every parameter held by any layer.
+     * @param {object} [options] - { through } or { before } a layer name, e.g. { through: 'user' } for the base parameters.
+     * @returns {object}
+     */
+    compose(options = {}) {
+        const result = {};
+        this.walk(options, (key, value) => { result[key] = value; });
+        return result;
+    }
+
+    /**
+     * How each parameter's final value came about.
+     * @param {string} [key] - One parameter; defaults to all of them.
+     * @param {object} [options] - See compose().
+     * @returns {object} { value, source, locked, contributions: [{ layer, blend, value, result }] }, keyed by
+     *     parameter unless `key` is given. `source` is the last layer that contributed; `locked` the lock's layer or null.
+     */
+    inspect(key, options = {}) {
+        const report = {};
+        this.walk(options, (name, result, layer, entry) => {
+            const item = report[name] || (report[name] = { value: undefined, source: null, locked: this.locks[name] || null, contributions: [] });
+            item.value = ParameterStack.copyValue(result);
+            item.source = layer.name;
+            item.contributions.push({ layer: layer.name, blend: entry.blend, value: ParameterStack.copyValue(entry.value), result: ParameterStack.copyValue(result) });
+        }, key);
+        if (key !== undefined) return report[key] || null;
+        return report;
+    }
+
+    walk(options, visit, onlyKey) {
+        const current = {};
+        this.selectLayers(options).forEach(layer => {
+            const entries = this.getLayerEntries(layer);
+            Object.keys(entries).forEach(key => {
+                if (onlyKey !== undefined && key !== onlyKey) return;
+                const lockedTo = this.locks[key] ? this.findLayer(this.locks[key]) : null;
+                if (lockedTo && layer.priority > lockedTo.priority) return;
+                current[key] = ParameterStack.blendValue(current[key], entries[key].value, entries[key].blend);
+                visit(key, current[key], layer, entries[key]);
+            });
+        });
+    }
+
+    // --- Value helpers ---
+
+    static blendValue(below, value, blend) {
+        if (blend === 'replace' || below === undefined) return ParameterStack.copyValue(value);
+        const combine = blend === 'multiply' ? (a, b) => a * b : (a, b) => a + b;
+        if (typeof below === 'number' && typeof value === 'number') return combine(below, value);
+        if (ParameterStack.isNumericArray(below) && ParameterStack.isNumericArray(value) && below.length === value.length) {
+            return below.map((v, i) => combine(v, value[i]));
+        }
+        return ParameterStack.copyValue(value);
+    }
+
+    /** Scales a transient value toward the blend's identity (0 for add, 1 for multiply). */
+    static weightValue(value, blend, weight) {
+        if (blend === 'replace' || weight >= 1) return value;
+        const identity = blend === 'multiply' ? 1 : 0;
+        const scale = v => identity + (v - identity) * weight;
+        if (typeof value === 'number') return scale(value);
+        if (ParameterStack.isNumericArray(value)) return value.map(scale);
+        return value;
+    }
+
+    static isNumericArray(value) {
+        return Array.isArray(value) && value.every(v => typeof v === 'number');
+    }
+
+    static sameValue(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => v === b[i]);
+        return a === b;
+    }
+
+    static copyValue(value) {
+        return Array.isArray(value) ? [...value] : value;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PARAMETER_STACK_BLENDS = PARAMETER_STACK_BLENDS;
+    window.ParameterStack = ParameterStack;
+}
@@ -0,0 +1,150 @@
+/**
+ * Rotation4D: GPU-side 4D rotation for HypercubeCore.
+ *
+ * Each of the six rotation planes (XY, XZ, XW, YZ, YW, ZW) has its own speed and phase parameter.
+ * Speeds are scaled by the global u_rotationSpeed. Each plane's angle is phase + rate * (time - anchor time):
+ * a function of the scene time while its rate holds, re-anchored where the rate changes, so changing a speed
+ * (from a preset transition, the bridge or an interaction mapping) never makes the angle jump.
+ * The planes are composed in the order listed above into one 4x4 matrix, which the vertex shader
+ * applies to a_position4D / a_normal4D before adding the u_translation4D offset.
+ *
+ * All inputs are plain scalar base parameters (u_rotXYSpeed, u_rotXYPhase, ..., u_translateX..W),
+ * so presets, dashboard sliders, mappings and the bridge animate them like any other parameter.
+ */
+class Rotation4D {
+    constructor() {
+        this.anchors = {}; // Plane -> { angle, time, rate }: the angle reached at `time`, turning at `rate` since then
+        this.reset();
+    }
+
+    /**
+     * Rotation planes in composition order. Each entry is [planeKey, axisA, axisB].
+     * @returns {Array<Array>}
+     */
+    static get PLANES() {
+        return [['XY', 0, 1], ['XZ', 0, 2], ['XW', 0, 3], ['YZ', 1, 2], ['YW', 1, 3], ['ZW', 2, 3]];
+    }
+
+    /**
+     * Default base parameters for the rotation subsystem. The W planes turn by default so the
+     * fourth dimension is visible without any preset; the pure 3D planes start still.
+     * @returns {object}
+     */
+    static getDefaultParameters() {
+        const defaultSpeeds = { XY: 0.0, XZ: 0.0, XW: 0.6, YZ: 0.0, YW: 0.4, ZW: 0.2 };
+        const params = {};
+        Rotation4D.PLANES.forEach(([plane]) => {
+            params[`u_rot${plane}Speed`] = defaultSpeeds[plane];
+            params[`u_rot${plane}Phase`] = 0.0;
+        });
+        params.u_translateX = 0.0; params.u_translateY = 0.0; params.u_translateZ = 0.0; params.u_translateW = 0.0;
+        return params;
+    }
+
+    /**
+     * Schema entries in the format of HypercubeCore.getCoreParametersSchema().
+     * @returns {Array<object>}
+     */
+    static getParametersSchema() {
+        const defaults = Rotation4D.getDefaultParameters();
+        const schema = [];
+        Rotation4D.PLANES.forEach(([plane]) => {
+            schema.push({ name: `u_rot${plane}Speed`, label: `${plane} Plane Speed`, type: 'slider', min: -3.0, max: 3.0, step: 0.01,
+                defaultValue: defaults[`u_rot${plane}Speed`], group: '4D Rotation', description: "Radians per second, scaled by Rotation Speed." });
+            schema.push({ name: `u_rot${plane}Phase`, label: `${plane} Plane Phase`, type: 'slider', min: 0.0, max: Math.PI * 2, step: 0.01,
+                defaultValue: defaults[`u_rot${plane}Phase`], group: '4D Rotation', isAdvanced: true });
+        });
+        ['X', 'Y', 'Z', 'W'].forEach(axis => {
+            schema.push({ name: `u_translate${axis}`, label: `Translate ${axis}`, type: 'slider', min: -2.0, max: 2.0, step: 0.01,
+                defaultValue: defaults[`u_translate${axis}`], group: '4D Rotation', isAdvanced: true });
+        });
+        return schema;
+    }
+
+    /**
+     * Resets every plane to angle zero at time 0 (phases still apply). The first update() then takes its rate as
+     * the rate since time 0.
+     */
+    reset() {
+        Rotation4D.PLANES.forEach(([plane]) => { this.anchors[plane] = { angle: 0.0, time: 0.0, rate: null }; });
+        this.time = 0.0;
+    }
+
+    /**
+     * Moves to the given scene time. A plane whose rate (speed * u_rotationSpeed) changed is re-anchored at its
+     * angle for this time, so only rate changes depend on when frames were rendered.
+     * @param {object} params - Effective parameters for this frame.
+     * @param {number} time - Scene time in seconds.
+     */
+    update(params, time) {
+        const globalSpeed = typeof params.u_rotationSpeed === 'number' ? params.u_rotationSpeed : 1.0;
+        Rotation4D.PLANES.forEach(([plane]) => {
+            const anchor = this.anchors[plane];
+            const rate = (params[`u_rot${plane}Speed`] || 0) * globalSpeed;
+            if (anchor.rate === null) {
+                anchor.rate = rate;
+            } else if (rate !== anchor.rate) {
+                this.anchors[plane] = { angle: this.getIntegratedAngle(plane, time), time, rate };
+            }
+        });
+        this.time = time;
+    }
+
+    /**
+     * @param {string} plane - e.g. 'XW'.
+     * @param {number} [time=this.time] - Scene time in seconds.
+     * @returns {number} The plane's angle from its speed alone, in [0, 2PI).
+     */
+    getIntegratedAngle(plane, time = this.time) {
+        const anchor = this.anchors[plane];
+        const angle = (anchor.angle + (anchor.rate || 0) * (time - anchor.time)) % (Math.PI * 2);
+        return angle < 0 ? angle + Math.PI * 2 : angle;
+    }
+
+    /**
+     * Current angle of every plane in radians (integrated angle plus phase).
+     * @param {object} params - Effective parameters for this frame.
+     * @returns {object} e.g. { XY: 0, XZ: 0, XW: 1.2, ... }
+     */
+    getAngles(params) {
+        const angles = {};
+        Rotation4D.PLANES.forEach(([plane]) => {
+            angles[plane] = this.getIntegratedAngle(plane) + (params[`u_rot${plane}Phase`] || 0);
+        });
+        return angles;
+    }
+
+    /**
+     * Builds the combined rotation as a column-major 4x4 matrix, ready for uniformMatrix4fv.
+     * @param {object} params - Effective parameters for this frame.
+     * @returns {Float32Array}
+     */
+    getMatrix(params) {
+        const angles = this.getAngles(params);
+        const m = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+        Rotation4D.PLANES.forEach(([plane, a, b]) => {
+            const angle = angles[plane];
+            if (angle === 0) return;
+            const c = Math.cos(angle), s = Math.sin(angle);
+            // Left-multiply by the plane rotation: only rows a and b change.
+            for (let col = 0; col < 4; col++) {
+                const ma = m[col * 4 + a], mb = m[col * 4 + b];
+                m[col * 4 + a] = ma * c - mb * s;
+                m[col * 4 + b] = ma * s + mb * c;
+            }
+        });
+        return m;
+    }
+
+    /**
+     * @param {object} params - Effective parameters for this frame.
+     * @returns {Array<number>} [x, y, z, w] offset applied after rotation.
+     */
+    getTranslation(params) {
+        return [params.u_translateX || 0, params.u_translateY || 0, params.u_translateZ || 0, params.u_translateW || 0];
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.Rotation4D = Rotation4D;
+}
@@ -101,27 +101,20 @@ class CrystalGeometry extends BaseGeometry {
         return this.indices;
     }
 
+    /**
+     * Draws the lattice bonds as lines and the lattice sites as points on top of them.
+     * @returns {Array<object>}
+     */
+    getDrawPasses() {
+        const passes = [];
+        if (this.indices.length > 0) passes.push({ name: 'bonds', mode: 'lines', indices: this.indices });
+        passes.push({ name: 'sites', mode: 'points' });
+        return passes;
+    }
+
     // No specific UVs for this type unless mapping texture to the lattice.
     // getUVs() { return []; }
 
-    apply4DRotations(rotations) {
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        let rotatedVertices = [...this.baseVertices4D]; // Rotate the original lattice points
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        if (xy !== 0) { const c = cos(xy), s = sin(xy); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], y = rotatedVertices[i+1]; rotatedVertices[i] = x * c - y * s; rotatedVertices[i+1] = x * s + y * c; }}
-        if (xz !== 0) { const c = cos(xz), s = sin(xz); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], z = rotatedVertices[i+2]; rotatedVertices[i] = x * c - z * s; rotatedVertices[i+2] = x * s + z * c; }}
-        if (xw !== 0) { const c = cos(xw), s = sin(xw); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], w = rotatedVertices[i+3]; rotatedVertices[i] = x * c - w * s; rotatedVertices[i+3] = x * s + w * c; }}
-        if (yz !== 0) { const c = cos(yz), s = sin(yz); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], z = rotatedVertices[i+2]; rotatedVertices[i+1] = y * c - z * s; rotatedVertices[i+2] = y * s + z * c; }}
-        if (yw !== 0) { const c = cos(yw), s = sin(yw); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], w = rotatedVertices[i+3]; rotatedVertices[i+1] = y * c - w * s; rotatedVertices[i+3] = y * s + w * c; }}
-        if (zw !== 0) { const c = cos(zw), s = sin(zw); for (let i = 0; i < rotatedVertices.length; i += 4) { const z = rotatedVertices[i+2], w = rotatedVertices[i+3]; rotatedVertices[i+2] = z * c - w * s; rotatedVertices[i+3] = z * s + w * c; }}
-
-        this.vertices = rotatedVertices; // Update live vertices
-        return this.vertices;
-    }
-
     update(params) {
         let needsRegeneration = false;
         if (params.latticeSize !== undefined &&
@@ -143,13 +136,6 @@ class CrystalGeometry extends BaseGeometry {
         if (needsRegeneration) {
             this.generate(); // This sets this.baseVertices4D and this.vertices, and this.indices
         }
-
-        if (params.rotations) {
-            // If regenerated, this.vertices is fresh. If not, it might have prior rotations.
-            // To avoid cumulative rotation issues, apply4DRotations should work from baseVertices4D.
-            // The current apply4DRotations uses this.baseVertices4D as source.
-            this.apply4DRotations(params.rotations);
-        }
     }
 
     // Buffer methods
@@ -204,7 +190,7 @@ const crystal = new CrystalGeometry({
 console.log("Crystal Lattice Points Count:", crystal.get4DVertices().length / 4);
 console.log("Crystal Lattice Edges Count:", crystal.getEdgeIndices().length / 2);
 
-// crystal.update({ unitCellSpacing: 1.0, rotations: { yz: Math.PI / 6 } });
+// crystal.update({ unitCellSpacing: 1.0 });
 // console.log("Updated Crystal First Point:", crystal.getVertices().slice(0,4));
 
 // Rendering this would typically use gl.POINTS for lattice sites
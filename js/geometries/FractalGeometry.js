@@ -129,31 +129,6 @@ class FractalGeometry extends BaseGeometry {
     // getUVs() { return []; }
     // getIndices() { return this.indices; } // Could be a sequence 0,1,2,... for point rendering
 
-    apply4DRotations(rotations) {
-        // This should rotate the entire point cloud.
-        // We need to decide if rotations apply to baseVertices4D and then copy to vertices,
-        // or if vertices are rotated directly.
-        // For fractals, usually regenerate or transform the generated points.
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        // Create a fresh copy for rotation if baseVertices4D is the source of truth.
-        // Or, if this.vertices is already populated from baseVertices4D:
-        let rotatedVertices = [...this.vertices]; // Assuming this.vertices holds the current state.
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        // Apply rotations to each point [x,y,z,w] in the rotatedVertices array
-        if (xy !== 0) { const c = cos(xy), s = sin(xy); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], y = rotatedVertices[i+1]; rotatedVertices[i] = x * c - y * s; rotatedVertices[i+1] = x * s + y * c; }}
-        if (xz !== 0) { const c = cos(xz), s = sin(xz); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], z = rotatedVertices[i+2]; rotatedVertices[i] = x * c - z * s; rotatedVertices[i+2] = x * s + z * c; }}
-        if (xw !== 0) { const c = cos(xw), s = sin(xw); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], w = rotatedVertices[i+3]; rotatedVertices[i] = x * c - w * s; rotatedVertices[i+3] = x * s + w * c; }}
-        if (yz !== 0) { const c = cos(yz), s = sin(yz); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], z = rotatedVertices[i+2]; rotatedVertices[i+1] = y * c - z * s; rotatedVertices[i+2] = y * s + z * c; }}
-        if (yw !== 0) { const c = cos(yw), s = sin(yw); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], w = rotatedVertices[i+3]; rotatedVertices[i+1] = y * c - w * s; rotatedVertices[i+3] = y * s + w * c; }}
-        if (zw !== 0) { const c = cos(zw), s = sin(zw); for (let i = 0; i < rotatedVertices.length; i += 4) { const z = rotatedVertices[i+2], w = rotatedVertices[i+3]; rotatedVertices[i+2] = z * c - w * s; rotatedVertices[i+3] = z * s + w * c; }}
-
-        this.vertices = rotatedVertices; // Update with the rotated points
-        return this.vertices;
-    }
-
 
     update(params) {
         let needsRegeneration = false;
@@ -173,21 +148,6 @@ class FractalGeometry extends BaseGeometry {
         if (needsRegeneration) {
             this.generate(); // This populates this.baseVertices4D and then this.vertices
         }
-
-        if (params.rotations) {
-            // If we just regenerated, this.vertices is fresh from baseVertices4D.
-            // If not, this.vertices might have prior rotations.
-            // To ensure rotations are not cumulative beyond what's intended,
-            // it's often best to rotate the 'canonical' base points.
-            // However, apply4DRotations as written above takes this.vertices (current state).
-            // For fractals, if baseVertices4D IS the canonical set of points, then rotations
-            // should transform that and update this.vertices.
-            // Let's adjust: apply4DRotations should ideally work from baseVertices4D.
-
-            // Simplified: assume update() is called, if rotations are present, apply them to current this.vertices.
-            // If regeneration also happened, this.vertices is fresh.
-            this.apply4DRotations(params.rotations);
-        }
     }
 
     // Buffer methods
@@ -233,7 +193,7 @@ const fractal = new FractalGeometry({
 });
 console.log("Fractal Points Count:", fractal.get4DVertices().length / 4);
 
-// fractal.update({ iterations: 3, rotations: { xw: Math.PI / 6 } });
+// fractal.update({ iterations: 3 });
 // console.log("Updated Fractal Points Count:", fractal.getVertices().length / 4);
 // console.log("First point after update:", fractal.getVertices().slice(0,4));
 
@@ -1,6 +1,5 @@
 /**
  * HypercubeGeometry: Generates vertices and indices for a 4D hypercube (tesseract).
- * Includes methods for 4D rotations.
  */
 class HypercubeGeometry extends BaseGeometry {
     constructor(options = {}) {
@@ -109,90 +108,6 @@ class HypercubeGeometry extends BaseGeometry {
     // getVertices() will return the (potentially 4D) vertex data.
     // getIndices() will return edge indices for line drawing.
 
-    /**
-     * Applies 4D rotations to the baseVertices4D.
-     * This is a CPU-side transformation. Often, rotations are handled in shaders for performance.
-     * @param {object} rotations - Object containing rotation angles in radians for different planes.
-     *                             e.g., { xy: 0.1, xz: 0.0, xw: 0.0, yz: 0.0, yw: 0.0, zw: 0.0 }
-     */
-    apply4DRotations(rotations) {
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        let rotatedVertices = [...this.baseVertices4D]; // Operate on a copy
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        // Apply XY rotation (around ZW plane)
-        if (xy !== 0) {
-            const c = cos(xy);
-            const s = sin(xy);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const x = rotatedVertices[i];
-                const y = rotatedVertices[i+1];
-                rotatedVertices[i]   = x * c - y * s;
-                rotatedVertices[i+1] = x * s + y * c;
-            }
-        }
-        // Apply XZ rotation (around YW plane)
-        if (xz !== 0) {
-            const c = cos(xz);
-            const s = sin(xz);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const x = rotatedVertices[i];
-                const z = rotatedVertices[i+2];
-                rotatedVertices[i]   = x * c - z * s;
-                rotatedVertices[i+2] = x * s + z * c;
-            }
-        }
-        // Apply XW rotation (around YZ plane)
-        if (xw !== 0) {
-            const c = cos(xw);
-            const s = sin(xw);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const x = rotatedVertices[i];
-                const w = rotatedVertices[i+3];
-                rotatedVertices[i]   = x * c - w * s;
-                rotatedVertices[i+3] = x * s + w * c;
-            }
-        }
-        // Apply YZ rotation (around XW plane)
-        if (yz !== 0) {
-            const c = cos(yz);
-            const s = sin(yz);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const y = rotatedVertices[i+1];
-                const z = rotatedVertices[i+2];
-                rotatedVertices[i+1] = y * c - z * s;
-                rotatedVertices[i+2] = y * s + z * c;
-            }
-        }
-        // Apply YW rotation (around XZ plane)
-        if (yw !== 0) {
-            const c = cos(yw);
-            const s = sin(yw);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const y = rotatedVertices[i+1];
-                const w = rotatedVertices[i+3];
-                rotatedVertices[i+1] = y * c - w * s;
-                rotatedVertices[i+3] = y * s + w * c;
-            }
-        }
-        // Apply ZW rotation (around XY plane)
-        if (zw !== 0) {
-            const c = cos(zw);
-            const s = sin(zw);
-            for (let i = 0; i < rotatedVertices.length; i += 4) {
-                const z = rotatedVertices[i+2];
-                const w = rotatedVertices[i+3];
-                rotatedVertices[i+2] = z * c - w * s;
-                rotatedVertices[i+3] = z * s + w * c;
-            }
-        }
-
-        this.vertices = rotatedVertices; // Update the main vertices array
-        return this.vertices;
-    }
-
     /**
      * Updates geometry parameters.
      * @param {object} params - Parameters to update, e.g., { size: newSize }.
@@ -202,10 +117,6 @@ class HypercubeGeometry extends BaseGeometry {
             this.parameters.size = params.size;
             this.generate(); // Regenerate if size changes
         }
-        // Handle rotation updates if they are passed here
-        if (params.rotations) {
-            this.apply4DRotations(params.rotations);
-        }
     }
 
     // WebGL buffer creation methods (to be called by HypercubeCore or a renderer)
@@ -268,10 +179,6 @@ const hypercube = new HypercubeGeometry({ size: 1.5 });
 console.log("4D Vertices:", hypercube.get4DVertices());
 console.log("Edge Indices:", hypercube.getEdgeIndices());
 
-// Apply some rotations
-hypercube.update({ rotations: { xw: Math.PI / 4, yz: Math.PI / 6 } });
-console.log("Rotated 4D Vertices:", hypercube.getVertices()); // getVertices() now returns rotated ones
-
 // If used with WebGL (simplified):
 // const gl = canvas.getContext('webgl');
 // const vbo = hypercube.getVertexPositionsBuffer(gl);
@@ -206,10 +206,6 @@ class HypersphereGeometry extends BaseGeometry {
         return this.baseVertices4D; // Or this.vertices if they are transformed
     }
 
-    // apply4DRotations - could be inherited or implemented if specific rotation logic is needed
-    // For now, assume BaseGeometry or a utility will handle rotations if CPU-side.
-    // Or rotations are done in shader.
-
     update(params) {
         let needsRegeneration = false;
         for (const key in params) {
@@ -232,18 +228,6 @@ class HypersphereGeometry extends BaseGeometry {
         if (needsRegeneration) {
             this.generate();
         }
-
-        // Handle dynamic rotation updates if needed (similar to HypercubeGeometry)
-        if (params.rotations && typeof this.apply4DRotations === 'function') {
-            this.apply4DRotations(params.rotations);
-        } else if (params.rotations) {
-            // Fallback or warning if rotations are expected but no method
-            // console.warn("HypersphereGeometry: Rotations passed but no apply4DRotations method.");
-            // As a default, let's assume a generic rotation application if available (e.g. from a common utility or future BaseGeometry enhancement)
-            if (super.apply4DRotations) { // Check if BaseGeometry has a generic one
-                super.apply4DRotations(params.rotations);
-            }
-        }
     }
 
     // Buffer methods (getVertexPositionsBuffer, getIndexBuffer, destroy) can be similar to HypercubeGeometry
@@ -204,42 +204,6 @@ class HypertetrahedronGeometry extends BaseGeometry {
         if (needsRegeneration) {
             this.generate(); // This mainly copies baseVertices4D to vertices and re-generates indices (which are fixed for 5-cell)
         }
-
-        if (params.rotations) {
-            // Apply rotations if method exists (e.g., from a base class or utility)
-            if (typeof this.apply4DRotations === 'function') {
-                this.apply4DRotations(params.rotations);
-            } else if (super.apply4DRotations) {
-                super.apply4DRotations(params.rotations);
-            }
-        }
-    }
-
-    // apply4DRotations could be added here or inherited if it becomes common
-    // It would transform `this.vertices` based on `this.baseVertices4D`.
-    apply4DRotations(rotations) { // Example implementation
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        let rotatedVertices = [...this.baseVertices4D];
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        // Simplified rotation application (assumes vertices are flat array [x,y,z,w,...])
-        // XY rotation
-        if (xy !== 0) { const c = cos(xy), s = sin(xy); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], y = rotatedVertices[i+1]; rotatedVertices[i] = x * c - y * s; rotatedVertices[i+1] = x * s + y * c; }}
-        // XZ rotation
-        if (xz !== 0) { const c = cos(xz), s = sin(xz); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], z = rotatedVertices[i+2]; rotatedVertices[i] = x * c - z * s; rotatedVertices[i+2] = x * s + z * c; }}
-        // XW rotation
-        if (xw !== 0) { const c = cos(xw), s = sin(xw); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], w = rotatedVertices[i+3]; rotatedVertices[i] = x * c - w * s; rotatedVertices[i+3] = x * s + w * c; }}
-        // YZ rotation
-        if (yz !== 0) { const c = cos(yz), s = sin(yz); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], z = rotatedVertices[i+2]; rotatedVertices[i+1] = y * c - z * s; rotatedVertices[i+2] = y * s + z * c; }}
-        // YW rotation
-        if (yw !== 0) { const c = cos(yw), s = sin(yw); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], w = rotatedVertices[i+3]; rotatedVertices[i+1] = y * c - w * s; rotatedVertices[i+3] = y * s + w * c; }}
-        // ZW rotation
-        if (zw !== 0) { const c = cos(zw), s = sin(zw); for (let i = 0; i < rotatedVertices.length; i += 4) { const z = rotatedVertices[i+2], w = rotatedVertices[i+3]; rotatedVertices[i+2] = z * c - w * s; rotatedVertices[i+3] = z * s + w * c; }}
-
-        this.vertices = rotatedVertices;
-        return this.vertices;
     }
 
 
@@ -286,6 +250,6 @@ const hypertetra = new HypertetrahedronGeometry({ size: 1.0, tetraThickness: 0.0
 console.log("Hypertetrahedron 4D Vertices:", hypertetra.get4DVertices());
 console.log("Hypertetrahedron Edge Indices:", hypertetra.getEdgeIndices());
 
-hypertetra.update({ size: 1.5, rotations: { xw: Math.PI / 8 } });
+hypertetra.update({ size: 1.5 });
 console.log("Updated Hypertetrahedron Vertices:", hypertetra.getVertices());
 */
@@ -87,25 +87,6 @@ class TorusGeometry extends BaseGeometry {
         return this.uvs;
     }
 
-    // apply4DRotations - can be inherited or implemented.
-    apply4DRotations(rotations) {
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        let rotatedVertices = [...this.baseVertices4D];
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        if (xy !== 0) { const c = cos(xy), s = sin(xy); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], y = rotatedVertices[i+1]; rotatedVertices[i] = x * c - y * s; rotatedVertices[i+1] = x * s + y * c; }}
-        if (xz !== 0) { const c = cos(xz), s = sin(xz); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], z = rotatedVertices[i+2]; rotatedVertices[i] = x * c - z * s; rotatedVertices[i+2] = x * s + z * c; }}
-        if (xw !== 0) { const c = cos(xw), s = sin(xw); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], w = rotatedVertices[i+3]; rotatedVertices[i] = x * c - w * s; rotatedVertices[i+3] = x * s + w * c; }}
-        if (yz !== 0) { const c = cos(yz), s = sin(yz); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], z = rotatedVertices[i+2]; rotatedVertices[i+1] = y * c - z * s; rotatedVertices[i+2] = y * s + z * c; }}
-        if (yw !== 0) { const c = cos(yw), s = sin(yw); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], w = rotatedVertices[i+3]; rotatedVertices[i+1] = y * c - w * s; rotatedVertices[i+3] = y * s + w * c; }}
-        if (zw !== 0) { const c = cos(zw), s = sin(zw); for (let i = 0; i < rotatedVertices.length; i += 4) { const z = rotatedVertices[i+2], w = rotatedVertices[i+3]; rotatedVertices[i+2] = z * c - w * s; rotatedVertices[i+3] = z * s + w * c; }}
-
-        this.vertices = rotatedVertices;
-        return this.vertices;
-    }
-
     update(params) {
         let needsRegeneration = false;
         for (const key in params) {
@@ -118,10 +99,6 @@ class TorusGeometry extends BaseGeometry {
         if (needsRegeneration) {
             this.generate();
         }
-
-        if (params.rotations) {
-            this.apply4DRotations(params.rotations);
-        }
     }
 
     // Buffer methods
@@ -191,6 +168,6 @@ console.log("Torus 4D Vertices Count:", torus.get4DVertices().length / 4);
 console.log("Torus UVs Count:", torus.getUVs().length / 2);
 console.log("Torus Indices Count:", torus.getIndices().length);
 
-torus.update({ majorRadius: 1.3, rotations: { zw: Math.PI / 3 } });
+torus.update({ majorRadius: 1.3 });
 console.log("Updated Torus First Vertex:", torus.getVertices().slice(0,4));
 */
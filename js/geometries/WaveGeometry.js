@@ -139,27 +139,6 @@ class WaveGeometry extends BaseGeometry {
         return this.uvs;
     }
 
-    apply4DRotations(rotations) {
-        const { xy = 0, xz = 0, xw = 0, yz = 0, yw = 0, zw = 0 } = rotations;
-        // Important: rotations should ideally be applied to the base grid shape,
-        // then wave displacement. Or, if wave is in 'world space', rotate after displacement.
-        // Current implementation rotates the (x,y,z,w_displaced) points.
-        let rotatedVertices = [...this.vertices];
-
-        const cos = Math.cos;
-        const sin = Math.sin;
-
-        if (xy !== 0) { const c = cos(xy), s = sin(xy); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], y = rotatedVertices[i+1]; rotatedVertices[i] = x * c - y * s; rotatedVertices[i+1] = x * s + y * c; }}
-        if (xz !== 0) { const c = cos(xz), s = sin(xz); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], z = rotatedVertices[i+2]; rotatedVertices[i] = x * c - z * s; rotatedVertices[i+2] = x * s + z * c; }}
-        if (xw !== 0) { const c = cos(xw), s = sin(xw); for (let i = 0; i < rotatedVertices.length; i += 4) { const x = rotatedVertices[i], w = rotatedVertices[i+3]; rotatedVertices[i] = x * c - w * s; rotatedVertices[i+3] = x * s + w * c; }}
-        if (yz !== 0) { const c = cos(yz), s = sin(yz); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], z = rotatedVertices[i+2]; rotatedVertices[i+1] = y * c - z * s; rotatedVertices[i+2] = y * s + z * c; }}
-        if (yw !== 0) { const c = cos(yw), s = sin(yw); for (let i = 0; i < rotatedVertices.length; i += 4) { const y = rotatedVertices[i+1], w = rotatedVertices[i+3]; rotatedVertices[i+1] = y * c - w * s; rotatedVertices[i+3] = y * s + w * c; }}
-        if (zw !== 0) { const c = cos(zw), s = sin(zw); for (let i = 0; i < rotatedVertices.length; i += 4) { const z = rotatedVertices[i+2], w = rotatedVertices[i+3]; rotatedVertices[i+2] = z * c - w * s; rotatedVertices[i+3] = z * s + w * c; }}
-
-        this.vertices = rotatedVertices;
-        return this.vertices;
-    }
-
     update(params) {
         let needsRegeneration = false; // For grid structure changes
         let needsWaveRecalculation = false; // For wave parameter changes
@@ -182,11 +161,6 @@ class WaveGeometry extends BaseGeometry {
         } else if (needsWaveRecalculation) {
             this.calculateWave();
         }
-
-        if (params.rotations) {
-            // Apply rotations after potential regeneration or wave recalculation
-            this.apply4DRotations(params.rotations);
-        }
     }
 
     // Buffer methods
@@ -259,7 +233,7 @@ console.log("Wave Geometry Vertices Count:", wave.get4DVertices().length / 4);
 console.log("Wave Geometry Indices Count:", wave.getIndices().length);
 
 // Simulate time passing
-// wave.update({ time: 0.5, rotations: { zw: Math.PI / 8 } });
+// wave.update({ time: 0.5 });
 // console.log("Wave First Vertex after update:", wave.getVertices().slice(0,4));
 // wave.update({ time: 1.0 });
 // console.log("Wave First Vertex after second update:", wave.getVertices().slice(0,4));
@@ -9,114 +9,266 @@
  * - How interaction data (intensity, velocity, patterns) maps to parameter changes.
  * - Rules for combining base values with interaction-driven modulations.
  * - Clamping of final parameter values to valid ranges.
+ *
+ * Mapping rules are plain, JSON-serializable objects so they can be stored in presets,
+ * loaded from JSON and edited at runtime:
+ *
+ *   {
+ *       id: 'scroll-grid',                        // Optional, generated if missing
+ *       sourceInteractionPath: ['scroll', 'intensity'], // Path into getInteractionState()
+ *       targetParameter: 'u_gridDensity',
+ *       curve: 'linear',                          // 'linear' | 'exp' | 'smoothstep' | 'step'
+ *       exponent: 2.0,                            // 'exp' only
+ *       edges: [0.0, 1.0],                        // 'smoothstep' only
+ *       threshold: 0.5,                           // 'step' only
+ *       scale: 10.0, offset: 0.0,                 // modulation = curve(input) * scale + offset
+ *       blend: 'add',                             // 'add': base + modulation, 'multiply': base * modulation
+ *       clamp: { min: 1.0, max: 25.0 },
+ *       secondaryInteractionPath: ['pattern', 'type'], // Optional, weights the input
+ *       secondaryMatch: ['rhythmic', 'intense']   // Non-numeric secondary values gate to 1 when listed, else 0
+ *   }
  */
+const PARAMETER_MAPPING_CURVES = ['linear', 'exp', 'smoothstep', 'step'];
+const PARAMETER_MAPPING_BLENDS = ['add', 'multiply'];
+
 class ParameterMappingSystem {
-    constructor(baseParameters, interactionEngine) {
+    constructor(baseParameters, interactionEngine, mappings = null) {
         this.baseParameters = { ...baseParameters }; // Initial static parameters
         this.interactionEngine = interactionEngine;
         this.effectiveParameters = { ...baseParameters }; // Parameters after interaction modulation
 
-        // Define mapping rules or functions.
-        // These rules specify which interaction aspects affect which parameters and how.
-        // Example: scroll intensity might affect u_gridDensity or u_universeModifier.
-        //          mouse movement might affect u_rotationSpeed or u_colorShift.
-        //          click/hold might affect u_morphFactor or u_glitchIntensity.
-        //
-        // This is a simplified example. A more complex system might use a declarative
-        // structure for mappings or allow dynamic configuration.
-        this.mappings = [
-            // Example mapping: Scroll intensity (audioBass) affects u_gridDensity
-            {
-                sourceInteraction: 'audioBass', // Key from interactionEngine.getInteractionState()
-                targetParameter: 'u_gridDensity',
-                // How the source value (0-1) modulates the target.
-                // value = base + interactionValue * scale +/- offset
-                // Or, value = base * (1 + interactionValue * scale)
-                mapFunction: (baseValue, interactionValue) => {
-                    // Let scroll increase grid density.
-                    // Base u_gridDensity is 10.0. Max could be 25.0.
-                    // InteractionValue (0-1).
-                    // If interaction = 1, increase by, say, 10.0.
-                    return baseValue + interactionValue * 10.0;
-                },
-                clamp: { min: 1.0, max: 25.0 }
-            },
-            // Example: Click/Hold intensity (audioMid) affects u_morphFactor
-            {
-                sourceInteraction: 'audioMid',
-                targetParameter: 'u_morphFactor',
-                mapFunction: (baseValue, interactionValue) => {
-                    // Base morph factor is 0.0. Max 1.5.
-                    return baseValue + interactionValue * 1.5;
-                },
-                clamp: { min: 0.0, max: 1.5 }
-            },
-            // Example: Mouse movement intensity (audioHigh) affects u_rotationSpeed
-            {
-                sourceInteraction: 'audioHigh',
-                targetParameter: 'u_rotationSpeed',
-                mapFunction: (baseValue, interactionValue) => {
-                    // Base rotation speed 0.5. Max 3.0.
-                    // Let high intensity mouse movement significantly increase speed.
-                    return baseValue + interactionValue * 2.5;
-                },
-                clamp: { min: 0.0, max: 3.0 }
-            },
-            // Example: Idle decay affects patternIntensity (e.g., visuals become calmer when idle)
-            {
-                sourceInteractionPath: ['idle', 'decayFactor'], // Path to nested value
-                targetParameter: 'u_patternIntensity',
-                mapFunction: (baseValue, decayFactor) => {
-                    // decayFactor is 1 when active, -> 0 when idle.
-                    // Let patternIntensity be its base value when active, and half when fully idle.
-                    return baseValue * (0.5 + 0.5 * decayFactor) ;
-                },
-                clamp: { min: 0.1, max: 3.0 } // Assuming base u_patternIntensity is within this.
-            },
-            // Example: Mouse X position could affect u_colorShift
-            {
-                sourceInteractionPath: ['mouseMovement', 'normalizedX'],
-                targetParameter: 'u_colorShift',
-                mapFunction: (baseValue, mouseX) => {
-                    // mouseX is 0-1. u_colorShift is -1 to 1.
-                    // Let base be 0. Mouse X directly maps to -1 to 1.
-                    return baseValue + (mouseX * 2.0 - 1.0);
-                },
-                clamp: { min: -1.0, max: 1.0 }
-            },
-            // Add more mappings for the 8 specified parameter mapping calculations
-            // This is just a start. The other uniforms (u_universeModifier, u_glitchIntensity, etc.)
-            // would also need mappings if they are to be interactive.
-
-            // Example: u_glitchIntensity based on click/hold pattern
-            {
-                sourceInteractionPath: ['pattern','type'],
-                sourceInteractionValuePath: ['clickHold', 'intensity'], // Get value from here
-                targetParameter: 'u_glitchIntensity',
-                mapFunction: (baseValue, patternType, clickIntensity) => {
-                    if (patternType === 'rhythmic' || patternType === 'intense') {
-                        return baseValue + clickIntensity * 0.15; // Max glitch 0.15
-                    }
-                    return baseValue; // No glitch otherwise
-                },
-                clamp: { min: 0.0, max: 0.15 }
-            },
-            // Example: u_universeModifier based on scroll pattern or intensity
-            {
-                sourceInteractionPath: ['scroll', 'intensity'],
-                targetParameter: 'u_universeModifier',
-                mapFunction: (baseValue, scrollIntensity) => {
-                    // u_universeModifier 0.3 -> 2.5
-                    // Base is 1.0. Scroll can shift it by +/- 0.7
-                    return baseValue + (scrollIntensity * 1.4 - 0.7);
-                },
-                clamp: {min: 0.3, max: 2.5}
-            }
-            // TODO: Add more mappings to cover 8 distinct parameter interactions if possible
-            // For example, u_shellWidth, u_tetraThickness could be subtly modulated by idle state or specific patterns.
+        this.mappings = [];
+        this.nextMappingId = 1;
+        this.fromJSON(mappings || ParameterMappingSystem.getDefaultMappings());
+    }
+
+    /**
+     * Returns a fresh copy of the built-in mapping rules.
+     * Presets without their own `mappings` fall back to these.
+     * @returns {Array<object>}
+     */
+    static getDefaultMappings() {
+        return [
+            // Scroll intensity (audioBass) increases grid density. Base 10.0, max 25.0.
+            { id: 'bass-gridDensity', sourceInteractionPath: ['audioBass'], targetParameter: 'u_gridDensity',
+              curve: 'linear', scale: 10.0, offset: 0.0, blend: 'add', clamp: { min: 1.0, max: 25.0 } },
+            // Click/Hold intensity (audioMid) pushes the morph factor.
+            { id: 'mid-morphFactor', sourceInteractionPath: ['audioMid'], targetParameter: 'u_morphFactor',
+              curve: 'linear', scale: 1.5, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 1.5 } },
+            // Mouse movement intensity (audioHigh) speeds up rotation.
+            { id: 'high-rotationSpeed', sourceInteractionPath: ['audioHigh'], targetParameter: 'u_rotationSpeed',
+              curve: 'linear', scale: 2.5, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 3.0 } },
+            // Idle decay calms the pattern: full base value when active, half when fully idle.
+            { id: 'idle-patternIntensity', sourceInteractionPath: ['idle', 'decayFactor'], targetParameter: 'u_patternIntensity',
+              curve: 'linear', scale: 0.5, offset: 0.5, blend: 'multiply', clamp: { min: 0.1, max: 3.0 } },
+            // Mouse X (0-1) maps directly onto the -1..1 color shift range.
+            { id: 'mouseX-colorShift', sourceInteractionPath: ['mouseMovement', 'normalizedX'], targetParameter: 'u_colorShift',
+              curve: 'linear', scale: 2.0, offset: -1.0, blend: 'add', clamp: { min: -1.0, max: 1.0 } },
+            // Click intensity glitches only during rhythmic or intense interaction patterns.
+            { id: 'click-glitchIntensity', sourceInteractionPath: ['clickHold', 'intensity'], targetParameter: 'u_glitchIntensity',
+              curve: 'linear', scale: 0.15, offset: 0.0, blend: 'add', clamp: { min: 0.0, max: 0.15 },
+              secondaryInteractionPath: ['pattern', 'type'], secondaryMatch: ['rhythmic', 'intense'] },
+            // Scroll shifts the universe modifier by +/- 0.7 around its base.
+            { id: 'scroll-universeModifier', sourceInteractionPath: ['scroll', 'intensity'], targetParameter: 'u_universeModifier',
+              curve: 'linear', scale: 1.4, offset: -0.7, blend: 'add', clamp: { min: 0.3, max: 2.5 } },
+            // Pinch (-1 pinch in .. +1 spread) moves the dimension by up to one step either way.
+            { id: 'pinch-dimension', sourceInteractionPath: ['gestures', 'pinch', 'value'], targetParameter: 'u_dimension',
+              curve: 'linear', scale: 1.0, offset: 0.0, blend: 'add', clamp: { min: 3.0, max: 5.0 } },
+            // Two-finger twist turns the XW plane by up to half a turn.
+            { id: 'twist-rotXWPhase', sourceInteractionPath: ['gestures', 'rotate', 'value'], targetParameter: 'u_rotXWPhase',
+              curve: 'linear', scale: Math.PI, offset: 0.0, blend: 'add' }
         ];
     }
 
+    /**
+     * Lists the numeric interaction state paths available as sourceInteractionPath, for editors and validation.
+     * The interaction state may carry more (e.g. pattern.type, useful as a secondaryInteractionPath).
+     * @returns {Array<string>} Dot-separated paths.
+     */
+    static getSourcePaths() {
+        return [
+            'audioBass', 'audioMid', 'audioHigh',
+            'audio.bass', 'audio.mid', 'audio.high', 'audio.level', 'audio.onset', 'audio.bpm', 'audio.regularity',
+            'scroll.intensity', 'scroll.velocity', 'scroll.direction',
+            'clickHold.intensity', 'clickHold.duration', 'clickHold.clickCount',
+            'mouseMovement.normalizedX', 'mouseMovement.normalizedY', 'mouseMovement.intensity',
+            'touch.touchCount', 'touch.primaryTouch.normalizedX', 'touch.primaryTouch.normalizedY', 'touch.primaryTouch.intensity',
+            'gestures.pinch.scale', 'gestures.pinch.value', 'gestures.pinch.intensity',
+            'gestures.rotate.angle', 'gestures.rotate.value', 'gestures.rotate.intensity',
+            'gestures.swipe.directionX', 'gestures.swipe.directionY', 'gestures.swipe.velocity', 'gestures.swipe.intensity',
+            'gestures.doubleTap.intensity', 'gestures.longPress.duration', 'gestures.longPress.intensity',
+            'idle.decayFactor', 'idle.timeSinceLastActive',
+            'pattern.confidence'
+        ];
+    }
+
+    /**
+     * Validates and normalizes a declarative mapping rule.
+     * @param {object} definition - Rule as described in the class documentation.
+     * @returns {object | null} The normalized rule, or null if invalid.
+     */
+    normalizeMapping(definition) {
+        if (!definition || typeof definition !== 'object') {
+            console.error("ParameterMappingSystem: Invalid mapping definition.", definition);
+            return null;
+        }
+        let sourcePath = definition.sourceInteractionPath;
+        if (!sourcePath && definition.sourceInteraction) sourcePath = [definition.sourceInteraction]; // Legacy top-level key
+        if (typeof sourcePath === 'string') sourcePath = sourcePath.split('.');
+        if (!Array.isArray(sourcePath) || sourcePath.length === 0 || typeof definition.targetParameter !== 'string') {
+            console.error("ParameterMappingSystem: Mapping requires a sourceInteractionPath and a targetParameter.", definition);
+            return null;
+        }
+
+        const curve = definition.curve || 'linear';
+        if (!PARAMETER_MAPPING_CURVES.includes(curve)) {
+            console.error(`ParameterMappingSystem: Unknown curve "${curve}". Expected one of ${PARAMETER_MAPPING_CURVES.join(', ')}.`);
+            return null;
+        }
+        const blend = definition.blend || 'add';
+        if (!PARAMETER_MAPPING_BLENDS.includes(blend)) {
+            console.error(`ParameterMappingSystem: Unknown blend "${blend}". Expected one of ${PARAMETER_MAPPING_BLENDS.join(', ')}.`);
+            return null;
+        }
+
+        const mapping = {
+            id: definition.id || `mapping-${this.nextMappingId++}`,
+            sourceInteractionPath: [...sourcePath],
+            targetParameter: definition.targetParameter,
+            curve: curve,
+            scale: typeof definition.scale === 'number' ? definition.scale : 1.0,
+            offset: typeof definition.offset === 'number' ? definition.offset : 0.0,
+            blend: blend,
+        };
+        if (curve === 'exp') mapping.exponent = typeof definition.exponent === 'number' ? definition.exponent : 2.0;
+        if (curve === 'smoothstep') mapping.edges = Array.isArray(definition.edges) && definition.edges.length === 2 ? [...definition.edges] : [0.0, 1.0];
+        if (curve === 'step') mapping.threshold = typeof definition.threshold === 'number' ? definition.threshold : 0.5;
+        if (definition.clamp && typeof definition.clamp.min === 'number' && typeof definition.clamp.max === 'number') {
+            mapping.clamp = { min: definition.clamp.min, max: definition.clamp.max };
+        }
+
+        let secondaryPath = definition.secondaryInteractionPath || definition.sourceInteractionValuePath;
+        if (typeof secondaryPath === 'string') secondaryPath = secondaryPath.split('.');
+        if (Array.isArray(secondaryPath) && secondaryPath.length > 0) {
+            mapping.secondaryInteractionPath = [...secondaryPath];
+            if (Array.isArray(definition.secondaryMatch)) mapping.secondaryMatch = [...definition.secondaryMatch];
+        }
+        return mapping;
+    }
+
+    /**
+     * Adds a mapping rule. A rule with the same id replaces the existing one.
+     * @param {object} definition - Declarative mapping rule.
+     * @returns {string | null} The id of the added rule, or null if it was rejected.
+     */
+    addMapping(definition) {
+        const mapping = this.normalizeMapping(definition);
+        if (!mapping) return null;
+        const existingIndex = this.mappings.findIndex(m => m.id === mapping.id);
+        if (existingIndex !== -1) {
+            this.mappings[existingIndex] = mapping;
+        } else {
+            this.mappings.push(mapping);
+        }
+        return mapping.id;
+    }
+
+    /**
+     * Removes a mapping rule.
+     * @param {string} id - The rule id returned by addMapping() or given in its definition.
+     * @returns {boolean} True if a rule was removed.
+     */
+    removeMapping(id) {
+        const index = this.mappings.findIndex(m => m.id === id);
+        if (index === -1) {
+            console.warn(`ParameterMappingSystem: Mapping "${id}" not found.`);
+            return false;
+        }
+        this.mappings.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Returns a copy of all current mapping rules.
+     * @returns {Array<object>}
+     */
+    getMappings() {
+        return this.toJSON();
+    }
+
+    /**
+     * Serializes the mapping rules. The result can be stored in a preset's `mappings` field.
+     * @returns {Array<object>}
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.mappings));
+    }
+
+    /**
+     * Replaces all mapping rules with the given ones. Invalid rules are skipped.
+     * @param {Array<object> | string} json - Array of rules or its JSON string.
+     * @returns {number} The number of rules loaded.
+     */
+    fromJSON(json) {
+        let definitions = json;
+        if (typeof json === 'string') {
+            try {
+                definitions = JSON.parse(json);
+            } catch (e) {
+                console.error("ParameterMappingSystem: Error parsing mappings JSON.", e);
+                return 0;
+            }
+        }
+        if (!Array.isArray(definitions)) {
+            console.error("ParameterMappingSystem: Mappings data is not an array.");
+            return 0;
+        }
+        this.mappings = [];
+        for (const definition of definitions) {
+            this.addMapping(definition);
+        }
+        return this.mappings.length;
+    }
+
+    /**
+     * Restores the built-in mapping rules.
+     */
+    resetMappings() {
+        this.fromJSON(ParameterMappingSystem.getDefaultMappings());
+    }
+
+    /**
+     * Shapes a normalized interaction value with the rule's response curve.
+     * @param {object} mapping - Normalized rule.
+     * @param {number} input - Interaction value.
+     * @returns {number}
+     */
+    applyCurve(mapping, input) {
+        switch (mapping.curve) {
+            case 'exp':
+                return Math.sign(input) * Math.pow(Math.abs(input), mapping.exponent);
+            case 'smoothstep': {
+                const [edge0, edge1] = mapping.edges;
+                const t = Math.max(0, Math.min(1, (input - edge0) / ((edge1 - edge0) || 1e-6)));
+                return t * t * (3 - 2 * t);
+            }
+            case 'step':
+                return input >= mapping.threshold ? 1.0 : 0.0;
+            default:
+                return input;
+        }
+    }
+
+    /**
+     * Reads a nested value from the interaction state.
+     * @param {Array<string>} path - e.g. ['idle', 'decayFactor'].
+     * @param {object} interactionState - From VIB34DInteractionEngine.getInteractionState().
+     * @returns {any}
+     */
+    resolvePath(path, interactionState) {
+        return path.reduce((obj, key) => (obj && obj[key] !== undefined) ? obj[key] : undefined, interactionState);
+    }
+
     /**
      * Updates the base parameters. Call this when UI controls change static values.
      * @param {object} newBaseParameters - Object containing new base values for parameters.
@@ -163,43 +315,34 @@ class ParameterMappingSystem {
         // Apply mappings
         for (const mapping of this.mappings) {
             const baseValue = this.baseParameters[mapping.targetParameter];
-            if (baseValue === undefined) {
-                // console.warn(`ParameterMappingSystem: Base parameter "${mapping.targetParameter}" not defined for mapping.`);
+            if (typeof baseValue !== 'number') {
                 continue;
             }
 
-            let interactionValue;
-            let secondaryInteractionValue; // For mapFunctions taking multiple interaction inputs
-
-            if (mapping.sourceInteractionPath) {
-                interactionValue = mapping.sourceInteractionPath.reduce((obj, key) => (obj && obj[key] !== 'undefined') ? obj[key] : undefined, interactionState);
-            } else {
-                interactionValue = interactionState[mapping.sourceInteraction];
-            }
-
-            if (mapping.sourceInteractionValuePath) { // For mapFunctions that need another value from interactions
-                 secondaryInteractionValue = mapping.sourceInteractionValuePath.reduce((obj, key) => (obj && obj[key] !== 'undefined') ? obj[key] : undefined, interactionState);
+            let interactionValue = this.resolvePath(mapping.sourceInteractionPath, interactionState);
+            if (typeof interactionValue === 'boolean') interactionValue = interactionValue ? 1.0 : 0.0;
+            if (typeof interactionValue !== 'number') {
+                // If interaction source is not found, the effective parameter remains its base value (already set).
+                continue;
             }
 
-
-            if (interactionValue !== undefined) {
-                let mappedValue;
-                if (secondaryInteractionValue !== undefined) {
-                     mappedValue = mapping.mapFunction(baseValue, interactionValue, secondaryInteractionValue);
-                } else {
-                     mappedValue = mapping.mapFunction(baseValue, interactionValue);
+            if (mapping.secondaryInteractionPath) {
+                const secondaryValue = this.resolvePath(mapping.secondaryInteractionPath, interactionState);
+                if (mapping.secondaryMatch) {
+                    interactionValue *= mapping.secondaryMatch.includes(secondaryValue) ? 1.0 : 0.0;
+                } else if (typeof secondaryValue === 'number') {
+                    interactionValue *= secondaryValue;
                 }
+            }
 
+            const modulation = this.applyCurve(mapping, interactionValue) * mapping.scale + mapping.offset;
+            let mappedValue = mapping.blend === 'multiply' ? baseValue * modulation : baseValue + modulation;
 
-                // Clamp the value
-                if (mapping.clamp) {
-                    mappedValue = Math.max(mapping.clamp.min, Math.min(mapping.clamp.max, mappedValue));
-                }
-                this.effectiveParameters[mapping.targetParameter] = mappedValue;
-            } else {
-                // console.warn(`ParameterMappingSystem: Interaction source "${mapping.sourceInteraction || mapping.sourceInteractionPath.join('.')}" not found or undefined.`);
-                // If interaction source is not found, the effective parameter remains its base value (already set).
+            // Clamp the value
+            if (mapping.clamp) {
+                mappedValue = Math.max(mapping.clamp.min, Math.min(mapping.clamp.max, mappedValue));
             }
+            this.effectiveParameters[mapping.targetParameter] = mappedValue;
         }
 
         // Some parameters might be directly set from interaction engine (e.g., audio sliders)
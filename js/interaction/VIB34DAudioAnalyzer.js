@@ -0,0 +1,344 @@
+/**
+ * VIB34DAudioAnalyzer
+ *
+ * Web Audio source adapter for VIB34DInteractionEngine. Wraps an AnalyserNode fed by an <audio>/<video>
+ * element, a MediaStream (microphone, tab capture) or an AudioBuffer, and turns its spectrum into:
+ * - smoothed bass/mid/high band levels (0-1), split at configurable band edges, with separate
+ *   attack and release time constants so levels are frame-rate independent;
+ * - onset/beat detection (adaptive spectral-flux threshold), tempo estimate and a pattern guess
+ *   ('rhythmic' for regular beats, 'intense' for loud, dense onsets) that the engine feeds into pattern.type.
+ *
+ * Analysis is driven by update(deltaTime), so it runs on whatever clock the caller uses. analyzeFrame()
+ * takes raw byte spectra and is usable without any AudioContext; analyzeOffline() renders an AudioBuffer
+ * through an OfflineAudioContext and returns one state snapshot per frame, for tests and pre-analysis.
+ */
+class VIB34DAudioAnalyzer {
+    /**
+     * @param {object} [options]
+     * @param {BaseAudioContext} [options.audioContext] - Created lazily if omitted.
+     * @param {number} [options.fftSize=2048]
+     * @param {Array<number>} [options.bandEdges=[20, 250, 2000, 16000]] - Hz; bass = [0]-[1], mid = [1]-[2], high = [2]-[3].
+     * @param {number} [options.attack=0.02] - Seconds for a rising band level to cover ~63% of the step.
+     * @param {number} [options.release=0.25] - Seconds for a falling band level to cover ~63% of the step.
+     * @param {number} [options.onsetSensitivity=1.5] - Flux must exceed the recent mean flux by this factor.
+     * @param {number} [options.minOnsetInterval=0.12] - Seconds; refractory period between onsets.
+     * @param {number} [options.gain=1.0] - Multiplier applied to band levels before clamping.
+     */
+    constructor(options = {}) {
+        this.audioContext = options.audioContext || null;
+        this.fftSize = options.fftSize || 2048;
+        this.bandEdges = options.bandEdges || [20, 250, 2000, 16000];
+        this.attack = options.attack !== undefined ? options.attack : 0.02;
+        this.release = options.release !== undefined ? options.release : 0.25;
+        this.onsetSensitivity = options.onsetSensitivity || 1.5;
+        this.minOnsetInterval = options.minOnsetInterval !== undefined ? options.minOnsetInterval : 0.12;
+        this.gain = options.gain !== undefined ? options.gain : 1.0;
+
+        this.fluxHistorySize = 43; // ~0.7s at 60fps
+        this.intervalHistorySize = 8;
+
+        this.analyser = null;
+        this.sourceNode = null;
+        this.sourceType = null; // 'element' | 'stream' | 'buffer' | 'node'
+        this.frequencyData = null;
+        this.previousSpectrum = null;
+
+        this.state = {
+            isActive: false,
+            bass: 0.0, mid: 0.0, high: 0.0,
+            level: 0.0,             // Smoothed overall level across all bands
+            onset: false,           // True on the update where an onset was detected
+            flux: 0.0,
+            bpm: 0,                 // Tempo estimate from recent inter-onset intervals, 0 if unknown
+            regularity: 0.0,        // 0-1; how evenly spaced recent onsets are
+            lastOnsetTime: -Infinity,
+            pattern: null,          // 'rhythmic' | 'intense' | null
+            patternConfidence: 0.0
+        };
+        this.time = 0;
+        this.fluxHistory = [];
+        this.onsetIntervals = [];
+        this.recentOnsetTimes = [];
+    }
+
+    /** Sample frames per render quantum; OfflineAudioContext.suspend() times snap to it. */
+    static get RENDER_QUANTUM() {
+        return 128;
+    }
+
+    // --- Source connection ---
+
+    ensureAnalyser() {
+        if (!this.audioContext) {
+            const AudioContextClass = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : null;
+            if (!AudioContextClass) throw new Error("VIB34DAudioAnalyzer: Web Audio API not available.");
+            this.audioContext = new AudioContextClass();
+        }
+        if (!this.analyser) {
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = this.fftSize;
+            this.analyser.smoothingTimeConstant = 0; // Smoothing is done here with attack/release.
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        return this.analyser;
+    }
+
+    /**
+     * Analyses an <audio> or <video> element. Playback stays audible.
+     * A media element can only be captured once per AudioContext, so reuse the analyzer for the same element.
+     * @param {HTMLMediaElement} mediaElement
+     */
+    connectMediaElement(mediaElement) {
+        const analyser = this.ensureAnalyser();
+        this.disconnect();
+        this.sourceNode = this.audioContext.createMediaElementSource(mediaElement);
+        this.sourceNode.connect(analyser);
+        analyser.connect(this.audioContext.destination);
+        this.sourceType = 'element';
+        this.state.isActive = true;
+    }
+
+    /**
+     * Analyses a MediaStream (e.g. from getUserMedia). The stream is not routed to the speakers.
+     * @param {MediaStream} stream
+     */
+    connectMediaStream(stream) {
+        const analyser = this.ensureAnalyser();
+        this.disconnect();
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+        this.sourceNode.connect(analyser);
+        this.sourceType = 'stream';
+        this.state.isActive = true;
+    }
+
+    /**
+     * Plays and analyses a decoded AudioBuffer.
+     * @param {AudioBuffer} audioBuffer
+     * @param {object} [options]
+     * @param {boolean} [options.loop=false]
+     * @param {boolean} [options.audible=true] - Route to the destination (needed for offline rendering too).
+     * @param {number} [options.when=0] - Start time in context seconds.
+     * @returns {AudioBufferSourceNode}
+     */
+    connectAudioBuffer(audioBuffer, options = {}) {
+        const analyser = this.ensureAnalyser();
+        this.disconnect();
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.loop = !!options.loop;
+        source.connect(analyser);
+        if (options.audible !== false) analyser.connect(this.audioContext.destination);
+        source.start(options.when || 0);
+        this.sourceNode = source;
+        this.sourceType = 'buffer';
+        this.state.isActive = true;
+        return source;
+    }
+
+    /**
+     * Analyses any AudioNode from the same context (e.g. an oscillator in a test graph).
+     * @param {AudioNode} node
+     */
+    connectNode(node) {
+        const analyser = this.ensureAnalyser();
+        this.disconnect();
+        node.connect(analyser);
+        this.sourceNode = node;
+        this.sourceType = 'node';
+        this.state.isActive = true;
+    }
+
+    /** Detaches the current source. Band levels then release towards zero on later updates. */
+    disconnect() {
+        if (this.sourceNode) {
+            try {
+                if (this.sourceType === 'buffer') this.sourceNode.stop();
+            } catch (e) { /* Already stopped. */ }
+            this.sourceNode.disconnect();
+        }
+        if (this.analyser) this.analyser.disconnect();
+        this.sourceNode = null;
+        this.sourceType = null;
+        this.state.isActive = false;
+    }
+
+    // --- Analysis ---
+
+    /**
+     * Pulls the current spectrum from the AnalyserNode and advances the analysis.
+     * @param {number} deltaTime - Seconds since the previous update.
+     * @returns {object} The analysis state.
+     */
+    update(deltaTime) {
+        if (!this.analyser || !this.state.isActive) {
+            return this.analyzeFrame(null, this.audioContext ? this.audioContext.sampleRate : 44100, deltaTime);
+        }
+        this.analyser.getByteFrequencyData(this.frequencyData);
+        return this.analyzeFrame(this.frequencyData, this.audioContext.sampleRate, deltaTime);
+    }
+
+    /**
+     * Advances the analysis with one spectrum. Passing null treats the input as silence.
+     * @param {Uint8Array|Array<number>|null} spectrum - Byte magnitudes (0-255) per FFT bin, as from getByteFrequencyData.
+     * @param {number} sampleRate - Sample rate the spectrum was taken at.
+     * @param {number} deltaTime - Seconds since the previous frame.
+     * @returns {object} The analysis state.
+     */
+    analyzeFrame(spectrum, sampleRate, deltaTime) {
+        const state = this.state;
+        this.time += deltaTime;
+        state.onset = false;
+
+        const targets = { bass: 0, mid: 0, high: 0 };
+        let flux = 0;
+        if (spectrum && spectrum.length > 0) {
+            const binHz = sampleRate / (spectrum.length * 2);
+            const bandNames = ['bass', 'mid', 'high'];
+            bandNames.forEach((band, i) => {
+                const startBin = Math.max(0, Math.floor(this.bandEdges[i] / binHz));
+                const endBin = Math.min(spectrum.length, Math.ceil(this.bandEdges[i + 1] / binHz));
+                let sum = 0;
+                for (let bin = startBin; bin < endBin; bin++) sum += spectrum[bin] / 255;
+                targets[band] = endBin > startBin ? Math.min(1.0, (sum / (endBin - startBin)) * this.gain) : 0;
+            });
+
+            // Spectral flux: summed positive change per bin across the analysed range.
+            const firstBin = Math.max(0, Math.floor(this.bandEdges[0] / binHz));
+            const lastBin = Math.min(spectrum.length, Math.ceil(this.bandEdges[this.bandEdges.length - 1] / binHz));
+            if (this.previousSpectrum && this.previousSpectrum.length === spectrum.length) {
+                for (let bin = firstBin; bin < lastBin; bin++) {
+                    const rise = (spectrum[bin] - this.previousSpectrum[bin]) / 255;
+                    if (rise > 0) flux += rise;
+                }
+                flux /= Math.max(1, lastBin - firstBin);
+            }
+            if (!this.previousSpectrum || this.previousSpectrum.length !== spectrum.length) this.previousSpectrum = new Uint8Array(spectrum.length);
+            this.previousSpectrum.set(spectrum);
+        }
+
+        // Attack/release smoothing, independent of frame rate.
+        for (const band in targets) {
+            const timeConstant = targets[band] > state[band] ? this.attack : this.release;
+            const coefficient = timeConstant > 0 ? 1.0 - Math.exp(-deltaTime / timeConstant) : 1.0;
+            state[band] += (targets[band] - state[band]) * coefficient;
+        }
+        state.level = (state.bass + state.mid + state.high) / 3.0;
+
+        this.detectOnset(flux);
+        this.classifyPattern();
+        return state;
+    }
+
+    /** @param {number} flux - Spectral flux of the current frame. */
+    detectOnset(flux) {
+        const state = this.state;
+        state.flux = flux;
+        const meanFlux = this.fluxHistory.length > 0 ? this.fluxHistory.reduce((a, b) => a + b, 0) / this.fluxHistory.length : 0;
+        const threshold = Math.max(meanFlux * this.onsetSensitivity, 0.01);
+        if (this.fluxHistory.length >= 4 && flux > threshold && (this.time - state.lastOnsetTime) >= this.minOnsetInterval) {
+            state.onset = true;
+            if (isFinite(state.lastOnsetTime)) {
+                this.onsetIntervals.push(this.time - state.lastOnsetTime);
+                if (this.onsetIntervals.length > this.intervalHistorySize) this.onsetIntervals.shift();
+            }
+            state.lastOnsetTime = this.time;
+            this.recentOnsetTimes.push(this.time);
+        }
+        this.fluxHistory.push(flux);
+        if (this.fluxHistory.length > this.fluxHistorySize) this.fluxHistory.shift();
+        while (this.recentOnsetTimes.length > 0 && this.time - this.recentOnsetTimes[0] > 2.0) this.recentOnsetTimes.shift();
+
+        // Forget tempo once onsets stop for a few beats.
+        if (this.time - state.lastOnsetTime > 2.0) this.onsetIntervals = [];
+        if (this.onsetIntervals.length >= 2) {
+            const mean = this.onsetIntervals.reduce((a, b) => a + b, 0) / this.onsetIntervals.length;
+            const variance = this.onsetIntervals.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / this.onsetIntervals.length;
+            state.regularity = Math.max(0, 1.0 - Math.sqrt(variance) / mean);
+            state.bpm = 60.0 / mean;
+        } else {
+            state.regularity = 0.0;
+            state.bpm = 0;
+        }
+    }
+
+    classifyPattern() {
+        const state = this.state;
+        const onsetRate = this.recentOnsetTimes.length / 2.0; // Onsets per second over the last 2s
+        if (state.level > 0.6 && onsetRate >= 3.0) {
+            state.pattern = 'intense';
+            state.patternConfidence = Math.min(1.0, state.level * onsetRate / 5.0);
+        } else if (this.onsetIntervals.length >= 3 && state.regularity > 0.7) {
+            state.pattern = 'rhythmic';
+            state.patternConfidence = state.regularity;
+        } else {
+            state.pattern = null;
+            state.patternConfidence = 0.0;
+        }
+    }
+
+    /** @returns {object} The current analysis state (live object). */
+    getState() {
+        return this.state;
+    }
+
+    /** Clears levels, onset history and tempo. */
+    reset() {
+        Object.assign(this.state, { bass: 0, mid: 0, high: 0, level: 0, onset: false, flux: 0, bpm: 0, regularity: 0,
+            lastOnsetTime: -Infinity, pattern: null, patternConfidence: 0 });
+        this.time = 0;
+        this.fluxHistory = [];
+        this.onsetIntervals = [];
+        this.recentOnsetTimes = [];
+        this.previousSpectrum = null;
+    }
+
+    destroy() {
+        this.disconnect();
+        this.analyser = null;
+    }
+
+    /**
+     * Renders an AudioBuffer through an OfflineAudioContext and analyses it at a fixed frame rate.
+     * suspend() times snap to the 128-sample render quantum, so frames closer together than a quantum (high frame
+     * rates) are analysed once; each snapshot's update covers the time since the previous one.
+     * @param {AudioBuffer} audioBuffer
+     * @param {object} [options] - Analyzer options, plus frameRate (default 60).
+     * @returns {Promise<Array<object>>} One copy of the analysis state per analysed frame. Rejects if rendering or
+     *     any suspension fails.
+     */
+    static analyzeOffline(audioBuffer, options = {}) {
+        const frameRate = options.frameRate || 60;
+        const OfflineContextClass = typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext : null;
+        if (!OfflineContextClass) return Promise.reject(new Error("VIB34DAudioAnalyzer: OfflineAudioContext not available."));
+        const context = new OfflineContextClass(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+        const analyzer = new VIB34DAudioAnalyzer({ ...options, audioContext: context });
+        analyzer.connectAudioBuffer(audioBuffer);
+
+        // One suspension per distinct render quantum. Each is requested mid-quantum so browsers that round the time
+        // down and those that round it up both land on distinct boundaries inside the buffer.
+        const quantum = VIB34DAudioAnalyzer.RENDER_QUANTUM;
+        const quanta = [];
+        const frameCount = Math.floor(audioBuffer.duration * frameRate);
+        for (let i = 1; i < frameCount; i++) {
+            const q = Math.round(i / frameRate * audioBuffer.sampleRate / quantum);
+            if (q > 0 && (q + 1) * quantum < audioBuffer.length && q !== quanta[quanta.length - 1]) quanta.push(q);
+        }
+
+        const frames = [];
+        const suspensions = quanta.map((q, index) => {
+            const deltaTime = (q - (index > 0 ? quanta[index - 1] : 0)) * quantum / audioBuffer.sampleRate;
+            return context.suspend((q + 0.5) * quantum / audioBuffer.sampleRate).then(() => {
+                try {
+                    frames.push({ ...analyzer.update(deltaTime) });
+                } finally {
+                    context.resume();
+                }
+            });
+        });
+        return Promise.all([context.startRendering(), ...suspensions]).then(() => frames);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB34DAudioAnalyzer = VIB34DAudioAnalyzer;
+}
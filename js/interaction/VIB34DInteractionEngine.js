@@ -2,7 +2,8 @@
  * VIB34DInteractionEngine
  *
  * Processes raw user inputs (scroll, click, mouse move, touch) and provides structured data
- * about these interactions, including intensity, velocity, patterns, and idle state.
+ * about these interactions, including intensity, velocity, patterns, idle state and touch
+ * gestures (pinch, two-finger rotate, swipe, double-tap, long-press).
  * This version moves beyond a simple placeholder to implement more realistic event handling.
  *
  * Real implementation details:
@@ -13,8 +14,21 @@
  * - Analyze sequences of interactions for patterns (e.g., rhythmic clicking, precise movements).
  */
 class VIB34DInteractionEngine {
-    constructor(canvas) {
-        this.canvas = canvas; // Canvas might be used for relative mouse coords
+    /**
+     * @param {HTMLCanvasElement | OffscreenCanvas} canvas - Canvas might be used for relative mouse coords.
+     * @param {object} [options]
+     * @param {function(): number} [options.clock] - Returns the current time in ms. Defaults to performance.now().
+     *                                               Headless rendering passes a deterministic clock.
+     * @param {boolean} [options.attachListeners=true] - Set to false when there is no DOM to listen to.
+     * @param {VIB34DAudioAnalyzer} [options.audioAnalyzer] - Real audio input for the audioBass/Mid/High values.
+     * @param {number} [options.audioBlend=1.0] - 0-1; how much analysed audio replaces the interaction-driven values.
+     * @param {{setTimeout: function, clearTimeout: function}} [options.scheduler] - Timer functions for activity resets.
+     *                                               Replays pass a virtual scheduler driven by the same clock.
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.clock = options.clock || (() => performance.now());
+        this.scheduler = options.scheduler || { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: (id) => clearTimeout(id) };
 
         // Simulated interaction data structure
         this.interactionData = {
@@ -51,6 +65,15 @@ class VIB34DInteractionEngine {
                 primaryTouch: { id: null, x:0, y:0, normalizedX:0, normalizedY:0, velocityX:0, velocityY:0, intensity:0 },
                 // Potentially store all active touches in an array/map
             },
+            // Gestures derived from activeTouches. `value` outputs are signed (-1..1), `intensity` outputs are 0-1.
+            // One-shot gestures (swipe, double-tap) pulse to their intensity and decay over gestureDecayTime.
+            gestures: {
+                pinch: { isActive: false, scale: 1.0, value: 0.0, intensity: 0.0 },      // value: log2(scale), + spread / - pinch
+                rotate: { isActive: false, angle: 0.0, value: 0.0, intensity: 0.0 },     // angle in radians, + clockwise; value: angle / PI
+                swipe: { direction: null, directionX: 0, directionY: 0, velocity: 0.0, intensity: 0.0 }, // direction: 'left' | 'right' | 'up' | 'down'
+                doubleTap: { count: 0, intensity: 0.0 },
+                longPress: { isActive: false, duration: 0.0, intensity: 0.0 },
+            },
             idle: {
                 isIdle: true,
                 timeSinceLastActive: 0.0, // Seconds since last significant interaction
@@ -60,11 +83,23 @@ class VIB34DInteractionEngine {
                 type: 'casual', // 'casual', 'rhythmic', 'intense', 'precise'
                 confidence: 0.0,
             },
-            // Derived values for direct use as u_audio* uniforms
+            // Raw audio analysis (see VIB34DAudioAnalyzer); all zero while no analyzer is connected.
+            audio: {
+                isActive: false,
+                bass: 0.0, mid: 0.0, high: 0.0, level: 0.0,
+                onset: false, bpm: 0, regularity: 0.0,
+            },
+            // Derived values for direct use as u_audio* uniforms: interaction-driven values,
+            // blended towards analysed audio when an analyzer is active.
             audioBass: 0.0,
             audioMid: 0.0,
             audioHigh: 0.0,
         };
+        // Interaction-driven band values (scroll -> bass, click/hold -> mid, movement -> high).
+        this.interactionAudio = { bass: 0.0, mid: 0.0, high: 0.0 };
+        this.audioAnalyzer = options.audioAnalyzer || null;
+        this.audioBlend = options.audioBlend !== undefined ? options.audioBlend : 1.0;
+        this.prevAudioUpdateTime = null;
 
         // Configuration
         this.idleTimeoutDuration = 3.0; // Seconds to consider idle
@@ -74,10 +109,19 @@ class VIB34DInteractionEngine {
         this.holdThresholdDuration = 0.3; // Seconds to consider a mousedown a "hold"
         this.multiClickThreshold = 300; // ms for detecting multiple clicks
         this.activityResetTimeout = 150; // ms to reset 'isActive' flags for mouse/scroll
+        this.gestureDecayTime = 0.3; // Seconds for swipe/double-tap pulses and released pinch/rotate to fall to ~37%
+        this.swipeMinDistance = 40; // px
+        this.swipeMinVelocity = 300; // px/s
+        this.swipeMaxVelocity = 2500; // px/s for full swipe intensity
+        this.tapMaxDuration = 250; // ms
+        this.tapMaxMovement = 10; // px; also cancels a pending long-press
+        this.doubleTapInterval = 300; // ms between taps
+        this.longPressDuration = 0.5; // Seconds before a still touch becomes a long-press
+        this.longPressRampDuration = 1.5; // Seconds from long-press start to full intensity
 
 
         // Internal state
-        this.lastActivityTime = performance.now();
+        this.lastActivityTime = this.clock();
         this.mouseMoveTimeoutId = null;
         this.scrollTimeoutId = null;
         this.clickHoldTimeoutId = null;
@@ -85,29 +129,79 @@ class VIB34DInteractionEngine {
         this.prevMouseX = 0; this.prevMouseY = 0; this.prevMouseTime = 0;
         this.prevScrollTime = 0;
         this.activeTouches = new Map(); // For tracking multiple touches
+        this.twoFingerStart = null; // { distance, angle, ids } when a pinch/rotate begins
+        this.lastTap = null; // { time, x, y }
+        // Decaying gesture outputs: { peak, time } per gesture, evaluated against the clock in updateGestures().
+        this.gestureReleases = { pinch: null, rotate: null, swipe: null, doubleTap: null, longPress: null };
+
+        // Raw input observers (e.g. VIB34DInteractionRecorder), called with (type, event|analysis, engine).
+        this.inputObservers = [];
+        this.inputHandlers = {
+            wheel: this.handleWheel, mousedown: this.handleMouseDown, mouseup: this.handleMouseUp,
+            globalmouseup: this.handleGlobalMouseUp, mousemove: this.handleMouseMove,
+            mouseenter: this.handleMouseEnter, mouseleave: this.handleMouseLeave,
+            touchstart: this.handleTouchStart, touchmove: this.handleTouchMove,
+            touchend: this.handleTouchEnd, touchcancel: this.handleTouchEnd, // Treat cancel like end
+        };
+        this.boundListeners = [];
 
-        this.setupEventListeners();
+        if (options.attachListeners !== false) this.setupEventListeners();
     }
 
     setupEventListeners() {
+        const listen = (target, domType, inputType, listenerOptions) => {
+            const listener = (event) => this.dispatchInput(inputType, event);
+            target.addEventListener(domType, listener, listenerOptions);
+            this.boundListeners.push({ target, domType, listener });
+        };
         // Scroll
-        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        listen(this.canvas, 'wheel', 'wheel', { passive: false });
 
         // Mouse Click/Hold
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        document.addEventListener('mouseup', this.handleGlobalMouseUp.bind(this)); // Catch mouseup outside canvas
+        listen(this.canvas, 'mousedown', 'mousedown');
+        listen(this.canvas, 'mouseup', 'mouseup');
+        listen(document, 'mouseup', 'globalmouseup'); // Catch mouseup outside canvas
 
         // Mouse Movement & Hover
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseenter', this.handleMouseEnter.bind(this));
-        this.canvas.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+        listen(this.canvas, 'mousemove', 'mousemove');
+        listen(this.canvas, 'mouseenter', 'mouseenter');
+        listen(this.canvas, 'mouseleave', 'mouseleave');
 
         // Touch Events
-        this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-        this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-        this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
-        this.canvas.addEventListener('touchcancel', this.handleTouchEnd.bind(this)); // Treat cancel like end
+        listen(this.canvas, 'touchstart', 'touchstart', { passive: false });
+        listen(this.canvas, 'touchmove', 'touchmove', { passive: false });
+        listen(this.canvas, 'touchend', 'touchend');
+        listen(this.canvas, 'touchcancel', 'touchcancel');
+    }
+
+    /**
+     * Single entry point for raw input. DOM listeners route through here, and replays call it
+     * directly with reconstructed events, so observers see exactly what the handlers see.
+     * @param {string} type - One of the keys of this.inputHandlers.
+     * @param {Event|object} event
+     */
+    dispatchInput(type, event) {
+        const handler = this.inputHandlers[type];
+        if (!handler) {
+            console.warn(`VIB34DInteractionEngine: Unknown input type "${type}".`);
+            return;
+        }
+        this.notifyInputObservers(type, event);
+        handler.call(this, event);
+    }
+
+    /** @param {function(string, object, VIB34DInteractionEngine)} observer */
+    addInputObserver(observer) {
+        if (!this.inputObservers.includes(observer)) this.inputObservers.push(observer);
+    }
+
+    /** @param {function(string, object, VIB34DInteractionEngine)} observer */
+    removeInputObserver(observer) {
+        this.inputObservers = this.inputObservers.filter(o => o !== observer);
+    }
+
+    notifyInputObservers(type, data) {
+        for (let i = 0; i < this.inputObservers.length; i++) this.inputObservers[i](type, data, this);
     }
 
     // --- Event Handlers ---
@@ -120,7 +214,7 @@ class VIB34DInteractionEngine {
         scrollData.isActive = true;
         scrollData.rawDeltaY = event.deltaY;
 
-        const currentTime = performance.now();
+        const currentTime = this.clock();
         const deltaTime = this.prevScrollTime ? (currentTime - this.prevScrollTime) / 1000 : 0.016; // Avoid 0 delta
         this.prevScrollTime = currentTime;
 
@@ -130,15 +224,15 @@ class VIB34DInteractionEngine {
         scrollData.direction = Math.sign(event.deltaY);
         scrollData.intensity = Math.min(Math.abs(event.deltaY) * this.scrollIntensityFactor, 1.0);
 
-        this.interactionData.audioBass = scrollData.intensity;
+        this.interactionAudio.bass = scrollData.intensity;
 
-        clearTimeout(this.scrollTimeoutId);
-        this.scrollTimeoutId = setTimeout(() => {
+        this.scheduler.clearTimeout(this.scrollTimeoutId);
+        this.scrollTimeoutId = this.scheduler.setTimeout(() => {
             scrollData.isActive = false;
             scrollData.isWheeling = false;
             scrollData.intensity = 0.0;
             scrollData.velocity = 0.0;
-            this.interactionData.audioBass = 0.0;
+            this.interactionAudio.bass = 0.0;
         }, this.activityResetTimeout);
     }
 
@@ -146,10 +240,10 @@ class VIB34DInteractionEngine {
         this.recordActivity();
         const clickData = this.interactionData.clickHold;
         clickData.isMouseDown = true;
-        clickData.holdStartTime = performance.now();
+        clickData.holdStartTime = this.clock();
         clickData.position = { x: event.offsetX, y: event.offsetY };
 
-        const now = performance.now();
+        const now = this.clock();
         if ((now - clickData.lastClickTime) < this.multiClickThreshold) {
             clickData.clickCount++;
         } else {
@@ -158,14 +252,14 @@ class VIB34DInteractionEngine {
         clickData.lastClickTime = now;
 
         // Start a timer to check for 'hold'
-        clearTimeout(this.clickHoldTimeoutId);
-        this.clickHoldTimeoutId = setTimeout(() => {
+        this.scheduler.clearTimeout(this.clickHoldTimeoutId);
+        this.clickHoldTimeoutId = this.scheduler.setTimeout(() => {
             if (clickData.isMouseDown) { // Still holding
                 clickData.isHolding = true;
                 // Initial intensity for hold, can be updated in main `update` loop
-                clickData.duration = (performance.now() - clickData.holdStartTime) / 1000;
+                clickData.duration = (this.clock() - clickData.holdStartTime) / 1000;
                 clickData.intensity = Math.min(clickData.duration / 2.0, 1.0); // Example: 2s for full intensity
-                this.interactionData.audioMid = clickData.intensity;
+                this.interactionAudio.mid = clickData.intensity;
             }
         }, this.holdThresholdDuration * 1000);
     }
@@ -175,7 +269,7 @@ class VIB34DInteractionEngine {
         if (clickData.isMouseDown) {
             this.recordActivity();
             clickData.isMouseDown = false;
-            clickData.duration = (performance.now() - clickData.holdStartTime) / 1000;
+            clickData.duration = (this.clock() - clickData.holdStartTime) / 1000;
 
             if (clickData.isHolding) { // Was a hold
                 // Intensity might have already been set, or finalize it here
@@ -183,23 +277,23 @@ class VIB34DInteractionEngine {
             } else { // Was a click
                 clickData.intensity = 0.5; // Arbitrary intensity for a click
                  // If you want click intensity to be brief:
-                 setTimeout(() => {
+                 this.scheduler.setTimeout(() => {
                     if (!clickData.isMouseDown) { // ensure not immediately clicked again
                         clickData.intensity = 0.0;
-                        this.interactionData.audioMid = 0.0;
+                        this.interactionAudio.mid = 0.0;
                     }
                  }, this.activityResetTimeout/2);
             }
-            this.interactionData.audioMid = clickData.intensity;
+            this.interactionAudio.mid = clickData.intensity;
 
             clickData.isHolding = false;
-            clearTimeout(this.clickHoldTimeoutId);
+            this.scheduler.clearTimeout(this.clickHoldTimeoutId);
 
             // Decay audioMid if it's not a hold
             if(clickData.duration < this.holdThresholdDuration){
-                 setTimeout(() => {
+                 this.scheduler.setTimeout(() => {
                     if (!clickData.isMouseDown) {
-                        this.interactionData.audioMid = 0.0;
+                        this.interactionAudio.mid = 0.0;
                         clickData.intensity = 0.0;
                     }
                 }, this.activityResetTimeout);
@@ -220,7 +314,7 @@ class VIB34DInteractionEngine {
         moveData.isHovering = true;
 
         const rect = this.canvas.getBoundingClientRect();
-        const currentTime = performance.now();
+        const currentTime = this.clock();
         // Ensure prevMouseTime is initialized for the first move event after a pause
         if (this.prevMouseTime === 0) this.prevMouseTime = currentTime - 16; // Assume 16ms before if not set
 
@@ -241,20 +335,20 @@ class VIB34DInteractionEngine {
             const speed = Math.sqrt(dX*dX + dY*dY) / deltaTime; // px/s
             // Normalize intensity (e.g. speed of 1000px/s = full intensity)
             moveData.intensity = Math.min(speed * this.mouseIntensityFactor / 100, 1.0);
-            this.interactionData.audioHigh = moveData.intensity;
+            this.interactionAudio.high = moveData.intensity;
         }
 
         this.prevMouseX = moveData.rawX;
         this.prevMouseY = moveData.rawY;
         this.prevMouseTime = currentTime;
 
-        clearTimeout(this.mouseMoveTimeoutId);
-        this.mouseMoveTimeoutId = setTimeout(() => {
+        this.scheduler.clearTimeout(this.mouseMoveTimeoutId);
+        this.mouseMoveTimeoutId = this.scheduler.setTimeout(() => {
             moveData.isActive = false;
             moveData.intensity = 0.0;
             moveData.velocityX = 0.0;
             moveData.velocityY = 0.0;
-            this.interactionData.audioHigh = 0.0;
+            this.interactionAudio.high = 0.0;
             this.prevMouseTime = 0; // Reset for next movement burst
         }, this.activityResetTimeout);
     }
@@ -264,7 +358,7 @@ class VIB34DInteractionEngine {
         this.interactionData.mouseMovement.isHovering = true;
         this.prevMouseX = event.offsetX; // Initialize mouse position on enter
         this.prevMouseY = event.offsetY;
-        this.prevMouseTime = performance.now();
+        this.prevMouseTime = this.clock();
     }
 
     handleMouseLeave(event) {
@@ -275,8 +369,8 @@ class VIB34DInteractionEngine {
         moveData.intensity = 0.0;
         moveData.velocityX = 0.0;
         moveData.velocityY = 0.0;
-        this.interactionData.audioHigh = 0.0;
-        clearTimeout(this.mouseMoveTimeoutId); // Clear any pending stop
+        this.interactionAudio.high = 0.0;
+        this.scheduler.clearTimeout(this.mouseMoveTimeoutId); // Clear any pending stop
         this.prevMouseTime = 0; // Reset for next movement burst
     }
 
@@ -291,10 +385,14 @@ class VIB34DInteractionEngine {
             this.activeTouches.set(touch.identifier, {
                 startX: touch.clientX, startY: touch.clientY,
                 prevX: touch.clientX, prevY: touch.clientY,
-                prevTime: performance.now()
+                prevTime: this.clock(), startTime: this.clock(),
+                moved: false, multiTouch: false
             });
         }
         this.interactionData.touch.touchCount = this.activeTouches.size;
+        // Any contact that was ever part of a multi-finger touch is excluded from swipe/tap detection.
+        if (this.activeTouches.size > 1) this.activeTouches.forEach(touchState => { touchState.multiTouch = true; });
+        if (this.activeTouches.size === 2) this.beginTwoFingerGesture();
 
         if (this.activeTouches.size === 1) {
             const firstTouch = event.changedTouches[0];
@@ -316,7 +414,7 @@ class VIB34DInteractionEngine {
             if (!touchState) continue;
 
             const rect = this.canvas.getBoundingClientRect();
-            const currentTime = performance.now();
+            const currentTime = this.clock();
             const deltaTime = (currentTime - touchState.prevTime) / 1000.0;
 
             const currentX = touch.clientX - rect.left;
@@ -336,7 +434,7 @@ class VIB34DInteractionEngine {
                     primary.velocityY = dY / deltaTime; // px/s
                     const speed = Math.sqrt(dX*dX + dY*dY) / deltaTime;
                     primary.intensity = Math.min(speed * this.mouseIntensityFactor / 100, 1.0); // Reuse mouse factor
-                    this.interactionData.audioHigh = primary.intensity; // Map primary touch like mouse
+                    this.interactionAudio.high = primary.intensity; // Map primary touch like mouse
                 }
                  // Simulate mousemove for primary touch
                 this.handleMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
@@ -344,7 +442,9 @@ class VIB34DInteractionEngine {
             touchState.prevX = touch.clientX;
             touchState.prevY = touch.clientY;
             touchState.prevTime = currentTime;
+            if (Math.hypot(touch.clientX - touchState.startX, touch.clientY - touchState.startY) > this.tapMaxMovement) touchState.moved = true;
         }
+        if (this.twoFingerStart) this.updateTwoFingerGesture();
     }
 
     handleTouchEnd(event) {
@@ -353,16 +453,25 @@ class VIB34DInteractionEngine {
 
         for (let i=0; i < event.changedTouches.length; i++) {
             const touch = event.changedTouches[i];
+            const touchState = this.activeTouches.get(touch.identifier);
+            // Swipes and taps only come from single-finger contacts.
+            if (touchState && !touchState.multiTouch) this.classifySingleTouchEnd(touch, touchState);
             if (touch.identifier === this.interactionData.touch.primaryTouch.id) {
                 // Simulate mouseup for the primary touch
                 this.handleMouseUp({offsetX: this.interactionData.touch.primaryTouch.x, offsetY: this.interactionData.touch.primaryTouch.y});
                 this.interactionData.touch.primaryTouch = { id: null, x:0, y:0, normalizedX:0, normalizedY:0, velocityX:0, velocityY:0, intensity:0 };
-                this.interactionData.audioHigh = 0.0; // Reset if primary touch ended
+                this.interactionAudio.high = 0.0; // Reset if primary touch ended
             }
             this.activeTouches.delete(touch.identifier);
         }
 
         this.interactionData.touch.touchCount = this.activeTouches.size;
+        if (this.activeTouches.size < 2) {
+            if (this.twoFingerStart) this.endTwoFingerGesture();
+        } else if (this.twoFingerStart && !this.twoFingerStart.ids.every(id => this.activeTouches.has(id))) {
+            // One finger of the tracked pair lifted while another stays down: carry on with the remaining pair.
+            this.retargetTwoFingerGesture();
+        }
         if (this.activeTouches.size === 0) {
             this.interactionData.touch.isActive = false;
         } else {
@@ -372,9 +481,145 @@ class VIB34DInteractionEngine {
     }
 
 
+    // --- Gesture Recognition ---
+
+    /** Positions of the two touches driving a pinch/rotate, in client px. */
+    getTwoFingerGeometry(ids) {
+        const a = this.activeTouches.get(ids[0]);
+        const b = this.activeTouches.get(ids[1]);
+        if (!a || !b) return null;
+        const dx = b.prevX - a.prevX, dy = b.prevY - a.prevY;
+        return { distance: Math.hypot(dx, dy), angle: Math.atan2(dy, dx) };
+    }
+
+    beginTwoFingerGesture() {
+        const ids = Array.from(this.activeTouches.keys()).slice(0, 2);
+        const geometry = this.getTwoFingerGeometry(ids);
+        if (!geometry || geometry.distance < 1) return;
+        this.twoFingerStart = { distance: geometry.distance, angle: geometry.angle, ids };
+        const gestures = this.interactionData.gestures;
+        gestures.pinch.isActive = true;
+        gestures.rotate.isActive = true;
+        gestures.longPress.isActive = false;
+        this.updateTwoFingerGesture(); // Replaces any still-decaying values with the new baseline (scale 1, angle 0)
+    }
+
+    updateTwoFingerGesture() {
+        const geometry = this.getTwoFingerGeometry(this.twoFingerStart.ids);
+        if (!geometry) return;
+        const { pinch, rotate } = this.interactionData.gestures;
+        pinch.scale = geometry.distance / this.twoFingerStart.distance;
+        pinch.value = Math.max(-1, Math.min(1, Math.log2(Math.max(pinch.scale, 0.001))));
+        pinch.intensity = Math.abs(pinch.value);
+
+        let angle = geometry.angle - this.twoFingerStart.angle;
+        angle = Math.atan2(Math.sin(angle), Math.cos(angle)); // Wrap to [-PI, PI]
+        rotate.angle = angle;
+        rotate.value = angle / Math.PI;
+        rotate.intensity = Math.abs(rotate.value);
+    }
+
+    /**
+     * Moves the two-finger gesture onto a new touch pair. The baseline is offset by the current scale and angle,
+     * so pinch/rotate continue from their values instead of being measured against the old pair.
+     */
+    retargetTwoFingerGesture() {
+        const ids = Array.from(this.activeTouches.keys()).slice(0, 2);
+        const geometry = this.getTwoFingerGeometry(ids);
+        if (!geometry || geometry.distance < 1) { this.endTwoFingerGesture(); return; }
+        const { pinch, rotate } = this.interactionData.gestures;
+        this.twoFingerStart = { distance: geometry.distance / pinch.scale, angle: geometry.angle - rotate.angle, ids };
+    }
+
+    endTwoFingerGesture() {
+        // Values are kept and decay in updateGestures(), so a released pinch eases back instead of snapping.
+        const now = this.clock();
+        const { pinch, rotate } = this.interactionData.gestures;
+        this.twoFingerStart = null;
+        pinch.isActive = false;
+        rotate.isActive = false;
+        this.gestureReleases.pinch = { peak: pinch.value, time: now };
+        this.gestureReleases.rotate = { peak: rotate.value, time: now };
+    }
+
+    classifySingleTouchEnd(touch, touchState) {
+        const gestures = this.interactionData.gestures;
+        const now = this.clock();
+        const duration = Math.max((now - touchState.startTime) / 1000, 0.001);
+        const dx = touch.clientX - touchState.startX, dy = touch.clientY - touchState.startY;
+        const distance = Math.hypot(dx, dy);
+        const velocity = distance / duration;
+
+        if (distance >= this.swipeMinDistance && velocity >= this.swipeMinVelocity) {
+            const swipe = gestures.swipe;
+            const horizontal = Math.abs(dx) >= Math.abs(dy);
+            swipe.direction = horizontal ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up');
+            swipe.directionX = horizontal ? Math.sign(dx) : 0;
+            swipe.directionY = horizontal ? 0 : -Math.sign(dy); // +1 is up, matching normalizedY
+            swipe.velocity = velocity;
+            swipe.intensity = Math.min(velocity / this.swipeMaxVelocity, 1.0);
+            this.gestureReleases.swipe = { peak: swipe.intensity, time: now };
+        } else if (!touchState.moved && (now - touchState.startTime) <= this.tapMaxDuration) {
+            const lastTap = this.lastTap;
+            if (lastTap && (now - lastTap.time) <= this.doubleTapInterval && Math.hypot(touch.clientX - lastTap.x, touch.clientY - lastTap.y) <= this.swipeMinDistance) {
+                gestures.doubleTap.count++;
+                gestures.doubleTap.intensity = 1.0;
+                this.gestureReleases.doubleTap = { peak: 1.0, time: now };
+                this.lastTap = null;
+            } else {
+                this.lastTap = { time: now, x: touch.clientX, y: touch.clientY };
+            }
+        }
+    }
+
+    /**
+     * Advances time-based gesture state: long-press ramp and decay of released/one-shot gestures.
+     * @param {number} now - Current clock time in ms.
+     */
+    updateGestures(now) {
+        const gestures = this.interactionData.gestures;
+        const releases = this.gestureReleases;
+        const released = (key) => {
+            const release = releases[key];
+            return release ? release.peak * Math.exp(-Math.max(0, now - release.time) / 1000 / this.gestureDecayTime) : 0.0;
+        };
+
+        // Long-press: exactly one touch that has stayed put.
+        const longPress = gestures.longPress;
+        const wasLongPress = longPress.isActive;
+        longPress.isActive = false;
+        if (this.activeTouches.size === 1 && !this.twoFingerStart) {
+            const touchState = this.activeTouches.values().next().value;
+            const elapsed = (now - touchState.startTime) / 1000;
+            if (!touchState.moved && !touchState.multiTouch && elapsed >= this.longPressDuration) {
+                longPress.isActive = true;
+                longPress.duration = elapsed - this.longPressDuration;
+                longPress.intensity = Math.min(longPress.duration / this.longPressRampDuration, 1.0);
+            }
+        }
+        if (!longPress.isActive) {
+            if (wasLongPress) releases.longPress = { peak: longPress.intensity, time: now };
+            longPress.duration = 0.0;
+            longPress.intensity = released('longPress');
+        }
+
+        if (!gestures.pinch.isActive) {
+            gestures.pinch.value = released('pinch');
+            gestures.pinch.scale = Math.pow(2, gestures.pinch.value);
+            gestures.pinch.intensity = Math.abs(gestures.pinch.value);
+        }
+        if (!gestures.rotate.isActive) {
+            gestures.rotate.value = released('rotate');
+            gestures.rotate.angle = gestures.rotate.value * Math.PI;
+            gestures.rotate.intensity = Math.abs(gestures.rotate.value);
+        }
+        gestures.swipe.intensity = released('swipe');
+        gestures.doubleTap.intensity = released('doubleTap');
+    }
+
     // --- Core Logic ---
     recordActivity() {
-        this.lastActivityTime = performance.now();
+        this.lastActivityTime = this.clock();
         this.interactionData.idle.isIdle = false;
         this.interactionData.idle.decayFactor = 1.0;
         // Basic pattern reset, more sophisticated logic needed for real pattern analysis
@@ -389,7 +634,7 @@ class VIB34DInteractionEngine {
      * Used here mainly for idle detection and decay.
      */
     update() {
-        const now = performance.now();
+        const now = this.clock();
         const timeSinceLast = (now - this.lastActivityTime) / 1000;
         this.interactionData.idle.timeSinceLastActive = timeSinceLast;
 
@@ -410,11 +655,60 @@ class VIB34DInteractionEngine {
 
         // If click/hold is active, update its duration and intensity
         if (this.interactionData.clickHold.isHolding) {
-            const holdDuration = (performance.now() - this.interactionData.clickHold.startTime) / 1000;
+            const holdDuration = (this.clock() - this.interactionData.clickHold.holdStartTime) / 1000;
             this.interactionData.clickHold.duration = holdDuration;
             this.interactionData.clickHold.intensity = Math.min(holdDuration / 2.0, 1.0);
-            this.interactionData.audioMid = this.interactionData.clickHold.intensity; // Keep u_audioMid high while holding
+            this.interactionAudio.mid = this.interactionData.clickHold.intensity; // Keep u_audioMid high while holding
         }
+
+        this.updateGestures(now);
+        this.updateAudio(now);
+    }
+
+    /**
+     * Attaches (or with null, detaches) a VIB34DAudioAnalyzer as the audio source.
+     * @param {VIB34DAudioAnalyzer|null} analyzer
+     * @param {number} [blend] - Optional new audioBlend (0-1).
+     */
+    setAudioAnalyzer(analyzer, blend) {
+        this.audioAnalyzer = analyzer;
+        if (blend !== undefined) this.audioBlend = Math.max(0, Math.min(1, blend));
+        this.prevAudioUpdateTime = null;
+    }
+
+    /**
+     * Advances the audio analyzer and blends its bands over the interaction-driven values.
+     * Onset/beat analysis overrides pattern.type while it is confident.
+     * @param {number} now - Current clock time in ms.
+     */
+    updateAudio(now) {
+        const data = this.interactionData;
+        const audio = data.audio;
+        let blend = 0;
+        if (this.audioAnalyzer) {
+            const deltaTime = this.prevAudioUpdateTime === null ? 0.016 : (now - this.prevAudioUpdateTime) / 1000;
+            // getInteractionState() calls update() again within the same frame; analyse once per frame.
+            if (deltaTime >= 0.001) {
+                this.prevAudioUpdateTime = now;
+                const analysis = this.audioAnalyzer.update(deltaTime);
+                this.notifyInputObservers('audio', analysis);
+                Object.assign(audio, {
+                    isActive: analysis.isActive, bass: analysis.bass, mid: analysis.mid, high: analysis.high, level: analysis.level,
+                    onset: analysis.onset, bpm: analysis.bpm, regularity: analysis.regularity,
+                });
+                if (analysis.isActive) {
+                    if (analysis.onset) this.recordActivity();
+                    if (analysis.pattern) {
+                        data.pattern.type = analysis.pattern;
+                        data.pattern.confidence = analysis.patternConfidence;
+                    }
+                }
+            }
+            blend = audio.isActive ? this.audioBlend : 0;
+        }
+        data.audioBass = this.interactionAudio.bass + (audio.bass - this.interactionAudio.bass) * blend;
+        data.audioMid = this.interactionAudio.mid + (audio.mid - this.interactionAudio.mid) * blend;
+        data.audioHigh = this.interactionAudio.high + (audio.high - this.interactionAudio.high) * blend;
     }
 
     /**
@@ -429,15 +723,12 @@ class VIB34DInteractionEngine {
 
     destroy() {
         // Remove event listeners
-        this.canvas.removeEventListener('wheel', this.handleScroll);
-        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
-        this.canvas.removeEventListener('mouseup', this.handleMouseUp);
-        document.removeEventListener('mouseup', this.handleGlobalMouseUp);
-        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
-        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
-
-        clearTimeout(this.mouseMoveTimeoutId);
-        clearTimeout(this.scrollTimeoutId);
+        this.boundListeners.forEach(({ target, domType, listener }) => target.removeEventListener(domType, listener));
+        this.boundListeners = [];
+        this.inputObservers = [];
+
+        this.scheduler.clearTimeout(this.mouseMoveTimeoutId);
+        this.scheduler.clearTimeout(this.scrollTimeoutId);
         // Clear any intervals if used
     }
 }
@@ -0,0 +1,178 @@
+/**
+ * VIB34DInteractionPlayer
+ *
+ * Replays a session recorded by VIB34DInteractionRecorder (or built with VIB34DSyntheticInput) into a fresh
+ * VIB34DInteractionEngine that runs on a virtual clock. Event handlers, activity-reset timers and the
+ * audio source all follow that clock, so sampling the same times always yields identical
+ * getInteractionState() sequences, independent of wall-clock time and frame rate.
+ *
+ * The player's engine is a regular VIB34DInteractionEngine, so it can be handed to ParameterMappingSystem
+ * or to HypercubeCore-style update loops to drive them with scripted input:
+ *
+ *   const player = new VIB34DInteractionPlayer(session);
+ *   const mapper = new ParameterMappingSystem(baseParams, player.engine);
+ *   player.play(1000 / 60).forEach(() => mapper.update());
+ */
+class VIB34DVirtualClock {
+    constructor() {
+        this.now = 0;
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    /** Scheduler interface for VIB34DInteractionEngine (options.scheduler). */
+    setTimeout(fn, ms) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, due: this.now + Math.max(0, ms || 0), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Moves the clock forward to `time`, firing due timers in due-time order (ties in creation order).
+     * @param {number} time - ms
+     */
+    advanceTo(time) {
+        for (;;) {
+            let next = null;
+            for (let i = 0; i < this.timers.length; i++) {
+                const timer = this.timers[i];
+                if (timer.due <= time && (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id))) next = timer;
+            }
+            if (!next) break;
+            this.timers = this.timers.filter(timer => timer !== next);
+            this.now = Math.max(this.now, next.due);
+            next.fn();
+        }
+        this.now = Math.max(this.now, time);
+    }
+}
+
+class VIB34DInteractionPlayer {
+    /**
+     * @param {object|string} session - Session object or its JSON string.
+     * @param {object} [options] - Extra VIB34DInteractionEngine options (clock, scheduler and audioAnalyzer are supplied by the player).
+     */
+    constructor(session, options = {}) {
+        this.session = typeof session === 'string' ? JSON.parse(session) : session;
+        if (!this.session || !Array.isArray(this.session.events)) {
+            throw new Error("VIB34DInteractionPlayer: Invalid session; expected { version, canvas, events }.");
+        }
+        if (this.session.version !== VIB34D_INTERACTION_SESSION_VERSION) {
+            console.warn(`VIB34DInteractionPlayer: Session version ${this.session.version} differs from ${VIB34D_INTERACTION_SESSION_VERSION}; replay may diverge.`);
+        }
+        this.engineOptions = options;
+        this.reset();
+    }
+
+    /** Recreates the engine and rewinds to time 0. */
+    reset() {
+        const size = this.session.canvas || { width: 0, height: 0 };
+        this.clock = new VIB34DVirtualClock();
+        // Recorded coordinates are already canvas-relative, so the virtual canvas sits at the origin.
+        this.canvas = { width: size.width, height: size.height, getBoundingClientRect: () => ({ left: 0, top: 0, width: size.width, height: size.height }) };
+        this.audioSource = {
+            state: { isActive: false, bass: 0, mid: 0, high: 0, level: 0, onset: false, bpm: 0, regularity: 0, pattern: null, patternConfidence: 0 },
+            update() { return this.state; }
+        };
+        this.engine = new VIB34DInteractionEngine(this.canvas, {
+            ...this.engineOptions,
+            attachListeners: false,
+            clock: () => this.clock.now,
+            scheduler: this.clock,
+            audioAnalyzer: this.audioSource
+        });
+        this.eventIndex = 0;
+    }
+
+    /** @returns {number} Current replay time in ms. */
+    get currentTime() {
+        return this.clock.now;
+    }
+
+    /** @returns {number} Session length in ms. */
+    get duration() {
+        const events = this.session.events;
+        const lastEventTime = events.length > 0 ? events[events.length - 1][0] : 0;
+        return Math.max(this.session.duration || 0, lastEventTime);
+    }
+
+    /**
+     * Replays every event up to and including `time`. Seeking backwards restarts from the beginning.
+     * @param {number} time - ms
+     */
+    seek(time) {
+        if (time < this.clock.now) this.reset();
+        const events = this.session.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= time) {
+            const event = events[this.eventIndex++];
+            this.clock.advanceTo(event[0]);
+            this.applyEvent(event);
+        }
+        this.clock.advanceTo(time);
+    }
+
+    /**
+     * Advances to `time` and returns a deep copy of the interaction state there.
+     * @param {number} time - ms
+     * @returns {object}
+     */
+    sampleAt(time) {
+        this.seek(time);
+        return JSON.parse(JSON.stringify(this.engine.getInteractionState()));
+    }
+
+    /**
+     * Replays the whole session from the start, sampling at a fixed interval.
+     * @param {number} [frameInterval=1000/60] - ms between samples.
+     * @param {function(object, number)} [onFrame] - Called with each state and its time, e.g. to update a mapper.
+     * @returns {Array<object>} One state copy per frame.
+     */
+    play(frameInterval = 1000 / 60, onFrame = null) {
+        this.reset();
+        const frames = [];
+        const frameCount = Math.floor(this.duration / frameInterval) + 1;
+        for (let i = 0; i < frameCount; i++) {
+            const time = i * frameInterval;
+            const state = this.sampleAt(time);
+            frames.push(state);
+            if (onFrame) onFrame(state, time);
+        }
+        return frames;
+    }
+
+    /** Rebuilds the minimal event object the engine's handlers read and dispatches it. */
+    applyEvent(event) {
+        const type = event[1];
+        const noop = () => {};
+        switch (type) {
+            case 'wheel':
+                this.engine.dispatchInput(type, { deltaY: event[2], preventDefault: noop });
+                break;
+            case 'mousedown': case 'mouseup': case 'globalmouseup': case 'mousemove': case 'mouseenter': case 'mouseleave':
+                this.engine.dispatchInput(type, { clientX: event[2], clientY: event[3], offsetX: event[2], offsetY: event[3], target: type === 'globalmouseup' ? null : this.canvas, preventDefault: noop });
+                break;
+            case 'touchstart': case 'touchmove': case 'touchend': case 'touchcancel':
+                this.engine.dispatchInput(type, {
+                    changedTouches: event[2].map(([identifier, clientX, clientY]) => ({ identifier, clientX, clientY })),
+                    preventDefault: noop
+                });
+                break;
+            case 'audio': {
+                const [bass, mid, high, level, onset, bpm, regularity, pattern, patternConfidence, isActive] = event[2];
+                Object.assign(this.audioSource.state, { bass, mid, high, level, onset: !!onset, bpm, regularity, pattern, patternConfidence, isActive: !!isActive });
+                break;
+            }
+            default:
+                console.warn(`VIB34DInteractionPlayer: Skipping unknown event type "${type}".`);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB34DVirtualClock = VIB34DVirtualClock;
+    window.VIB34DInteractionPlayer = VIB34DInteractionPlayer;
+}
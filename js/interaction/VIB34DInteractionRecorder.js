@@ -0,0 +1,143 @@
+/**
+ * VIB34DInteractionRecorder
+ *
+ * Captures the raw input fed into a VIB34DInteractionEngine (wheel, mouse, touch and audio analysis)
+ * as a compact, timestamped JSON session that VIB34DInteractionPlayer can replay deterministically.
+ *
+ * Session format (version 1):
+ *   {
+ *       version: 1,
+ *       canvas: { width, height },   // Drawing buffer size at record time
+ *       duration: 5234.5,            // ms from start() to stop()
+ *       events: [
+ *           [12.5, 'wheel', deltaY],
+ *           [40.1, 'mousemove', x, y],                   // x/y relative to the canvas' top-left corner, CSS px
+ *           [80.0, 'mousedown', x, y],                   // Also mouseup, globalmouseup, mouseenter, mouseleave
+ *           [95.3, 'touchstart', [[id, x, y], ...]],     // Changed touches; also touchmove, touchend, touchcancel
+ *           [96.0, 'audio', [bass, mid, high, level, onset, bpm, regularity, pattern, patternConfidence, isActive]]
+ *       ]
+ *   }
+ * Times are ms relative to start(). By default times are rounded to 0.1ms, coordinates to 0.1px and
+ * audio levels to 1e-4 (see options.precision). Replays of a session are identical to each other; they match
+ * the live run up to that recorded precision.
+ */
+const VIB34D_INTERACTION_SESSION_VERSION = 1;
+
+class VIB34DInteractionRecorder {
+    /**
+     * @param {VIB34DInteractionEngine} interactionEngine - The engine to observe.
+     * @param {object} [options]
+     * @param {{time: number, position: number, level: number}} [options.precision] - Rounding steps; 0 stores values unrounded.
+     */
+    constructor(interactionEngine, options = {}) {
+        this.engine = interactionEngine;
+        this.precision = { time: 0.1, position: 0.1, level: 0.0001, ...(options.precision || {}) };
+        this.isRecording = false;
+        this.session = null;
+        this.startTime = 0;
+        this.lastAudioKey = null;
+        this.boundObserver = this.observe.bind(this);
+    }
+
+    /** Starts a new session, discarding any previous one. */
+    start() {
+        if (this.isRecording) this.stop();
+        const canvas = this.engine.canvas;
+        this.session = {
+            version: VIB34D_INTERACTION_SESSION_VERSION,
+            canvas: { width: canvas ? canvas.width : 0, height: canvas ? canvas.height : 0 },
+            duration: 0,
+            events: []
+        };
+        this.startTime = this.engine.clock();
+        this.lastAudioKey = null;
+        this.engine.addInputObserver(this.boundObserver);
+        this.isRecording = true;
+    }
+
+    /**
+     * Stops recording.
+     * @returns {object|null} The recorded session.
+     */
+    stop() {
+        if (!this.isRecording) return this.session;
+        this.engine.removeInputObserver(this.boundObserver);
+        this.session.duration = this.roundTo(this.engine.clock() - this.startTime, this.precision.time);
+        this.isRecording = false;
+        return this.session;
+    }
+
+    /** @returns {string} The current session as JSON. */
+    toJSON() {
+        return JSON.stringify(this.session);
+    }
+
+    roundTo(value, step) {
+        if (!(step > 0)) return value;
+        if (step >= 1) return Math.round(value / step) * step;
+        const inverse = Math.round(1 / step); // Divide by the inverse so 0.1-style steps don't leave 0.30000000000000004 in the JSON.
+        return Math.round(value * inverse) / inverse;
+    }
+
+    round(value) {
+        return this.roundTo(value, this.precision.position);
+    }
+
+    roundLevel(value) {
+        return this.roundTo(value, this.precision.level);
+    }
+
+    /** Input observer registered on the engine. */
+    observe(type, event, engine) {
+        const time = this.roundTo(engine.clock() - this.startTime, this.precision.time);
+        const encoded = this.encodeEvent(type, event);
+        if (!encoded) return;
+        if (type === 'audio') {
+            // Analysis is reported every frame; only changes need storing.
+            const key = JSON.stringify(encoded);
+            if (key === this.lastAudioKey) return;
+            this.lastAudioKey = key;
+        }
+        this.session.events.push([time, type, ...encoded]);
+    }
+
+    /**
+     * Reduces a raw event to the values the engine's handlers read.
+     * @returns {Array|null} Payload, or null if the event has no effect and need not be stored.
+     */
+    encodeEvent(type, event) {
+        const rect = this.engine.canvas && typeof this.engine.canvas.getBoundingClientRect === 'function'
+            ? this.engine.canvas.getBoundingClientRect() : { left: 0, top: 0 };
+        switch (type) {
+            case 'wheel':
+                return [event.deltaY];
+            case 'globalmouseup':
+                // The canvas' own mouseup handles this one; the document listener ignores it.
+                if (event.target === this.engine.canvas) return null;
+                return [this.round(event.clientX - rect.left), this.round(event.clientY - rect.top)];
+            case 'mousedown': case 'mouseup': case 'mousemove': case 'mouseenter': case 'mouseleave':
+                return [this.round(event.clientX - rect.left), this.round(event.clientY - rect.top)];
+            case 'touchstart': case 'touchmove': case 'touchend': case 'touchcancel': {
+                const touches = [];
+                for (let i = 0; i < event.changedTouches.length; i++) {
+                    const touch = event.changedTouches[i];
+                    touches.push([touch.identifier, this.round(touch.clientX - rect.left), this.round(touch.clientY - rect.top)]);
+                }
+                return [touches];
+            }
+            case 'audio':
+                return [[
+                    this.roundLevel(event.bass), this.roundLevel(event.mid), this.roundLevel(event.high), this.roundLevel(event.level),
+                    event.onset ? 1 : 0, this.roundTo(event.bpm, 0.1), this.roundLevel(event.regularity),
+                    event.pattern, this.roundLevel(event.patternConfidence), event.isActive ? 1 : 0
+                ]];
+            default:
+                return null;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB34DInteractionRecorder = VIB34DInteractionRecorder;
+    window.VIB34D_INTERACTION_SESSION_VERSION = VIB34D_INTERACTION_SESSION_VERSION;
+}
@@ -0,0 +1,114 @@
+/**
+ * VIB34DSyntheticInput
+ *
+ * Builds interaction sessions by script, in the same format VIB34DInteractionRecorder produces,
+ * for driving VIB34DInteractionPlayer in automated tests of ParameterMappingSystem, the chromatic engine
+ * and anything else that reads getInteractionState(). Every method takes a time in ms and returns `this`.
+ *
+ *   const session = new VIB34DSyntheticInput({ width: 800, height: 600 })
+ *       .mouseMove(0, 100, 300).drag(100, [100, 300], [700, 300], 400)
+ *       .wheel(600, 120).audio(700, { bass: 0.8, onset: true })
+ *       .pinch(1000, [400, 300], 100, 200, 300)
+ *       .toSession();
+ *   const frames = new VIB34DInteractionPlayer(session).play();
+ */
+class VIB34DSyntheticInput {
+    /**
+     * @param {{width: number, height: number}} [canvasSize]
+     */
+    constructor(canvasSize = { width: 800, height: 600 }) {
+        this.canvasSize = { width: canvasSize.width, height: canvasSize.height };
+        this.events = [];
+        this.duration = 0;
+        this.nextTouchId = 1;
+    }
+
+    push(time, type, ...payload) {
+        this.events.push([time, type, ...payload]);
+        this.duration = Math.max(this.duration, time);
+        return this;
+    }
+
+    wheel(time, deltaY) { return this.push(time, 'wheel', deltaY); }
+    mouseEnter(time, x, y) { return this.push(time, 'mouseenter', x, y); }
+    mouseLeave(time, x, y) { return this.push(time, 'mouseleave', x, y); }
+    mouseMove(time, x, y) { return this.push(time, 'mousemove', x, y); }
+    mouseDown(time, x, y) { return this.push(time, 'mousedown', x, y); }
+    mouseUp(time, x, y) { return this.push(time, 'mouseup', x, y); }
+
+    /** Mouse down at `time`, up `holdMs` later. */
+    click(time, x, y, holdMs = 80) {
+        return this.mouseDown(time, x, y).mouseUp(time + holdMs, x, y);
+    }
+
+    /** Mouse down, linear move in 16ms steps, mouse up. */
+    drag(time, from, to, durationMs, stepMs = 16) {
+        this.mouseDown(time, from[0], from[1]);
+        this.interpolate(time, durationMs, stepMs, (t, f) => this.mouseMove(t, from[0] + (to[0] - from[0]) * f, from[1] + (to[1] - from[1]) * f));
+        return this.mouseUp(time + durationMs, to[0], to[1]);
+    }
+
+    /** @param {Array<Array<number>>} touches - [[id, x, y], ...] */
+    touchStart(time, touches) { return this.push(time, 'touchstart', touches); }
+    touchMove(time, touches) { return this.push(time, 'touchmove', touches); }
+    touchEnd(time, touches) { return this.push(time, 'touchend', touches); }
+
+    /** One-finger tap. */
+    tap(time, x, y, holdMs = 60) {
+        const id = this.nextTouchId++;
+        return this.touchStart(time, [[id, x, y]]).touchEnd(time + holdMs, [[id, x, y]]);
+    }
+
+    /** One-finger swipe from `from` to `to`. */
+    swipe(time, from, to, durationMs = 120, stepMs = 16) {
+        const id = this.nextTouchId++;
+        this.touchStart(time, [[id, from[0], from[1]]]);
+        this.interpolate(time, durationMs, stepMs, (t, f) => this.touchMove(t, [[id, from[0] + (to[0] - from[0]) * f, from[1] + (to[1] - from[1]) * f]]));
+        return this.touchEnd(time + durationMs, [[id, to[0], to[1]]]);
+    }
+
+    /**
+     * Two fingers on a horizontal line through `center`, spreading from `startDistance` to `endDistance`
+     * and optionally turning by `rotation` radians.
+     */
+    pinch(time, center, startDistance, endDistance, durationMs = 300, rotation = 0, stepMs = 16) {
+        const a = this.nextTouchId++, b = this.nextTouchId++;
+        const fingers = (f) => {
+            const half = (startDistance + (endDistance - startDistance) * f) / 2;
+            const angle = rotation * f;
+            const dx = Math.cos(angle) * half, dy = Math.sin(angle) * half;
+            return [[a, center[0] - dx, center[1] - dy], [b, center[0] + dx, center[1] + dy]];
+        };
+        this.touchStart(time, [fingers(0)[0]]).touchStart(time, [fingers(0)[1]]);
+        this.interpolate(time, durationMs, stepMs, (t, f) => this.touchMove(t, fingers(f)));
+        return this.touchEnd(time + durationMs, fingers(1));
+    }
+
+    /**
+     * Sets the audio analysis values seen by the engine from `time` on.
+     * @param {object} bands - Any of bass, mid, high, level, onset, bpm, regularity, pattern, patternConfidence.
+     */
+    audio(time, bands) {
+        const bass = bands.bass || 0, mid = bands.mid || 0, high = bands.high || 0;
+        const level = bands.level !== undefined ? bands.level : (bass + mid + high) / 3;
+        return this.push(time, 'audio', [bass, mid, high, level, bands.onset ? 1 : 0, bands.bpm || 0, bands.regularity || 0,
+            bands.pattern || null, bands.patternConfidence || 0, bands.isActive === false ? 0 : 1]);
+    }
+
+    interpolate(time, durationMs, stepMs, emit) {
+        for (let t = stepMs; t < durationMs; t += stepMs) emit(time + t, t / durationMs);
+        emit(time + durationMs, 1.0);
+    }
+
+    /** @returns {object} A session for VIB34DInteractionPlayer, events sorted by time. */
+    toSession() {
+        const events = this.events.map((event, index) => ({ event, index }))
+            .sort((x, y) => x.event[0] - y.event[0] || x.index - y.index)
+            .map(entry => entry.event);
+        return { version: VIB34D_INTERACTION_SESSION_VERSION, canvas: { ...this.canvasSize }, duration: this.duration, events };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VIB34DSyntheticInput = VIB34DSyntheticInput;
+}
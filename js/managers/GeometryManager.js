@@ -1,5 +1,7 @@
 /**
  * Manages the registration and retrieval of geometry classes.
+ * Each registration carries the geometry's constructor defaults, a parameter schema
+ * and its draw mode, so renderers and dashboards never need to know concrete classes.
  */
 class GeometryManager {
     constructor() {
@@ -10,18 +12,55 @@ class GeometryManager {
      * Registers a new geometry class.
      * @param {string} name - The name to register the geometry under.
      * @param {typeof BaseGeometry} geometryClass - The geometry class (must extend BaseGeometry).
+     * @param {object} [config]
+     * @param {Array<object>} [config.schema] - Constructor option descriptions, same shape as HypercubeCore.getCoreParametersSchema().
+     * @param {object} [config.defaults] - Constructor options used when the caller does not supply them.
+     * @param {string} [config.drawMode='triangles'] - 'lines', 'points' or 'triangles'.
      */
-    registerGeometry(name, geometryClass) {
-        if (!(geometryClass.prototype instanceof BaseGeometry)) {
+    registerGeometry(name, geometryClass, config = {}) {
+        if (typeof geometryClass !== 'function' || !(geometryClass.prototype instanceof BaseGeometry)) {
             throw new Error("Geometry class must extend BaseGeometry.");
         }
+        const drawMode = config.drawMode || 'triangles';
+        if (!['lines', 'points', 'triangles'].includes(drawMode)) {
+            throw new Error(`GeometryManager: Unknown draw mode "${drawMode}" for geometry "${name}".`);
+        }
         if (this.geometries.has(name)) {
             console.warn(`GeometryManager: Geometry with name "${name}" is already registered. Overwriting.`);
         }
-        this.geometries.set(name, geometryClass);
+        this.geometries.set(name, {
+            geometryClass: geometryClass,
+            schema: Array.isArray(config.schema) ? config.schema.map(p => ({ ...p })) : [],
+            defaults: { ...(config.defaults || {}) },
+            drawMode: drawMode,
+        });
         console.log(`GeometryManager: Registered geometry "${name}".`);
     }
 
+    /**
+     * Registers every entry of a definition list such as VIB3_BUILT_IN_GEOMETRIES.
+     * Entries whose class is not loaded are skipped.
+     * @param {Array<object>} definitions - Entries of { name, geometryClass, schema, defaults, drawMode }.
+     */
+    registerGeometries(definitions) {
+        for (const definition of definitions) {
+            if (!definition.geometryClass) {
+                console.warn(`GeometryManager: Class for geometry "${definition.name}" is not loaded. Skipping.`);
+                continue;
+            }
+            this.registerGeometry(definition.name, definition.geometryClass, definition);
+        }
+    }
+
+    /**
+     * Removes a geometry registration.
+     * @param {string} name
+     * @returns {boolean} True if the geometry was registered.
+     */
+    unregisterGeometry(name) {
+        return this.geometries.delete(name);
+    }
+
     /**
      * Retrieves a geometry class by its registered name.
      * @param {string} name - The name of the geometry to retrieve.
@@ -32,31 +71,46 @@ class GeometryManager {
             console.warn(`GeometryManager: Geometry with name "${name}" not found.`);
             return undefined;
         }
-        return this.geometries.get(name);
+        return this.geometries.get(name).geometryClass;
+    }
+
+    /**
+     * Describes a registered geometry: its draw mode, constructor defaults and parameter schema.
+     * @param {string} name
+     * @returns {{name: string, drawMode: string, defaults: object, schema: Array<object>} | null}
+     */
+    describeGeometry(name) {
+        const entry = this.geometries.get(name);
+        if (!entry) {
+            console.warn(`GeometryManager: Geometry with name "${name}" not found.`);
+            return null;
+        }
+        return {
+            name: name,
+            drawMode: entry.drawMode,
+            defaults: JSON.parse(JSON.stringify(entry.defaults)),
+            schema: JSON.parse(JSON.stringify(entry.schema)),
+        };
     }
 
     /**
      * Creates an instance of a registered geometry.
      * @param {string} name - The name of the geometry to instantiate.
-     * @param {object} [initialParams] - Optional parameters to pass to the geometry's constructor or an initial update.
+     * @param {object} [initialParams] - Constructor options, merged over the registered defaults.
      * @returns {BaseGeometry | null} An instance of the geometry, or null if the class is not found.
      */
     createGeometryInstance(name, initialParams = {}) {
-        const GeometryClass = this.getGeometryClass(name);
-        if (GeometryClass) {
-            const instance = new GeometryClass();
-            // Assuming generate might take parameters or update is called after instantiation
-            if (typeof instance.generate === 'function') {
-                 // If generate can take params, or if there's a specific init method.
-                 // For now, we assume generate is parameterless and update is used for params.
-                instance.generate();
-            }
-            if (typeof instance.update === 'function' && Object.keys(initialParams).length > 0) {
-                instance.update(initialParams);
-            }
-            return instance;
+        const entry = this.geometries.get(name);
+        if (!entry) {
+            console.warn(`GeometryManager: Geometry with name "${name}" not found.`);
+            return null;
         }
-        return null;
+        // Geometries generate from their constructor options, so structural options such as
+        // latticeSize or iterations are in effect on the very first generate().
+        const instance = new entry.geometryClass({ ...entry.defaults, ...initialParams });
+        instance.registeredName = name;
+        instance.drawMode = entry.drawMode;
+        return instance;
     }
 
     /**
@@ -64,10 +64,19 @@ class DashboardUIManager {
                 <input type="text" id="dashboardInputPresetName" placeholder="New preset name" style="width: calc(100% - 100px);">
                 <button id="dashboardBtnSavePreset" style="width: 90px;">Save Current</button>
             </div>
+            <div style="margin-top: 5px;">
+                <input type="number" id="dashboardInputGenerateSeed" placeholder="Seed (random)" min="0" step="1" style="width: 100px;" title="Same seed, same result. Leave empty for a random seed.">
+                <input type="number" id="dashboardInputMutationAmount" value="0.2" min="0" max="1" step="0.05" style="width: 55px;" title="Mutation amount (0-1 of each parameter's range)">
+                <button id="dashboardBtnRandomizePreset">Randomize</button>
+                <button id="dashboardBtnMutatePreset">Mutate</button>
+                <button id="dashboardBtnSaveLineage" title="Save the current settings and their unsaved generated ancestors">Save Lineage</button>
+                <div id="dashboardPresetLineage" style="font-size: 0.85em; opacity: 0.8; margin-top: 3px;"></div>
+            </div>
             <div style="margin-top: 5px;">
                 <button id="dashboardBtnExportPresets">Export User</button>
                 <button id="dashboardBtnImportPresets">Import User</button>
-                <textarea id="dashboardTextareaImportExport" placeholder="Paste JSON here..." style="width: 95%; height: 40px; margin-top: 5px; background:#222; color:#ddd; border:1px solid #555;"></textarea>
+                <button id="dashboardBtnCopyPresetLink" title="Copy a link that restores the current settings">Copy Link</button>
+                <textarea id="dashboardTextareaImportExport" placeholder="Paste JSON or a preset link here..." style="width: 95%; height: 40px; margin-top: 5px; background:#222; color:#ddd; border:1px solid #555;"></textarea>
             </div>`;
         this._addSectionToDashboardDOM("Presets", presetHtml);
 
@@ -204,8 +213,15 @@ class DashboardUIManager {
         this.elements.btnLoadPreset = document.getElementById('dashboardBtnLoadPreset');
         this.elements.inputPresetName = document.getElementById('dashboardInputPresetName');
         this.elements.btnSavePreset = document.getElementById('dashboardBtnSavePreset');
+        this.elements.inputGenerateSeed = document.getElementById('dashboardInputGenerateSeed');
+        this.elements.inputMutationAmount = document.getElementById('dashboardInputMutationAmount');
+        this.elements.btnRandomizePreset = document.getElementById('dashboardBtnRandomizePreset');
+        this.elements.btnMutatePreset = document.getElementById('dashboardBtnMutatePreset');
+        this.elements.btnSaveLineage = document.getElementById('dashboardBtnSaveLineage');
+        this.elements.presetLineage = document.getElementById('dashboardPresetLineage');
         this.elements.btnExportPresets = document.getElementById('dashboardBtnExportPresets');
         this.elements.btnImportPresets = document.getElementById('dashboardBtnImportPresets');
+        this.elements.btnCopyPresetLink = document.getElementById('dashboardBtnCopyPresetLink');
         this.elements.textareaImportExport = document.getElementById('dashboardTextareaImportExport');
 
         this.elements.realtimeValuesDisplay = document.getElementById('dashboardRealtimeValuesDisplay');
@@ -231,6 +247,27 @@ class DashboardUIManager {
         }
     }
 
+    /** Seed from the seed field, or undefined (random) when it is empty or not a whole number. */
+    _readGenerateSeed() {
+        const seed = Number(this.elements.inputGenerateSeed ? this.elements.inputGenerateSeed.value : '');
+        return this.elements.inputGenerateSeed && this.elements.inputGenerateSeed.value.trim() !== '' && Number.isInteger(seed) && seed >= 0 ? seed : undefined;
+    }
+
+    /** Applies a generated preset with a short morph and shows where it came from. */
+    _applyGeneratedPreset(preset) {
+        if (!preset || !this.core.presetManager.applyPreset(preset, { duration: 1.0 })) return;
+        this._updateLineageDisplay();
+    }
+
+    _updateLineageDisplay() {
+        if (!this.elements.presetLineage || !this.core.presetManager) return;
+        const active = this.core.presetManager.activePreset;
+        if (!active) { this.elements.presetLineage.textContent = ''; return; }
+        const { parents, seed } = this.core.presetManager.getActiveLineage();
+        const from = parents.length > 0 ? ` from ${parents.join(' × ')}` : '';
+        this.elements.presetLineage.textContent = `${active.name}${from}${seed !== null ? ` (seed ${seed})` : ''}`;
+    }
+
     _initControlsFromCoreState() {
         const baseParams = this.core.getBaseParameters();
         this.parameterSchema.forEach(paramSchema => {
@@ -267,7 +304,7 @@ class DashboardUIManager {
 
     syncDashboardToCoreState() {
         const baseParams = this.core.getBaseParameters();
-        const currentGeoName = baseParams.geometryName || (this.core.currentGeometry ? this.core.currentGeometry.constructor.name.toLowerCase().replace('geometry', '') : 'hypercube');
+        const currentGeoName = baseParams.geometryName || this.core.currentGeometryName || 'hypercube';
         const currentProjName = baseParams.projectionType || (this.core.currentProjection ? this.core.currentProjection.constructor.name.toLowerCase().replace('projection', '') : 'perspective');
 
         if (this.elements.selectGeometry && currentGeoName) this.elements.selectGeometry.value = currentGeoName;
@@ -359,7 +396,7 @@ class DashboardUIManager {
                 valueToUpdate = this._hexToRgbArray(e.target.value);
                 if (valueDisplay) valueDisplay.textContent = e.target.value;
             }
-            this.core.updateBaseParameter(uniformName, valueToUpdate);
+            this.core.setLayerParameters('user', uniformName, valueToUpdate);
         });
     }
 
@@ -377,6 +414,20 @@ class DashboardUIManager {
         this.parameterSchema.forEach(paramSchema => {
             this._reAttachListenerForParam(paramSchema);
         });
+
+        // User presets can change underneath the dashboard: async loads, other tabs, refused writes.
+        if (this.core.presetManager && typeof this.core.presetManager.addStorageListener === 'function') {
+            this.core.presetManager.addStorageListener((event) => {
+                const selected = this.elements.selectPreset ? this.elements.selectPreset.value : '';
+                this._populatePresetDropdown();
+                if (selected && this.elements.selectPreset) this.elements.selectPreset.value = selected;
+                if (event.type === 'conflict') {
+                    alert(`These presets were changed in another window and were not overwritten:\n${event.conflicts.map(c => c.name).join('\n')}\n\nThe other version has been loaded. Save yours again under a new name to keep it.`);
+                } else if (event.type === 'error' && event.error && event.error.code === 'quota') {
+                    alert("Preset storage is full. Export your presets or delete some before saving more.");
+                }
+            });
+        }
     }
 
     _attachUiViewListeners() {
@@ -388,7 +439,24 @@ class DashboardUIManager {
         }
         if (this.elements.btnLoadPreset) this.elements.btnLoadPreset.addEventListener('click', () => {
             const presetName = this.elements.selectPreset.value;
-            if (presetName && this.core.presetManager) this.core.presetManager.loadPresetByName(presetName);
+            if (presetName && this.core.presetManager) { this.core.presetManager.loadPresetByName(presetName); this._updateLineageDisplay(); }
+        });
+        if (this.elements.btnRandomizePreset) this.elements.btnRandomizePreset.addEventListener('click', () => {
+            if (this.core.presetManager) this._applyGeneratedPreset(this.core.presetManager.randomize({ seed: this._readGenerateSeed() }));
+        });
+        if (this.elements.btnMutatePreset) this.elements.btnMutatePreset.addEventListener('click', () => {
+            if (!this.core.presetManager) return;
+            const amount = parseFloat(this.elements.inputMutationAmount ? this.elements.inputMutationAmount.value : '');
+            const parent = this.core.presetManager.getCurrentPresetForGeneration();
+            this._applyGeneratedPreset(this.core.presetManager.mutate(parent, Number.isFinite(amount) ? amount : 0.2, { seed: this._readGenerateSeed() }));
+        });
+        if (this.elements.btnSaveLineage) this.elements.btnSaveLineage.addEventListener('click', () => {
+            if (!this.core.presetManager) return;
+            let presetName = this.elements.inputPresetName.value.trim();
+            if (!presetName) presetName = prompt("Preset name:", this.core.presetManager.activePreset ? this.core.presetManager.activePreset.name : `User Preset ${this.core.presetManager.userPresets.length + 1}`);
+            if (!presetName) return;
+            const saved = this.core.presetManager.saveLineage(presetName);
+            if (saved.length > 0) { this.elements.inputPresetName.value = ''; this._populatePresetDropdown(); this.elements.selectPreset.value = saved[saved.length - 1].name; }
         });
         if (this.elements.btnSavePreset) this.elements.btnSavePreset.addEventListener('click', () => {
             let presetName = this.elements.inputPresetName.value.trim();
@@ -402,11 +470,36 @@ class DashboardUIManager {
         if(this.elements.btnExportPresets && this.elements.textareaImportExport) this.elements.btnExportPresets.addEventListener('click', () => {
             if (this.core.presetManager) this.elements.textareaImportExport.value = this.core.presetManager.exportUserPresetsToString();
         });
+        if (this.elements.btnCopyPresetLink) this.elements.btnCopyPresetLink.addEventListener('click', () => {
+            if (!this.core.presetManager) return;
+            const url = this.core.presetManager.getShareUrl();
+            const showLink = () => { if (this.elements.textareaImportExport) this.elements.textareaImportExport.value = url; };
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(url).then(() => {
+                    this.elements.btnCopyPresetLink.textContent = 'Copied!';
+                    setTimeout(() => { this.elements.btnCopyPresetLink.textContent = 'Copy Link'; }, 1500);
+                }, showLink);
+            } else {
+                showLink(); // No clipboard access (e.g. insecure context): leave the link to copy by hand
+            }
+        });
         if(this.elements.btnImportPresets && this.elements.textareaImportExport) this.elements.btnImportPresets.addEventListener('click', () => {
             const jsonString = this.elements.textareaImportExport.value;
+            // A shared link or bare preset code is applied rather than imported.
+            if (this.core.presetManager && !/^\s*[[{]/.test(jsonString) && PresetManager.extractPresetCode(jsonString)) {
+                if (this.core.presetManager.loadPresetFromCode(jsonString, { duration: 1.0 })) { this.elements.textareaImportExport.value = ''; this._updateLineageDisplay(); }
+                else alert("That preset link is incomplete or damaged.");
+                return;
+            }
             if (jsonString.trim() && this.core.presetManager) {
-                this.core.presetManager.importUserPresetsFromString(jsonString);
-                this._populatePresetDropdown(); this.elements.textareaImportExport.value = '';
+                const result = this.core.presetManager.importUserPresetsFromString(jsonString);
+                this._populatePresetDropdown();
+                if (result && result.rejected.length > 0) {
+                    // Keep the JSON in place so it can be fixed and re-imported.
+                    alert(result.rejected.map(({ name, errors }) => `"${name}":\n${VIB3PresetSchema.formatErrors(errors)}`).join('\n\n'));
+                } else {
+                    this.elements.textareaImportExport.value = '';
+                }
             }
         });
     }
@@ -2,138 +2,385 @@
  * VIB3STYLEPACK CONTENT REACTOR
  * Dynamic content system that reacts to geometry changes
  * Content updates based on current section geometry
+ *
+ * Content comes from JSON content packs (content-packs/default.json):
+ *   {
+ *       "defaultLocale": "en",
+ *       "locales": {
+ *           "en": {
+ *               "geometries": { "hypercube": { "theme": "sovereignty", "title": "...", "metrics": "{{masterState.intensity|2}}" } },
+ *               "sections": { "home": { "title": "...", "geometries": { "wave": { "title": "..." } } } }
+ *           },
+ *           "de": { ... }
+ *       }
+ *   }
+ * Every key except "theme" fills the elements with that data-vib3-content slot name inside the section. Section entries
+ * override geometry entries, section+geometry entries override both, and a locale overrides its fallbacks
+ * ("de-CH" → "de" → defaultLocale). Geometry keys use the core names; 'tetrahedron', 'sphere' and 'klein' are accepted
+ * as aliases. {{path}} inserts a live value from { masterState, parameters (the section's derived parameters),
+ * sectionKey, geometry, locale }; {{path|2}} rounds numbers to 2 decimals. Templated slots update with every
+ * parameter change.
+ *
+ * Slots also react typographically to their section's parameters (config.typography): size, weight, width,
+ * slant, letter-spacing and glow, each bounded around the value the element had when it first reacted. Values
+ * are written to custom properties on the element (--vib3-font-size, --vib3-font-weight, --vib3-font-width,
+ * --vib3-font-slant, --vib3-letter-spacing, --vib3-glow), which its inline style uses; destroy() restores the
+ * original inline style. Width, weight and slant drive the wdth/wght/slnt axes of variable fonts. Per slot:
+ *   typography: { slots: { title: { glow: { max: 20, curve: 'smoothstep' } }, accent: { slant: false } } }
  */
 
 console.log('📝 VIB3STYLEPACK Content Reactor Loading...');
 
+// Response curves (as in ParameterMappingSystem) map normalized input (0-1) to the position between a property's
+// min and max; 'exp' takes `exponent` (default 2), 'step' takes `threshold` (default 0.5). A function also works.
+const VIB3_TYPOGRAPHY_CURVES = {
+    linear: t => t,
+    exp: (t, config) => Math.pow(t, typeof config.exponent === 'number' ? config.exponent : 2),
+    smoothstep: t => t * t * (3 - 2 * t),
+    step: (t, config) => (t >= (typeof config.threshold === 'number' ? config.threshold : 0.5) ? 1 : 0)
+};
+
+// input is a section parameter, normalized over inputRange. min/max bound the change around the original value:
+// a factor for size, offsets in the units noted for the rest
+const VIB3_TYPOGRAPHY_DEFAULTS = {
+    size: { input: 'intensity', inputRange: [0, 3], min: 0.95, max: 1.1, curve: 'smoothstep' },         // × font-size
+    weight: { input: 'intensity', inputRange: [0, 3], min: -100, max: 200, curve: 'exp', exponent: 0.5 }, // font-weight
+    width: { input: 'speed', inputRange: [0, 4], min: -10, max: 15, curve: 'linear' },                  // font-stretch %
+    slant: { input: 'speed', inputRange: [0, 4], min: 0, max: 8, curve: 'exp' },                        // oblique degrees
+    letterSpacing: { input: 'speed', inputRange: [0, 4], min: -0.01, max: 0.04, curve: 'linear' },       // em
+    glow: { input: 'intensity', inputRange: [0, 3], min: 0, max: 12, curve: 'exp' }                     // text-shadow blur px
+};
+
+// How each property reads its original value from computed style and writes its custom property.
+// base() returning null skips the property for that element; neutral() writes the original value back.
+const VIB3_TYPOGRAPHY_PROPERTIES = {
+    size: {
+        variable: '--vib3-font-size', property: 'font-size', value: 'var(--vib3-font-size)',
+        base: style => parseFloat(style.fontSize) || 16,
+        format: (base, amount) => `${(base * amount).toFixed(2)}px`,
+        neutral: base => `${base}px`
+    },
+    weight: {
+        variable: '--vib3-font-weight', property: 'font-weight', value: 'var(--vib3-font-weight)',
+        base: style => parseFloat(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400),
+        format: (base, amount) => `${Math.round(Math.min(1000, Math.max(1, base + amount)))}`,
+        neutral: base => `${base}`
+    },
+    width: {
+        variable: '--vib3-font-width', property: 'font-stretch', value: 'var(--vib3-font-width)',
+        base: style => parseFloat(style.fontStretch) || 100,
+        format: (base, amount) => `${Math.min(200, Math.max(50, base + amount)).toFixed(1)}%`,
+        neutral: base => `${base}%`
+    },
+    slant: {
+        variable: '--vib3-font-slant', property: 'font-style', value: 'oblique var(--vib3-font-slant)',
+        base: (style) => {
+            if (style.fontStyle === 'italic') return null; // Oblique would replace the italic face
+            const oblique = /^oblique(?:\s+(-?[\d.]+)deg)?/.exec(style.fontStyle || '');
+            return oblique ? parseFloat(oblique[1] || 14) : 0;
+        },
+        format: (base, amount) => `${Math.min(90, Math.max(-90, base + amount)).toFixed(2)}deg`,
+        neutral: base => `${base}deg`
+    },
+    letterSpacing: {
+        variable: '--vib3-letter-spacing', property: 'letter-spacing', value: 'var(--vib3-letter-spacing)',
+        base: style => ({ spacing: parseFloat(style.letterSpacing) || 0, fontSize: parseFloat(style.fontSize) || 16 }),
+        format: (base, amount) => `${(base.spacing + amount * base.fontSize).toFixed(2)}px`,
+        neutral: base => `${base.spacing}px`
+    },
+    glow: {
+        variable: '--vib3-glow', property: 'text-shadow', value: 'var(--vib3-glow)',
+        base: style => (style.textShadow && style.textShadow !== 'none' ? style.textShadow : ''),
+        format: (base, amount, typography) => {
+            const glow = `0 0 ${Math.max(0, amount).toFixed(2)}px ${typography.glowColor}`;
+            return base ? `${glow}, ${base}` : glow;
+        },
+        neutral: base => base || 'none'
+    }
+};
+
+class VIB3ContentPack {
+    constructor(data, source = 'inline') {
+        if (!data || typeof data !== 'object' || !data.locales || typeof data.locales !== 'object' || Object.keys(data.locales).length === 0) {
+            throw new Error(`VIB3ContentPack: "${source}" has no locales.`);
+        }
+        
+        this.name = data.name || source;
+        this.source = source;
+        this.locales = {};
+        Object.entries(data.locales).forEach(([locale, entries]) => {
+            this.locales[locale.toLowerCase()] = VIB3ContentPack.normalizeLocaleEntries(entries || {});
+        });
+        
+        const defaultLocale = (data.defaultLocale || '').toLowerCase();
+        this.defaultLocale = this.locales[defaultLocale] ? defaultLocale : Object.keys(this.locales)[0];
+    }
+    
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`VIB3ContentPack: Failed to fetch "${url}": ${response.status} ${response.statusText}`);
+        }
+        return new VIB3ContentPack(await response.json(), url);
+    }
+    
+    // Older code and markup use these names for the core geometries
+    static get GEOMETRY_ALIASES() {
+        return { tetrahedron: 'hypertetrahedron', sphere: 'hypersphere', klein: 'kleinbottle' };
+    }
+    
+    static normalizeGeometry(geometry) {
+        return VIB3ContentPack.GEOMETRY_ALIASES[geometry] || geometry;
+    }
+    
+    static normalizeGeometryKeys(entries = {}) {
+        const normalized = {};
+        Object.entries(entries).forEach(([geometry, slots]) => {
+            normalized[VIB3ContentPack.normalizeGeometry(geometry)] = { ...normalized[VIB3ContentPack.normalizeGeometry(geometry)], ...slots };
+        });
+        return normalized;
+    }
+    
+    static normalizeLocaleEntries(entries) {
+        const sections = {};
+        Object.entries(entries.sections || {}).forEach(([sectionKey, { geometries, ...slots }]) => {
+            sections[sectionKey] = { slots, geometries: VIB3ContentPack.normalizeGeometryKeys(geometries) };
+        });
+        return { geometries: VIB3ContentPack.normalizeGeometryKeys(entries.geometries), sections };
+    }
+    
+    // Most specific first: "de-CH" → ["de-ch", "de", defaultLocale], keeping only locales the pack has
+    getLocaleChain(locale) {
+        const chain = [];
+        const parts = String(locale || '').toLowerCase().split(/[-_]/).filter(Boolean);
+        for (let i = parts.length; i > 0; i--) chain.push(parts.slice(0, i).join('-'));
+        chain.push(this.defaultLocale);
+        return [...new Set(chain)].filter(name => this.locales[name]);
+    }
+    
+    /**
+     * @returns {{ locale: string, theme: string|null, slots: object }} Slot templates for the section and geometry.
+     */
+    resolve(sectionKey, geometry, locale) {
+        const chain = this.getLocaleChain(locale);
+        const canonical = VIB3ContentPack.normalizeGeometry(geometry);
+        const merged = {};
+        
+        // Least specific first, so later entries win
+        [...chain].reverse().forEach(name => {
+            const entries = this.locales[name];
+            const section = entries.sections[sectionKey];
+            Object.assign(merged, entries.geometries[canonical]);
+            if (section) {
+                Object.assign(merged, section.slots, section.geometries[canonical]);
+            }
+        });
+        
+        const { theme = null, ...slots } = merged;
+        return { locale: chain[0], theme, slots };
+    }
+    
+    static isTemplate(text) {
+        return typeof text === 'string' && /\{\{.*?\}\}/.test(text);
+    }
+    
+    // Replaces {{path}} and {{path|digits}} with values from context; missing values render as ''
+    static render(template, context) {
+        if (typeof template !== 'string') return template === null || template === undefined ? '' : String(template);
+        
+        return template.replace(/\{\{\s*([\w$.]+)\s*(?:\|\s*(\d+)\s*)?\}\}/g, (match, path, digits) => {
+            const value = path.split('.').reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), context);
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number' && digits !== undefined) return value.toFixed(Number(digits));
+            return String(value);
+        });
+    }
+}
+
 class VIB3ContentReactor {
     constructor(styleSystem, config = {}) {
         this.styleSystem = styleSystem;
         this.config = {
             enableContentReaction: true,
             transitionDuration: 500,
+            contentPack: 'content-packs/default.json', // URL or pack object
+            locale: null,                              // Defaults to the page language
             ...config
         };
         
-        // Content mapping for each geometry
-        this.contentMap = {
-            hypercube: {
-                title: 'Multi-Dimensional Data Architecture',
-                subtitle: 'The foundational 4D framework for digital sovereignty',
-                theme: 'sovereignty',
-                accent: 'Mathematical Foundation'
-            },
-            tetrahedron: {
-                title: 'Structured Knowledge Systems',
-                subtitle: 'Technical documentation with stable geometric foundation',
-                theme: 'stability',
-                accent: 'Technical Precision'
-            },
-            sphere: {
-                title: 'Infinite Potential Media',
-                subtitle: 'Dynamic content with spherical flow patterns',
-                theme: 'potential',
-                accent: 'Dynamic Flow'
-            },
-            torus: {
-                title: 'Continuous Flow Audio',
-                subtitle: 'Temporal content with toroidal geometry',
-                theme: 'continuity',
-                accent: 'Temporal Stream'
-            },
-            wave: {
-                title: 'Quantum Philosophy Spaces',
-                subtitle: 'Exoditical Moral Architecture principles',
-                theme: 'philosophy',
-                accent: 'Quantum States'
-            }
+        // Typographic reaction; defaults and slots hold per-property overrides of VIB3_TYPOGRAPHY_DEFAULTS
+        this.config.typography = {
+            enabled: true,
+            glowColor: 'currentColor',
+            defaults: {},
+            slots: {},
+            ...(config.typography || {})
         };
         
+        this.pack = null;
+        this.locale = this.config.locale
+            || (typeof document !== 'undefined' && document.documentElement.lang)
+            || (typeof navigator !== 'undefined' && navigator.language)
+            || 'en';
+        
         // Current state
         this.currentGeometry = 'hypercube';
+        this.currentSection = null;
+        this.currentContent = null;
         this.isTransitioning = false;
+        this.sectionGeometries = new Map(); // sectionKey → geometry its content was rendered for
+        this.liveSlots = [];                // { element, template, sectionKey, geometry } for templated slots
+        this.latestParameters = null;       // Last vib3-parameters-changed detail
+        this.textTimers = new Map();
+        this.originalText = new Map();      // Markup text of slots, restored when a pack has no entry for them
+        this.typographyStates = new Map();  // element → { properties, inline } captured on its first reaction
         
         this.initialize();
     }
     
     initialize() {
-        this.setupContentElements();
         this.setupGeometryListener();
+        this.ready = this.loadContentPack(this.config.contentPack);
         
         console.log('📝 Content reactor initialized');
     }
     
-    setupContentElements() {
-        // Find all reactive content elements
-        this.contentElements = {
-            titles: document.querySelectorAll('[data-vib3-content="title"]'),
-            subtitles: document.querySelectorAll('[data-vib3-content="subtitle"]'),
-            accents: document.querySelectorAll('[data-vib3-content="accent"]')
-        };
+    async loadContentPack(source) {
+        try {
+            this.pack = typeof source === 'string' ? await VIB3ContentPack.load(source) : new VIB3ContentPack(source);
+        } catch (error) {
+            console.error('📝 Content pack not loaded:', error.message);
+            return false;
+        }
         
-        console.log(`📝 Found ${this.contentElements.titles.length} reactive content elements`);
+        console.log(`📝 Content pack "${this.pack.name}" loaded (${Object.keys(this.pack.locales).join(', ')})`);
+        this.renderAllSections();
+        return true;
+    }
+    
+    setLocale(locale) {
+        this.locale = locale;
+        this.renderAllSections();
     }
     
     setupGeometryListener() {
         // Listen for section changes from portal scroll
-        document.addEventListener('vib3-section-changed', (e) => {
+        this.boundOnSectionChanged = (e) => {
             const { sectionKey, geometry } = e.detail;
+            this.currentSection = sectionKey;
             this.reactToGeometry(geometry, sectionKey);
-        });
+        };
         
         // Also listen for parameter changes
-        document.addEventListener('vib3-parameters-changed', (e) => {
-            this.updateContentIntensity(e.detail);
+        this.boundOnParametersChanged = (e) => {
+            this.latestParameters = e.detail;
+            this.updateLiveContent();
+            this.updateContentIntensity();
+        };
+        
+        document.addEventListener('vib3-section-changed', this.boundOnSectionChanged);
+        document.addEventListener('vib3-parameters-changed', this.boundOnParametersChanged);
+    }
+    
+    // Renders every section for the geometry it shows, without animation
+    renderAllSections() {
+        document.querySelectorAll('[data-vib3-section]').forEach(section => {
+            const sectionKey = section.dataset.vib3Section;
+            const geometry = this.sectionGeometries.get(sectionKey) || section.dataset.vib3Geometry;
+            if (geometry) this.renderSection(sectionKey, geometry, false);
         });
     }
     
     reactToGeometry(geometry, sectionKey) {
-        if (this.currentGeometry === geometry || this.isTransitioning) return;
+        if (!this.config.enableContentReaction) return;
+        
+        const canonical = VIB3ContentPack.normalizeGeometry(geometry);
+        if (this.sectionGeometries.get(sectionKey) === canonical) return;
         
         console.log(`📝 Content reacting to geometry: ${this.currentGeometry} → ${geometry}`);
         
-        this.isTransitioning = true;
         this.currentGeometry = geometry;
-        
-        // Get content for this geometry
-        const content = this.contentMap[geometry];
-        if (!content) return;
-        
-        // Update content with smooth transition
-        this.updateContent(content, sectionKey);
+        this.renderSection(sectionKey, geometry, true);
     }
     
-    updateContent(content, sectionKey) {
-        // Update titles in current section
-        this.contentElements.titles.forEach(titleEl => {
-            const section = titleEl.closest('[data-vib3-section]');
-            if (section && section.dataset.vib3Section === sectionKey) {
-                this.animateTextChange(titleEl, content.title);
-            }
-        });
+    renderSection(sectionKey, geometry, animate) {
+        this.sectionGeometries.set(sectionKey, VIB3ContentPack.normalizeGeometry(geometry));
+        if (!this.pack) return;
         
-        // Update subtitles in current section
-        this.contentElements.subtitles.forEach(subtitleEl => {
-            const section = subtitleEl.closest('[data-vib3-section]');
-            if (section && section.dataset.vib3Section === sectionKey) {
-                this.animateTextChange(subtitleEl, content.subtitle);
-            }
-        });
+        const content = this.pack.resolve(sectionKey, geometry, this.locale);
+        if (sectionKey === this.currentSection) this.currentContent = content;
+        this.liveSlots = this.liveSlots.filter(slot => slot.sectionKey !== sectionKey);
         
-        // Update accent elements
-        this.contentElements.accents.forEach(accentEl => {
-            const section = accentEl.closest('[data-vib3-section]');
-            if (section && section.dataset.vib3Section === sectionKey) {
-                this.animateTextChange(accentEl, content.accent);
+        this.getSlotElements(sectionKey).forEach(element => {
+            const template = content.slots[element.dataset.vib3Content];
+            if (template === undefined) {
+                if (this.originalText.has(element)) this.setText(element, this.originalText.get(element));
+                return;
+            }
+            
+            if (!this.originalText.has(element)) this.originalText.set(element, element.textContent);
+            const text = VIB3ContentPack.render(template, this.getTemplateContext(sectionKey, geometry));
+            if (animate) {
+                this.animateTextChange(element, text);
+            } else {
+                this.setText(element, text);
+            }
+            
+            if (VIB3ContentPack.isTemplate(template)) {
+                this.liveSlots.push({ element, template, sectionKey, geometry });
             }
         });
         
         // Apply theme class to section
-        this.applyThemeToSection(sectionKey, content.theme);
+        if (content.theme) {
+            this.applyThemeToSection(sectionKey, content.theme);
+        }
+        
+        if (animate) {
+            this.isTransitioning = true;
+            clearTimeout(this.transitionTimer);
+            this.transitionTimer = setTimeout(() => {
+                this.isTransitioning = false;
+            }, this.config.transitionDuration);
+        }
+    }
+    
+    // Slot elements belonging to the section itself, not to a section nested in it
+    getSlotElements(sectionKey) {
+        const section = document.querySelector(`[data-vib3-section="${sectionKey}"]`);
+        if (!section) return [];
         
-        setTimeout(() => {
-            this.isTransitioning = false;
-        }, this.config.transitionDuration);
+        return [...section.querySelectorAll('[data-vib3-content]')]
+            .filter(element => element.closest('[data-vib3-section]') === section);
+    }
+    
+    getTemplateContext(sectionKey, geometry) {
+        const homeMaster = this.styleSystem && this.styleSystem.homeMaster;
+        const latest = this.latestParameters;
+        
+        let parameters = latest && latest.derivedParameters ? latest.derivedParameters[sectionKey] : null;
+        if (!parameters && homeMaster) parameters = homeMaster.getParametersForSection(sectionKey);
+        
+        return {
+            masterState: (latest && latest.masterState) || (homeMaster && homeMaster.masterState) || {},
+            parameters: parameters || {},
+            sectionKey,
+            geometry,
+            locale: this.locale
+        };
+    }
+    
+    // Re-renders templated slots with the latest values; no animation, values change continuously
+    updateLiveContent() {
+        this.liveSlots.forEach(({ element, template, sectionKey, geometry }) => {
+            this.setText(element, VIB3ContentPack.render(template, this.getTemplateContext(sectionKey, geometry)));
+        });
+    }
+    
+    setText(element, text) {
+        clearTimeout(this.textTimers.get(element));
+        this.textTimers.delete(element);
+        if (element.textContent !== text) element.textContent = text;
     }
     
     animateTextChange(element, newText) {
@@ -143,13 +390,16 @@ class VIB3ContentReactor {
         element.style.transition = `opacity ${this.config.transitionDuration / 2}ms ease`;
         element.style.opacity = '0';
         
-        setTimeout(() => {
+        clearTimeout(this.textTimers.get(element));
+        this.textTimers.set(element, setTimeout(() => {
+            this.textTimers.delete(element);
+            
             // Change text
             element.textContent = newText;
             
             // Fade in
             element.style.opacity = '1';
-        }, this.config.transitionDuration / 2);
+        }, this.config.transitionDuration / 2));
     }
     
     applyThemeToSection(sectionKey, theme) {
@@ -157,7 +407,9 @@ class VIB3ContentReactor {
         if (!section) return;
         
         // Remove existing theme classes
-        section.classList.remove('theme-sovereignty', 'theme-stability', 'theme-potential', 'theme-continuity', 'theme-philosophy');
+        [...section.classList]
+            .filter(className => className.startsWith('theme-'))
+            .forEach(className => section.classList.remove(className));
         
         // Add new theme class
         section.classList.add(`theme-${theme}`);
@@ -165,45 +417,141 @@ class VIB3ContentReactor {
         console.log(`🎨 Applied theme ${theme} to section ${sectionKey}`);
     }
     
-    updateContentIntensity(parameterData) {
-        const { masterState } = parameterData;
+    // Typographic reaction of every slot to its section's parameters
+    updateContentIntensity() {
+        if (!this.config.typography.enabled) return;
         
-        // Adjust content based on master intensity
-        const intensity = masterState.intensity || 1.0;
+        document.querySelectorAll('[data-vib3-content]').forEach(element => this.updateTypography(element));
+    }
+    
+    updateTypography(element) {
+        const state = this.getTypographyState(element);
+        const section = element.closest('[data-vib3-section]');
+        const context = this.getTemplateContext(section ? section.dataset.vib3Section : null, null);
+        const values = section ? context.parameters : context.masterState;
         
-        // Scale font sizes based on intensity
-        document.querySelectorAll('[data-vib3-content]').forEach(el => {
-            const baseSize = parseFloat(getComputedStyle(el).fontSize);
-            const scaledSize = baseSize * (0.9 + intensity * 0.2);
-            el.style.fontSize = `${scaledSize}px`;
+        Object.entries(state.properties).forEach(([name, { config, base }]) => {
+            const input = values[config.input];
+            if (!Number.isFinite(input)) return;
+            
+            const [low, high] = config.inputRange;
+            const t = high === low ? 0 : Math.min(1, Math.max(0, (input - low) / (high - low)));
+            const curve = typeof config.curve === 'function' ? config.curve : VIB3_TYPOGRAPHY_CURVES[config.curve];
+            const amount = config.min + (config.max - config.min) * Math.min(1, Math.max(0, curve(t, config) || 0));
+            
+            const descriptor = VIB3_TYPOGRAPHY_PROPERTIES[name];
+            element.style.setProperty(descriptor.variable, descriptor.format(base, amount, this.config.typography));
+        });
+    }
+    
+    // Merged settings per property for a slot, or null where the property is turned off
+    getTypographyConfig(slot) {
+        const { defaults, slots } = this.config.typography;
+        const overrides = slots[slot] || {};
+        const config = {};
+        
+        Object.keys(VIB3_TYPOGRAPHY_PROPERTIES).forEach(name => {
+            if (overrides[name] === false || (defaults[name] === false && !overrides[name])) return;
+            const merged = {
+                inputRange: [0, 1],
+                curve: 'linear',
+                ...VIB3_TYPOGRAPHY_DEFAULTS[name],
+                ...(defaults[name] || {}),
+                ...(overrides[name] || {})
+            };
+            
+            if (typeof merged.curve !== 'function' && !VIB3_TYPOGRAPHY_CURVES[merged.curve]) {
+                console.error(`📝 Unknown typography curve "${merged.curve}" for ${slot}.${name}. Expected one of ${Object.keys(VIB3_TYPOGRAPHY_CURVES).join(', ')}.`);
+                merged.curve = 'linear';
+            }
+            config[name] = merged;
+        });
+        return config;
+    }
+    
+    // Reads original values before binding the element's style to the custom properties, so reactions never compound
+    getTypographyState(element) {
+        let state = this.typographyStates.get(element);
+        if (state) return state;
+        
+        const computed = getComputedStyle(element);
+        state = { properties: {}, inline: [] };
+        
+        Object.entries(this.getTypographyConfig(element.dataset.vib3Content)).forEach(([name, config]) => {
+            const descriptor = VIB3_TYPOGRAPHY_PROPERTIES[name];
+            const base = descriptor.base(computed);
+            if (base === null) return;
+            
+            state.properties[name] = { config, base };
+            [descriptor.property, descriptor.variable].forEach(property => {
+                state.inline.push({
+                    property,
+                    value: element.style.getPropertyValue(property),
+                    priority: element.style.getPropertyPriority(property)
+                });
+            });
+        });
+        
+        // Bind after every base is read: size feeds letter-spacing. Each variable starts at the original value, so
+        // a property whose input never arrives keeps the element's look instead of an unset var()
+        Object.entries(state.properties).forEach(([name, { base }]) => {
+            const descriptor = VIB3_TYPOGRAPHY_PROPERTIES[name];
+            element.style.setProperty(descriptor.variable, descriptor.neutral(base));
+            element.style.setProperty(descriptor.property, descriptor.value);
+        });
+        
+        this.typographyStates.set(element, state);
+        return state;
+    }
+    
+    // Puts back the inline style elements had before they first reacted
+    restoreTypography() {
+        this.typographyStates.forEach((state, element) => {
+            state.inline.forEach(({ property, value, priority }) => {
+                if (value) {
+                    element.style.setProperty(property, value, priority);
+                } else {
+                    element.style.removeProperty(property);
+                }
+            });
         });
+        this.typographyStates.clear();
     }
     
-    // Trigger content reaction manually
-    triggerReaction(geometry) {
-        this.reactToGeometry(geometry, 'current');
+    // Trigger content reaction manually (in the current section)
+    triggerReaction(geometry, sectionKey = this.currentSection) {
+        this.reactToGeometry(geometry, sectionKey);
     }
     
     // Get current content state
     getCurrentContent() {
         return {
             geometry: this.currentGeometry,
-            content: this.contentMap[this.currentGeometry],
+            section: this.currentSection,
+            locale: this.locale,
+            content: this.currentContent,
             isTransitioning: this.isTransitioning
         };
     }
     
     destroy() {
+        document.removeEventListener('vib3-section-changed', this.boundOnSectionChanged);
+        document.removeEventListener('vib3-parameters-changed', this.boundOnParametersChanged);
+        this.textTimers.forEach(timer => clearTimeout(timer));
+        this.textTimers.clear();
+        clearTimeout(this.transitionTimer);
+        
         // Reset all content elements
+        this.restoreTypography();
         document.querySelectorAll('[data-vib3-content]').forEach(el => {
             el.style.transition = '';
             el.style.opacity = '';
-            el.style.fontSize = '';
         });
         
         console.log('🗑️ Content reactor destroyed');
     }
 }
 
+window.VIB3ContentPack = VIB3ContentPack;
 window.VIB3ContentReactor = VIB3ContentReactor;
 console.log('✅ VIB3STYLEPACK Content Reactor loaded - Dynamic content reaction ready');
\ No newline at end of file
@@ -2,6 +2,9 @@
  * VIB3STYLEPACK GEOMETRIC UI SYSTEM
  * Geometry IS the UI - glass morphism interactive elements
  * Multiple geometry variations become buttons, cards, navigation
+ *
+ * Follows MotionSafetyPolicy (js/core/MotionSafetyPolicy.js) when it is loaded: while active, the 4D rotation slows
+ * to the policy's cap and hover glow fades in and out instead of flashing.
  */
 
 console.log('💎 VIB3STYLEPACK Geometric UI Loading...');
@@ -33,6 +36,18 @@ class VIB3GeometricUI {
         this.isActive = false;
         this.startTime = Date.now();
         
+        // Motion safety: animation time runs slower under the policy, hover glow is rate-limited
+        this.motionPolicy = options.motionPolicy || (typeof MotionSafetyPolicy !== 'undefined' ? MotionSafetyPolicy.shared : null);
+        this.motionLimiter = this.motionPolicy ? this.motionPolicy.createLimiter() : null;
+        this.reducedMotion = false;
+        this.animationTime = 0;
+        this.lastRenderTime = Date.now();
+        this.displayedHover = -1; // Element whose highlight is drawn; lags hoveredElement while fading out
+        this.hoverLevel = 0;
+        this.unsubscribeMotionPolicy = this.motionPolicy
+            ? this.motionPolicy.subscribe(active => { this.reducedMotion = active; })
+            : null;
+        
         this.initializeShaders();
         this.initBuffers();
         this.setupUIElements();
@@ -62,6 +77,7 @@ class VIB3GeometricUI {
             uniform vec4 u_uiElements[8];
             uniform int u_elementCount;
             uniform int u_hoveredElement;
+            uniform float u_hoverLevel;
             
             // Glass morphism parameters
             uniform vec3 u_glassColor;
@@ -128,7 +144,7 @@ class VIB3GeometricUI {
                 float frost = sin(frostedUV.x * 30.0) * sin(frostedUV.y * 30.0) * 0.1;
                 
                 // Edge glow for hover state
-                float glow = isHovered ? exp(-abs(sdf) * 20.0) * 2.0 : 0.0;
+                float glow = isHovered ? exp(-abs(sdf) * 20.0) * 2.0 * u_hoverLevel : 0.0;
                 
                 // Combine glass effects
                 vec3 glassColor = u_glassColor + vec3(frost) + vec3(glow);
@@ -182,7 +198,7 @@ class VIB3GeometricUI {
                         
                         // Apply glass morphism
                         baseColor = applyGlassMorphism(baseColor, sdf, uv, isHovered);
-                        baseColor = mix(baseColor, elementColor, 0.3 + (isHovered ? 0.4 : 0.0));
+                        baseColor = mix(baseColor, elementColor, 0.3 + (isHovered ? 0.4 * u_hoverLevel : 0.0));
                     }
                 }
                 
@@ -215,6 +231,7 @@ class VIB3GeometricUI {
             uiElements: this.gl.getUniformLocation(this.program, 'u_uiElements'),
             elementCount: this.gl.getUniformLocation(this.program, 'u_elementCount'),
             hoveredElement: this.gl.getUniformLocation(this.program, 'u_hoveredElement'),
+            hoverLevel: this.gl.getUniformLocation(this.program, 'u_hoverLevel'),
             glassColor: this.gl.getUniformLocation(this.program, 'u_glassColor'),
             glassOpacity: this.gl.getUniformLocation(this.program, 'u_glassOpacity'),
             glassBlur: this.gl.getUniformLocation(this.program, 'u_glassBlur')
@@ -327,7 +344,14 @@ class VIB3GeometricUI {
         this.gl.useProgram(this.program);
         this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
         
-        const time = (Date.now() - this.startTime) / 1000;
+        const now = Date.now();
+        const deltaTime = Math.min((now - this.lastRenderTime) / 1000, 0.25);
+        this.lastRenderTime = now;
+        
+        // The shader's rotation runs at speed 1.0 in animation time
+        const speed = this.reducedMotion ? this.motionPolicy.capRotationSpeed(1.0) : 1.0;
+        this.animationTime += deltaTime * speed;
+        this.updateHoverLevel(deltaTime);
         
         // Geometry mapping
         const geometryMap = { 
@@ -336,12 +360,13 @@ class VIB3GeometricUI {
         
         // Set uniforms
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-        this.gl.uniform1f(this.uniforms.time, time);
+        this.gl.uniform1f(this.uniforms.time, this.animationTime);
         this.gl.uniform2f(this.uniforms.mouse, this.interactionState.mouseX, this.interactionState.mouseY);
         this.gl.uniform1f(this.uniforms.geometry, geometryMap[this.geometry] || 0);
         this.gl.uniform1f(this.uniforms.modifier, this.modifier);
         this.gl.uniform1f(this.uniforms.intensity, this.interactionState.intensity);
-        this.gl.uniform1i(this.uniforms.hoveredElement, this.interactionState.hoveredElement || -1);
+        this.gl.uniform1i(this.uniforms.hoveredElement, this.displayedHover);
+        this.gl.uniform1f(this.uniforms.hoverLevel, this.hoverLevel);
         
         // Glass morphism settings
         this.gl.uniform3f(this.uniforms.glassColor, 0.9, 0.9, 1.0); // Slight blue tint
@@ -368,6 +393,19 @@ class VIB3GeometricUI {
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
     }
     
+    // Fades the highlight out before it moves to another element; instant unless the motion policy is active
+    updateHoverLevel(deltaTime) {
+        const hovered = this.interactionState.hoveredElement;
+        const target = hovered === null || hovered === undefined ? -1 : hovered;
+        const wanted = this.displayedHover === target && target >= 0 ? 1 : 0;
+        
+        this.hoverLevel = this.motionLimiter ? this.motionLimiter.step('hover', wanted, deltaTime) : wanted;
+        if (this.displayedHover !== target && this.hoverLevel === 0) {
+            this.displayedHover = target;
+            if (!this.reducedMotion && target >= 0) this.hoverLevel = this.motionLimiter ? this.motionLimiter.step('hover', 1, deltaTime) : 1;
+        }
+    }
+    
     start() {
         this.isActive = true;
         console.log(`💎 Geometric UI started for section [${this.sectionKey}]`);
@@ -390,6 +428,7 @@ class VIB3GeometricUI {
     
     destroy() {
         this.isActive = false;
+        if (this.unsubscribeMotionPolicy) this.unsubscribeMotionPolicy();
         if (this.program) this.gl.deleteProgram(this.program);
         if (this.buffer) this.gl.deleteBuffer(this.buffer);
         console.log(`🗑️ Geometric UI destroyed for section [${this.sectionKey}]`);
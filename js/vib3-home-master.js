@@ -2,10 +2,242 @@
  * VIB3STYLEPACK HOME-MASTER SYSTEM
  * Home section controls ALL other sections via mathematical relationships
  * Fixed modifiers ensure visual coherence across entire experience
+ *
+ * Relationships couple sections with small expressions, re-evaluated on every update:
+ *   relationships: [
+ *       'videos.complexity = home.intensity * 1.2 + articles.speed * 0.1',
+ *       { expression: 'ema.speed = lerp(ema.speed, podcasts.speed, 0.5)', min: 0.2, max: 1.5 }
+ *   ]
+ * Operands are numbers and section.parameter references; operators + - * / % ^ and parentheses; functions
+ * min, max, clamp, abs, floor, ceil, round, sqrt, pow, sin, cos and lerp. A relationship reading its own target
+ * sees the value from the section modifier; reading another relationship's target sees that relationship's
+ * result, so relationships run in dependency order and cycles are rejected. Results are clamped to
+ * config.parameterRanges and the relationship's own min/max.
+ *
+ * Interactions don't set master parameters directly: each one triggers ADSR envelopes (config.envelopes, in
+ * seconds) that modulate the master parameters around their rest values, e.g. a scroll raises speed by up to
+ * 30%, sustains while scrolling continues and releases once it stops, at any frame rate. 'portal' interactions
+ * shape intensity and speed over the transition's progress (config.portal).
+ *
+ * Attract mode (config.attractMode, off by default) plays a timeline after idleSeconds without pointer, key or
+ * touch input, e.g. for kiosks; any input stops it and restores the previous rest values. Pages can follow it
+ * through 'vib3-attract-mode' events on document ({ state: 'start' | 'step' | 'stop', step }).
  */
 
 console.log('🏠 VIB3STYLEPACK Home-Master Loading...');
 
+// Built-in master presets (preset schema v1; validated when js/config/presetSchema.js is loaded first)
+const VIB3_MASTER_PRESETS = [
+    { version: 1, type: 'master', name: 'calm', params: { intensity: 0.5, speed: 0.7, density: 8.0, complexity: 0.8 } },
+    { version: 1, type: 'master', name: 'normal', params: { intensity: 0.8, speed: 1.0, density: 12.0, complexity: 1.0 } },
+    { version: 1, type: 'master', name: 'energetic', params: { intensity: 1.2, speed: 1.5, density: 16.0, complexity: 1.3 } },
+    { version: 1, type: 'master', name: 'intense', params: { intensity: 1.5, speed: 2.0, density: 20.0, complexity: 1.5 } }
+];
+
+// Default attract mode timeline (seconds from the start of the loop). Steps may set `preset` (a master preset name),
+// glide `params` over `duration`, play a `portal` of that many seconds, and name an `event` for listeners.
+const VIB3_ATTRACT_TIMELINE = [
+    { at: 0, preset: 'calm', event: 'calm' },
+    { at: 4, params: { intensity: 1.2, speed: 1.5, complexity: 1.3 }, duration: 6, event: 'build' },
+    { at: 12, portal: 2.0, event: 'portal' },
+    { at: 16, params: { intensity: 0.5, speed: 0.7, density: 8.0, complexity: 0.8 }, duration: 6, event: 'rest' }
+];
+
+// Attack/decay/sustain/release over seconds, so the shape doesn't depend on how often update() runs.
+// trigger() opens the gate; it closes by itself `hold` seconds after the last trigger, or on close().
+class VIB3Envelope {
+    constructor({ attack = 0.1, decay = 0.3, sustain = 0.6, release = 1.0, hold = 0.25 } = {}) {
+        this.attack = attack;     // Seconds from 0 to the peak
+        this.decay = decay;       // Seconds from the peak to the sustain level
+        this.sustain = sustain;   // Fraction of the peak held while the gate is open
+        this.release = release;   // Seconds from the current level to 0 once the gate closes
+        this.hold = hold;
+        this.stage = 'idle';      // 'idle' | 'attack' | 'decay' | 'sustain' | 'release'
+        this.level = 0;
+        this.peak = 0;
+        this.holdRemaining = 0;
+        this.releaseRate = 0;
+    }
+    
+    trigger(amount) {
+        this.peak = amount;
+        this.holdRemaining = this.hold;
+        this.stage = this.level < amount ? 'attack' : 'decay';
+    }
+    
+    close() {
+        if (this.stage === 'idle' || this.stage === 'release') return;
+        this.stage = 'release';
+        this.releaseRate = this.release > 0 ? this.level / this.release : Infinity;
+    }
+    
+    update(deltaSeconds) {
+        if (this.stage !== 'idle' && this.stage !== 'release') {
+            if (this.holdRemaining <= deltaSeconds) {
+                // The gate closes within this frame
+                const open = Math.max(this.holdRemaining, 0);
+                this.advance(open);
+                this.close();
+                this.advance(deltaSeconds - open);
+                return;
+            }
+            this.holdRemaining -= deltaSeconds;
+        }
+        this.advance(deltaSeconds);
+    }
+    
+    // Carry leftover time into the next stage, so long frames land where short ones would
+    advance(deltaSeconds) {
+        let remaining = deltaSeconds;
+        while (remaining > 0 && this.stage !== 'idle') {
+            let target, rate, next;
+            if (this.stage === 'attack') {
+                target = this.peak; rate = this.attack > 0 ? Math.abs(this.peak) / this.attack : Infinity; next = 'decay';
+            } else if (this.stage === 'decay') {
+                target = this.peak * this.sustain; rate = this.decay > 0 ? Math.abs(this.peak - target) / this.decay : Infinity; next = 'sustain';
+            } else if (this.stage === 'release') {
+                target = 0; rate = this.releaseRate; next = 'idle';
+            } else {
+                this.level = this.peak * this.sustain;
+                return;
+            }
+            const needed = rate > 0 ? Math.abs(target - this.level) / rate : Infinity;
+            if (needed > remaining) {
+                this.level += Math.sign(target - this.level) * rate * remaining;
+                return;
+            }
+            this.level = target;
+            this.stage = next;
+            remaining -= needed;
+        }
+    }
+}
+
+// Parsed 'section.parameter = expression'. Expressions are compiled to closures; nothing is eval'd.
+class VIB3RelationshipExpression {
+    static get FUNCTIONS() {
+        return {
+            min: Math.min, max: Math.max, abs: Math.abs, floor: Math.floor, ceil: Math.ceil, round: Math.round,
+            sqrt: Math.sqrt, pow: Math.pow, sin: Math.sin, cos: Math.cos,
+            clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi),
+            lerp: (a, b, t) => a + (b - a) * t
+        };
+    }
+    
+    constructor(source) {
+        this.source = String(source).trim();
+        this.tokens = VIB3RelationshipExpression.tokenize(this.source);
+        this.position = 0;
+        this.references = []; // 'section.parameter' keys read by the expression
+        this.target = this.parseReference();
+        this.expect('=');
+        this.evaluate = this.parseSum(); // evaluate(read) with read(section, parameter) -> number
+        if (this.peek()) throw this.error(`unexpected "${this.peek().text}"`, this.peek());
+    }
+    
+    static tokenize(source) {
+        const pattern = /\s+|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*\/%^(),.=])/y;
+        const tokens = [];
+        while (pattern.lastIndex < source.length) {
+            const index = pattern.lastIndex;
+            const match = pattern.exec(source);
+            if (!match) throw new Error(`unexpected "${source[index]}" at column ${index + 1} in "${source}"`);
+            if (match[1]) tokens.push({ type: 'number', text: match[1], value: parseFloat(match[1]), index });
+            else if (match[2]) tokens.push({ type: 'name', text: match[2], index });
+            else if (match[3]) tokens.push({ type: 'symbol', text: match[3], index });
+        }
+        return tokens;
+    }
+    
+    peek() {
+        return this.tokens[this.position];
+    }
+    
+    accept(text) {
+        const token = this.peek();
+        if (token && token.type === 'symbol' && token.text === text) { this.position++; return true; }
+        return false;
+    }
+    
+    expect(text) {
+        if (!this.accept(text)) throw this.error(`expected "${text}"`, this.peek());
+    }
+    
+    error(message, token) {
+        const where = token ? `at column ${token.index + 1}` : 'at the end';
+        return new Error(`${message} ${where} in "${this.source}"`);
+    }
+    
+    parseReference() {
+        const section = this.peek();
+        if (!section || section.type !== 'name') throw this.error('expected section.parameter', section);
+        this.position++;
+        this.expect('.');
+        const parameter = this.peek();
+        if (!parameter || parameter.type !== 'name') throw this.error('expected a parameter name', parameter);
+        this.position++;
+        return { section: section.text, parameter: parameter.text, key: `${section.text}.${parameter.text}` };
+    }
+    
+    parseSum() {
+        let left = this.parseProduct();
+        for (;;) {
+            if (this.accept('+')) { const a = left, b = this.parseProduct(); left = read => a(read) + b(read); }
+            else if (this.accept('-')) { const a = left, b = this.parseProduct(); left = read => a(read) - b(read); }
+            else return left;
+        }
+    }
+    
+    parseProduct() {
+        let left = this.parseUnary();
+        for (;;) {
+            if (this.accept('*')) { const a = left, b = this.parseUnary(); left = read => a(read) * b(read); }
+            else if (this.accept('/')) { const a = left, b = this.parseUnary(); left = read => a(read) / b(read); }
+            else if (this.accept('%')) { const a = left, b = this.parseUnary(); left = read => a(read) % b(read); }
+            else return left;
+        }
+    }
+    
+    parseUnary() {
+        if (this.accept('-')) { const a = this.parseUnary(); return read => -a(read); }
+        if (this.accept('+')) return this.parseUnary();
+        const base = this.parsePrimary();
+        if (this.accept('^')) { const exponent = this.parseUnary(); return read => Math.pow(base(read), exponent(read)); }
+        return base;
+    }
+    
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) throw this.error('expected a value', token);
+        if (token.type === 'number') { this.position++; const value = token.value; return () => value; }
+        if (this.accept('(')) { const inner = this.parseSum(); this.expect(')'); return inner; }
+        if (token.type !== 'name') throw this.error(`unexpected "${token.text}"`, token);
+        const next = this.tokens[this.position + 1];
+        if (next && next.type === 'symbol' && next.text === '(') return this.parseCall();
+        const { section, parameter, key } = this.parseReference();
+        if (!this.references.includes(key)) this.references.push(key);
+        return read => {
+            const value = read(section, parameter);
+            if (typeof value !== 'number') throw new Error(`unknown parameter ${key}`);
+            return value;
+        };
+    }
+    
+    parseCall() {
+        const name = this.peek();
+        const fn = VIB3RelationshipExpression.FUNCTIONS[name.text];
+        if (!fn) throw this.error(`unknown function "${name.text}"`, name);
+        this.position++;
+        this.expect('(');
+        const args = [];
+        if (!this.accept(')')) {
+            do { args.push(this.parseSum()); } while (this.accept(','));
+            this.expect(')');
+        }
+        return read => fn(...args.map(arg => arg(read)));
+    }
+}
+
 class VIB3HomeMaster {
     constructor(config = {}) {
         this.config = {
@@ -26,19 +258,82 @@ class VIB3HomeMaster {
                 complexity: 1.0
             },
             
+            // Expression relationships between sections (see addRelationship)
+            relationships: [],
+            
+            // Envelope per master parameter (seconds; sustain is a fraction of the peak)
+            envelopes: {
+                intensity: { attack: 0.08, decay: 0.4, sustain: 0.7, release: 1.5, hold: 0.3 },
+                speed: { attack: 0.15, decay: 0.5, sustain: 0.8, release: 2.0, hold: 0.3 },
+                density: { attack: 0.3, decay: 0.6, sustain: 0.8, release: 2.5, hold: 0.3 },
+                complexity: { attack: 0.2, decay: 0.5, sustain: 0.6, release: 2.0, hold: 0.3 }
+            },
+            
+            // Envelope peak per unit of interaction intensity, as a fraction of the rest value
+            interactionEnvelopes: {
+                scroll: { speed: 0.3, intensity: 0.2 },
+                mouse: { complexity: 0.1 },
+                click: { intensity: 0.6 }
+            },
+            
+            // Portal transitions: modulation at the shape's peak; shape is 'bell', 'rise' or 'fall' over progress
+            portal: {
+                shape: 'bell',
+                amounts: { intensity: 0.5, speed: 0.2 }
+            },
+            
+            // Run envelopes and attract mode on requestAnimationFrame; false to call update(deltaSeconds) yourself
+            autoUpdate: true,
+            
+            // Relationship results and master parameters are clamped to these ranges
+            parameterRanges: {
+                intensity: { min: 0.0, max: 3.0 },
+                speed: { min: 0.0, max: 4.0 },
+                density: { min: 0.0, max: 64.0 },
+                complexity: { min: 0.0, max: 3.0 }
+            },
+            
             ...config
         };
         
+        // Attract mode for unattended displays; partial settings keep the other defaults
+        this.config.attractMode = {
+            enabled: false,
+            idleSeconds: 60,
+            length: 24,   // Seconds per loop
+            loop: true,
+            timeline: VIB3_ATTRACT_TIMELINE,
+            ...(config.attractMode || {})
+        };
+        
         // Current derived parameters for each section
         this.derivedParameters = new Map();
         
-        // Master state
-        this.masterState = {
-            intensity: this.config.baseParameters.intensity,
-            speed: this.config.baseParameters.speed,
-            density: this.config.baseParameters.density,
-            complexity: this.config.baseParameters.complexity
-        };
+        // Master presets by name (see VIB3_MASTER_PRESETS)
+        this.presets = new Map();
+        this.registerPreset(VIB3_MASTER_PRESETS);
+        
+        // Master state: rest values (presets, updateMasterParameters) modulated by envelopes and portals
+        this.restState = { ...this.config.baseParameters };
+        this.masterState = { ...this.restState };
+        this.envelopes = {};
+        Object.entries(this.config.envelopes).forEach(([parameter, shape]) => {
+            this.envelopes[parameter] = new VIB3Envelope(shape);
+        });
+        this.portalLevels = {};
+        
+        // Update loop and attract mode
+        this.frameId = null;
+        this.lastFrameTime = 0;
+        this.idleTimer = null;
+        this.attract = { playing: false, time: 0, nextStep: 0, glides: [], portal: null, savedRestState: null };
+        this.boundOnActivity = () => this.noteActivity();
+        if (this.config.attractMode.enabled) this.enableAttractMode();
+        
+        // Section relationships, in the order they were added and in dependency order
+        this.relationships = [];
+        this.relationshipOrder = [];
+        this.config.relationships.forEach(definition => this.addRelationship(definition, { update: false }));
         
         // Initialize derived parameters
         this.updateAllDerivedParameters();
@@ -46,12 +341,14 @@ class VIB3HomeMaster {
         console.log('🏠 Home-Master initialized with section modifiers:', this.config.sectionModifiers);
     }
     
-    // Update master parameters (from home section)
-    updateMasterParameters(newParams) {
-        Object.assign(this.masterState, newParams);
+    // Update master parameters (from home section); envelopes keep modulating around the new values.
+    // options.quiet skips the console log (attract mode updates repeatedly while unattended).
+    updateMasterParameters(newParams, options = {}) {
+        Object.assign(this.restState, newParams);
+        this.applyModulation();
         this.updateAllDerivedParameters();
         
-        console.log('📊 Master parameters updated:', this.masterState);
+        if (!options.quiet) console.log('📊 Master parameters updated:', this.masterState);
         
         // Notify all sections of parameter changes
         this.notifyParameterChange();
@@ -78,8 +375,7 @@ class VIB3HomeMaster {
             const derived = this.getDerivedParameters(sectionKey);
             this.derivedParameters.set(sectionKey, derived);
         });
-        
-        console.log('🔗 Updated derived parameters for all sections');
+        this.applyRelationships();
     }
     
     // Get parameters for specific section
@@ -91,9 +387,8 @@ class VIB3HomeMaster {
     updateSectionModifier(sectionKey, newModifier) {
         this.config.sectionModifiers[sectionKey] = newModifier;
         
-        // Recalculate derived parameters
-        const derived = this.getDerivedParameters(sectionKey);
-        this.derivedParameters.set(sectionKey, derived);
+        // Recalculate derived parameters (relationships may carry the change to other sections)
+        this.updateAllDerivedParameters();
         
         console.log(`🎛️ Updated modifier for ${sectionKey}: ${newModifier}`);
         
@@ -106,35 +401,215 @@ class VIB3HomeMaster {
         const { type, intensity = 0 } = interactionData;
         
         switch (type) {
-            case 'scroll':
-                // Scroll affects master speed and intensity
-                this.masterState.speed = this.config.baseParameters.speed * (1.0 + intensity * 0.3);
-                this.masterState.intensity = this.config.baseParameters.intensity * (1.0 + intensity * 0.2);
-                break;
-                
-            case 'mouse':
-                // Mouse movement affects complexity
-                this.masterState.complexity = this.config.baseParameters.complexity * (1.0 + intensity * 0.1);
+            case 'idle':
+                // Let every envelope release at its own pace
+                Object.values(this.envelopes).forEach(envelope => envelope.close());
                 break;
                 
-            case 'click':
-                // Click creates intensity spike
-                this.masterState.intensity = Math.min(this.masterState.intensity + intensity * 0.5, 2.0);
+            case 'portal':
+                this.updatePortal(interactionData);
                 break;
                 
-            case 'idle':
-                // Gradual return to base parameters
-                this.masterState.intensity *= 0.98;
-                this.masterState.speed *= 0.99;
-                this.masterState.complexity *= 0.99;
-                break;
+            default: {
+                const amounts = this.config.interactionEnvelopes[type];
+                if (!amounts) return;
+                Object.entries(amounts).forEach(([parameter, amount]) => {
+                    if (this.envelopes[parameter]) this.envelopes[parameter].trigger(intensity * amount);
+                });
+                // Direct input counts as presence; scroll and portal may be programmatic
+                if (type === 'mouse' || type === 'click') this.noteActivity();
+            }
         }
         
-        // Update all derived parameters
+        this.applyModulation();
+        this.updateAllDerivedParameters();
+        this.notifyParameterChange();
+        this.requestFrame();
+    }
+    
+    // Portal modulation follows the transition's progress (0-1); without progress, its intensity
+    updatePortal({ progress, intensity = 0 }) {
+        const shapes = {
+            bell: t => Math.sin(t * Math.PI),
+            rise: t => t,
+            fall: t => 1 - t
+        };
+        const shape = shapes[this.config.portal.shape] || shapes.bell;
+        let weight = intensity;
+        if (typeof progress === 'number') weight = progress >= 1 ? 0 : shape(Math.max(0, progress));
+        Object.entries(this.config.portal.amounts).forEach(([parameter, amount]) => {
+            this.portalLevels[parameter] = amount * weight;
+        });
+    }
+    
+    // masterState = rest value * (1 + envelope + portal), clamped to parameterRanges
+    applyModulation() {
+        Object.keys(this.restState).forEach(parameter => {
+            const envelope = this.envelopes[parameter];
+            const modulation = (envelope ? envelope.level : 0) + (this.portalLevels[parameter] || 0);
+            let value = this.restState[parameter] * (1 + modulation);
+            const range = this.config.parameterRanges[parameter];
+            if (range && typeof range.min === 'number') value = Math.max(range.min, value);
+            if (range && typeof range.max === 'number') value = Math.min(range.max, value);
+            this.masterState[parameter] = value;
+        });
+    }
+    
+    // Advance envelopes and attract mode. Returns true while anything is still moving.
+    update(deltaSeconds) {
+        let active = false;
+        Object.values(this.envelopes).forEach(envelope => {
+            envelope.update(deltaSeconds);
+            if (envelope.stage !== 'idle') active = true;
+        });
+        if (this.attract.playing) {
+            this.updateAttractMode(deltaSeconds);
+            if (this.attract.playing) active = true;
+        }
+        this.applyModulation();
         this.updateAllDerivedParameters();
-        
-        // Notify all sections
         this.notifyParameterChange();
+        return active;
+    }
+    
+    requestFrame() {
+        if (!this.config.autoUpdate || this.frameId !== null) return;
+        const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const frame = () => {
+            const time = now();
+            const deltaSeconds = Math.min((time - this.lastFrameTime) / 1000, 0.25); // Background tabs pause rAF
+            this.lastFrameTime = time;
+            this.frameId = null;
+            if (this.update(deltaSeconds) && this.frameId === null) this.frameId = schedule(frame);
+        };
+        this.lastFrameTime = now();
+        this.frameId = schedule(frame);
+    }
+    
+    // --- Attract mode ---
+    
+    enableAttractMode(options = {}) {
+        Object.assign(this.config.attractMode, options, { enabled: true });
+        if (typeof document !== 'undefined' && !this.attractListening) {
+            ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+                document.addEventListener(type, this.boundOnActivity, { passive: true });
+            });
+            this.attractListening = true;
+        }
+        this.scheduleAttractMode();
+        console.log(`🎬 Attract mode armed: plays after ${this.config.attractMode.idleSeconds}s idle`);
+    }
+    
+    disableAttractMode() {
+        this.config.attractMode.enabled = false;
+        if (this.attract.playing) this.stopAttractMode();
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (typeof document !== 'undefined' && this.attractListening) {
+            ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+                document.removeEventListener(type, this.boundOnActivity);
+            });
+            this.attractListening = false;
+        }
+    }
+    
+    // User input: stop attract mode and restart the idle countdown
+    noteActivity() {
+        if (this.attract.playing) this.stopAttractMode();
+        this.scheduleAttractMode();
+    }
+    
+    scheduleAttractMode() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        if (!this.config.attractMode.enabled) return;
+        this.idleTimer = setTimeout(() => this.startAttractMode(), this.config.attractMode.idleSeconds * 1000);
+    }
+    
+    startAttractMode() {
+        if (this.attract.playing) return;
+        this.attract = { playing: true, time: 0, nextStep: 0, glides: [], portal: null, savedRestState: { ...this.restState } };
+        console.log('🎬 Attract mode started');
+        this.dispatchAttractEvent('start');
+        this.updateAttractMode(0);
+        this.requestFrame();
+    }
+    
+    stopAttractMode() {
+        if (!this.attract.playing) return;
+        const saved = this.attract.savedRestState;
+        this.attract = { playing: false, time: 0, nextStep: 0, glides: [], portal: null, savedRestState: null };
+        this.portalLevels = {};
+        console.log('🎬 Attract mode stopped');
+        this.updateMasterParameters(saved, { quiet: true });
+        this.dispatchAttractEvent('stop');
+    }
+    
+    updateAttractMode(deltaSeconds) {
+        const attract = this.attract;
+        const { timeline, length, loop } = this.config.attractMode;
+        attract.time += deltaSeconds;
+        
+        while (attract.nextStep < timeline.length && timeline[attract.nextStep].at <= attract.time) {
+            this.runAttractStep(timeline[attract.nextStep], attract.time - timeline[attract.nextStep].at);
+            attract.nextStep++;
+        }
+        
+        // Glides ease from the values at their start to their targets
+        attract.glides = attract.glides.filter(glide => {
+            glide.elapsed += deltaSeconds;
+            const t = Math.min(glide.elapsed / glide.duration, 1);
+            const eased = t * t * (3 - 2 * t);
+            Object.keys(glide.to).forEach(parameter => {
+                this.restState[parameter] = glide.from[parameter] + (glide.to[parameter] - glide.from[parameter]) * eased;
+            });
+            return t < 1;
+        });
+        
+        if (attract.portal) {
+            attract.portal.elapsed += deltaSeconds;
+            const progress = Math.min(attract.portal.elapsed / attract.portal.duration, 1);
+            this.updatePortal({ progress });
+            if (progress >= 1) attract.portal = null;
+        }
+        
+        if (attract.time >= length) {
+            if (loop) {
+                attract.time -= length;
+                attract.nextStep = 0;
+            } else if (attract.nextStep >= timeline.length && attract.glides.length === 0 && !attract.portal) {
+                // Played once; input re-arms it through noteActivity()
+                this.stopAttractMode();
+            }
+        }
+    }
+    
+    runAttractStep(step, lateBy) {
+        if (step.preset) this.loadPreset(step.preset, { quiet: true });
+        if (step.params) {
+            const from = {};
+            Object.keys(step.params).forEach(parameter => {
+                from[parameter] = typeof this.restState[parameter] === 'number' ? this.restState[parameter] : step.params[parameter];
+            });
+            this.attract.glides.push({ from, to: { ...step.params }, duration: Math.max(step.duration || 0, 0.001), elapsed: lateBy });
+        }
+        if (step.portal) this.attract.portal = { duration: step.portal, elapsed: lateBy };
+        if (step.event) this.dispatchAttractEvent('step', step);
+    }
+    
+    dispatchAttractEvent(state, step = null) {
+        if (typeof document === 'undefined') return;
+        document.dispatchEvent(new CustomEvent('vib3-attract-mode', { detail: { state, step } }));
+    }
+    
+    destroy() {
+        this.disableAttractMode();
+        if (this.frameId !== null) {
+            if (typeof cancelAnimationFrame === 'function') cancelAnimationFrame(this.frameId);
+            else clearTimeout(this.frameId);
+            this.frameId = null;
+        }
     }
     
     // Parameter change notification system
@@ -154,69 +629,199 @@ class VIB3HomeMaster {
     getStatus() {
         return {
             masterState: this.masterState,
+            restState: this.restState,
+            envelopes: Object.fromEntries(Object.entries(this.envelopes).map(([parameter, envelope]) => [parameter, { stage: envelope.stage, level: envelope.level }])),
+            attractMode: { playing: this.attract.playing, time: this.attract.time },
             sectionModifiers: this.config.sectionModifiers,
+            relationships: this.relationshipOrder.map(relationship => relationship.source),
             derivedParameters: Object.fromEntries(this.derivedParameters)
         };
     }
     
-    // Load preset configurations
-    loadPreset(presetName) {
-        const presets = {
-            calm: {
-                intensity: 0.5,
-                speed: 0.7,
-                density: 8.0,
-                complexity: 0.8
-            },
-            
-            normal: {
-                intensity: 0.8,
-                speed: 1.0,
-                density: 12.0,
-                complexity: 1.0
-            },
-            
-            energetic: {
-                intensity: 1.2,
-                speed: 1.5,
-                density: 16.0,
-                complexity: 1.3
-            },
-            
-            intense: {
-                intensity: 1.5,
-                speed: 2.0,
-                density: 20.0,
-                complexity: 1.5
-            }
-        };
+    // Validates with VIB3PresetSchema; without js/config/presetSchema.js, presets are taken as they are
+    parsePresets(input, name) {
+        if (typeof VIB3PresetSchema !== 'undefined') {
+            const { presets, rejected } = VIB3PresetSchema.load(input, { type: 'master', name });
+            rejected.forEach(({ name: presetName, errors }) => {
+                console.error(`⚠️ Rejected preset "${presetName}":\n${VIB3PresetSchema.formatErrors(errors)}`);
+            });
+            return { presets, rejected };
+        }
         
-        const preset = presets[presetName];
-        if (preset) {
-            this.updateMasterParameters(preset);
-            console.log(`🎨 Loaded preset: ${presetName}`);
+        if (!this.presetSchemaWarned) {
+            console.warn('⚠️ js/config/presetSchema.js not loaded: master presets are not validated');
+            this.presetSchemaWarned = true;
+        }
+        const presets = (Array.isArray(input) ? input : [input])
+            .filter(preset => preset && typeof preset === 'object')
+            .map(preset => {
+                const source = preset.params || preset;
+                const params = {};
+                ['intensity', 'speed', 'density', 'complexity'].forEach(key => {
+                    if (typeof source[key] === 'number') params[key] = source[key];
+                });
+                return { name: preset.name || name, params };
+            });
+        return { presets, rejected: [] };
+    }
+    
+    // Register a master preset (versioned, or legacy { intensity, speed, density, complexity } with a name)
+    registerPreset(preset, name = undefined) {
+        const { presets } = this.parsePresets(preset, name);
+        presets.forEach(valid => this.presets.set(valid.name, valid));
+        return presets.length > 0;
+    }
+    
+    // Load preset configurations (by name, or a preset object which is validated first); options.quiet skips the logs
+    loadPreset(presetOrName, options = {}) {
+        let preset = null;
+        if (typeof presetOrName === 'string') {
+            preset = this.presets.get(presetOrName);
+            if (!preset) {
+                console.warn(`⚠️ Unknown preset: ${presetOrName}`);
+                return false;
+            }
         } else {
-            console.warn(`⚠️ Unknown preset: ${presetName}`);
+            const { presets, rejected } = this.parsePresets(presetOrName, 'custom');
+            if (rejected.length > 0 || presets.length !== 1) return false;
+            preset = presets[0];
         }
+        
+        this.updateMasterParameters(preset.params, options);
+        if (!options.quiet) console.log(`🎨 Loaded preset: ${preset.name}`);
+        return true;
     }
     
-    // Advanced: Create custom section relationships
-    createSectionRelationship(fromSection, toSection, relationship) {
-        // Example: articles intensity affects videos complexity
-        // This allows for more complex inter-section relationships
+    // Add a persistent relationship: 'section.parameter = expression', or { id, expression, min, max }.
+    // Returns its id (the target 'section.parameter' unless given), or null if rejected.
+    addRelationship(definition, options = {}) {
+        const spec = typeof definition === 'string' ? { expression: definition } : (definition || {});
+        let expression;
+        try {
+            expression = new VIB3RelationshipExpression(spec.expression);
+        } catch (e) {
+            console.error(`⚠️ Rejected relationship: ${e.message}`);
+            return null;
+        }
+        
+        const unknownSections = [expression.target.section, ...expression.references.map(key => key.split('.')[0])]
+            .filter(section => !this.config.sectionModifiers.hasOwnProperty(section));
+        if (unknownSections.length > 0) {
+            console.error(`⚠️ Rejected relationship "${expression.source}": unknown section(s) ${[...new Set(unknownSections)].join(', ')}`);
+            return null;
+        }
+        
+        const id = spec.id || expression.target.key;
+        const duplicate = this.relationships.find(r => r.id !== id && r.expression.target.key === expression.target.key);
+        if (duplicate) {
+            console.error(`⚠️ Rejected relationship "${expression.source}": ${expression.target.key} is already set by "${duplicate.source}"`);
+            return null;
+        }
         
-        const fromParams = this.getParametersForSection(fromSection);
-        const toParams = this.getParametersForSection(toSection);
+        const relationship = { id, source: expression.source, expression, min: spec.min, max: spec.max, lastError: null };
+        const candidates = this.relationships.filter(r => r.id !== id).concat(relationship);
+        const { order, cycle } = VIB3HomeMaster.sortRelationships(candidates);
+        if (cycle) {
+            console.error(`⚠️ Rejected relationship "${expression.source}": cycle ${cycle.join(' → ')}`);
+            return null;
+        }
+        this.relationships = candidates;
+        this.relationshipOrder = order;
+        console.log(`🔗 Added relationship: ${expression.source}`);
         
-        // Apply relationship (example: intensity → complexity)
-        if (relationship.type === 'intensity-to-complexity') {
-            toParams.complexity = fromParams.intensity * relationship.factor;
-            this.derivedParameters.set(toSection, toParams);
+        if (options.update !== false) {
+            this.updateAllDerivedParameters();
+            this.notifyParameterChange();
         }
+        return id;
+    }
+    
+    removeRelationship(id) {
+        const remaining = this.relationships.filter(r => r.id !== id);
+        if (remaining.length === this.relationships.length) return false;
+        this.relationships = remaining;
+        this.relationshipOrder = this.relationshipOrder.filter(r => r.id !== id);
+        this.updateAllDerivedParameters();
+        this.notifyParameterChange();
+        return true;
+    }
+    
+    getRelationships() {
+        return this.relationships.map(({ id, source, min, max }) => ({ id, expression: source, min, max }));
+    }
+    
+    // Orders relationships so each runs after the relationships whose targets it reads.
+    // Returns { order, cycle }, where cycle lists the 'section.parameter' keys of the first cycle found.
+    static sortRelationships(relationships) {
+        const byTarget = new Map(relationships.map(r => [r.expression.target.key, r]));
+        const state = new Map(); // relationship -> 'visiting' | 'done'
+        const order = [];
+        let cycle = null;
         
-        console.log(`🔗 Created relationship: ${fromSection} → ${toSection} (${relationship.type})`);
+        const visit = (relationship, path) => {
+            if (cycle || state.get(relationship) === 'done') return;
+            const key = relationship.expression.target.key;
+            if (state.get(relationship) === 'visiting') {
+                cycle = [...path.slice(path.indexOf(key)), key];
+                return;
+            }
+            state.set(relationship, 'visiting');
+            relationship.expression.references.forEach(reference => {
+                const dependency = byTarget.get(reference);
+                if (dependency && dependency !== relationship) visit(dependency, [...path, key]);
+            });
+            state.set(relationship, 'done');
+            order.push(relationship);
+        };
+        relationships.forEach(relationship => visit(relationship, []));
+        return { order: cycle ? [] : order, cycle };
+    }
+    
+    // Evaluate relationships into the derived parameters, in dependency order
+    applyRelationships() {
+        const read = (section, parameter) => {
+            const params = this.derivedParameters.get(section);
+            return params ? params[parameter] : undefined;
+        };
+        this.relationshipOrder.forEach(relationship => {
+            const { section, parameter } = relationship.expression.target;
+            let value;
+            try {
+                value = relationship.expression.evaluate(read);
+                if (!Number.isFinite(value)) throw new Error(`result is ${value}`);
+            } catch (e) {
+                // Keep the section's own value; report each distinct problem once
+                if (relationship.lastError !== e.message) console.warn(`⚠️ Relationship "${relationship.source}" skipped: ${e.message}`);
+                relationship.lastError = e.message;
+                return;
+            }
+            relationship.lastError = null;
+            this.derivedParameters.get(section)[parameter] = this.clampRelationshipValue(relationship, parameter, value);
+        });
+    }
+    
+    clampRelationshipValue(relationship, parameter, value) {
+        const range = this.config.parameterRanges[parameter] || {};
+        const min = typeof relationship.min === 'number' ? relationship.min : range.min;
+        const max = typeof relationship.max === 'number' ? relationship.max : range.max;
+        if (typeof min === 'number') value = Math.max(min, value);
+        if (typeof max === 'number') value = Math.min(max, value);
+        return value;
+    }
+    
+    // Legacy: { type: 'intensity-to-complexity', factor }, now kept as a persistent relationship
+    createSectionRelationship(fromSection, toSection, relationship) {
+        if (relationship.type !== 'intensity-to-complexity') {
+            console.warn(`⚠️ Unknown relationship type: ${relationship.type}. Use addRelationship() with an expression.`);
+            return null;
+        }
+        return this.addRelationship(`${toSection}.complexity = ${fromSection}.intensity * ${Number(relationship.factor)}`);
     }
 }
 
 window.VIB3HomeMaster = VIB3HomeMaster;
+window.VIB3RelationshipExpression = VIB3RelationshipExpression;
+window.VIB3_MASTER_PRESETS = VIB3_MASTER_PRESETS;
+window.VIB3_ATTRACT_TIMELINE = VIB3_ATTRACT_TIMELINE;
+window.VIB3Envelope = VIB3Envelope;
 console.log('✅ VIB3STYLEPACK Home-Master loaded - Mathematical parameter control ready');
\ No newline at end of file
@@ -2,6 +2,22 @@
  * VIB3STYLEPACK PORTAL SCROLL SYSTEM
  * Infinite scroll with geometry transitions and snap-to-section
  * Creates portal effects when transitioning between geometries
+ *
+ * The scroll position is the single source of truth for the current section. In 'scrub' mode (default) portal
+ * progress is a pure function of it: between two section anchors (their tops), progress runs 0 → 1 across the
+ * middle `scrubZone` of the distance, so scrolling back reverses the portal, stopping pauses it and momentum
+ * scrolling plays it at the speed of the page. The section switches at progress 0.5. In 'timed' mode crossing
+ * that point starts a fixed transitionDuration animation instead, and snapToSections settles the page on the
+ * current section's anchor once scrolling stops; scrub mode never snaps, so a paused portal stays paused.
+ *
+ * With js/vib3-section-router.js loaded, sections are also reachable by keyboard, #section deep links and
+ * Back/Forward, and every section change is pushed to history. goTo(sectionKey, { instant }) navigates in code.
+ *
+ * Section changes are announced with a 'vib3-section-changed' document event ({ sectionKey, geometry }), which
+ * VIB3ContentReactor (js/vib3-content-reactor.js) uses to render the section's content pack entries.
+ *
+ * Follows MotionSafetyPolicy (js/core/MotionSafetyPolicy.js) when it is loaded: while active there are no portal
+ * flashes or page filters, no automatic snapping, and navigation jumps and crossfades the section in instead of scrolling.
  */
 
 console.log('🌀 VIB3STYLEPACK Portal Scroll Loading...');
@@ -10,10 +26,13 @@ class VIB3PortalScroll {
     constructor(styleSystem, config = {}) {
         this.styleSystem = styleSystem;
         this.config = {
-            snapToSections: true,
-            transitionDuration: 800,
+            snapToSections: true,     // 'timed' mode only
+            transitionMode: 'scrub',  // 'scrub' or 'timed'
+            scrubZone: 0.5,           // Fraction of the distance between two anchors the portal spans
+            transitionDuration: 800,  // 'timed' mode only
             portalEffectIntensity: 1.5,
             scrollThreshold: 0.1,
+            routing: true,            // Keyboard/hash/history navigation via VIB3SectionRouter
             ...config
         };
         
@@ -38,13 +57,24 @@ class VIB3PortalScroll {
             isActive: false
         };
         
+        // Fast-scroll page filter (separate from the portal, which follows the scroll position)
+        this.scrollEffectActive = false;
+        
+        // Motion safety (reduced motion / photosensitivity)
+        this.motionPolicy = config.motionPolicy || (typeof MotionSafetyPolicy !== 'undefined' ? MotionSafetyPolicy.shared : null);
+        this.reducedMotion = false;
+        this.unsubscribeMotionPolicy = this.motionPolicy
+            ? this.motionPolicy.subscribe(active => this.onMotionPolicyChange(active))
+            : null;
+        
         this.initialize();
     }
     
     initialize() {
         this.calculateSectionPositions();
         this.setupScrollListeners();
-        this.setupIntersectionObserver();
+        this.setupRouter();
+        this.updateFromScrollPosition();
         
         console.log('🌀 Portal scroll system initialized');
     }
@@ -65,13 +95,17 @@ class VIB3PortalScroll {
             });
         });
         
+        if (this.router) {
+            this.router.setSections(this.getOrderedSections());
+        }
+        
         console.log(`📍 Calculated positions for ${this.sectionPositions.size} sections`);
     }
     
     setupScrollListeners() {
-        let scrollTimeout;
+        this.snapTimeout = null;
         
-        document.addEventListener('scroll', (e) => {
+        this.boundOnScroll = () => {
             const currentTime = Date.now();
             const currentScrollY = window.scrollY;
             
@@ -84,49 +118,95 @@ class VIB3PortalScroll {
                 
                 // Update visual effects based on scroll velocity
                 this.updateScrollEffects();
-                
-                // Check for section transitions
-                this.checkSectionTransition();
             }
             
+            // Section and portal state follow the scroll position
+            this.updateFromScrollPosition();
+            
             this.scrollState.lastScrollY = currentScrollY;
             this.scrollState.lastScrollTime = currentTime;
             
-            // Snap to section after scroll stops
-            if (this.config.snapToSections) {
-                clearTimeout(scrollTimeout);
-                scrollTimeout = setTimeout(() => {
+            // Snap to section after scroll stops (scrub mode pauses wherever the scroll does)
+            if (this.config.snapToSections && this.config.transitionMode === 'timed') {
+                clearTimeout(this.snapTimeout);
+                this.snapTimeout = setTimeout(() => {
                     this.snapToNearestSection();
                 }, 150);
             }
-        });
+        };
+        
+        // Layout changes move the anchors
+        this.boundOnResize = () => {
+            this.calculateSectionPositions();
+            this.updateFromScrollPosition();
+        };
+        
+        document.addEventListener('scroll', this.boundOnScroll, { passive: true });
+        window.addEventListener('resize', this.boundOnResize);
         
         console.log('📜 Scroll listeners configured');
     }
     
-    setupIntersectionObserver() {
-        const options = {
-            rootMargin: '0px',
-            threshold: 0.5
-        };
+    onMotionPolicyChange(active) {
+        this.reducedMotion = active;
+        if (!active) return;
         
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const sectionKey = entry.target.dataset.vib3Section;
-                    if (sectionKey && sectionKey !== this.scrollState.currentSection) {
-                        this.transitionToSection(sectionKey);
-                    }
-                }
-            });
-        }, options);
+        // Drop effects that are already running
+        if (this.scrollEffectActive) {
+            this.deactivatePortalEffect();
+        }
+        if (this.styleSystem.homeMaster) {
+            this.styleSystem.homeMaster.updateMasterInteraction({ type: 'portal', progress: 1 });
+        }
+        console.log('🛡️ Portal scroll: reduced motion');
+    }
+    
+    getOrderedSections() {
+        return [...this.sectionPositions.entries()]
+            .sort((a, b) => a[1].top - b[1].top)
+            .map(([sectionKey]) => sectionKey);
+    }
+    
+    setupRouter() {
+        if (!this.config.routing || typeof VIB3SectionRouter === 'undefined') return;
         
-        // Observe all sections
-        this.sectionPositions.forEach((data) => {
-            this.observer.observe(data.element);
+        this.router = new VIB3SectionRouter({
+            sections: this.getOrderedSections(),
+            navigate: (sectionKey, options) => this.scrollToSection(sectionKey, options)
         });
+        this.router.initialize(this.scrollState.currentSection);
+    }
+    
+    // Navigate to a section; goes through the router (and history) when there is one
+    goTo(sectionKey, options = {}) {
+        if (this.router) {
+            return this.router.goTo(sectionKey, { instant: !!options.instant });
+        }
+        return this.scrollToSection(sectionKey, options);
+    }
+    
+    scrollToSection(sectionKey, options = {}) {
+        const sectionData = this.sectionPositions.get(sectionKey);
+        if (!sectionData) return false;
+        
+        // Reduced motion: jump, then crossfade the section in
+        const jump = options.instant || this.reducedMotion;
+        window.scrollTo({
+            top: sectionData.top,
+            behavior: jump ? 'auto' : 'smooth'
+        });
+        if (this.reducedMotion && !options.instant && typeof sectionData.element.animate === 'function') {
+            sectionData.element.animate([{ opacity: 0 }, { opacity: 1 }], {
+                duration: this.motionPolicy.crossfadeDuration * 1000,
+                easing: 'ease-out'
+            });
+        }
         
-        console.log('👁️ Intersection observer setup complete');
+        // Apply the section now rather than on the next scroll event (deep links restore geometry on load)
+        if (jump) {
+            this.updateFromScrollPosition();
+        }
+        return true;
     }
     
     updateScrollEffects() {
@@ -142,31 +222,71 @@ class VIB3PortalScroll {
         }
         
         // Portal effects during fast scrolling
-        if (velocity > 15 && !this.portalState.isActive) {
+        if (velocity > 15 && !this.scrollEffectActive && !this.reducedMotion) {
             this.activatePortalEffect();
-        } else if (velocity < 5 && this.portalState.isActive) {
+        } else if (velocity < 5 && this.scrollEffectActive) {
             this.deactivatePortalEffect();
         }
     }
     
-    checkSectionTransition() {
-        const currentScrollY = window.scrollY;
-        const windowHeight = window.innerHeight;
-        const scrollCenter = currentScrollY + windowHeight / 2;
-        
-        // Find which section is at scroll center
-        let targetSection = null;
-        
-        for (let [sectionKey, data] of this.sectionPositions) {
-            if (scrollCenter >= data.top && scrollCenter < data.top + data.height) {
-                targetSection = sectionKey;
-                break;
+    // Where a scroll position lies between section anchors: { fromSection, toSection, progress, currentSection }.
+    // Depends only on scrollY and the measured anchors; null without sections.
+    resolveScrollPosition(scrollY) {
+        const anchors = [...this.sectionPositions.entries()].sort((a, b) => a[1].top - b[1].top);
+        if (anchors.length === 0) return null;
+        
+        let index = 0;
+        while (index < anchors.length - 1 && scrollY >= anchors[index + 1][1].top) index++;
+        const [fromSection, fromData] = anchors[index];
+        const next = anchors[index + 1];
+        if (!next || scrollY <= fromData.top) {
+            return { fromSection, toSection: fromSection, progress: 0, currentSection: fromSection };
+        }
+        
+        const [toSection, toData] = next;
+        const t = (scrollY - fromData.top) / (toData.top - fromData.top);
+        const zone = Math.min(Math.max(this.config.scrubZone, 0.01), 1);
+        const progress = Math.min(Math.max((t - (1 - zone) / 2) / zone, 0), 1);
+        return { fromSection, toSection, progress, currentSection: progress >= 0.5 ? toSection : fromSection };
+    }
+    
+    updateFromScrollPosition() {
+        const position = this.resolveScrollPosition(window.scrollY);
+        if (!position) return;
+        
+        if (this.config.transitionMode === 'timed') {
+            if (position.currentSection !== this.scrollState.currentSection) {
+                this.scrollState.targetSection = position.currentSection;
+                this.initiateGeometryTransition();
             }
+            return;
         }
         
-        if (targetSection && targetSection !== this.scrollState.currentSection) {
-            this.scrollState.targetSection = targetSection;
-            this.initiateGeometryTransition();
+        this.scrubPortal(position);
+    }
+    
+    // 'scrub' mode: portal state mirrors the scroll position
+    scrubPortal(position) {
+        const fromData = this.sectionPositions.get(position.fromSection);
+        const toData = this.sectionPositions.get(position.toSection);
+        const previousProgress = this.portalState.progress;
+        const previousPair = `${this.portalState.fromGeometry}→${this.portalState.toGeometry}`;
+        
+        this.portalState = {
+            fromGeometry: fromData.geometry,
+            toGeometry: toData.geometry,
+            progress: position.progress,
+            isActive: position.progress > 0 && position.progress < 1
+        };
+        
+        // Report changes only; resting inside a section sends nothing
+        if (position.progress !== previousProgress || `${fromData.geometry}→${toData.geometry}` !== previousPair) {
+            this.updatePortalEffects(position.progress);
+        }
+        
+        if (position.currentSection !== this.scrollState.currentSection) {
+            this.scrollState.targetSection = position.currentSection;
+            this.transitionToSection(position.currentSection);
         }
     }
     
@@ -177,6 +297,10 @@ class VIB3PortalScroll {
         const sectionData = this.sectionPositions.get(sectionKey);
         if (!sectionData) return;
         
+        if (this.router) {
+            this.router.sectionChanged(sectionKey);
+        }
+        
         console.log(`🌀 Portal transition: ${previousSection} → ${sectionKey} (${sectionData.geometry})`);
         
         // Update status display
@@ -200,7 +324,12 @@ class VIB3PortalScroll {
         const fromData = this.sectionPositions.get(fromSection);
         const toData = this.sectionPositions.get(toSection);
         
-        if (!fromData || !toData) return;
+        if (!toData) return;
+        if (!fromData) {
+            // Nothing to animate from (e.g. the initial section has no anchor)
+            this.transitionToSection(toSection);
+            return;
+        }
         
         this.scrollState.isTransitioning = true;
         
@@ -245,6 +374,9 @@ class VIB3PortalScroll {
     }
     
     updatePortalEffects(progress) {
+        // No portal flashes under the motion policy
+        if (this.reducedMotion) return;
+        
         // Increase visual intensity during transition
         const intensity = this.config.portalEffectIntensity * Math.sin(progress * Math.PI);
         
@@ -268,10 +400,13 @@ class VIB3PortalScroll {
         this.transitionToSection(this.scrollState.targetSection);
         
         console.log('✅ Geometry transition complete');
+        
+        // Catch up if scrolling went on during the animation
+        this.updateFromScrollPosition();
     }
     
     activatePortalEffect() {
-        this.portalState.isActive = true;
+        this.scrollEffectActive = true;
         
         // Visual portal effects
         document.body.style.filter = 'hue-rotate(0deg)';
@@ -280,7 +415,7 @@ class VIB3PortalScroll {
     }
     
     deactivatePortalEffect() {
-        this.portalState.isActive = false;
+        this.scrollEffectActive = false;
         
         // Clear portal effects
         document.body.style.filter = '';
@@ -289,82 +424,29 @@ class VIB3PortalScroll {
     }
     
     snapToNearestSection() {
-        if (this.scrollState.isTransitioning) return;
-        
-        const currentScrollY = window.scrollY;
-        const windowHeight = window.innerHeight;
+        // Reduced motion: never move the page on the user's behalf
+        if (this.scrollState.isTransitioning || this.reducedMotion) return;
         
-        let nearestSection = null;
-        let minDistance = Infinity;
+        // Same position logic as the portal: the current section's anchor, never a point mid-portal
+        const position = this.resolveScrollPosition(window.scrollY);
+        if (!position) return;
         
-        // Find nearest section center
-        for (let [sectionKey, data] of this.sectionPositions) {
-            const sectionCenter = data.top + data.height / 2;
-            const viewportCenter = currentScrollY + windowHeight / 2;
-            const distance = Math.abs(sectionCenter - viewportCenter);
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestSection = { key: sectionKey, data };
-            }
-        }
-        
-        if (nearestSection && minDistance > 50) {
-            // Smooth scroll to section
-            const targetY = nearestSection.data.top;
-            
+        const targetY = this.sectionPositions.get(position.currentSection).top;
+        if (Math.abs(targetY - window.scrollY) > 50) {
             window.scrollTo({
                 top: targetY,
                 behavior: 'smooth'
             });
             
-            console.log(`📍 Snapped to section: ${nearestSection.key}`);
+            console.log(`📍 Snapped to section: ${position.currentSection}`);
         }
     }
     
+    // Section content comes from content packs; VIB3ContentReactor renders it on this event
     updateContentForSection(sectionKey, geometry) {
-        // Update content based on current geometry
-        const titleElements = document.querySelectorAll('[data-vib3-content="title"]');
-        const subtitleElements = document.querySelectorAll('[data-vib3-content="subtitle"]');
-        
-        // Content mapping based on geometry
-        const contentMap = {
-            hypercube: {
-                title: 'Multi-Dimensional Data Architecture',
-                subtitle: 'The foundational 4D framework for digital sovereignty'
-            },
-            tetrahedron: {
-                title: 'Structured Knowledge Systems',
-                subtitle: 'Technical documentation with stable geometric foundation'
-            },
-            sphere: {
-                title: 'Infinite Potential Media',
-                subtitle: 'Dynamic content with spherical flow patterns'
-            },
-            torus: {
-                title: 'Continuous Flow Audio',
-                subtitle: 'Temporal content with toroidal geometry'
-            },
-            wave: {
-                title: 'Quantum Philosophy Spaces',
-                subtitle: 'Exoditical Moral Architecture principles'
-            }
-        };
-        
-        const content = contentMap[geometry];
-        if (content) {
-            titleElements.forEach(el => {
-                if (el.closest(`[data-vib3-section="${sectionKey}"]`)) {
-                    el.textContent = content.title;
-                }
-            });
-            
-            subtitleElements.forEach(el => {
-                if (el.closest(`[data-vib3-section="${sectionKey}"]`)) {
-                    el.textContent = content.subtitle;
-                }
-            });
-        }
+        document.dispatchEvent(new CustomEvent('vib3-section-changed', {
+            detail: { sectionKey, geometry }
+        }));
     }
     
     updateStatusDisplay(sectionKey, geometry) {
@@ -398,8 +480,15 @@ class VIB3PortalScroll {
     }
     
     destroy() {
-        if (this.observer) {
-            this.observer.disconnect();
+        document.removeEventListener('scroll', this.boundOnScroll);
+        window.removeEventListener('resize', this.boundOnResize);
+        clearTimeout(this.snapTimeout);
+        
+        if (this.router) {
+            this.router.destroy();
+        }
+        if (this.unsubscribeMotionPolicy) {
+            this.unsubscribeMotionPolicy();
         }
         
         console.log('🗑️ Portal scroll system destroyed');
@@ -0,0 +1,193 @@
+/**
+ * VIB3STYLEPACK SECTION ROUTER
+ * Keyboard navigation, #section deep links and browser history for an ordered list of sections
+ *
+ * The router only decides where to go; the owner moves there. `navigate(key, { instant })` is called for
+ * keyboard, history and goTo() navigation. Owners that change section by other means (scrolling) report it
+ * with sectionChanged(key), so the URL follows. Used by VIB3PortalScroll and the WORKING_FINAL_VERSION state dots.
+ *
+ * Keys: PageDown/ArrowDown/ArrowRight next, PageUp/ArrowUp/ArrowLeft previous, Home/End first/last,
+ * 1-9 the nth section. Ignored while typing in form fields or with Ctrl/Alt/Meta held.
+ */
+
+console.log('🧭 VIB3STYLEPACK Section Router Loading...');
+
+class VIB3SectionRouter {
+    constructor(config = {}) {
+        this.config = {
+            sections: [],          // Ordered section keys
+            navigate: () => {},    // (key, { instant }) => moves the page to the section
+            keyboard: true,
+            history: true,         // pushState on section change and follow Back/Forward
+            wrap: false,           // Next on the last section goes to the first
+            settleTime: 1500,      // ms that sectionChanged() reports of intermediate sections are ignored after goTo()
+            ...config
+        };
+
+        this.sections = [...this.config.sections];
+        this.currentSection = null;
+        this.pendingSection = null;
+        this.pendingUntil = 0;
+
+        this.boundOnKeyDown = (event) => this.handleKeyDown(event);
+        this.boundOnPopState = () => this.handleLocationChange();
+        this.boundOnHashChange = () => this.handleLocationChange();
+    }
+
+    // Attaches listeners and applies a #section deep link. Returns the linked section, or null.
+    initialize(currentSection = null) {
+        this.currentSection = currentSection;
+
+        if (this.config.keyboard) {
+            document.addEventListener('keydown', this.boundOnKeyDown);
+        }
+        if (this.config.history) {
+            window.addEventListener('popstate', this.boundOnPopState);
+            window.addEventListener('hashchange', this.boundOnHashChange);
+        }
+
+        const linked = this.getSectionFromHash();
+        if (linked) {
+            console.log(`🔗 Deep link: #${linked}`);
+            this.goTo(linked, { instant: true, history: 'replace' });
+        }
+
+        console.log(`🧭 Section router ready (${this.sections.length} sections)`);
+        return linked;
+    }
+
+    setSections(sections) {
+        this.sections = [...sections];
+    }
+
+    hasSection(sectionKey) {
+        return this.sections.includes(sectionKey);
+    }
+
+    getSectionFromHash() {
+        const hash = decodeURIComponent((window.location.hash || '').replace(/^#/, ''));
+        return this.hasSection(hash) ? hash : null;
+    }
+
+    /**
+     * @param {string} sectionKey
+     * @param {object} [options]
+     * @param {boolean} [options.instant=false] - Jump instead of animating.
+     * @param {string|boolean} [options.history='push'] - 'push', 'replace' or false to leave the URL alone.
+     * @returns {boolean} Whether the section exists.
+     */
+    goTo(sectionKey, options = {}) {
+        if (!this.hasSection(sectionKey)) {
+            console.warn(`🧭 Unknown section: ${sectionKey}`);
+            return false;
+        }
+
+        const { instant = false, history = 'push' } = options;
+        this.pendingSection = sectionKey;
+        this.pendingUntil = Date.now() + (instant ? 0 : this.config.settleTime);
+
+        if (sectionKey !== this.currentSection) {
+            this.currentSection = sectionKey;
+            this.updateHistory(sectionKey, history);
+        }
+
+        this.config.navigate(sectionKey, { instant });
+        return true;
+    }
+
+    // Moves `direction` sections from the current one (clamped, or wrapped with config.wrap).
+    step(direction, options = {}) {
+        if (this.sections.length === 0) return false;
+
+        const index = Math.max(this.sections.indexOf(this.currentSection), 0);
+        let target = index + direction;
+        if (this.config.wrap) {
+            target = (target % this.sections.length + this.sections.length) % this.sections.length;
+        } else {
+            target = Math.min(Math.max(target, 0), this.sections.length - 1);
+        }
+        if (target === index && this.sections[index] === this.currentSection) return false;
+
+        return this.goTo(this.sections[target], options);
+    }
+
+    // The owner reached a section by other means (e.g. scrolling)
+    sectionChanged(sectionKey) {
+        if (this.pendingSection) {
+            if (sectionKey === this.pendingSection || Date.now() > this.pendingUntil) {
+                this.pendingSection = null;
+            } else {
+                return; // Passing through on the way to the goTo() target
+            }
+        }
+
+        if (sectionKey === this.currentSection) return;
+        this.currentSection = sectionKey;
+        this.updateHistory(sectionKey, 'push');
+    }
+
+    updateHistory(sectionKey, mode) {
+        if (!this.config.history || !mode || !window.history) return;
+
+        const url = `${window.location.pathname}${window.location.search}#${encodeURIComponent(sectionKey)}`;
+        const state = { vib3Section: sectionKey };
+        if (mode === 'replace') {
+            window.history.replaceState(state, '', url);
+        } else if (`#${encodeURIComponent(sectionKey)}` !== window.location.hash) {
+            window.history.pushState(state, '', url);
+        }
+    }
+
+    // Back/Forward or an edited hash: follow without adding history
+    handleLocationChange() {
+        const sectionKey = this.getSectionFromHash();
+        if (sectionKey && sectionKey !== this.currentSection) {
+            this.goTo(sectionKey, { history: false });
+        }
+    }
+
+    handleKeyDown(event) {
+        if (this.sections.length === 0 || event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return;
+
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || ''))) return;
+
+        let handled;
+        switch (event.key) {
+            case 'PageDown':
+            case 'ArrowDown':
+            case 'ArrowRight':
+                handled = this.step(1);
+                break;
+            case 'PageUp':
+            case 'ArrowUp':
+            case 'ArrowLeft':
+                handled = this.step(-1);
+                break;
+            case 'Home':
+                handled = this.goTo(this.sections[0]);
+                break;
+            case 'End':
+                handled = this.goTo(this.sections[this.sections.length - 1]);
+                break;
+            default:
+                if (/^[1-9]$/.test(event.key) && Number(event.key) <= this.sections.length) {
+                    handled = this.goTo(this.sections[Number(event.key) - 1]);
+                }
+        }
+
+        // Native scrolling would fight the navigation
+        if (handled !== undefined) event.preventDefault();
+    }
+
+    destroy() {
+        document.removeEventListener('keydown', this.boundOnKeyDown);
+        window.removeEventListener('popstate', this.boundOnPopState);
+        window.removeEventListener('hashchange', this.boundOnHashChange);
+
+        console.log('🗑️ Section router destroyed');
+    }
+}
+
+window.VIB3SectionRouter = VIB3SectionRouter;
+console.log('✅ VIB3STYLEPACK Section Router loaded');
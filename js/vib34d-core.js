@@ -4,6 +4,9 @@
  * 
  * Provides the mathematical foundation for reactive UI design
  * where form maintains relational coherence even when scrambled
+ *
+ * Follows MotionSafetyPolicy (js/core/MotionSafetyPolicy.js) when it is loaded: while active, glitch is off,
+ * rotation is capped, interaction glow changes slowly and theme changes crossfade instead of snapping.
  */
 
 console.log('🌌 VIB34D Core System Loading...');
@@ -119,6 +122,17 @@ class VIB34DCore {
         // Current parameters (reactive) with instance modifier applied
         this.params = this.applyInstanceModifier({ ...this.themeConfigs[this.currentTheme] });
         
+        // Motion safety (reduced motion / photosensitivity)
+        this.motionPolicy = options.motionPolicy || (typeof MotionSafetyPolicy !== 'undefined' ? MotionSafetyPolicy.shared : null);
+        this.motionLimiter = this.motionPolicy ? this.motionPolicy.createLimiter() : null;
+        this.reducedMotion = false;
+        this.themeCrossfade = null; // { fromTheme, fromParams, elapsed, duration } while a theme change fades in
+        this.rotationPhase = 0; // Radians; advanced by the rotation rate each frame (see render())
+        this.lastRenderTime = Date.now();
+        this.unsubscribeMotionPolicy = this.motionPolicy
+            ? this.motionPolicy.subscribe(active => { this.reducedMotion = active; })
+            : null;
+        
         this.initShaders();
         this.initBuffers();
         this.resize();
@@ -223,12 +237,13 @@ class VIB34DCore {
           uniform vec2 u_mouse;
           uniform float u_morphFactor;
           uniform float u_glitchIntensity;
-          uniform float u_rotationSpeed;
+          uniform float u_rotationPhase; // Integrated on the CPU from the (capped) rotation speed
           uniform float u_dimension;
           uniform float u_gridDensity;
           uniform vec3 u_baseColor;
           uniform float u_interactionIntensity;
           uniform float u_geometry; // 0=hypercube, 1=tetrahedron, 2=sphere, 3=torus, 4=klein, 5=fractal, 6=wave, 7=crystal
+          uniform float u_opacity; // Theme crossfade weight
           
           // 4D rotation matrices
           mat4 rotateXW(float theta) {
@@ -337,7 +352,7 @@ class VIB34DCore {
             vec3 p = vec3(uv - center, 0.0);
             
             // Interaction-driven rotation
-            float timeRotation = u_time * 0.2 * u_rotationSpeed * (1.0 + u_interactionIntensity);
+            float timeRotation = u_rotationPhase;
             mat2 rotation = mat2(cos(timeRotation), -sin(timeRotation), sin(timeRotation), cos(timeRotation));
             p.xy = rotation * p.xy;
             p.z = sin(u_time * 0.1) * 0.5;
@@ -384,7 +399,7 @@ class VIB34DCore {
             float vignette = 1.0 - smoothstep(0.4, 1.4, length(uv - vec2(center.x, center.y)));
             color *= vignette;
             
-            gl_FragColor = vec4(color, 0.95);
+            gl_FragColor = vec4(color, 0.95 * u_opacity);
           }
         `;
         
@@ -413,12 +428,13 @@ class VIB34DCore {
             mouse: this.gl.getUniformLocation(this.program, 'u_mouse'),
             morphFactor: this.gl.getUniformLocation(this.program, 'u_morphFactor'),
             glitchIntensity: this.gl.getUniformLocation(this.program, 'u_glitchIntensity'),
-            rotationSpeed: this.gl.getUniformLocation(this.program, 'u_rotationSpeed'),
+            rotationPhase: this.gl.getUniformLocation(this.program, 'u_rotationPhase'),
             dimension: this.gl.getUniformLocation(this.program, 'u_dimension'),
             gridDensity: this.gl.getUniformLocation(this.program, 'u_gridDensity'),
             baseColor: this.gl.getUniformLocation(this.program, 'u_baseColor'),
             interactionIntensity: this.gl.getUniformLocation(this.program, 'u_interactionIntensity'),
-            geometry: this.gl.getUniformLocation(this.program, 'u_geometry')
+            geometry: this.gl.getUniformLocation(this.program, 'u_geometry'),
+            opacity: this.gl.getUniformLocation(this.program, 'u_opacity')
         };
     }
     
@@ -466,16 +482,54 @@ class VIB34DCore {
     
     updateTheme(theme, derivedParams = null) {
         if (this.themeConfigs[theme]) {
+            const previousTheme = this.currentTheme;
+            const previousParams = this.themeCrossfade ? this.getCrossfadeParams() : this.params;
             this.currentTheme = theme;
             
             // Use derived parameters from home-master or fallback to theme config
             const baseParams = derivedParams || this.themeConfigs[theme];
             this.params = this.applyInstanceModifier(baseParams);
             
+            // Reduced motion: fade the new theme in over the old one instead of snapping.
+            // A crossfade interrupted halfway restarts from whichever theme dominated.
+            if (this.reducedMotion) {
+                const restartFromOld = this.themeCrossfade && this.getCrossfadeProgress() < 0.5;
+                this.themeCrossfade = {
+                    fromTheme: restartFromOld ? this.themeCrossfade.fromTheme : previousTheme,
+                    fromParams: previousParams,
+                    elapsed: 0,
+                    duration: this.motionPolicy.crossfadeDuration
+                };
+            }
+            
             console.log(`🎨 VIB34D [${this.instanceId}] theme: ${theme} with modifier: ${this.parameterModifier}`);
         }
     }
     
+    getCrossfadeProgress() {
+        const crossfade = this.themeCrossfade;
+        return crossfade ? Math.min(crossfade.elapsed / crossfade.duration, 1.0) : 1.0;
+    }
+    
+    // Parameters part-way through the crossfade, where a restarted crossfade begins
+    getCrossfadeParams() {
+        const crossfade = this.themeCrossfade;
+        if (!crossfade) return this.params;
+        
+        const t = this.getCrossfadeProgress();
+        const blended = { ...this.params };
+        Object.keys(this.params).forEach(key => {
+            const from = crossfade.fromParams[key];
+            const to = this.params[key];
+            if (typeof from === 'number' && typeof to === 'number') {
+                blended[key] = from + (to - from) * t;
+            } else if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+                blended[key] = to.map((v, i) => from[i] + (v - from[i]) * t);
+            }
+        });
+        return blended;
+    }
+    
     updateInteractionState(state) {
         Object.assign(this.interactionState, state);
         
@@ -514,9 +568,9 @@ class VIB34DCore {
     
     // Missing method for VIB3StylePack compatibility
     updateGeometry(geometry, modifier) {
+        this.updateTheme(geometry);
         this.currentTheme = geometry;
         this.modifier = modifier;
-        this.updateTheme(geometry);
     }
     
     setGeometryVariations(variations) {
@@ -547,38 +601,78 @@ class VIB34DCore {
         this.resize();
         this.gl.useProgram(this.program);
         
-        const time = (Date.now() - this.startTime) / 1000;
+        const now = Date.now();
+        const time = (now - this.startTime) / 1000;
+        const deltaTime = Math.min((now - this.lastRenderTime) / 1000, 0.25);
+        this.lastRenderTime = now;
         
-        // Geometry mapping
-        const geometryMap = { 
-            hypercube: 0, tetrahedron: 1, sphere: 2, torus: 3, 
-            klein: 4, fractal: 5, wave: 6, crystal: 7 
-        };
+        // Glow follows interaction no faster than the motion policy allows
+        const intensity = this.motionLimiter
+            ? this.motionLimiter.step('interactionIntensity', this.interactionState.intensity, deltaTime, 2.0)
+            : this.interactionState.intensity;
         
-        // Set uniforms
+        // Set uniforms shared by both crossfade passes
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
         this.gl.uniform1f(this.uniforms.time, time);
         this.gl.uniform2f(this.uniforms.mouse, this.interactionState.mouseX, this.interactionState.mouseY);
-        this.gl.uniform1f(this.uniforms.morphFactor, this.params.morphFactor);
-        this.gl.uniform1f(this.uniforms.glitchIntensity, this.params.glitchIntensity);
-        this.gl.uniform1f(this.uniforms.rotationSpeed, this.params.rotationSpeed);
-        this.gl.uniform1f(this.uniforms.dimension, this.params.dimension);
-        this.gl.uniform1f(this.uniforms.gridDensity, this.params.gridDensity);
-        this.gl.uniform3fv(this.uniforms.baseColor, new Float32Array(this.params.baseColor || [1.0, 0.0, 1.0]));
-        this.gl.uniform1f(this.uniforms.interactionIntensity, this.interactionState.intensity);
-        this.gl.uniform1f(this.uniforms.geometry, geometryMap[this.currentTheme] || 0);
+        this.gl.uniform1f(this.uniforms.interactionIntensity, intensity);
+        
+        // Rotation turns at the current rate from where it is, so a speed change or the reduced-motion cap
+        // never jumps the angle, and the cap bounds how fast it turns at any point in the session
+        this.rotationPhase += deltaTime * this.getRotationRate(this.getCrossfadeParams().rotationSpeed, intensity);
+        this.gl.uniform1f(this.uniforms.rotationPhase, this.rotationPhase);
+        
+        if (this.themeCrossfade) {
+            this.themeCrossfade.elapsed += deltaTime;
+            const progress = this.getCrossfadeProgress();
+            
+            // Outgoing theme underneath, incoming theme blended on top
+            this.setThemeUniforms(this.themeCrossfade.fromTheme, this.themeCrossfade.fromParams, 1.0);
+            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+            this.gl.enable(this.gl.BLEND);
+            this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+            this.setThemeUniforms(this.currentTheme, this.params, progress);
+            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+            this.gl.disable(this.gl.BLEND);
+            
+            if (progress >= 1.0) this.themeCrossfade = null;
+        } else {
+            this.setThemeUniforms(this.currentTheme, this.params, 1.0);
+            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+        }
         
         // Update variations if multi-geometry mode
         if (this.multiGeometry && this.geometryVariations.length > 0) {
             this.updateVariationUniforms();
         }
         
-        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
-        
         // Decay interaction intensity
         this.interactionState.intensity *= 0.95;
     }
     
+    setThemeUniforms(theme, params, opacity) {
+        // Geometry mapping
+        const geometryMap = { 
+            hypercube: 0, tetrahedron: 1, sphere: 2, torus: 3, 
+            klein: 4, fractal: 5, wave: 6, crystal: 7 
+        };
+        
+        // Reduced motion: no glitch
+        this.gl.uniform1f(this.uniforms.morphFactor, params.morphFactor);
+        this.gl.uniform1f(this.uniforms.glitchIntensity, this.reducedMotion ? 0.0 : params.glitchIntensity);
+        this.gl.uniform1f(this.uniforms.dimension, params.dimension);
+        this.gl.uniform1f(this.uniforms.gridDensity, params.gridDensity);
+        this.gl.uniform3fv(this.uniforms.baseColor, new Float32Array(params.baseColor || [1.0, 0.0, 1.0]));
+        this.gl.uniform1f(this.uniforms.geometry, geometryMap[theme] || 0);
+        this.gl.uniform1f(this.uniforms.opacity, opacity);
+    }
+    
+    // Radians per second the shader rotation turns: speed sped up by interaction, capped under reduced motion
+    getRotationRate(rotationSpeed, intensity) {
+        const speed = rotationSpeed * (1.0 + intensity);
+        return 0.2 * (this.reducedMotion ? this.motionPolicy.capRotationSpeed(speed) : speed);
+    }
+    
     start() {
         this.isActive = true;
         console.log(`🎬 VIB34D [${this.instanceId}] started`);
@@ -591,6 +685,7 @@ class VIB34DCore {
     
     destroy() {
         this.isActive = false;
+        if (this.unsubscribeMotionPolicy) this.unsubscribeMotionPolicy();
         if (this.program) this.gl.deleteProgram(this.program);
         if (this.buffer) this.gl.deleteBuffer(this.buffer);
         console.log(`🗑️ VIB34D [${this.instanceId}] destroyed`);
@@ -0,0 +1,105 @@
+/**
+ * Local mock of the REST preset store used by VIB3RestPresetStorage (js/config/presetStorage.js).
+ *
+ *   node mock-preset-server.js [port]    Serves an in-memory store at http://localhost:<port>/presets (default 8787)
+ *   node mock-preset-server.js --check   Runs two VIB3RestPresetStorage clients against it: revisions and conflicts
+ *
+ * Point a page at it with new HypercubeCore(canvas, { presetStorage: new VIB3RestPresetStorage({ url: 'http://localhost:8787/presets' }) }).
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// presetStorage.js is a browser script; run it with a window that is its own global.
+const context = { console, URL };
+context.window = context;
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'js/config/presetStorage.js'), 'utf8'), context);
+const { VIB3MockPresetServer, VIB3RestPresetStorage } = context;
+
+function createServer(mock) {
+    return http.createServer((request, response) => {
+        const cors = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Accept, Content-Type, If-Match, Authorization'
+        };
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, cors);
+            response.end();
+            return;
+        }
+
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', async () => {
+            const result = await mock.fetch(`http://localhost${request.url}`, { method: request.method, headers: request.headers, body: body || undefined });
+            const text = await result.text();
+            console.log(`${request.method} ${request.url} -> ${result.status}`);
+            response.writeHead(result.status, text ? { ...cors, 'Content-Type': 'application/json' } : cors);
+            response.end(text);
+        });
+    });
+}
+
+async function expectConflict(promise, actualRevision, label) {
+    try {
+        await promise;
+    } catch (error) {
+        if (error.code === 'conflict' && error.actualRevision === actualRevision) {
+            console.log(`✓ ${label}: conflict at revision ${actualRevision}`);
+            return;
+        }
+        throw error;
+    }
+    throw new Error(`${label}: expected a conflict at revision ${actualRevision}`);
+}
+
+function expectEqual(actual, expected, label) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+    console.log(`✓ ${label}`);
+}
+
+async function check(url) {
+    const tabA = new VIB3RestPresetStorage({ url, fetch });
+    const tabB = new VIB3RestPresetStorage({ url, fetch });
+    const preset = (density) => ({ version: 1, type: 'visualizer', name: 'calm', geometry: 'hypercube', params: { u_gridDensity: density } });
+
+    expectEqual((await tabA.list()).presets, [], 'starts empty');
+    expectEqual(await tabA.put(preset(8), 0), 1, 'A creates "calm" at revision 1');
+    await expectConflict(tabB.put(preset(12), 0), 1, 'B creating "calm" as new');
+    expectEqual(await tabA.put(preset(9), 1), 2, 'A updates to revision 2');
+    await expectConflict(tabB.put(preset(12), 1), 2, 'B writing over revision 1');
+
+    const listed = await tabB.list();
+    expectEqual(listed.revisions, { calm: 2 }, 'B reads revision 2');
+    expectEqual(listed.presets[0].params.u_gridDensity, 9, 'B reads A\'s values');
+    expectEqual(await tabB.put(preset(12), listed.revisions.calm), 3, 'B updates to revision 3 after reading');
+
+    await expectConflict(tabA.remove('calm', 2), 3, 'A deleting revision 2');
+    await tabA.remove('calm', 3);
+    expectEqual((await tabA.list()).revisions, {}, 'A deletes revision 3');
+    await tabA.remove('calm', 3);
+    console.log('✓ deleting a missing preset is not an error');
+}
+
+const server = createServer(new VIB3MockPresetServer());
+if (process.argv.includes('--check')) {
+    server.listen(0, async () => {
+        let failed = false;
+        try {
+            await check(`http://localhost:${server.address().port}/presets`);
+        } catch (error) {
+            console.error(`✗ ${error.message}`);
+            failed = true;
+        }
+        server.close();
+        process.exitCode = failed ? 1 : 0;
+    });
+} else {
+    const port = Number(process.argv[2]) || 8787;
+    server.listen(port, () => console.log(`Mock preset store at http://localhost:${port}/presets (in memory)`));
+}